@@ -7,6 +7,7 @@ import React, {
   useRef,
   useCallback,
   useMemo,
+  useDeferredValue,
 } from 'react';
 import {
   StyleSheet,
@@ -16,6 +17,7 @@ import {
   TouchableOpacity,
   ScrollView,
   FlatList,
+  SectionList,
   ActivityIndicator,
   Platform,
   Keyboard,
@@ -24,6 +26,14 @@ import {
   Linking,
   Dimensions,
   StatusBar,
+  AppState,
+  Switch,
+  Modal,
+  PanResponder,
+  useColorScheme,
+  useWindowDimensions,
+  I18nManager,
+  AccessibilityInfo,
 } from 'react-native';
 
 // Expo Core & Installable Libraries
@@ -32,17 +42,91 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { MaterialIcons, FontAwesome5, Ionicons } from '@expo/vector-icons'; // FontAwesome5 and Ionicons seem unused directly, but kept for potential future use or if implicitly used elsewhere
 import * as Clipboard from 'expo-clipboard';
 import * as Speech from 'expo-speech';
-import { NavigationContainer, useNavigation } from '@react-navigation/native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Notifications from 'expo-notifications';
+import * as ExpoLinking from 'expo-linking';
+import * as Localization from 'expo-localization';
+import * as SecureStore from 'expo-secure-store';
+import Constants from 'expo-constants';
+import { NavigationContainer, useNavigation, createNavigationContainerRef, DefaultTheme, DarkTheme } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { SafeAreaProvider, SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import NetInfo from '@react-native-community/netinfo';
+
+// Local Modules
+import {
+  createDefineClient, validateDefineParams, CancelledError, NetworkError, TimeoutError,
+  MAX_REQUESTED_LENGTH, DEFAULT_TIMEOUT_MS,
+} from './api/defineClient';
+import {
+  DEFAULT_CACHE_SETTINGS, CACHE_MAX_ENTRY_OPTIONS, CACHE_MAX_BYTES_OPTIONS, CACHE_TTL_DAY_OPTIONS,
+  createIndexEntry, migrateCacheIndex, isEntryExpired, selectKeysToEvict, getCacheUsage, utf8ByteLength,
+} from './cache/cacheManager';
+import { addRevision, setPinnedRevision, serveRevision } from './cache/definitionRevisions';
+import {
+  DEFAULT_HISTORY_SETTINGS, HISTORY_SIZE_OPTIONS, HISTORY_PAGE_SIZE, HISTORY_FILTER_FIELDS, getHistoryEntryId,
+  getHistoryFacets, filterHistory, groupHistory,
+} from './history/historyModel';
+import {
+  migrateFavorites, createFavorite, parseTags, updateFavoriteFields, getFavoriteFacets, filterFavorites,
+  getFavoriteLookupParams, favoriteHasParams, FAVORITE_DEFAULT_LENGTH, FAVORITE_NOTE_MAX_LENGTH,
+} from './favorites/favoritesModel';
+import {
+  createSearchIndex, indexDocuments, removeDocuments, diffIndexedKeys, searchIndex, buildSnippet,
+} from './search/definitionIndex';
+import { createBackup, validateBackup, summarizeBackup, mergeBackup } from './backup/backupFormat';
+import { THEME_PREFERENCE_OPTIONS, DEFAULT_THEME_PREFERENCE, resolveTheme } from './theme/themes';
+import {
+  APP_LANGUAGES, SYSTEM_APP_LANGUAGE, isRTLLanguage, resolveAppLanguage, createTranslator,
+  formatDate, formatDateTime,
+} from './i18n/i18n';
+import { EXPORT_FORMATS, buildCsv, buildAnkiDeck } from './export/wordListExport';
+import { WORD_LEVELS } from './data/wordOfTheDayWords';
+import { LANGUAGES } from './data/languages';
+import {
+  DEFAULT_WOTD_SETTINGS, WOTD_ARCHIVE_MAX_ITEMS, getDayKey, buildWotdCandidates, pickWordForDay,
+} from './wordOfTheDay/wordOfTheDay';
+import {
+  DEFAULT_REMINDER_SETTINGS, REMINDER_TIME_STEP_MINUTES, formatMinutes, shiftMinutes,
+  planReminderDates, buildReminderContent,
+} from './notifications/reminderSchedule';
+import {
+  normalizeLanguageCode, getLanguage, formatLanguageLabel, searchLanguages, pushRecentLanguage,
+} from './languages/languageCatalog';
+import { collectPersonalWords, getSuggestions, getCorrections } from './suggestions/wordSuggestions';
+import { BATCH_MAX_WORDS, BATCH_CONCURRENCY, parseWordList, isValidBatchWord, runWithConcurrency } from './batch/batchDefine';
+import {
+  COMPARE_MIN_VARIANTS, COMPARE_MAX_VARIANTS, COMPARE_FIELDS, COMPARE_DIMENSIONS, createVariant, buildVariants, getVariantKey,
+  getVaryingFields, describeVariant,
+} from './compare/compareVariants';
 
 // --- Constants ---
 const API_BASE_URL = 'https://define-i05a.onrender.com';
-const DEFINE_ENDPOINT = `${API_BASE_URL}/api/define`;
-const MAX_REQUESTED_LENGTH = 250;
-const HISTORY_MAX_ITEMS = 50;
+const OFFLINE_QUEUE_MAX_ITEMS = 50; // Oldest queued lookups are dropped beyond this
+const SEARCH_INDEX_BUILD_BATCH_SIZE = 50; // Cache entries read per multiGet while building the search index
+const BATCH_INVALID_WORDS_SHOWN = 5; // Invalid list entries named in the error before the rest are elided
+const QUIZ_SESSION_MAX_ROUNDS = 10; // Words drawn into a single quiz session
+const QUIZ_DEFINITION_LENGTH = 30; // Length used when looking up definitions for quiz words
+const QUIZ_CHOICE_COUNT = 4; // Options shown in a multiple-choice round (answer + distractors)
+const QUIZ_ROUND_TYPES = ['multiple-choice', 'type-word', 'true-false'];
+const WOTD_DEFINITION_LENGTH = 25; // Length used for the Word of the Day definition
+const DAY_MS = 24 * 60 * 60 * 1000;
+// SM-2 spaced-repetition parameters
+const SM2_DEFAULT_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+const SM2_PASSING_QUALITY = 3; // Answers graded below this count as a lapse
+// Review quality (0-5) recorded for a quiz answer; recalling the word is graded higher than recognising it
+const QUIZ_REVIEW_QUALITY = { incorrect: 1, recognised: 4, recalled: 5 };
 const TOAST_DURATION = 3000;
+const ACTION_BUTTON_MIN_WIDTH = 44; // Minimum touch target at the default font size; scaled with the system font size
+const CHROME_MAX_FONT_SCALE = 1.4; // Cap on system font scaling for the header title and tab labels, which share a fixed row
+const DEEP_LINK_SCHEME = 'vocabmaster'; // Must match "scheme" in app.json
+// Universal links (https://<host>/define?...) are on only in builds made with UNIVERSAL_LINK_HOST set (app.config.js)
+const UNIVERSAL_LINK_HOST = Constants.expoConfig?.extra?.universalLinkHost || null;
+const DEEP_LINK_DEFAULT_LENGTH = '30'; // Used when a define link has no length
 const APP_VERSION = '2.2.1'; // Updated Version for UI Polish
 
 // --- Storage Keys ---
@@ -51,26 +135,88 @@ const FAVORITES_KEY = '@VocabMaster:favorites_v2';
 const HISTORY_KEY = '@VocabMaster:history_v2';
 const QUIZ_LIST_KEY = '@VocabMaster:quizList_v2';
 const CACHE_INDEX_KEY = '@VocabMaster:definitionsCacheIndex_v2';
+const BACKEND_PROFILES_KEY = '@VocabMaster:backendProfiles_v1';
+const ACTIVE_BACKEND_KEY = '@VocabMaster:activeBackendProfileId_v1';
+const OFFLINE_QUEUE_KEY = '@VocabMaster:offlineQueue_v1';
+const CACHE_SETTINGS_KEY = '@VocabMaster:cacheSettings_v1';
+const WOTD_ARCHIVE_KEY = '@VocabMaster:wordOfTheDayArchive_v1';
+const WOTD_SETTINGS_KEY = '@VocabMaster:wordOfTheDaySettings_v1';
+const REMINDER_SETTINGS_KEY = '@VocabMaster:reminderSettings_v1';
+const FILTER_PRESETS_KEY = '@VocabMaster:filterPresets_v1';
+const DEFAULT_PRESET_KEY = '@VocabMaster:defaultFilterPresetId_v1';
+const RECENT_LANGUAGES_KEY = '@VocabMaster:recentLanguages_v1';
+const HISTORY_SETTINGS_KEY = '@VocabMaster:historySettings_v1';
+const LEGACY_SEARCH_INDEX_KEY = '@VocabMaster:definitionSearchIndex_v1'; // Persisted index from before it was kept in memory
+const THEME_PREFERENCE_KEY = '@VocabMaster:themePreference_v1';
+const APP_LANGUAGE_KEY = '@VocabMaster:appLanguage_v1';
+
+// --- Notifications ---
+const REMINDER_CHANNEL_ID = 'daily-reminders'; // Android notification channel
+const REMINDER_NOTIFICATION_KIND = 'daily-reminder'; // Tags our scheduled notifications so they can be replaced
+const REMINDER_RESCHEDULE_DELAY_MS = 1000; // Batches bursts of changes (e.g. a quiz session) into one reschedule
+// Show reminders even if they arrive while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({ shouldShowBanner: true, shouldShowList: true, shouldPlaySound: false, shouldSetBadge: false }),
+});
 
-// --- Color Palette ---
-const COLORS = {
-  primary: '#3949AB', primaryDark: '#303F9F', primaryLight: '#5C6BC0',
-  accent: '#FFA000', error: '#D32F2F', errorBackground: '#FFEBEE',
-  success: '#388E3C', successBackground: '#E8F5E9', info: '#1976D2', infoBackground: '#E3F2FD',
-  textPrimary: '#212121', textSecondary: '#757575', textDisabled: '#BDBDBD',
-  background: '#F5F5F5', surface: '#FFFFFF', border: '#E0E0E0', inputBackground: '#FAFAFA',
-  quizAccent: '#7E57C2', quizAccentLight: '#F3E5F5', chipBackground: '#E8EAF6',
-  toastText: '#FFFFFF', tabBarBackground: '#FFFFFF', tabBarActiveTint: '#303F9F',
-  tabBarInactiveTint: '#757575', tabBarActiveBackground: '#E8EAF6',
+// --- Backend Profiles ---
+// The built-in profile is not stored and cannot be edited; user profiles are persisted under BACKEND_PROFILES_KEY.
+// Auth header values are credentials, so they are kept in the device keystore (expo-secure-store) instead: the
+// stored profile only has `authSecretKey`, and `authHeaderValue` is filled in from SecureStore once loaded.
+const DEFAULT_BACKEND_PROFILE = {
+  id: 'default',
+  name: 'VocabMaster Cloud',
+  baseUrl: API_BASE_URL,
+  authHeaderName: '',
+  authHeaderValue: '',
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  builtIn: true,
 };
+const DEFAULT_AUTH_HEADER_NAME = 'Authorization';
+const getBackendSecretKey = (profileId) => `backendAuth.${profileId}`; // SecureStore keys allow [A-Za-z0-9._-]
+// The profile as persisted in AsyncStorage: no credential, only where to find it
+const toStoredBackendProfile = ({ authHeaderValue, ...profile }) => ({
+  ...profile,
+  authSecretKey: authHeaderValue ? getBackendSecretKey(profile.id) : null,
+});
+const MAX_BACKEND_TIMEOUT_SECONDS = 120;
+
+// --- Filter Presets ---
+// Named tone / context / language combinations; these starters can be edited or deleted like any other preset
+const DEFAULT_FILTER_PRESETS = [
+  { id: 'preset-kids-english', name: 'Kids English', tone: 'simple', context: 'for a child', lang: 'eng' },
+  { id: 'preset-legal-spanish', name: 'Legal Spanish', tone: 'formal', context: 'legal', lang: 'spa' },
+];
+const PRESET_FIELDS = ['tone', 'context', 'lang'];
 
 // --- Utility Functions ---
-const validateInputs = (wordToValidate, lengthToValidate) => {
-  if (!wordToValidate || !wordToValidate.trim()) { return 'Please enter a word or phrase.'; }
-  const numLength = parseInt(lengthToValidate, 10);
-  if (isNaN(numLength) || numLength < 1 || numLength > MAX_REQUESTED_LENGTH) { return `Please enter a valid length (1-${MAX_REQUESTED_LENGTH}).`; }
-  return null; // No error
+// Same rules the API client enforces before sending; returns null when valid
+const validateInputs = ({ word: wordToValidate, length: lengthToValidate, lang: langToValidate }, t) => {
+  // validateDefineParams' messages are English; the same two checks are reported in the app language
+  if (validateDefineParams({ word: wordToValidate, length: lengthToValidate })) {
+    return (wordToValidate || '').trim() ? t('validation.invalidLength', { max: MAX_REQUESTED_LENGTH }) : t('validation.enterWord');
+  }
+  // Unknown codes would reach the API and the cache key as typed
+  if (normalizeLanguageCode(langToValidate) === null) return t('validation.unknownLanguagePickFromList', { lang: langToValidate });
+  return null;
+};
+// Reverses generateCacheKey: returns the parsed key parameters, or null for keys it didn't produce
+const parseCacheKey = (cacheKey) => {
+  if (!cacheKey || !cacheKey.startsWith(CACHE_KEY_PREFIX)) return null;
+  try { return JSON.parse(cacheKey.slice(CACHE_KEY_PREFIX.length)); } catch (e) { return null; }
 };
+// Turns parsed key parameters back into request parameters (defaults become undefined, as in handleDefine)
+const cacheKeyParamsToRequestParams = (keyParams) => ({
+  word: keyParams.word,
+  length: keyParams.length,
+  tone: keyParams.tone !== 'neutral' ? keyParams.tone : undefined,
+  context: keyParams.context !== 'none' ? keyParams.context : undefined,
+  lang: keyParams.lang !== 'auto' ? keyParams.lang : undefined,
+});
+// Scheme and host are case-insensitive; the path is kept as typed, since servers may route /Tenant and /tenant apart.
+// Matched by hand: React Native's URL doesn't implement the host getters.
+const normalizeBaseUrl = (url) => (url || '').trim().replace(/\/+$/, '')
+  .replace(/^([a-z][a-z\d+.-]*:\/\/)?([^/?#]*)/i, (origin) => origin.toLowerCase());
 const generateCacheKey = (params) => {
   // Ensure consistent key generation, handling potentially undefined values gracefully
   const keyParams = {
@@ -78,8 +224,14 @@ const generateCacheKey = (params) => {
     length: parseInt(params.length || 0, 10),
     tone: (params.tone || 'neutral').toLowerCase(),
     context: (params.context || 'none').toLowerCase(),
-    lang: (params.lang || 'auto').toLowerCase()
+    // en / EN / eng share one entry; codes missing from the table are kept as typed
+    lang: (normalizeLanguageCode(params.lang) || params.lang || 'auto').toLowerCase()
   };
+  // Results from other backends get their own keys; the default backend keeps the original key shape
+  // so entries cached before backend profiles existed still hit.
+  if (params.backend && normalizeBaseUrl(params.backend) !== normalizeBaseUrl(API_BASE_URL)) {
+    keyParams.backend = normalizeBaseUrl(params.backend);
+  }
   // Sort keys for consistent JSON stringification regardless of object creation order
   const sortedKeys = Object.keys(keyParams).sort();
   const sortedParams = {};
@@ -88,10 +240,274 @@ const generateCacheKey = (params) => {
   });
   return `${CACHE_KEY_PREFIX}${JSON.stringify(sortedParams)}`;
 };
+// What the search index holds for a stored cache entry: the text it serves (pinned or newest revision)
+// Entries serving no text give an empty document, so the index still counts them as indexed
+const toSearchDocument = (cacheKey, stored) => {
+  const served = stored ? serveRevision(stored) : null;
+  return { cacheKey, word: served?.word || parseCacheKey(cacheKey)?.word || '', text: served?.result ? String(served.result) : '' };
+};
+
+// Shareable link that opens the app and runs this lookup, e.g. https://<host>/define?word=serendipity&length=40.
+// The https form also opens in a browser for people without the app; builds without a link host share
+// vocabmaster://define?... instead.
+const buildDefineLink = (params) => {
+  const query = ['word', 'length', 'tone', 'context', 'lang']
+    .filter(field => params[field] !== undefined && params[field] !== null && String(params[field]).trim() !== '')
+    .map(field => `${field}=${encodeURIComponent(String(params[field]).trim())}`)
+    .join('&');
+  return UNIVERSAL_LINK_HOST ? `https://${UNIVERSAL_LINK_HOST}/define?${query}` : `${DEEP_LINK_SCHEME}://define?${query}`;
+};
+
+// Filter presets compare case-insensitively, ignoring surrounding whitespace
+const presetMatchesFilters = (preset, filters) => PRESET_FIELDS
+  .every(field => (preset[field] || '').trim().toLowerCase() === (filters[field] || '').trim().toLowerCase());
+const describePreset = (preset) => PRESET_FIELDS.map(field => (preset[field] || '').trim()).filter(Boolean).join(' / ');
+const validatePreset = (preset, t) => {
+  if (!(preset.name || '').trim()) return t('validation.presetName');
+  if (!describePreset(preset)) return t('validation.presetEmpty');
+  if (normalizeLanguageCode(preset.lang) === null) return t('validation.unknownLanguageIso', { lang: preset.lang });
+  return null;
+};
+
+// Returns an error message for an invalid profile draft, or null
+const validateBackendProfile = (profile, t) => {
+  if (!(profile.name || '').trim()) return t('validation.profileName');
+  if (!/^https?:\/\/[^\s/]+/i.test((profile.baseUrl || '').trim())) return t('validation.baseUrl');
+  const timeoutSeconds = Number(profile.timeoutMs) / 1000;
+  if (!timeoutSeconds || timeoutSeconds < 1 || timeoutSeconds > MAX_BACKEND_TIMEOUT_SECONDS) {
+    return t('validation.timeout', { max: MAX_BACKEND_TIMEOUT_SECONDS });
+  }
+  return null;
+};
+const createClientForProfile = (profile, overrides = {}) => createDefineClient({
+  baseUrl: profile.baseUrl,
+  timeoutMs: profile.timeoutMs || DEFAULT_TIMEOUT_MS,
+  headers: profile.authHeaderValue ? { [profile.authHeaderName || DEFAULT_AUTH_HEADER_NAME]: profile.authHeaderValue } : {},
+  ...overrides,
+});
+
+// Queue items are created in bursts (a batch run offline queues every word in the same millisecond), so the
+// timestamp alone isn't unique
+const createQueueItemId = (now = Date.now()) => `${now}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Lookups interrupted mid-retry (app closed) go back to waiting. Items stored with a shared id by older versions
+// get fresh ids, since removing or updating one would otherwise change them all.
+const restoreOfflineQueue = (storedQueue) => {
+  if (!Array.isArray(storedQueue)) return [];
+  const seenIds = new Set();
+  return storedQueue.map(item => {
+    const restored = item.status === 'retrying' ? { ...item, status: 'pending' } : item;
+    const id = seenIds.has(restored.id) ? createQueueItemId(restored.createdAt) : restored.id;
+    seenIds.add(id);
+    return id === restored.id ? restored : { ...restored, id };
+  });
+};
+
+// History entry for a definition result (fresh or cached); addToHistory adds the timestamp
+const buildHistoryEntry = (resultData) => ({
+  word: resultData.word,
+  length: resultData.requestedLength, // Use requested length stored with the result
+  tone: resultData.config?.tone,
+  context: resultData.config?.context,
+  lang: resultData.config?.effectiveLang,
+  result: { // Store some key result info in history
+    actualLength: resultData.actualLength,
+    status: resultData.status,
+    effectiveLang: resultData.config?.effectiveLang
+  }
+});
+
+// Short label for the API's length status ("Exact Length", "Closest Possible", ...)
+const describeResultStatus = (status, t) => {
+  if (!status || status === 'N/A') return t('common.notAvailable');
+  if (status === 'Exact length achieved') return t('status.exactLength');
+  // Try to extract reason more reliably
+  if (status.includes('Closest possible length achieved')) return t('status.closestPossible');
+  if (status.includes('Could not meet constraint')) return t('status.constraintIssue');
+  // Fallback to simpler extraction if needed (the API's own wording, so it stays untranslated)
+  const match = status.match(/\(([^)]+)\)/);
+  return match ? match[1].replace('Closest: ', '').replace('Difference: ', 'Diff: ') : status;
+};
+
+// The API client's messages are English. Connection problems always use its built-in wording, so those are shown
+// in the app language; messages from the server (rate limits, rejected requests, outages) are shown as sent.
+const describeApiError = (error, fallbackKey, t) => {
+  if (error instanceof NetworkError) return t('errors.network');
+  if (error instanceof TimeoutError) return t('errors.timeout');
+  return error?.message || t(fallbackKey);
+};
+
+// "3 favorites, 12 history items, 5 quiz words, 40 cached definitions" for backup summaries and restore reports
+const describeBackupCounts = (counts, t) => ['favorites', 'history', 'quizList', 'cache']
+  .map(field => t(`backup.count.${field}`, { count: counts[field] }))
+  .join(t('common.listSeparator'));
+
+// Form labels mark required fields with "*"; screen readers get the label without it
+const accessibleFieldLabel = (label) => label.replace(/\s*\*\s*$/, '');
+
+// Screen readers: Android speaks views marked `accessibilityLiveRegion` when their content changes, but iOS has no
+// live regions, so toasts and loading states are also announced explicitly there
+const announceForAccessibility = (message) => {
+  if (Platform.OS === 'ios' && message) AccessibilityInfo.announceForAccessibility(String(message));
+};
+
+// Screen readers focus a touchable row as one item, which hides the small buttons inside it (edit, remove, ...),
+// so rows offer those as accessibility actions too: [{ name, label, onPress }]
+const getRowAccessibilityActions = (actions) => ({
+  accessibilityActions: actions.map(({ name, label }) => ({ name, label })),
+  onAccessibilityAction: ({ nativeEvent }) => actions.find(action => action.name === nativeEvent.actionName)?.onPress(),
+});
+
+// Announces `message` whenever it changes while `active`, e.g. a loading state appearing
+const useAccessibilityAnnouncement = (message, active = true) => {
+  useEffect(() => {
+    if (active) announceForAccessibility(message);
+  }, [message, active]);
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Writes text to a temporary file and opens the system share sheet for it.
+// Returns false when sharing isn't available; write errors are thrown to the caller.
+const writeAndShareFile = async (fileName, contents, { mimeType, UTI, dialogTitle }) => {
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, contents);
+  if (!(await Sharing.isAvailableAsync())) return false;
+  await Sharing.shareAsync(fileUri, { mimeType, UTI, dialogTitle });
+  return true;
+};
+
+// Returns a shuffled copy (Fisher-Yates), leaving the input untouched.
+const shuffleArray = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Hides the answer word inside a definition so quiz prompts don't give it away.
+const maskWordInDefinition = (definition, wordToMask) => {
+  const trimmedWord = (wordToMask || '').trim();
+  if (!trimmedWord) return String(definition || '');
+  return String(definition || '').replace(new RegExp(escapeRegExp(trimmedWord), 'gi'), '_____');
+};
+const isTypedAnswerCorrect = (typedAnswer, expectedWord) =>
+  (typedAnswer || '').trim().toLowerCase() === (expectedWord || '').trim().toLowerCase();
+// Builds one quiz round per entry ({ id, word, definition }), cycling through the round types.
+// Multiple choice and true/false fall back gracefully when there are no other words to use as distractors.
+const buildQuizRounds = (entries) => {
+  const pool = shuffleArray(entries);
+  const typeOffset = Math.floor(Math.random() * QUIZ_ROUND_TYPES.length);
+  return pool.map((entry, index) => {
+    const others = pool.filter(other => other.word.toLowerCase() !== entry.word.toLowerCase());
+    const type = QUIZ_ROUND_TYPES[(index + typeOffset) % QUIZ_ROUND_TYPES.length];
+    const base = { id: entry.id, word: entry.word, definition: entry.definition };
+
+    if (type === 'multiple-choice' && others.length > 0) {
+      const distractors = shuffleArray(others).slice(0, QUIZ_CHOICE_COUNT - 1).map(other => other.word);
+      return {
+        ...base, type,
+        prompt: maskWordInDefinition(entry.definition, entry.word),
+        options: shuffleArray([entry.word, ...distractors]),
+        answer: entry.word,
+      };
+    }
+    if (type === 'true-false') {
+      // Without other definitions to borrow, the statement can only be true
+      const isTrue = others.length === 0 || Math.random() < 0.5;
+      const source = isTrue ? entry : shuffleArray(others)[0];
+      return {
+        ...base, type,
+        prompt: maskWordInDefinition(source.definition, source.word),
+        answer: isTrue,
+      };
+    }
+    return {
+      ...base, type: 'type-word',
+      prompt: maskWordInDefinition(entry.definition, entry.word),
+      answer: entry.word,
+    };
+  });
+};
+
+// --- Spaced Repetition (SM-2) ---
+const startOfDay = (timestamp) => { const d = new Date(timestamp); d.setHours(0, 0, 0, 0); return d.getTime(); };
+const endOfDay = (timestamp) => startOfDay(timestamp) + DAY_MS - 1;
+// Review state for a word that has never been reviewed: due immediately
+const createInitialReviewState = (now = Date.now()) => ({
+  ease: SM2_DEFAULT_EASE,
+  interval: 0, // Days until the next review
+  repetitions: 0, // Consecutive successful reviews
+  lapses: 0, // Times the word was forgotten after being learned
+  dueAt: now,
+  lastReviewedAt: null,
+});
+// Upgrades stored quiz entries from the old { word, id } shape, keeping any review state they already have
+const migrateQuizList = (storedList) => {
+  if (!Array.isArray(storedList)) return [];
+  return storedList
+    .filter(item => item && typeof item.word === 'string')
+    .map(item => {
+      const addedAt = item.addedAt ?? (parseInt(item.id, 10) || Date.now()); // Old ids are Date.now() strings
+      return { ...createInitialReviewState(addedAt), addedAt, ...item, id: String(item.id ?? addedAt) };
+    });
+};
+// Applies one SM-2 review with the given quality (0-5) and returns the updated item
+const scheduleReview = (item, quality, now = Date.now()) => {
+  const ease = item.ease ?? SM2_DEFAULT_EASE;
+  let { repetitions = 0, interval = 0, lapses = 0 } = item;
+
+  if (quality < SM2_PASSING_QUALITY) {
+    // Forgotten: start the repetition sequence again, tomorrow
+    if (repetitions > 0) lapses += 1;
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+  }
+  const newEase = Math.max(SM2_MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    ...item,
+    ease: Math.round(newEase * 100) / 100,
+    interval, repetitions, lapses,
+    dueAt: startOfDay(now) + interval * DAY_MS,
+    lastReviewedAt: now,
+  };
+};
+// Parameters to look a quiz word up with: the ones it was defined with, or the quiz default for older entries
+const getQuizLookupParams = (item) => ({ word: item.word, ...(item.params || { length: QUIZ_DEFINITION_LENGTH }) });
+const isQuizItemDue = (item, now = Date.now()) => (item.dueAt ?? 0) <= endOfDay(now);
+const formatDueLabel = (dueAt, t, now = Date.now()) => {
+  const days = Math.round((startOfDay(dueAt ?? now) - startOfDay(now)) / DAY_MS);
+  if (days < 0) return t('quiz.due.overdue', { count: -days });
+  if (days === 0) return t('quiz.due.today');
+  if (days === 1) return t('quiz.due.tomorrow');
+  return t('quiz.due.inDays', { count: days });
+};
 
 // --- App Context ---
 const AppContext = createContext();
 
+// --- Theme Context ---
+// The active theme (theme/themes.js) with its palette as COLORS and the stylesheet built from it. Provided by
+// AppProvider; components read it through useTheme and re-render when the theme changes.
+const ThemeContext = createContext(null);
+const useTheme = () => useContext(ThemeContext);
+
+// --- Language Context ---
+// `t` translates UI strings into the active app language (i18n/i18n.js); `t.language` is its code. Provided by
+// AppProvider; components read it through useTranslation, and module helpers that show text take it as an argument.
+const LanguageContext = createContext(null);
+const useTranslation = () => useContext(LanguageContext);
+
 // --- App Provider Component ---
 // FIX: Removed incorrect try/catch wrapper around the function definition
 const AppProvider = ({ children }) => {
@@ -110,11 +526,110 @@ const AppProvider = ({ children }) => {
 
   // Simplified Persistent State Hook (Kept condensed as per original code)
   // Note: Improved loading indication might be desired for a better UX during initial load flicker.
-  const useSimplePersistentState = (key, initialValue) => { const [st, setSt] = useState(initialValue); const [ld, setLd] = useState(false); useEffect(() => { AsyncStorage.getItem(key).then(v => { if (v !== null) { try { setSt(JSON.parse(v)); } catch (e) { console.error(`Parse Error (${key}):`, e); /* Keep initialValue or setSt([])/setSt({}) ? */ } } }).catch(e => console.error(`Load Error (${key}):`, e)).finally(() => setLd(true)); }, [key]); useEffect(() => { if (ld) { AsyncStorage.setItem(key, JSON.stringify(st)).catch(e => console.error(`Save Error (${key}):`, e)); } }, [key, st, ld]); return [st, setSt, ld]; };
-  const [favorites, setFavorites, favLoaded] = useSimplePersistentState(FAVORITES_KEY, []);
+  // Optional `migrate` upgrades the parsed value from older storage shapes before it is used.
+  const useSimplePersistentState = (key, initialValue, migrate) => { const [st, setSt] = useState(initialValue); const [ld, setLd] = useState(false); useEffect(() => { AsyncStorage.getItem(key).then(v => { if (v !== null) { try { const parsed = JSON.parse(v); setSt(migrate ? migrate(parsed) : parsed); } catch (e) { console.error(`Parse Error (${key}):`, e); /* Keep initialValue or setSt([])/setSt({}) ? */ } } }).catch(e => console.error(`Load Error (${key}):`, e)).finally(() => setLd(true)); }, [key]); useEffect(() => { if (ld) { AsyncStorage.setItem(key, JSON.stringify(st)).catch(e => console.error(`Save Error (${key}):`, e)); } }, [key, st, ld]); return [st, setSt, ld]; };
+  const [favorites, setFavorites, favLoaded] = useSimplePersistentState(FAVORITES_KEY, [], migrateFavorites);
   const [history, setHistory, histLoaded] = useSimplePersistentState(HISTORY_KEY, []);
-  const [quizList, setQuizList, quizLoaded] = useSimplePersistentState(QUIZ_LIST_KEY, []);
-  const [definitionsCacheIndex, setDefinitionsCacheIndex, cacheIdxLoaded] = useSimplePersistentState(CACHE_INDEX_KEY, {});
+  const [historySettings, setHistorySettings, historySettingsLoaded] = useSimplePersistentState(HISTORY_SETTINGS_KEY, DEFAULT_HISTORY_SETTINGS);
+  const [quizList, setQuizList, quizLoaded] = useSimplePersistentState(QUIZ_LIST_KEY, [], migrateQuizList);
+  const [definitionsCacheIndex, setDefinitionsCacheIndex, cacheIdxLoaded] = useSimplePersistentState(CACHE_INDEX_KEY, {}, migrateCacheIndex);
+  const [cacheSettings, setCacheSettings, cacheSettingsLoaded] = useSimplePersistentState(CACHE_SETTINGS_KEY, DEFAULT_CACHE_SETTINGS);
+  const [customBackendProfiles, setCustomBackendProfiles, profilesLoaded] = useSimplePersistentState(BACKEND_PROFILES_KEY, []);
+  const [activeBackendProfileId, setActiveBackendProfileId, activeProfileLoaded] = useSimplePersistentState(ACTIVE_BACKEND_KEY, DEFAULT_BACKEND_PROFILE.id);
+  const [backendSecrets, setBackendSecrets] = useState({}); // Profile id -> auth header value, read from SecureStore
+  const [backendSecretsLoaded, setBackendSecretsLoaded] = useState(false);
+  const [filterPresets, setFilterPresets, presetsLoaded] = useSimplePersistentState(FILTER_PRESETS_KEY, DEFAULT_FILTER_PRESETS);
+  const [defaultPresetId, setDefaultPresetId, defaultPresetLoaded] = useSimplePersistentState(DEFAULT_PRESET_KEY, null);
+  const [recentLanguages, setRecentLanguages] = useSimplePersistentState(RECENT_LANGUAGES_KEY, []); // ISO 639-3 codes, newest first
+  // Lookups made offline: { id, params, status: 'pending' | 'retrying' | 'failed' | 'resolved', attempts, lastError, createdAt, updatedAt }
+  const [offlineQueue, setOfflineQueue, queueLoaded] = useSimplePersistentState(OFFLINE_QUEUE_KEY, [], restoreOfflineQueue);
+  // Word of the Day: one entry per day, newest first: { date, word, level, source, params, definition, actualLength, status, fetchedAt }
+  const [wotdArchive, setWotdArchive, wotdArchiveLoaded] = useSimplePersistentState(WOTD_ARCHIVE_KEY, []);
+  const [wotdSettings, setWotdSettings, wotdSettingsLoaded] = useSimplePersistentState(WOTD_SETTINGS_KEY, DEFAULT_WOTD_SETTINGS);
+  const [reminderSettings, setReminderSettings, reminderSettingsLoaded] = useSimplePersistentState(REMINDER_SETTINGS_KEY, DEFAULT_REMINDER_SETTINGS);
+  // Theme: a palette id or 'system'. Not part of isInitialDataLoaded; until it loads the system theme shows.
+  const [themePreference, setThemePreference] = useSimplePersistentState(THEME_PREFERENCE_KEY, DEFAULT_THEME_PREFERENCE);
+  const systemColorScheme = useColorScheme();
+  const theme = resolveTheme(themePreference, systemColorScheme);
+  const themeValue = useMemo(() => ({ theme, COLORS: theme.colors, styles: getThemeStyles(theme) }), [theme]);
+  // App language: a catalogue code or 'system'. Independent of the `lang` sent with definition requests.
+  const [appLanguagePreference, setAppLanguagePreference, appLanguageLoaded] = useSimplePersistentState(APP_LANGUAGE_KEY, SYSTEM_APP_LANGUAGE);
+  const deviceLocales = Localization.useLocales();
+  const appLanguage = resolveAppLanguage(appLanguagePreference, deviceLocales.map(locale => locale.languageCode));
+  const t = useMemo(() => createTranslator(appLanguage), [appLanguage]);
+  // Layout direction is fixed when the app starts, so Arabic / Hebrew (or leaving them) takes effect on a restart
+  useEffect(() => {
+    if (!appLanguageLoaded) return;
+    const rtl = isRTLLanguage(appLanguage);
+    if (rtl === I18nManager.isRTL) return;
+    I18nManager.allowRTL(rtl);
+    I18nManager.forceRTL(rtl);
+    Alert.alert(t('language.restartTitle'), t('language.restartMessage'));
+  }, [appLanguage, appLanguageLoaded, t]);
+  // Full-text index of cached definitions, held in memory and updated in place; kept in step with the cache by
+  // writeCacheEntry, evictCacheKeys, clearCache and restoreBackup. The version changes whenever the index does.
+  const searchIndexRef = useRef(null);
+  if (searchIndexRef.current === null) searchIndexRef.current = createSearchIndex();
+  const [searchIndexVersion, setSearchIndexVersion] = useState(0);
+  const updateSearchIndex = useCallback((update) => {
+    update(searchIndexRef.current);
+    setSearchIndexVersion(version => version + 1);
+  }, []);
+
+  // Reads each profile's auth header value from SecureStore. Profiles saved before secrets moved there still hold
+  // the value in plain storage: it is moved to SecureStore and dropped from the stored profile.
+  useEffect(() => {
+    if (!profilesLoaded || backendSecretsLoaded) return;
+    const loadSecrets = async () => {
+      const secrets = {};
+      const migratedIds = [];
+      for (const profile of customBackendProfiles) {
+        try {
+          if (profile.authHeaderValue) {
+            await SecureStore.setItemAsync(getBackendSecretKey(profile.id), profile.authHeaderValue);
+            secrets[profile.id] = profile.authHeaderValue;
+            migratedIds.push(profile.id);
+          } else if (profile.authSecretKey) {
+            secrets[profile.id] = (await SecureStore.getItemAsync(profile.authSecretKey)) || '';
+          }
+        } catch (e) {
+          console.error(`Backend secret load error (${profile.id}):`, e);
+        }
+      }
+      if (migratedIds.length > 0) {
+        setCustomBackendProfiles(prev => prev.map(profile => (migratedIds.includes(profile.id) ? toStoredBackendProfile(profile) : profile)));
+      }
+      setBackendSecrets(secrets);
+      setBackendSecretsLoaded(true);
+    };
+    loadSecrets();
+  }, [profilesLoaded, backendSecretsLoaded, customBackendProfiles, setCustomBackendProfiles]);
+
+  const backendProfiles = useMemo(() => [
+    DEFAULT_BACKEND_PROFILE,
+    ...customBackendProfiles.map(({ authSecretKey, ...profile }) => ({ ...profile, authHeaderValue: backendSecrets[profile.id] ?? profile.authHeaderValue ?? '' })),
+  ], [customBackendProfiles, backendSecrets]);
+  // Falls back to the built-in profile if the stored id no longer exists
+  const activeBackendProfile = useMemo(
+    () => backendProfiles.find(profile => profile.id === activeBackendProfileId) || DEFAULT_BACKEND_PROFILE,
+    [backendProfiles, activeBackendProfileId]
+  );
+
+  const defaultPreset = useMemo(() => filterPresets.find(preset => preset.id === defaultPresetId) || null, [filterPresets, defaultPresetId]);
+  // Fills the optional filters from a preset; null clears them
+  const applyPreset = useCallback((preset) => {
+    setTone(preset?.tone || '');
+    setContextValue(preset?.context || '');
+    setLang(preset?.lang || '');
+  }, []);
+  // The default preset is applied once on launch. isInitialDataLoaded waits for this, so anything acting on
+  // loaded data (e.g. a deep link prefilling the form) runs after it and isn't overwritten.
+  const [launchPresetApplied, setLaunchPresetApplied] = useState(false);
+  useEffect(() => {
+    if (!presetsLoaded || !defaultPresetLoaded || launchPresetApplied) return;
+    if (defaultPreset) applyPreset(defaultPreset);
+    setLaunchPresetApplied(true);
+  }, [presetsLoaded, defaultPresetLoaded, launchPresetApplied, defaultPreset, applyPreset]);
 
   // Sorting State
   const [favSortOrder, setFavSortOrder] = useState('newest');
@@ -122,35 +637,77 @@ const AppProvider = ({ children }) => {
 
   // Toast State
   const [toastState, setToastState] = useState({ visible: false, message: '', type: 'info' });
-  const isInitialDataLoaded = favLoaded && histLoaded && quizLoaded && cacheIdxLoaded;
+  const isInitialDataLoaded = favLoaded && histLoaded && quizLoaded && cacheIdxLoaded && cacheSettingsLoaded && profilesLoaded && activeProfileLoaded && backendSecretsLoaded && queueLoaded
+    && wotdArchiveLoaded && wotdSettingsLoaded && reminderSettingsLoaded && historySettingsLoaded && launchPresetApplied;
+
+  // Connectivity (NetInfo). isInternetReachable is null while unknown, which counts as online.
+  const [isOnline, setIsOnline] = useState(true);
+  const isOnlineRef = useRef(true);
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const online = !!state.isConnected && state.isInternetReachable !== false;
+      isOnlineRef.current = online;
+      setIsOnline(online);
+    });
+    return unsubscribe;
+  }, []);
 
   // --- Actions ---
   const showToast = useCallback((message, type = 'info', duration = TOAST_DURATION) => {
     // Ensure message is a string
     const msg = String(message || '');
     setToastState({ visible: true, message: msg, type });
+    announceForAccessibility(t(`a11y.toast.${type}`, { message: msg }));
     setTimeout(() => {
       // Hide only if the current toast is still visible (prevents premature hiding from rapid calls)
       setToastState(prev => (prev.message === msg && prev.visible ? { ...prev, visible: false } : prev));
     }, duration);
-  }, []); // Dependency array is empty as it only uses setToastState and constants
+  }, [t]); // Dependency array is empty as it only uses setToastState and constants
+
+  // Latest index for code that must read it outside of render (eviction runs after async writes)
+  const cacheIndexRef = useRef(definitionsCacheIndex);
+  cacheIndexRef.current = definitionsCacheIndex;
+
+  // Removes entries from storage and the index together
+  const evictCacheKeys = useCallback(async (keysToEvict) => {
+    if (!keysToEvict || keysToEvict.length === 0) return;
+    try {
+      await AsyncStorage.multiRemove(keysToEvict);
+    } catch (e) {
+      console.error("Cache eviction error:", e);
+    }
+    setDefinitionsCacheIndex(prev => {
+      const newIndex = { ...prev };
+      keysToEvict.forEach(key => { delete newIndex[key]; });
+      return newIndex;
+    });
+    updateSearchIndex(index => removeDocuments(index, keysToEvict));
+  }, [setDefinitionsCacheIndex, updateSearchIndex]);
 
   const getCachedDefinition = useCallback(async (params) => {
     if (!isInitialDataLoaded) {
       console.log("getCachedDefinition: Initial data not loaded yet.");
       return null;
     }
-    const cacheKey = generateCacheKey(params);
-    if (!definitionsCacheIndex[cacheKey]) {
+    const cacheKey = generateCacheKey({ ...params, backend: activeBackendProfile.baseUrl });
+    const indexEntry = definitionsCacheIndex[cacheKey];
+    if (!indexEntry) {
       // console.log(`getCachedDefinition: Key not in index: ${cacheKey}`);
       return null;
     }
+    if (isEntryExpired(indexEntry, cacheSettings)) {
+      evictCacheKeys([cacheKey]);
+      return null;
+    }
     // console.log(`getCachedDefinition: Trying to read key: ${cacheKey}`);
     try {
       const definitionData = await AsyncStorage.getItem(cacheKey);
-      if (definitionData) {
+      const served = definitionData ? serveRevision(JSON.parse(definitionData)) : null; // Pinned or newest revision
+      if (served) {
         // console.log(`getCachedDefinition: Cache hit for key: ${cacheKey}`);
-        return { ...JSON.parse(definitionData), cacheHit: true };
+        // Record the access so LRU eviction keeps frequently used definitions
+        setDefinitionsCacheIndex(prev => (prev[cacheKey] ? { ...prev, [cacheKey]: { ...prev[cacheKey], lastAccessedAt: Date.now() } } : prev));
+        return { ...served, cacheHit: true };
       } else {
         // Data not found, but key was in index - inconsistent state, remove from index
         console.warn(`Cache inconsistency: Key ${cacheKey} in index but data missing. Removing from index.`);
@@ -171,23 +728,145 @@ const AppProvider = ({ children }) => {
       });
       return null;
     }
-  }, [isInitialDataLoaded, definitionsCacheIndex, setDefinitionsCacheIndex]); // Dependencies are correct
-
+  }, [isInitialDataLoaded, definitionsCacheIndex, setDefinitionsCacheIndex, activeBackendProfile, cacheSettings, evictCacheKeys]);
+
+  // Parsed entry under `cacheKey` (any shape definitionRevisions understands), or null
+  const readCacheEntry = useCallback(async (cacheKey) => {
+    const stored = await AsyncStorage.getItem(cacheKey);
+    return stored ? JSON.parse(stored) : null;
+  }, []);
+
+  // Writes a whole entry (all revisions) and indexes it with its size and for full-text search, then enforces
+  // the limits (TTL, entry count, byte budget) on every write
+  const writeCacheEntry = useCallback(async (cacheKey, entry) => {
+    const now = Date.now();
+    const serialized = JSON.stringify(entry);
+    await AsyncStorage.setItem(cacheKey, serialized);
+    const indexEntry = createIndexEntry(serialized, now);
+    const keysToEvict = selectKeysToEvict({ ...cacheIndexRef.current, [cacheKey]: indexEntry }, cacheSettings, { now, protectKey: cacheKey });
+    setDefinitionsCacheIndex(prev => ({ ...prev, [cacheKey]: indexEntry }));
+    // Re-indexed on every write (new revision, pin change) since either can change the served text
+    updateSearchIndex(index => indexDocuments(index, [toSearchDocument(cacheKey, entry)]));
+    await evictCacheKeys(keysToEvict);
+  }, [setDefinitionsCacheIndex, updateSearchIndex, cacheSettings, evictCacheKeys]);
+
+  // Stores a fetched result as the newest revision for its parameters. Returns it as served from the cache
+  // (with revisionId and the revision list), or null if it couldn't be saved.
   const saveToCache = useCallback(async (params, resultData) => {
-    const cacheKey = generateCacheKey(params);
+    const cacheKey = generateCacheKey({ ...params, backend: activeBackendProfile.baseUrl });
     try {
-      // Add current timestamp to the data being saved (useful for potential future pruning)
-      const dataToSave = { ...resultData, savedAt: Date.now() };
-      await AsyncStorage.setItem(cacheKey, JSON.stringify(dataToSave));
-      // Update the index with the key and current timestamp
-      setDefinitionsCacheIndex(prev => ({ ...prev, [cacheKey]: Date.now() }));
+      let existing = null;
+      try { existing = await readCacheEntry(cacheKey); } catch (e) { /* Unreadable entry; start a fresh one */ }
+      const entry = addRevision(existing, resultData);
+      await writeCacheEntry(cacheKey, entry);
       // console.log(`saveToCache: Saved data for key: ${cacheKey}`);
+      return serveRevision(entry, entry.revisions[entry.revisions.length - 1].revisionId);
     } catch (e) {
       console.error("Cache write error:", e);
-      showToast('Could not save definition locally.', 'error');
+      showToast(t('cache.saveFailed'), 'error');
       // Consider if the index should be updated even if save fails (might lead to inconsistency)
+      return null;
     }
-  }, [setDefinitionsCacheIndex, showToast]); // Dependencies are correct
+  }, [showToast, activeBackendProfile, readCacheEntry, writeCacheEntry, t]);
+
+  // Applies the current limits to the whole cache (after launch or when the limits are tightened)
+  useEffect(() => {
+    if (!isInitialDataLoaded) return;
+    const keysToEvict = selectKeysToEvict(cacheIndexRef.current, cacheSettings);
+    if (keysToEvict.length > 0) evictCacheKeys(keysToEvict);
+  }, [isInitialDataLoaded, cacheSettings, evictCacheKeys]);
+
+  // Entries cached before language codes were normalised (e.g. "en", "EN") are moved to their canonical key once
+  const hasMigratedLanguageKeysRef = useRef(false);
+  useEffect(() => {
+    if (!isInitialDataLoaded || hasMigratedLanguageKeysRef.current) return;
+    hasMigratedLanguageKeysRef.current = true;
+    const renames = Object.keys(cacheIndexRef.current)
+      .map(oldKey => {
+        const keyParams = parseCacheKey(oldKey);
+        if (!keyParams) return null;
+        const newKey = generateCacheKey({ ...cacheKeyParamsToRequestParams(keyParams), backend: keyParams.backend });
+        return newKey !== oldKey ? [oldKey, newKey] : null;
+      })
+      .filter(Boolean);
+    if (renames.length === 0) return;
+    (async () => {
+      try {
+        const valueByKey = Object.fromEntries(await AsyncStorage.multiGet(renames.map(([oldKey]) => oldKey)));
+        // An entry already stored under the canonical key wins over the old one
+        const moves = renames.filter(([oldKey, newKey]) => valueByKey[oldKey] && !cacheIndexRef.current[newKey]);
+        if (moves.length > 0) await AsyncStorage.multiSet(moves.map(([oldKey, newKey]) => [newKey, valueByKey[oldKey]]));
+        await AsyncStorage.multiRemove(renames.map(([oldKey]) => oldKey));
+        setDefinitionsCacheIndex(prev => {
+          const newIndex = { ...prev };
+          moves.forEach(([oldKey, newKey]) => { newIndex[newKey] = prev[oldKey]; });
+          renames.forEach(([oldKey]) => { delete newIndex[oldKey]; });
+          return newIndex;
+        });
+      } catch (e) {
+        console.error("Cache key migration error:", e);
+      }
+    })();
+  }, [isInitialDataLoaded, setDefinitionsCacheIndex]);
+
+  const updateCacheSettings = useCallback((changes) => {
+    setCacheSettings(prev => ({ ...prev, ...changes }));
+  }, [setCacheSettings]);
+
+  const cacheUsage = useMemo(() => getCacheUsage(definitionsCacheIndex), [definitionsCacheIndex]);
+
+  // The index from before it was kept in memory is no longer read
+  useEffect(() => {
+    AsyncStorage.removeItem(LEGACY_SEARCH_INDEX_KEY).catch(e => console.error("Legacy search index removal error:", e));
+  }, []);
+
+  // Keeps the search index covering exactly the cached keys: builds it from the cache at launch, indexes entries
+  // written by a key migration and drops keys the cache no longer has. Entries are read in batches; the running
+  // build is kept so searches can wait for it.
+  const searchIndexSyncRef = useRef(null);
+  useEffect(() => {
+    if (!isInitialDataLoaded || searchIndexSyncRef.current) return;
+    const { missing, stale } = diffIndexedKeys(searchIndexRef.current, Object.keys(definitionsCacheIndex));
+    if (stale.length > 0) updateSearchIndex(index => removeDocuments(index, stale));
+    if (missing.length === 0) return;
+    searchIndexSyncRef.current = (async () => {
+      try {
+        for (let start = 0; start < missing.length; start += SEARCH_INDEX_BUILD_BATCH_SIZE) {
+          const storedPairs = await AsyncStorage.multiGet(missing.slice(start, start + SEARCH_INDEX_BUILD_BATCH_SIZE));
+          const documents = storedPairs
+            // Skips keys evicted while reading, and keys a write indexed meanwhile (its text is newer)
+            .filter(([key]) => cacheIndexRef.current[key] && !searchIndexRef.current.idByKey.has(key))
+            .map(([key, value]) => {
+              try { return toSearchDocument(key, value ? JSON.parse(value) : null); } catch (e) { return toSearchDocument(key, null); }
+            });
+          if (documents.length > 0) updateSearchIndex(index => indexDocuments(index, documents));
+        }
+      } catch (e) {
+        console.error("Search index sync error:", e);
+      } finally {
+        searchIndexSyncRef.current = null;
+        setSearchIndexVersion(version => version + 1); // Re-checks for keys cached while this sync ran
+      }
+    })();
+  }, [isInitialDataLoaded, definitionsCacheIndex, searchIndexVersion, updateSearchIndex]);
+
+  // Full-text search over cached definitions, entirely offline. Results carry a highlighted snippet
+  // ([{ text, highlight }]) and the request parameters of the matching entry. Waits for a running build.
+  const searchCachedDefinitions = useCallback(async (query) => {
+    if (searchIndexSyncRef.current) await searchIndexSyncRef.current;
+    const results = searchIndex(searchIndexRef.current, query);
+    if (results.length === 0) return [];
+    const valueByKey = Object.fromEntries(await AsyncStorage.multiGet(results.map(result => result.cacheKey)));
+    return results
+      .map(result => {
+        let served = null;
+        try { served = valueByKey[result.cacheKey] ? serveRevision(JSON.parse(valueByKey[result.cacheKey])) : null; } catch (e) { /* Unreadable; skipped */ }
+        const keyParams = parseCacheKey(result.cacheKey);
+        if (!served || !keyParams) return null;
+        return { ...result, snippet: buildSnippet(served.result, result.matchedTerms), params: cacheKeyParamsToRequestParams(keyParams) };
+      })
+      .filter(Boolean);
+  }, []);
 
   const clearCache = useCallback(async () => {
     let clearedCount = 0;
@@ -199,14 +878,16 @@ const AppProvider = ({ children }) => {
       }
       // Always clear the index, even if multiRemove failed partially or keysToRemove was empty
       setDefinitionsCacheIndex({});
-      showToast(`${clearedCount} definition(s) cleared from cache.`, 'success');
+      updateSearchIndex(index => removeDocuments(index, [...index.idByKey.keys()]));
+      showToast(t('cache.cleared', { count: clearedCount }), 'success');
     } catch (e) {
       console.error("Cache clear error:", e);
-      showToast('Cache clear failed. Some items might remain.', 'error');
+      showToast(t('cache.clearFailed'), 'error');
       // Attempt to clear index anyway to avoid inconsistency
       setDefinitionsCacheIndex({});
+      updateSearchIndex(index => removeDocuments(index, [...index.idByKey.keys()]));
     }
-  }, [definitionsCacheIndex, setDefinitionsCacheIndex, showToast]); // Dependencies are correct
+  }, [definitionsCacheIndex, setDefinitionsCacheIndex, updateSearchIndex, showToast, t]); // Dependencies are correct
 
   const addToHistory = useCallback((item) => {
     if (!item || !item.word) return; // Basic validation
@@ -226,9 +907,247 @@ const AppProvider = ({ children }) => {
       );
 
       // Add the new item to the beginning and slice to maintain max length
-      return [newItem, ...updatedHistory].slice(0, HISTORY_MAX_ITEMS);
+      return [newItem, ...updatedHistory].slice(0, historySettings.maxItems);
+    });
+  }, [setHistory, historySettings.maxItems]); // Dependencies are correct
+
+  const removeHistoryEntry = useCallback((entryId) => {
+    setHistory(prevHistory => prevHistory.filter(entry => getHistoryEntryId(entry) !== entryId));
+  }, [setHistory]);
+
+  // A smaller limit drops the oldest entries straight away
+  const updateHistorySettings = useCallback((changes) => {
+    const nextSettings = { ...historySettings, ...changes };
+    setHistorySettings(nextSettings);
+    setHistory(prevHistory => (prevHistory.length > nextSettings.maxItems ? prevHistory.slice(0, nextSettings.maxItems) : prevHistory));
+  }, [historySettings, setHistorySettings, setHistory]);
+
+  // Loads a specific cache entry into the Define screen's result without any network call
+  const openCachedDefinition = useCallback(async (cacheKey) => {
+    const keyParams = parseCacheKey(cacheKey);
+    try {
+      const served = keyParams ? serveRevision(await readCacheEntry(cacheKey)) : null;
+      if (!served) {
+        await evictCacheKeys([cacheKey]);
+        showToast(t('cache.entryMissing'), 'error');
+        return false;
+      }
+      const cachedResult = { ...served, cacheHit: true, requestParams: cacheKeyParamsToRequestParams(keyParams) };
+      setDefinitionsCacheIndex(prev => (prev[cacheKey] ? { ...prev, [cacheKey]: { ...prev[cacheKey], lastAccessedAt: Date.now() } } : prev));
+      setError(null);
+      setIsLoading(false);
+      setDefinitionResult(cachedResult);
+      addToHistory(buildHistoryEntry(cachedResult));
+      return true;
+    } catch (e) {
+      console.error("Cache open error:", e);
+      showToast(t('cache.openFailed'), 'error');
+      return false;
+    }
+  }, [evictCacheKeys, setDefinitionsCacheIndex, showToast, addToHistory, readCacheEntry, t]);
+
+  const deleteCacheEntries = useCallback(async (keysToDelete) => {
+    await evictCacheKeys(keysToDelete);
+    showToast(t('cache.removed', { count: keysToDelete.length }), 'success');
+  }, [evictCacheKeys, showToast, t]);
+
+  // --- Backup & Restore ---
+  // Writes favorites, history, the quiz list and every cached definition to one JSON file and opens the share sheet
+  const exportBackup = useCallback(async () => {
+    try {
+      const cacheKeys = Object.keys(cacheIndexRef.current);
+      const storedPairs = cacheKeys.length > 0 ? await AsyncStorage.multiGet(cacheKeys) : [];
+      const cacheEntries = {};
+      const cacheIndex = {};
+      storedPairs.forEach(([key, value]) => {
+        if (!value) return; // Index entry without data; nothing worth backing up
+        try {
+          cacheEntries[key] = JSON.parse(value);
+          cacheIndex[key] = cacheIndexRef.current[key];
+        } catch (e) {
+          console.warn(`Backup: skipping unreadable cache entry ${key}`);
+        }
+      });
+
+      const backup = createBackup({ appVersion: APP_VERSION, favorites, history, quizList, cacheIndex, cacheEntries });
+      const shared = await writeAndShareFile(
+        `vocabmaster-backup-${new Date().toISOString().slice(0, 10)}.json`,
+        JSON.stringify(backup),
+        { mimeType: 'application/json', UTI: 'public.json', dialogTitle: t('backup.shareTitle') }
+      );
+      if (!shared) showToast(t('common.sharingUnavailable'), 'error');
+    } catch (e) {
+      console.error("Backup export error:", e);
+      showToast(t('backup.createFailed'), 'error');
+    }
+  }, [favorites, history, quizList, showToast, t]);
+
+  // --- Word List Export ---
+  // Exports favorites or quiz words joined with their cached definitions as CSV or an Anki deck.
+  // Quiz words and favorites use their saved request parameters; otherwise the most recently used cache entry for the word is taken.
+  const exportWordList = useCallback(async (source, format) => {
+    const items = source === 'quiz' ? quizList : favorites;
+    const formatInfo = EXPORT_FORMATS[format];
+    if (items.length === 0 || !formatInfo) return;
+    try {
+      const index = cacheIndexRef.current;
+      const latestKeyByWord = {};
+      Object.keys(index).forEach(key => {
+        const keyWord = parseCacheKey(key)?.word;
+        if (!keyWord) return;
+        const current = latestKeyByWord[keyWord];
+        if (!current || (index[key].lastAccessedAt ?? 0) > (index[current].lastAccessedAt ?? 0)) latestKeyByWord[keyWord] = key;
+      });
+      const keyForItem = (item) => {
+        const lookupParams = source === 'quiz' ? getQuizLookupParams(item) : item.params && getFavoriteLookupParams(item);
+        if (lookupParams) {
+          const exactKey = generateCacheKey({ ...lookupParams, backend: activeBackendProfile.baseUrl });
+          if (index[exactKey]) return exactKey;
+        }
+        return latestKeyByWord[item.word.trim().toLowerCase()] || null;
+      };
+
+      const itemKeys = items.map(keyForItem);
+      const keysToRead = [...new Set(itemKeys.filter(Boolean))];
+      const storedPairs = keysToRead.length > 0 ? await AsyncStorage.multiGet(keysToRead) : [];
+      const cachedByKey = {};
+      storedPairs.forEach(([key, value]) => {
+        try { if (value) cachedByKey[key] = JSON.parse(value); } catch (e) { /* Unreadable entry; fall back to the snapshot */ }
+      });
+
+      const rows = items.map((item, itemIndex) => {
+        const key = itemKeys[itemIndex];
+        const cached = key ? cachedByKey[key] : null;
+        const params = cached ? cacheKeyParamsToRequestParams(parseCacheKey(key)) : (item.params || {});
+        return {
+          word: item.word,
+          definition: serveRevision(cached)?.result ?? item.definitionSnapshot?.result ?? '',
+          length: params.length,
+          tone: params.tone,
+          context: params.context,
+          lang: params.lang,
+          addedAt: item.addedAt ?? item.timestamp,
+          dueAt: item.dueAt,
+          collections: item.collections,
+          tags: item.tags,
+          note: item.note,
+        };
+      });
+      const exportRows = format === 'anki' ? rows.filter(row => row.definition) : rows; // A card without a back is useless
+      if (exportRows.length === 0) {
+        showToast(t('export.noDefinitions'), 'info');
+        return;
+      }
+
+      const listName = source === 'quiz' ? 'quiz-words' : 'favorites';
+      const contents = format === 'anki' ? buildAnkiDeck(exportRows, { tag: listName }) : buildCsv(exportRows);
+      const shared = await writeAndShareFile(
+        `vocabmaster-${listName}-${new Date().toISOString().slice(0, 10)}.${formatInfo.extension}`,
+        contents,
+        { mimeType: formatInfo.mimeType, UTI: formatInfo.UTI, dialogTitle: t('export.shareTitle', { format: t(`export.format.${format}`) }) }
+      );
+      if (!shared) {
+        showToast(t('common.sharingUnavailable'), 'error');
+      } else if (exportRows.length < items.length) {
+        showToast(t('export.skipped', { count: items.length - exportRows.length }), 'info');
+      } else if (format === 'csv') {
+        const missing = rows.filter(row => !row.definition).length;
+        if (missing > 0) showToast(t('export.missingDefinitions', { count: missing }), 'info');
+      }
+    } catch (e) {
+      console.error("Word list export error:", e);
+      showToast(t('export.createFailed'), 'error');
+    }
+  }, [favorites, quizList, activeBackendProfile, showToast, t]);
+
+  // Applies a validated backup ('merge' or 'replace') and returns the report from mergeBackup plus `evicted`
+  const restoreBackup = useCallback(async (backup, mode) => {
+    // Bring older shapes in the file up to date before comparing with device data
+    const normalizedBackup = {
+      ...backup,
+      data: {
+        ...backup.data,
+        favorites: migrateFavorites(backup.data.favorites),
+        quizList: migrateQuizList(backup.data.quizList),
+        cache: { ...backup.data.cache, index: migrateCacheIndex(backup.data.cache.index) },
+      },
+    };
+    const current = { favorites, history, quizList, cacheIndex: cacheIndexRef.current };
+    const result = mergeBackup(current, normalizedBackup, mode, { historyMaxItems: historySettings.maxItems });
+
+    const now = Date.now();
+    const nextCacheIndex = { ...result.cacheIndex };
+    const pairsToWrite = Object.entries(result.cacheEntriesToWrite).map(([key, entry]) => {
+      const serialized = JSON.stringify(entry);
+      const indexEntry = nextCacheIndex[key] || {};
+      nextCacheIndex[key] = {
+        savedAt: indexEntry.savedAt ?? now,
+        lastAccessedAt: indexEntry.lastAccessedAt ?? indexEntry.savedAt ?? now,
+        size: utf8ByteLength(serialized), // Recomputed: sizes in the file can't be trusted
+      };
+      return [key, serialized];
     });
-  }, [setHistory]); // Dependency is correct
+
+    if (pairsToWrite.length > 0) await AsyncStorage.multiSet(pairsToWrite);
+    if (result.cacheKeysToRemove.length > 0) await AsyncStorage.multiRemove(result.cacheKeysToRemove);
+    // Entries replaced by the backup may serve different text than what is indexed
+    const searchDocuments = Object.entries(result.cacheEntriesToWrite).map(([key, entry]) => toSearchDocument(key, entry));
+    updateSearchIndex(index => {
+      removeDocuments(index, result.cacheKeysToRemove);
+      indexDocuments(index, searchDocuments);
+    });
+
+    setFavorites(result.favorites);
+    setHistory(result.history);
+    setQuizList(result.quizList);
+    setDefinitionsCacheIndex(nextCacheIndex);
+
+    // A large backup may not fit this device's cache limits
+    const keysToEvict = selectKeysToEvict(nextCacheIndex, cacheSettings, { now });
+    await evictCacheKeys(keysToEvict);
+    return { ...result, evicted: keysToEvict.length };
+  }, [favorites, history, quizList, cacheSettings, historySettings.maxItems, setFavorites, setHistory, setQuizList, setDefinitionsCacheIndex, updateSearchIndex, evictCacheKeys]);
+
+  // API client for the active backend; handleDefine keeps the controller of its in-flight request so it can be cancelled
+  const defineClient = useMemo(() => createClientForProfile(activeBackendProfile), [activeBackendProfile]);
+  const activeRequestRef = useRef(null);
+
+  // Fetches from the API (no cache involved) and tags the payload with the request it answers
+  const fetchDefinition = useCallback(async (requestParams, options = {}) => {
+    const responseData = await defineClient.define(requestParams, options);
+    return {
+      ...responseData,
+      requestedLength: parseInt(requestParams.length, 10), // Store the requested length with the result
+      cacheHit: false, // Mark as not from cache
+    };
+  }, [defineClient]);
+
+  // --- Offline Queue ---
+  // Queues a lookup for later; repeated requests for the same parameters are merged
+  const enqueueLookup = useCallback((requestParams, reason) => {
+    const cacheKey = generateCacheKey(requestParams);
+    const now = Date.now();
+    setOfflineQueue(prev => {
+      const existing = prev.find(item => generateCacheKey(item.params) === cacheKey);
+      if (existing) {
+        return prev.map(item => (item === existing ? { ...item, status: 'pending', lastError: reason, updatedAt: now } : item));
+      }
+      const newItem = { id: createQueueItemId(now), params: requestParams, status: 'pending', attempts: 0, lastError: reason, createdAt: now, updatedAt: now };
+      return [...prev, newItem].slice(-OFFLINE_QUEUE_MAX_ITEMS);
+    });
+  }, [setOfflineQueue]);
+
+  const updateQueueItem = useCallback((id, changes) => {
+    setOfflineQueue(prev => prev.map(item => (item.id === id ? { ...item, ...changes, updatedAt: Date.now() } : item)));
+  }, [setOfflineQueue]);
+
+  const removeQueueItem = useCallback((id) => {
+    setOfflineQueue(prev => prev.filter(item => item.id !== id));
+  }, [setOfflineQueue]);
+
+  const clearResolvedLookups = useCallback(() => {
+    setOfflineQueue(prev => prev.filter(item => item.status !== 'resolved'));
+  }, [setOfflineQueue]);
 
   const handleDefine = useCallback(async (params = {}) => {
     // Extract parameters, using passed params first, then state, then defaults
@@ -239,14 +1158,19 @@ const AppProvider = ({ children }) => {
     const langParam = params.lang !== undefined ? params.lang : lang;
 
     // Validate Inputs
-    const validationError = validateInputs(wordToDefine, requestedLength);
+    const validationError = validateInputs({ word: wordToDefine, length: requestedLength, lang: langParam }, t);
     if (validationError) {
       setError(validationError);
       showToast(validationError, 'error');
       return; // Stop execution if validation fails
     }
+    const normalizedLang = normalizeLanguageCode(langParam); // Always ISO 639-3 from here on
+    if (normalizedLang) setRecentLanguages(prev => pushRecentLanguage(prev, normalizedLang));
 
     Keyboard.dismiss();
+    // A new lookup supersedes any request still in flight
+    activeRequestRef.current?.abort();
+    activeRequestRef.current = null;
     setIsLoading(true);
     setError(null);
     setDefinitionResult(null); // Clear previous result immediately
@@ -256,131 +1180,406 @@ const AppProvider = ({ children }) => {
       length: requestedLength,
       tone: toneParam || undefined, // Use undefined if empty string for cleaner cache key/API request
       context: contextParam || undefined,
-      lang: langParam || undefined,
+      lang: normalizedLang || undefined,
     };
 
     // 1. Check Cache
     const cachedResult = await getCachedDefinition(requestParams);
     if (cachedResult) {
       // console.log("handleDefine: Cache hit!");
-      setDefinitionResult(cachedResult);
+      setDefinitionResult({ ...cachedResult, requestParams });
       setIsLoading(false);
-      addToHistory({
-        word: cachedResult.word,
-        length: cachedResult.requestedLength, // Use requested length stored in cache item
-        tone: cachedResult.config?.tone,
-        context: cachedResult.config?.context,
-        lang: cachedResult.config?.effectiveLang,
-        // timestamp: Date.now(), // addToHistory adds its own timestamp
-        result: {
-          actualLength: cachedResult.actualLength,
-          status: cachedResult.status,
-          effectiveLang: cachedResult.config?.effectiveLang
-        }
-      });
-      showToast('Definition loaded from local cache.', 'info');
+      addToHistory(buildHistoryEntry(cachedResult));
+      showToast(t('define.loadedFromCache'), 'info');
       return; // Stop execution after cache hit
     }
 
-    // 2. Fetch from API if not cached
+    // 2. Offline: park the request instead of failing it
+    if (!isOnlineRef.current) {
+      enqueueLookup(requestParams, t('offline.noConnection'));
+      setIsLoading(false);
+      showToast(t('offline.queued', { word: wordToDefine }), 'info');
+      return;
+    }
+
+    // 3. Fetch from API if not cached
     // console.log("handleDefine: Cache miss, fetching from API...");
+    const controller = new AbortController();
+    activeRequestRef.current = controller;
     try {
-      const apiRequestBody = {
-        word: wordToDefine,
-        length: parseInt(requestedLength, 10), // Ensure length is integer
-        // Only include optional params if they have a value
-        ...(toneParam && { tone: toneParam }),
-        ...(contextParam && { context: contextParam }),
-        ...(langParam && { lang: langParam }),
-      };
-
-      const response = await fetch(DEFINE_ENDPOINT, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        body: JSON.stringify(apiRequestBody),
-      });
-
-      const responseData = await response.json();
-
-      if (!response.ok) {
-        // Use error message from API if available, otherwise generic message
-        throw new Error(responseData.message || `API request failed with status: ${response.status}`);
-      }
-
       // Success: Process and store result
-      const finalResultData = {
-        ...responseData,
-        requestedLength: parseInt(requestedLength, 10), // Store the requested length with the result
-        cacheHit: false, // Mark as not from cache
-      };
+      const finalResultData = await fetchDefinition(requestParams, {
+        signal: controller.signal,
+        // Cold starts and rate limits are retried by the client; let the user know why it's slow
+        onRetry: ({ attempt, maxRetries, delayMs }) => showToast(t('define.retrying', { seconds: Math.ceil(delayMs / 1000), attempt, maxRetries }), 'info'),
+      });
+      // Keep the exact request alongside the result so it can be looked up again later (e.g. from the Quiz list)
+      finalResultData.requestParams = requestParams;
 
       setDefinitionResult(finalResultData);
-      addToHistory({
-        word: finalResultData.word,
-        length: finalResultData.requestedLength,
-        tone: finalResultData.config?.tone,
-        context: finalResultData.config?.context,
-        lang: finalResultData.config?.effectiveLang,
-        // timestamp: Date.now(), // Handled by addToHistory
-        result: { // Store some key result info in history
-          actualLength: finalResultData.actualLength,
-          status: finalResultData.status,
-          effectiveLang: finalResultData.config?.effectiveLang
-        }
-      });
+      addToHistory(buildHistoryEntry(finalResultData));
       // Save the successful API response to cache
-      await saveToCache(requestParams, finalResultData);
+      const storedRevision = await saveToCache(requestParams, finalResultData);
+      // Revision details (for paging and pinning) only exist once stored
+      if (storedRevision) setDefinitionResult(prev => (prev === finalResultData ? { ...storedRevision, requestParams, cacheHit: false } : prev));
 
     } catch (error) {
+      // Cancelled by the user or superseded by a newer lookup: whoever aborted owns the UI state now
+      if (error instanceof CancelledError) return;
+      // Connection dropped mid-request: queue it rather than losing it
+      if (error instanceof NetworkError || (error instanceof TimeoutError && !isOnlineRef.current)) {
+        enqueueLookup(requestParams, describeApiError(error, 'common.lookupFailed', t));
+        setDefinitionResult(null);
+        showToast(t('offline.connectionQueued', { word: wordToDefine }), 'info');
+        return;
+      }
       console.error('API Fetch/Processing Error:', error);
-      const errorMessage = error.message || 'An unexpected error occurred while fetching the definition.';
+      const errorMessage = describeApiError(error, 'define.unexpectedError', t);
       setError(errorMessage);
       setDefinitionResult(null); // Ensure no stale result is shown on error
       showToast(errorMessage, 'error');
     } finally {
-      setIsLoading(false); // Ensure loading indicator is hidden
+      // Only the latest request controls the loading indicator
+      if (activeRequestRef.current === controller) {
+        activeRequestRef.current = null;
+        setIsLoading(false);
+      }
     }
   }, [
     word, length, tone, contextValue, lang, // Current form state
-    getCachedDefinition, saveToCache, addToHistory, showToast, // Actions/helpers
+    getCachedDefinition, saveToCache, addToHistory, showToast, fetchDefinition, enqueueLookup, // Actions/helpers
     isInitialDataLoaded, // Ensure data is loaded before attempting cache ops (though checked in getCachedDefinition too)
+    setRecentLanguages, t,
     // No need to depend on setDefinitionResult, setError, setIsLoading directly in useCallback
   ]); // Dependencies seem correct
 
+  // --- Revisions ---
+  // Fetches a fresh definition for the shown result's parameters, skipping the cache; it's stored as a new
+  // revision under the same key. Cache hits keep serving the pinned revision if there is one.
+  const regenerateDefinition = useCallback(async () => {
+    const requestParams = definitionResult?.requestParams;
+    if (!requestParams) return;
+    if (!isOnlineRef.current) {
+      showToast(t('revisions.offline'), 'info');
+      return;
+    }
+    activeRequestRef.current?.abort();
+    const controller = new AbortController();
+    activeRequestRef.current = controller;
+    setIsLoading(true); // The current result comes back if this fails or is cancelled
+    setError(null);
+    try {
+      const resultData = await fetchDefinition(requestParams, {
+        signal: controller.signal,
+        onRetry: ({ attempt, maxRetries, delayMs }) => showToast(t('define.retrying', { seconds: Math.ceil(delayMs / 1000), attempt, maxRetries }), 'info'),
+      });
+      resultData.requestParams = requestParams;
+      const storedRevision = await saveToCache(requestParams, resultData);
+      setDefinitionResult(storedRevision ? { ...storedRevision, requestParams, cacheHit: false } : resultData);
+      showToast(t(storedRevision?.pinnedRevisionId ? 'revisions.savedPinnedKept' : 'revisions.saved'), 'success');
+    } catch (error) {
+      if (error instanceof CancelledError) return;
+      console.error('Regenerate error:', error);
+      showToast(describeApiError(error, 'revisions.regenerateFailed', t), 'error');
+    } finally {
+      if (activeRequestRef.current === controller) {
+        activeRequestRef.current = null;
+        setIsLoading(false);
+      }
+    }
+  }, [definitionResult, fetchDefinition, saveToCache, showToast, t]);
+
+  // Shows another stored revision of the current result
+  const showRevision = useCallback(async (revisionId) => {
+    const requestParams = definitionResult?.requestParams;
+    if (!requestParams) return;
+    try {
+      const served = serveRevision(await readCacheEntry(generateCacheKey({ ...requestParams, backend: activeBackendProfile.baseUrl })), revisionId);
+      if (served) setDefinitionResult({ ...served, requestParams, cacheHit: true });
+    } catch (e) {
+      console.error("Revision read error:", e);
+      showToast(t('revisions.loadFailed'), 'error');
+    }
+  }, [definitionResult, readCacheEntry, activeBackendProfile, showToast, t]);
+
+  // Pins a revision as the one cache hits return; pinning the pinned revision again unpins it
+  const togglePinRevision = useCallback(async (revisionId) => {
+    const requestParams = definitionResult?.requestParams;
+    if (!requestParams) return;
+    const cacheKey = generateCacheKey({ ...requestParams, backend: activeBackendProfile.baseUrl });
+    try {
+      const existing = await readCacheEntry(cacheKey);
+      const pinnedRevisionId = definitionResult.pinnedRevisionId === revisionId ? null : revisionId;
+      const entry = setPinnedRevision(existing, pinnedRevisionId);
+      if (!entry) {
+        showToast(t('revisions.notCached'), 'error');
+        return;
+      }
+      await writeCacheEntry(cacheKey, entry);
+      setDefinitionResult(prev => (prev ? { ...prev, pinnedRevisionId: entry.pinnedRevisionId } : prev));
+      showToast(t(entry.pinnedRevisionId ? 'revisions.pinned' : 'revisions.unpinned'), 'success');
+    } catch (e) {
+      console.error("Revision pin error:", e);
+      showToast(t('revisions.pinFailed'), 'error');
+    }
+  }, [definitionResult, readCacheEntry, writeCacheEntry, activeBackendProfile, showToast, t]);
+
+  const cancelDefine = useCallback(() => {
+    if (!activeRequestRef.current) return;
+    activeRequestRef.current.abort();
+    activeRequestRef.current = null;
+    setIsLoading(false);
+    showToast(t('define.cancelled'), 'info');
+  }, [showToast, t]);
+
+  // Resolves a definition from the cache or the API without touching the Define screen state
+  // (no loading spinner, no result card, no history entry). Throws the client's typed errors on failure;
+  // `options.signal` cancels the network request.
+  const lookupDefinition = useCallback(async (params, options = {}) => {
+    const requestParams = {
+      word: (params.word || '').trim(),
+      length: params.length || 30,
+      tone: params.tone || undefined,
+      context: params.context || undefined,
+      lang: normalizeLanguageCode(params.lang) || params.lang || undefined,
+    };
+    const cachedResult = await getCachedDefinition(requestParams);
+    if (cachedResult) return cachedResult;
+
+    const resultData = await fetchDefinition(requestParams, options);
+    await saveToCache(requestParams, resultData);
+    return resultData;
+  }, [getCachedDefinition, saveToCache, fetchDefinition]);
+
+  // Works through queued lookups one at a time. Results go to the cache and history like normal lookups;
+  // a network failure stops the run (still offline), other failures mark just that item as failed.
+  const offlineQueueRef = useRef(offlineQueue);
+  offlineQueueRef.current = offlineQueue;
+  const isProcessingQueueRef = useRef(false);
+  const processOfflineQueue = useCallback(async ({ includeFailed = false } = {}) => {
+    if (isProcessingQueueRef.current || !isOnlineRef.current) return;
+    isProcessingQueueRef.current = true;
+    let resolvedCount = 0;
+    try {
+      const runnable = offlineQueueRef.current.filter(item => item.status === 'pending' || (includeFailed && item.status === 'failed'));
+      for (const item of runnable) {
+        updateQueueItem(item.id, { status: 'retrying', attempts: (item.attempts || 0) + 1 });
+        try {
+          // Another path may have cached it meanwhile
+          const resultData = (await getCachedDefinition(item.params)) || await fetchDefinition(item.params);
+          if (!resultData.cacheHit) await saveToCache(item.params, resultData);
+          addToHistory(buildHistoryEntry(resultData));
+          updateQueueItem(item.id, { status: 'resolved', lastError: null });
+          resolvedCount += 1;
+        } catch (error) {
+          if (error instanceof NetworkError || error instanceof TimeoutError) {
+            updateQueueItem(item.id, { status: 'pending', lastError: describeApiError(error, 'common.lookupFailed', t) });
+            break;
+          }
+          updateQueueItem(item.id, { status: 'failed', lastError: describeApiError(error, 'common.lookupFailed', t) });
+        }
+      }
+    } finally {
+      isProcessingQueueRef.current = false;
+    }
+    if (resolvedCount > 0) showToast(t('offline.completed', { count: resolvedCount }), 'success');
+  }, [updateQueueItem, getCachedDefinition, fetchDefinition, saveToCache, addToHistory, showToast, t]);
+
+  // Retry automatically whenever connectivity returns (and on launch, once stored data is loaded)
+  const processQueueRef = useRef(processOfflineQueue);
+  processQueueRef.current = processOfflineQueue;
+  const hasPendingLookups = offlineQueue.some(item => item.status === 'pending');
+  useEffect(() => {
+    if (isOnline && isInitialDataLoaded && hasPendingLookups) processQueueRef.current();
+  }, [isOnline, isInitialDataLoaded, hasPendingLookups]);
+
+  // --- Word of the Day ---
+  // Today's key follows the calendar: refreshed when the app returns to the foreground and at midnight
+  const [todayKey, setTodayKey] = useState(() => getDayKey());
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextState => {
+      if (nextState === 'active') setTodayKey(getDayKey());
+    });
+    const midnightTimer = setTimeout(() => setTodayKey(getDayKey()), endOfDay(Date.now()) + 1 - Date.now());
+    return () => { subscription.remove(); clearTimeout(midnightTimer); };
+  }, [todayKey]);
+
+  const wordOfTheDay = useMemo(() => wotdArchive.find(entry => entry.date === todayKey) || null, [wotdArchive, todayKey]);
+
+  // Picks today's word once stored data (archive, favorites, quiz words) is available
+  useEffect(() => {
+    if (!isInitialDataLoaded || wordOfTheDay) return;
+    const candidate = pickWordForDay(todayKey, buildWotdCandidates(wotdSettings, { favorites, quizList }), wotdArchive);
+    if (!candidate) return;
+    const entry = {
+      date: todayKey,
+      word: candidate.word,
+      level: candidate.level,
+      source: candidate.source,
+      params: { length: WOTD_DEFINITION_LENGTH },
+      definition: null, // Filled in by the prefetch below
+    };
+    setWotdArchive(prev => (prev.some(item => item.date === todayKey) ? prev : [entry, ...prev].slice(0, WOTD_ARCHIVE_MAX_ITEMS)));
+  }, [isInitialDataLoaded, wordOfTheDay, todayKey, wotdSettings, favorites, quizList, wotdArchive, setWotdArchive]);
+
+  // Prefetches the definition through the normal pipeline (so it is cached for the Define button too).
+  // Connectivity failures are retried when the device comes back online; other failures wait for the next launch.
+  const wotdLookupRef = useRef(lookupDefinition);
+  wotdLookupRef.current = lookupDefinition;
+  const wotdFetchingRef = useRef(null); // Date of the entry being (or already) fetched
+  useEffect(() => {
+    if (!wordOfTheDay || wordOfTheDay.definition || !isOnline || wotdFetchingRef.current === wordOfTheDay.date) return;
+    const { date, word: wotdWord, params } = wordOfTheDay;
+    wotdFetchingRef.current = date;
+    wotdLookupRef.current({ word: wotdWord, ...params })
+      .then(resultData => {
+        setWotdArchive(prev => prev.map(item => (item.date === date && item.word === wotdWord ? {
+          ...item,
+          definition: resultData.result,
+          actualLength: resultData.actualLength,
+          status: resultData.status,
+          fetchedAt: Date.now(),
+        } : item)));
+      })
+      .catch(e => {
+        console.warn(`Word of the Day prefetch failed (${wotdWord}):`, e.message);
+        if (e instanceof NetworkError || e instanceof TimeoutError) wotdFetchingRef.current = null;
+      });
+  }, [wordOfTheDay, isOnline, setWotdArchive]);
+
+  // New settings take effect immediately: today's pick is dropped and made again from the new candidates
+  const updateWotdSettings = useCallback((changes) => {
+    setWotdSettings(prev => ({ ...prev, ...changes }));
+    setWotdArchive(prev => prev.filter(item => item.date !== todayKey));
+    wotdFetchingRef.current = null;
+  }, [setWotdSettings, setWotdArchive, todayKey]);
+
+  // --- Daily Reminders ---
+  // Local notifications only (no push server). The week ahead is rescheduled whenever the app is opened, the day
+  // changes, or the settings, the quiz schedule or the Word of the Day inputs change, so each reminder carries its
+  // day's word and due count.
+  useEffect(() => {
+    if (Platform.OS === 'android') {
+      Notifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+        name: t('reminders.channelName'),
+        importance: Notifications.AndroidImportance.DEFAULT,
+      }).catch(e => console.error("Notification channel error:", e));
+    }
+  }, [appLanguage, t]);
+
+  const reminderSyncRef = useRef(Promise.resolve()); // Serializes reschedules so they never interleave
+  const [appOpenedAt, setAppOpenedAt] = useState(() => Date.now());
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextState => {
+      if (nextState === 'active') setAppOpenedAt(Date.now());
+    });
+    return () => subscription.remove();
+  }, []);
+  useEffect(() => {
+    if (!isInitialDataLoaded) return;
+    const timer = setTimeout(() => {
+      const now = new Date();
+      const candidates = buildWotdCandidates(wotdSettings, { favorites, quizList });
+      const reminders = planReminderDates(reminderSettings, now).map(date => {
+        const dayKey = getDayKey(date);
+        // Days already picked keep their word; later ones are picked the way that day's launch will pick them
+        const dayWord = wotdArchive.find(entry => entry.date === dayKey)?.word ?? pickWordForDay(dayKey, candidates, wotdArchive)?.word;
+        const dueCount = quizList.filter(item => isQuizItemDue(item, date.getTime())).length;
+        return { date, ...buildReminderContent({ word: dayWord || null, dueCount }, t) };
+      });
+
+      reminderSyncRef.current = reminderSyncRef.current.then(async () => {
+        const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+        await Promise.all(scheduled
+          .filter(notification => notification.content.data?.kind === REMINDER_NOTIFICATION_KIND)
+          .map(notification => Notifications.cancelScheduledNotificationAsync(notification.identifier)));
+        if (reminders.length === 0) return;
+        const { granted } = await Notifications.getPermissionsAsync();
+        if (!granted) return;
+        for (const reminder of reminders) {
+          await Notifications.scheduleNotificationAsync({
+            content: { title: reminder.title, body: reminder.body, data: { kind: REMINDER_NOTIFICATION_KIND, screen: reminder.screen } },
+            trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: reminder.date, channelId: REMINDER_CHANNEL_ID },
+          });
+        }
+      }).catch(e => console.error("Reminder scheduling error:", e));
+    }, REMINDER_RESCHEDULE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isInitialDataLoaded, appOpenedAt, reminderSettings, todayKey, wotdSettings, wotdArchive, favorites, quizList, t]); // t: the text is rebuilt in a new app language
+
+  // Turning reminders on asks for notification permission first; they stay off if it is refused
+  const updateReminderSettings = useCallback(async (changes) => {
+    if (changes.enabled) {
+      try {
+        const current = await Notifications.getPermissionsAsync();
+        const { granted } = current.granted ? current : await Notifications.requestPermissionsAsync();
+        if (!granted) {
+          showToast(t('reminders.permissionDenied'), 'error');
+          return;
+        }
+      } catch (e) {
+        console.error("Notification permission error:", e);
+        showToast(t('reminders.enableFailed'), 'error');
+        return;
+      }
+    }
+    setReminderSettings(prev => ({ ...prev, ...changes }));
+  }, [setReminderSettings, showToast, t]);
+
   const clearSearch = useCallback(() => {
     setWord('');
     // Keep length as is? Resetting might be annoying. Let's keep it.
     // setLength('30');
-    setTone('');
-    setContextValue('');
-    setLang('');
+    applyPreset(defaultPreset); // Back to the default preset's filters (or empty ones) rather than wiping them
     setError(null);
     setDefinitionResult(null);
     setShowOptionalFilters(false); // Hide filters on clear
     Keyboard.dismiss();
-  }, [/* Dependencies: only setters are used, so empty array is fine */]);
+  }, [applyPreset, defaultPreset]);
 
-  const addFavorite = useCallback((wordToAdd) => {
+  // `params` are the request parameters the word is bookmarked with, so it reopens exactly as it was
+  const addFavorite = useCallback((wordToAdd, params = null) => {
     if (!wordToAdd || !wordToAdd.trim()) return;
     const trimmedWord = wordToAdd.trim();
+    const key = trimmedWord.toLowerCase();
     // Check case-insensitively
-    if (!favorites.some(fav => fav.word.toLowerCase() === trimmedWord.toLowerCase())) {
-      setFavorites(prevFavorites => [{ word: trimmedWord, timestamp: Date.now() }, ...prevFavorites]);
-      showToast(`Favorited: ${trimmedWord}`, 'success');
+    const existing = favorites.find(fav => fav.word.toLowerCase() === key);
+    if (!existing) {
+      setFavorites(prevFavorites => [createFavorite(trimmedWord, params), ...prevFavorites]);
+      showToast(t('favorites.added', { word: trimmedWord }), 'success');
+    } else if (params && !favoriteHasParams(existing, params)) {
+      // Bookmarked again with other parameters: offer to keep these instead (collections, tags and note stay)
+      Alert.alert(
+        t('favorites.updateParamsTitle'),
+        t('favorites.updateParamsMessage', { word: existing.word, saved: describeLookupSettings(existing.params, t), current: describeLookupSettings(params, t) }),
+        [
+          { text: t('common.cancel'), style: "cancel" },
+          {
+            text: t('favorites.updateParams'),
+            onPress: () => {
+              setFavorites(prevFavorites => prevFavorites.map(fav => (fav.word.toLowerCase() === key ? updateFavoriteFields(fav, { params }) : fav)));
+              showToast(t('favorites.paramsUpdated', { word: existing.word }), 'success');
+            },
+          },
+        ]
+      );
     } else {
-      showToast(`${trimmedWord} is already in favorites.`, 'info');
+      showToast(t('favorites.alreadyAdded', { word: trimmedWord }), 'info');
     }
-  }, [favorites, setFavorites, showToast]); // Dependencies are correct
+  }, [favorites, setFavorites, showToast, t]); // Dependencies are correct
 
   const removeFavorite = useCallback((wordToRemove) => {
     if (!wordToRemove || !wordToRemove.trim()) return;
     const trimmedWord = wordToRemove.trim();
     setFavorites(prevFavorites => prevFavorites.filter(fav => fav.word.toLowerCase() !== trimmedWord.toLowerCase()));
-    showToast(`Unfavorited: ${trimmedWord}`, 'info');
-  }, [setFavorites, showToast]); // Dependencies are correct
+    showToast(t('favorites.removed', { word: trimmedWord }), 'info');
+  }, [setFavorites, showToast, t]); // Dependencies are correct
+
+  // Saves collections, tags, note or params edited for a favorite
+  const updateFavorite = useCallback((wordToUpdate, changes) => {
+    const key = String(wordToUpdate || '').trim().toLowerCase();
+    setFavorites(prevFavorites => prevFavorites.map(fav => (fav.word.toLowerCase() === key ? updateFavoriteFields(fav, changes) : fav)));
+  }, [setFavorites]);
 
   const isFavorite = useCallback((wordToCheck) => {
     if (!wordToCheck || !wordToCheck.trim()) return false;
@@ -390,33 +1589,278 @@ const AppProvider = ({ children }) => {
 
   const clearHistory = useCallback(() => {
     Alert.alert(
-      "Clear Search History",
-      "Are you sure you want to delete all search history items? This action cannot be undone.",
+      t('history.clearTitle'),
+      t('history.clearMessage'),
       [
-        { text: "Cancel", style: "cancel" },
-        { text: "Clear All", onPress: () => { setHistory([]); showToast('Search History Cleared', 'success'); }, style: "destructive" }
+        { text: t('common.cancel'), style: "cancel" },
+        { text: t('common.clearAll'), onPress: () => { setHistory([]); showToast(t('history.cleared'), 'success'); }, style: "destructive" }
       ]
     );
-  }, [setHistory, showToast]); // Dependencies are correct
+  }, [setHistory, showToast, t]); // Dependencies are correct
 
-  const addToQuiz = useCallback((wordToAdd) => {
+  // `details` (optional) carries the request parameters ({ length, tone, context, lang }) and a
+  // snapshot of the definition the word was added from, so the Quiz list can show that exact definition.
+  const addToQuiz = useCallback((wordToAdd, details = {}) => {
     if (!wordToAdd || !wordToAdd.trim()) return;
     const trimmedWord = wordToAdd.trim();
     // Check case-insensitively
     if (!quizList.some(item => item.word.toLowerCase() === trimmedWord.toLowerCase())) {
-      const newItem = { word: trimmedWord, id: Date.now().toString() }; // Use timestamp string as unique ID
+      const now = Date.now();
+      // Use timestamp string as unique ID; new words are due for review straight away
+      const newItem = {
+        word: trimmedWord, id: now.toString(), addedAt: now,
+        ...(details.params && { params: details.params }),
+        ...(details.definitionSnapshot && { definitionSnapshot: details.definitionSnapshot }),
+        ...createInitialReviewState(now),
+      };
       setQuizList(prevQuizList => [newItem, ...prevQuizList]);
-      showToast(`Added to Quiz List: ${trimmedWord}`, 'success');
+      showToast(t('quiz.added', { word: trimmedWord }), 'success');
     } else {
-      showToast(`${trimmedWord} is already in the Quiz list.`, 'info');
+      showToast(t('quiz.alreadyAdded', { word: trimmedWord }), 'info');
     }
-  }, [quizList, setQuizList, showToast]); // Dependencies are correct
+  }, [quizList, setQuizList, showToast, t]); // Dependencies are correct
 
   const removeFromQuiz = useCallback((idToRemove) => {
-    const word = quizList.find(item => item.id === idToRemove)?.word || 'Word';
+    const word = quizList.find(item => item.id === idToRemove)?.word || t('common.word');
     setQuizList(prevQuizList => prevQuizList.filter(item => item.id !== idToRemove));
-    showToast(`Removed from Quiz List: ${word}`, 'info');
-  }, [quizList, setQuizList, showToast]); // Dependencies are correct
+    showToast(t('quiz.removed', { word }), 'info');
+  }, [quizList, setQuizList, showToast, t]); // Dependencies are correct
+
+  // Records a quiz answer against the word's SM-2 schedule
+  const recordQuizReview = useCallback((idToReview, quality) => {
+    const now = Date.now();
+    setQuizList(prevQuizList => prevQuizList.map(item => (item.id === idToReview ? scheduleReview(item, quality, now) : item)));
+  }, [setQuizList]);
+
+  // --- Batch Define ---
+  // A pasted word list looked up with the form's shared length, tone, context and lang. It runs here rather than in
+  // the screen so it keeps going while the user browses other tabs. Results go to the cache but not to history
+  // (a long list would push everything else out); offline or dropped lookups join Pending Lookups like single ones.
+  const [defineMode, setDefineMode] = useState('single'); // 'single' | 'batch'
+  const [batchText, setBatchText] = useState('');
+  const [batchJob, setBatchJob] = useState(null); // { id, running, items: [{ word, params, status, error, cacheKey, snapshot }] }
+  const batchControllerRef = useRef(null);
+
+  const updateBatchItem = useCallback((jobId, index, changes) => {
+    setBatchJob(prev => (prev?.id === jobId
+      ? { ...prev, items: prev.items.map((item, i) => (i === index ? { ...item, ...changes } : item)) }
+      : prev));
+  }, []);
+
+  // Looks up the job's items at `indexes`, BATCH_CONCURRENCY at a time
+  const runBatch = useCallback(async (job, indexes) => {
+    const controller = new AbortController();
+    batchControllerRef.current = controller;
+    const outcomes = { done: 0, failed: 0, queued: 0 };
+    await runWithConcurrency(indexes, BATCH_CONCURRENCY, async (index) => {
+      const { params } = job.items[index];
+      if (!isOnlineRef.current) {
+        enqueueLookup(params, t('offline.noConnection'));
+        updateBatchItem(job.id, index, { status: 'queued', error: null });
+        outcomes.queued += 1;
+        return;
+      }
+      updateBatchItem(job.id, index, { status: 'running', error: null });
+      try {
+        const resultData = await lookupDefinition(params, { signal: controller.signal });
+        const { result, actualLength, status, config } = resultData;
+        updateBatchItem(job.id, index, {
+          status: 'done',
+          cacheHit: !!resultData.cacheHit,
+          cacheKey: generateCacheKey({ ...params, backend: activeBackendProfile.baseUrl }),
+          snapshot: { result, actualLength, status, effectiveLang: config?.effectiveLang },
+        });
+        outcomes.done += 1;
+      } catch (error) {
+        if (error instanceof CancelledError) {
+          updateBatchItem(job.id, index, { status: 'cancelled' });
+        } else if (error instanceof NetworkError || (error instanceof TimeoutError && !isOnlineRef.current)) {
+          enqueueLookup(params, describeApiError(error, 'common.lookupFailed', t));
+          updateBatchItem(job.id, index, { status: 'queued', error: describeApiError(error, 'common.lookupFailed', t) });
+          outcomes.queued += 1;
+        } else {
+          updateBatchItem(job.id, index, { status: 'failed', error: describeApiError(error, 'common.lookupFailed', t) });
+          outcomes.failed += 1;
+        }
+      }
+    }, { signal: controller.signal });
+
+    const wasCancelled = controller.signal.aborted;
+    batchControllerRef.current = null;
+    // Items the pool never reached after a cancel
+    setBatchJob(prev => (prev?.id === job.id ? {
+      ...prev,
+      running: false,
+      items: prev.items.map(item => (item.status === 'pending' ? { ...item, status: 'cancelled' } : item)),
+    } : prev));
+    const summary = [
+      t('batch.summary.defined', { count: outcomes.done }),
+      outcomes.failed && t('batch.summary.failed', { count: outcomes.failed }),
+      outcomes.queued && t('batch.summary.queued', { count: outcomes.queued }),
+    ].filter(Boolean).join(t('common.listSeparator'));
+    showToast(t(wasCancelled ? 'batch.cancelled' : 'batch.finished', { summary }), outcomes.failed ? 'error' : 'success');
+  }, [lookupDefinition, enqueueLookup, updateBatchItem, activeBackendProfile, showToast, t]);
+
+  const startBatchDefine = useCallback((words) => {
+    if (batchControllerRef.current || words.length === 0) return;
+    // Parsed words are never empty, so any error here is about the shared length or language
+    const validationError = validateInputs({ word: words[0], length, lang }, t);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return;
+    }
+    // Then every word, so all the bad entries are reported together and nothing starts until they're fixed
+    const invalidWords = words.filter(batchWord => validateInputs({ word: batchWord, length, lang }, t) || !isValidBatchWord(batchWord));
+    if (invalidWords.length > 0) {
+      const shownWords = invalidWords.slice(0, BATCH_INVALID_WORDS_SHOWN).map(invalidWord => `"${invalidWord}"`);
+      if (invalidWords.length > BATCH_INVALID_WORDS_SHOWN) shownWords.push('…');
+      Alert.alert(t('validation.title'), t('batch.invalidWords', { count: invalidWords.length, words: shownWords.join(t('common.listSeparator')) }));
+      return;
+    }
+    const normalizedLang = normalizeLanguageCode(lang);
+    if (normalizedLang) setRecentLanguages(prev => pushRecentLanguage(prev, normalizedLang));
+    Keyboard.dismiss();
+
+    // Same request parameters handleDefine would send, so single and batch lookups share cache entries
+    const sharedParams = { length, tone: tone || undefined, context: contextValue || undefined, lang: normalizedLang || undefined };
+    const job = {
+      id: `batch-${Date.now()}`,
+      running: true,
+      items: words.map(batchWord => ({ word: batchWord, params: { word: batchWord, ...sharedParams }, status: 'pending', error: null })),
+    };
+    setBatchJob(job);
+    runBatch(job, job.items.map((_, index) => index));
+  }, [length, tone, contextValue, lang, showToast, setRecentLanguages, runBatch, t]);
+
+  // Runs failed and cancelled items again with their original parameters
+  const retryBatchFailures = useCallback(() => {
+    if (!batchJob || batchControllerRef.current) return;
+    const indexes = batchJob.items
+      .map((item, index) => (item.status === 'failed' || item.status === 'cancelled' ? index : null))
+      .filter(index => index !== null);
+    if (indexes.length === 0) return;
+    const job = { ...batchJob, running: true, items: batchJob.items.map((item, index) => (indexes.includes(index) ? { ...item, status: 'pending', error: null } : item)) };
+    setBatchJob(job);
+    runBatch(job, indexes);
+  }, [batchJob, runBatch]);
+
+  const cancelBatchDefine = useCallback(() => {
+    batchControllerRef.current?.abort();
+  }, []);
+
+  const clearBatch = useCallback(() => {
+    if (!batchControllerRef.current) setBatchJob(null);
+  }, []);
+
+  // Bulk versions of addFavorite/addToQuiz for a finished batch: one toast instead of one per word
+  const addBatchToFavorites = useCallback(() => {
+    const doneItems = (batchJob?.items || []).filter(item => item.status === 'done');
+    const existing = new Set(favorites.map(fav => fav.word.toLowerCase()));
+    const newItems = doneItems.filter(item => !existing.has(item.word.toLowerCase()));
+    if (newItems.length > 0) {
+      const now = Date.now();
+      setFavorites(prev => [...newItems.map((item, i) => createFavorite(item.word, item.params, now - i)), ...prev]);
+    }
+    const existingCount = doneItems.length - newItems.length;
+    showToast(t('batch.addedToFavorites', { count: newItems.length, existing: existingCount > 0 ? t('batch.alreadyThere', { count: existingCount }) : '' }), 'success');
+  }, [batchJob, favorites, setFavorites, showToast, t]);
+
+  const addBatchToQuiz = useCallback(() => {
+    const doneItems = (batchJob?.items || []).filter(item => item.status === 'done');
+    const existing = new Set(quizList.map(item => item.word.toLowerCase()));
+    const newItems = doneItems.filter(item => !existing.has(item.word.toLowerCase()));
+    if (newItems.length > 0) {
+      const now = Date.now();
+      setQuizList(prev => [
+        ...newItems.map((item, i) => ({
+          word: item.word, id: `${now}-${i}`, addedAt: now,
+          // Quiz lookups then hit the entries this batch just cached
+          params: { length: item.params.length, tone: item.params.tone, context: item.params.context, lang: item.params.lang },
+          definitionSnapshot: { ...item.snapshot, savedAt: now },
+          ...createInitialReviewState(now),
+        })),
+        ...prev,
+      ]);
+    }
+    const existingCount = doneItems.length - newItems.length;
+    showToast(t('batch.addedToQuiz', { count: newItems.length, existing: existingCount > 0 ? t('batch.alreadyThere', { count: existingCount }) : '' }), 'success');
+  }, [batchJob, quizList, setQuizList, showToast, t]);
+
+  // --- Backend Profile Actions ---
+  // Adds a new profile (no id) or updates an existing one; returns the saved profile, or null if its auth
+  // header value couldn't be stored (the profile is then left unchanged)
+  const saveBackendProfile = useCallback(async (draft) => {
+    const profile = {
+      id: draft.id || `profile-${Date.now()}`,
+      name: draft.name.trim(),
+      baseUrl: draft.baseUrl.trim().replace(/\/+$/, ''),
+      authHeaderName: (draft.authHeaderName || '').trim(),
+      authHeaderValue: draft.authHeaderValue || '',
+      timeoutMs: Number(draft.timeoutMs) || DEFAULT_TIMEOUT_MS,
+    };
+    try {
+      if (profile.authHeaderValue) await SecureStore.setItemAsync(getBackendSecretKey(profile.id), profile.authHeaderValue);
+      else await SecureStore.deleteItemAsync(getBackendSecretKey(profile.id));
+    } catch (e) {
+      console.error("Backend secret save error:", e);
+      showToast(t('backend.secretSaveFailed'), 'error');
+      return null;
+    }
+    const storedProfile = toStoredBackendProfile(profile);
+    setBackendSecrets(prev => ({ ...prev, [profile.id]: profile.authHeaderValue }));
+    setCustomBackendProfiles(prev => (prev.some(p => p.id === profile.id)
+      ? prev.map(p => (p.id === profile.id ? storedProfile : p))
+      : [...prev, storedProfile]));
+    showToast(t('backend.saved', { name: profile.name }), 'success');
+    return profile;
+  }, [setCustomBackendProfiles, showToast, t]);
+
+  const deleteBackendProfile = useCallback((idToDelete) => {
+    if (idToDelete === DEFAULT_BACKEND_PROFILE.id) return; // Built-in profile is permanent
+    setCustomBackendProfiles(prev => prev.filter(p => p.id !== idToDelete));
+    setBackendSecrets(prev => {
+      const next = { ...prev };
+      delete next[idToDelete];
+      return next;
+    });
+    SecureStore.deleteItemAsync(getBackendSecretKey(idToDelete)).catch(e => console.error("Backend secret delete error:", e));
+    if (activeBackendProfileId === idToDelete) setActiveBackendProfileId(DEFAULT_BACKEND_PROFILE.id);
+  }, [setCustomBackendProfiles, activeBackendProfileId, setActiveBackendProfileId]);
+
+  const selectBackendProfile = useCallback((idToSelect) => {
+    const profile = backendProfiles.find(p => p.id === idToSelect);
+    if (!profile) return;
+    setActiveBackendProfileId(profile.id);
+    showToast(t('backend.selected', { name: profile.name }), 'info');
+  }, [backendProfiles, setActiveBackendProfileId, showToast, t]);
+
+  // --- Filter Presets ---
+  const savePreset = useCallback((draft) => {
+    const preset = {
+      id: draft.id || `preset-${Date.now()}`,
+      name: draft.name.trim(),
+      ...Object.fromEntries(PRESET_FIELDS.map(field => [field, (draft[field] || '').trim()])),
+      lang: normalizeLanguageCode(draft.lang) || '',
+    };
+    setFilterPresets(prev => (prev.some(p => p.id === preset.id)
+      ? prev.map(p => (p.id === preset.id ? preset : p))
+      : [...prev, preset]));
+    showToast(t('presets.saved', { name: preset.name }), 'success');
+    return preset;
+  }, [setFilterPresets, showToast, t]);
+
+  const deletePreset = useCallback((idToDelete) => {
+    setFilterPresets(prev => prev.filter(p => p.id !== idToDelete));
+    if (defaultPresetId === idToDelete) setDefaultPresetId(null);
+  }, [setFilterPresets, defaultPresetId, setDefaultPresetId]);
+
+  // Marks a preset as the launch default; choosing the current default again unsets it
+  const toggleDefaultPreset = useCallback((idToToggle) => {
+    setDefaultPresetId(prev => (prev === idToToggle ? null : idToToggle));
+  }, [setDefaultPresetId]);
+
+  // Works on unsaved drafts too, so settings can be checked before saving
+  const testBackendConnection = useCallback((profile) => createClientForProfile(profile, { maxRetries: 0 }).testConnection(), []);
 
   // --- Sorted Lists ---
   // Use stable sort functions if needed, but localeCompare/timestamp diff is usually sufficient
@@ -456,17 +1900,36 @@ const AppProvider = ({ children }) => {
     word, setWord, length, setLength, tone, setTone, contextValue, setContextValue, lang, setLang,
     showOptionalFilters, setShowOptionalFilters, definitionResult, isLoading, error, setError,
     favorites, sortedFavorites, favSortOrder, setFavSortOrder, history, sortedHistory,
-    histSortOrder, setHistSortOrder, quizList, isInitialDataLoaded,
+    histSortOrder, setHistSortOrder, quizList, isInitialDataLoaded, backendProfiles, activeBackendProfile,
+    isOnline, offlineQueue, cacheSettings, cacheUsage, definitionsCacheIndex,
 
     // Actions / Helpers
-    handleDefine, clearSearch, addFavorite, removeFavorite, isFavorite, clearHistory,
-    addToQuiz, removeFromQuiz, clearCache, showToast,
+    handleDefine, cancelDefine, lookupDefinition, getCachedDefinition, clearSearch, addFavorite, removeFavorite, updateFavorite, isFavorite,
+    clearHistory, addToQuiz, removeFromQuiz, recordQuizReview, clearCache, showToast,
+    saveBackendProfile, deleteBackendProfile, selectBackendProfile, testBackendConnection,
+    processOfflineQueue, removeQueueItem, clearResolvedLookups, updateCacheSettings,
+    openCachedDefinition, deleteCacheEntries, exportBackup, restoreBackup, exportWordList,
+    wordOfTheDay, wotdArchive, wotdSettings, updateWotdSettings, reminderSettings, updateReminderSettings,
+    filterPresets, defaultPresetId, applyPreset, savePreset, deletePreset, toggleDefaultPreset, recentLanguages,
+    defineMode, setDefineMode, batchText, setBatchText, batchJob, startBatchDefine, retryBatchFailures, cancelBatchDefine,
+    clearBatch, addBatchToFavorites, addBatchToQuiz, regenerateDefinition, showRevision, togglePinRevision,
+    historySettings, updateHistorySettings, removeHistoryEntry, searchCachedDefinitions, searchIndexVersion,
+    themePreference, setThemePreference, appLanguage, appLanguagePreference, setAppLanguagePreference,
   }), [
     // Include all values provided in the context object as dependencies
     word, length, tone, contextValue, lang, showOptionalFilters, definitionResult, isLoading, error,
     favorites, sortedFavorites, favSortOrder, history, sortedHistory, histSortOrder, quizList,
-    isInitialDataLoaded, handleDefine, clearSearch, addFavorite, removeFavorite, isFavorite,
-    clearHistory, addToQuiz, removeFromQuiz, clearCache, showToast,
+    isInitialDataLoaded, handleDefine, cancelDefine, lookupDefinition, getCachedDefinition, clearSearch, addFavorite,
+    removeFavorite, updateFavorite, isFavorite, clearHistory, addToQuiz, removeFromQuiz, recordQuizReview, clearCache, showToast,
+    backendProfiles, activeBackendProfile, saveBackendProfile, deleteBackendProfile, selectBackendProfile,
+    testBackendConnection, isOnline, offlineQueue, processOfflineQueue, removeQueueItem, clearResolvedLookups,
+    cacheSettings, cacheUsage, updateCacheSettings, definitionsCacheIndex, openCachedDefinition, deleteCacheEntries,
+    exportBackup, restoreBackup, exportWordList, wordOfTheDay, wotdArchive, wotdSettings, updateWotdSettings,
+    reminderSettings, updateReminderSettings, filterPresets, defaultPresetId, applyPreset, savePreset, deletePreset,
+    toggleDefaultPreset, recentLanguages, defineMode, batchText, batchJob, startBatchDefine, retryBatchFailures,
+    cancelBatchDefine, clearBatch, addBatchToFavorites, addBatchToQuiz, regenerateDefinition, showRevision, togglePinRevision,
+    historySettings, updateHistorySettings, removeHistoryEntry, searchCachedDefinitions, searchIndexVersion,
+    themePreference, setThemePreference, appLanguage, appLanguagePreference, setAppLanguagePreference,
     // Setters (like setWord) usually have stable identity from useState/useCallback,
     // but including them doesn't hurt and ensures correctness if they were ever redefined.
     setWord, setLength, setTone, setContextValue, setLang, setShowOptionalFilters, setError,
@@ -475,14 +1938,18 @@ const AppProvider = ({ children }) => {
 
   return (
     <AppContext.Provider value={providerValue}>
-      {children}
-      {/* Toast component needs to be outside the main navigation potentially,
-          or rendered here to overlay everything. Rendering here is simpler. */}
-      <CustomToast
-        visible={toastState.visible}
-        message={toastState.message}
-        type={toastState.type}
-      />
+      <ThemeContext.Provider value={themeValue}>
+        <LanguageContext.Provider value={t}>
+          {children}
+          {/* Toast component needs to be outside the main navigation potentially,
+              or rendered here to overlay everything. Rendering here is simpler. */}
+          <CustomToast
+            visible={toastState.visible}
+            message={toastState.message}
+            type={toastState.type}
+          />
+        </LanguageContext.Provider>
+      </ThemeContext.Provider>
     </AppContext.Provider>
   );
 };
@@ -491,8 +1958,10 @@ const AppProvider = ({ children }) => {
 // --- Reusable UI Components ---
 
 const Header = React.memo(({ navigation, route, options: navOptions }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
   const insets = useSafeAreaInsets();
-  const title = navOptions?.title ?? route?.name ?? 'VocabMaster Pro';
+  const title = navOptions?.title ?? route?.name ?? t('app.name');
   // Determine if settings icon should be shown based on the *route name* within the tab navigator
   const currentRouteName = navigation.getState()?.routes[navigation.getState()?.index]?.name;
   const showSettings = ['Define', 'Favorites', 'History', 'Quiz'].includes(currentRouteName);
@@ -507,29 +1976,33 @@ const Header = React.memo(({ navigation, route, options: navOptions }) => {
       <View style={styles.headerButtonContainer}>
         {/* Show back arrow only if navigation can go back AND it's not a main tab screen AND not overridden */}
         {navigation.canGoBack() && !showSettings && !navOptions?.headerLeft ? (
-          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.headerButton}>
+          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.headerButton} accessibilityRole="button" accessibilityLabel={t('common.back')}>
             {Platform.OS === 'ios' ? (
-              <Ionicons name="chevron-back" size={28} color={COLORS.surface} />
+              <Ionicons name="chevron-back" size={28} color={COLORS.onPrimary} style={styles.directionalIcon} />
             ) : (
-              <Ionicons name="arrow-back" size={24} color={COLORS.surface} />
+              <Ionicons name="arrow-back" size={24} color={COLORS.onPrimary} style={styles.directionalIcon} />
             )}
           </TouchableOpacity>
+        ) : showSettings && !isModal ? ( // Main tabs: search across cached definitions
+          <TouchableOpacity onPress={() => navigation.navigate('DefinitionSearch')} style={styles.headerButton} accessibilityRole="button" accessibilityLabel={t('nav.definitionSearch')}>
+            <MaterialIcons name="manage-search" size={26} color={COLORS.onPrimary} />
+          </TouchableOpacity>
         ) : <View style={{ width: 44 }} /> /* Placeholder to balance layout */}
       </View>
 
       <View style={styles.headerTitleContainer}>
-        <Text style={styles.headerTitle} numberOfLines={1} ellipsizeMode="tail">{title}</Text>
+        <Text style={styles.headerTitle} numberOfLines={1} ellipsizeMode="tail" accessibilityRole="header" maxFontSizeMultiplier={CHROME_MAX_FONT_SCALE}>{title}</Text>
       </View>
 
       <View style={styles.headerButtonContainer}>
         {/* Show settings icon on main tab screens */}
         {showSettings && !isModal ? (
-          <TouchableOpacity onPress={() => navigation.navigate('SettingsModal')} style={styles.headerButton}>
-            <MaterialIcons name="settings" size={24} color={COLORS.surface} />
+          <TouchableOpacity onPress={() => navigation.navigate('SettingsModal')} style={styles.headerButton} accessibilityRole="button" accessibilityLabel={t('nav.settings')}>
+            <MaterialIcons name="settings" size={24} color={COLORS.onPrimary} />
           </TouchableOpacity>
         ) : isModal && Platform.OS !== 'ios' ? ( // Show close button for Android modals (iOS gets default)
-          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.headerButton}>
-            <Ionicons name="close" size={28} color={COLORS.surface} />
+          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.headerButton} accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+            <Ionicons name="close" size={28} color={COLORS.onPrimary} />
           </TouchableOpacity>
         ) : <View style={{ width: 44 }} /> /* Placeholder to balance layout */}
       </View>
@@ -538,6 +2011,8 @@ const Header = React.memo(({ navigation, route, options: navOptions }) => {
 });
 
 const CustomToast = React.memo(({ visible, message, type }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
   const opacity = useRef(new Animated.Value(0)).current;
   const insets = useSafeAreaInsets();
   const [isVisible, setIsVisible] = useState(visible); // Local state to manage mounting
@@ -568,7 +2043,7 @@ const CustomToast = React.memo(({ visible, message, type }) => {
       case 'info':
       default: return { backgroundColor: COLORS.info, icon: 'info' };
     }
-  }, [type]);
+  }, [type, COLORS]);
 
   // Avoid rendering if not visible (controlled by local state)
   if (!isVisible) return null;
@@ -584,9 +2059,11 @@ const CustomToast = React.memo(({ visible, message, type }) => {
           bottom: insets.bottom > 0 ? insets.bottom + 10 : (Platform.OS === 'ios' ? 75 : 20), // Adjusted bottom positioning
         },
       ]}
-      // Accessibility for screen readers
-      accessibilityLiveRegion="polite"
-      accessibilityLabel={`${type}: ${message}`}
+      // Screen readers: Android reads the live region as it appears, iOS gets an announcement from showToast
+      accessible={true}
+      accessibilityRole="alert"
+      accessibilityLiveRegion={type === 'error' ? 'assertive' : 'polite'}
+      accessibilityLabel={t(`a11y.toast.${type}`, { message: String(message || '') })}
     >
       <MaterialIcons name={toastStyle.icon} size={20} color={COLORS.toastText} style={styles.toastIcon} />
       {/* Ensure message is always treated as a string */}
@@ -595,75 +2072,297 @@ const CustomToast = React.memo(({ visible, message, type }) => {
   );
 });
 
-const SearchForm = React.memo(() => {
-  const { word, setWord, length, setLength, tone, setTone, contextValue, setContextValue, lang, setLang, showOptionalFilters, setShowOptionalFilters, handleDefine, isLoading, error } = useContext(AppContext);
+// Language field: shows the chosen language and opens a searchable ISO 639 list, recently used languages first.
+// An empty value means auto-detect.
+const LANGUAGES_BY_NAME = [...LANGUAGES].sort((a, b) => a.name.localeCompare(b.name));
+const LanguagePicker = React.memo(({ value, onChange, disabled }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { recentLanguages } = useContext(AppContext);
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+
+  const sections = useMemo(() => {
+    if (query.trim()) return [{ title: t('languagePicker.matches'), data: searchLanguages(query) }];
+    const recent = recentLanguages.map(getLanguage).filter(Boolean);
+    return [
+      ...(recent.length > 0 ? [{ title: t('languagePicker.recent'), data: recent }] : []),
+      { title: t('languagePicker.all'), data: LANGUAGES_BY_NAME },
+    ];
+  }, [query, recentLanguages, t]);
+
+  const close = useCallback(() => { setIsOpen(false); setQuery(''); }, []);
+  const select = useCallback((code) => { onChange(code); close(); }, [onChange, close]);
+  const selectedCode = normalizeLanguageCode(value);
+
+  const renderLanguage = useCallback(({ item }) => (
+    <TouchableOpacity
+      style={styles.languageOption}
+      onPress={() => select(item.iso3)}
+      activeOpacity={0.7}
+      accessibilityRole="button"
+      accessibilityState={{ selected: item.iso3 === selectedCode }}
+    >
+      <View style={styles.listItemContent}>
+        <Text style={styles.languageOptionName}>{item.name} <Text style={styles.languageOptionNative}>{item.native}</Text></Text>
+        <Text style={styles.historyMetaTextSmall}>{[item.iso3, item.iso1].filter(Boolean).join(' · ')}</Text>
+      </View>
+      {item.iso3 === selectedCode && <MaterialIcons name="check" size={22} color={COLORS.primary} />}
+    </TouchableOpacity>
+  ), [select, selectedCode, styles, COLORS]);
+
+  return (
+    <>
+      <TouchableOpacity
+        style={[styles.input, styles.languagePickerField, disabled && styles.inputDisabled]}
+        onPress={() => setIsOpen(true)}
+        disabled={disabled}
+        activeOpacity={0.7}
+        accessibilityRole="button"
+        accessibilityLabel={t('a11y.languageField', { language: value ? formatLanguageLabel(value) : t('languagePicker.autoDetect') })}
+        accessibilityHint={t('a11y.languageFieldHint')}
+        accessibilityState={{ disabled: !!disabled }}
+      >
+        <Text style={value ? styles.languagePickerValue : styles.languagePickerPlaceholder} numberOfLines={1}>
+          {value ? formatLanguageLabel(value) : t('languagePicker.autoDetect')}
+        </Text>
+        <MaterialIcons name="arrow-drop-down" size={24} color={COLORS.textSecondary} />
+      </TouchableOpacity>
+      <Modal visible={isOpen} animationType="slide" onRequestClose={close}>
+        {/* Modals render outside the app's provider tree, so they need their own safe-area context */}
+        <SafeAreaProvider>
+          <SafeAreaView style={styles.screenSafeArea}>
+            <View style={styles.languageModalHeader}>
+              <Text style={styles.cardTitle} accessibilityRole="header">{t('languagePicker.title')}</Text>
+              <TouchableOpacity onPress={close} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+                <MaterialIcons name="close" size={26} color={COLORS.textSecondary} />
+              </TouchableOpacity>
+            </View>
+            <TextInput
+              style={[styles.input, styles.languageSearchInput]}
+              placeholder={t('languagePicker.searchPlaceholder')}
+              accessibilityLabel={t('languagePicker.searchPlaceholder')}
+              value={query}
+              onChangeText={setQuery}
+              autoCapitalize="none"
+              autoCorrect={false}
+              autoFocus
+              placeholderTextColor={COLORS.textSecondary}
+            />
+            <SectionList
+              sections={sections}
+              renderItem={renderLanguage}
+              renderSectionHeader={({ section }) => <Text style={styles.quizSectionHeader} accessibilityRole="header">{section.title}</Text>}
+              keyExtractor={(item, index) => `${item.iso3}-${index}`}
+              keyboardShouldPersistTaps="handled"
+              stickySectionHeadersEnabled={false}
+              contentContainerStyle={styles.languageListContent}
+              ListHeaderComponent={!query.trim() && (
+                <TouchableOpacity
+                  style={styles.languageOption}
+                  onPress={() => select('')}
+                  activeOpacity={0.7}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: !value }}
+                >
+                  <View style={styles.listItemContent}>
+                    <Text style={styles.languageOptionName}>{t('languagePicker.autoDetect')}</Text>
+                    <Text style={styles.historyMetaTextSmall}>{t('languagePicker.autoDetectHint')}</Text>
+                  </View>
+                  {!value && <MaterialIcons name="check" size={22} color={COLORS.primary} />}
+                </TouchableOpacity>
+              )}
+              ListEmptyComponent={<Text style={styles.quizCaughtUpText}>{t('languagePicker.noMatches', { query: query.trim() })}</Text>}
+            />
+          </SafeAreaView>
+        </SafeAreaProvider>
+      </Modal>
+    </>
+  );
+});
+
+const SearchForm = React.memo(() => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { word, setWord, length, setLength, tone, setTone, contextValue, setContextValue, lang, setLang, showOptionalFilters, setShowOptionalFilters, handleDefine, isLoading, error, filterPresets, applyPreset, history, favorites, definitionsCacheIndex, defineMode, setDefineMode, batchText, setBatchText, batchJob, startBatchDefine } = useContext(AppContext);
   const wordInputRef = useRef(null);
   const lengthInputRef = useRef(null);
   const toneInputRef = useRef(null);
   const contextInputRef = useRef(null);
-  const langInputRef = useRef(null);
-
-  const canDefine = useMemo(() => validateInputs(word, length) === null, [word, length]);
-  const buttonTextContent = useMemo(() => `Define '${(word || '').trim() || 'Word'}'`, [word]); // Memoize button text
+  const [isWordFocused, setIsWordFocused] = useState(false);
+
+  // --- Word Suggestions ---
+  // The user's own words rank first: recent lookups, then favorites, then anything else in the cache
+  const personalWords = useMemo(() => collectPersonalWords(
+    history.map(item => item.word),
+    favorites.map(item => item.word),
+    Object.keys(definitionsCacheIndex).map(cacheKey => parseCacheKey(cacheKey)?.word),
+  ), [history, favorites, definitionsCacheIndex]);
+  // Deferred so typing stays responsive; the dictionary scan runs at lower priority than the keystroke
+  const deferredWord = useDeferredValue(word);
+  const suggestions = useMemo(() => getSuggestions(deferredWord, personalWords), [deferredWord, personalWords]);
+  // Corrections only once nothing starts with the input, so half-typed words don't trigger them
+  const corrections = useMemo(
+    () => (suggestions.length > 0 ? [] : getCorrections(deferredWord, personalWords)),
+    [suggestions, deferredWord, personalWords]
+  );
+  const handleSuggestionPress = useCallback((suggestion) => {
+    setWord(suggestion);
+    lengthInputRef.current?.focus();
+  }, [setWord]);
+
+  // Batch mode swaps the word input for a list; length and the optional filters are shared by every word
+  const isBatchMode = defineMode === 'batch';
+  const parsedBatch = useMemo(() => parseWordList(batchText), [batchText]);
+  const isBusy = isLoading || !!batchJob?.running;
+  const canDefine = useMemo(() => (isBatchMode
+    ? parsedBatch.words.length > 0 && validateInputs({ word: parsedBatch.words[0], length }, t) === null
+    : validateInputs({ word, length }, t) === null), [isBatchMode, parsedBatch, word, length, t]);
+  const buttonTextContent = useMemo(() => (isBatchMode
+    ? t('define.buttonBatch', { count: parsedBatch.words.length })
+    : t('define.button', { word: (word || '').trim() || t('common.word') })), [isBatchMode, parsedBatch, word, t]); // Memoize button text
+  const batchSummary = useMemo(() => [
+    t('batch.parsed.words', { count: parsedBatch.words.length }),
+    parsedBatch.duplicates > 0 && t('batch.parsed.duplicates', { count: parsedBatch.duplicates }),
+    parsedBatch.truncated > 0 && t('batch.parsed.truncated', { count: parsedBatch.truncated, max: BATCH_MAX_WORDS }),
+  ].filter(Boolean).join(' · '), [parsedBatch, t]);
+  const modeOptions = useMemo(() => [
+    { label: t('define.mode.single'), value: 'single' },
+    { label: t('define.mode.batch'), value: 'batch' },
+  ], [t]);
+
+  // Preset chips: the one matching the current filters is highlighted; tapping it again clears the filters
+  const presetOptions = useMemo(() => filterPresets.map(preset => ({ label: preset.name, value: preset.id })), [filterPresets]);
+  const activePresetId = useMemo(
+    () => filterPresets.find(preset => presetMatchesFilters(preset, { tone, context: contextValue, lang }))?.id ?? null,
+    [filterPresets, tone, contextValue, lang]
+  );
+  const handlePresetPress = useCallback((presetId) => {
+    applyPreset(presetId === activePresetId ? null : filterPresets.find(preset => preset.id === presetId));
+  }, [applyPreset, activePresetId, filterPresets]);
 
   // Handler to submit form if inputs are valid
   const submitDefine = useCallback(() => {
-    if (canDefine && !isLoading) {
-      handleDefine();
-    } else {
+    if (canDefine && !isBusy) {
+      if (isBatchMode) startBatchDefine(parsedBatch.words); else handleDefine();
+    } else if (!isBusy) {
       // Optionally focus the first invalid field or show validation error if not already shown
-      const validationError = validateInputs(word, length);
+      const validationError = isBatchMode
+        ? (parsedBatch.words.length === 0 ? t('validation.enterWords') : validateInputs({ word: parsedBatch.words[0], length }, t))
+        : validateInputs({ word, length }, t);
       if (validationError && !error) { // Only show toast if no other error is active
         // Calling setError directly might conflict with API errors, context provides showToast
         // Using showToast from context might be better if available here
-        Alert.alert("Validation Error", validationError); // Simple alert fallback
+        Alert.alert(t('validation.title'), validationError); // Simple alert fallback
       }
     }
-  }, [canDefine, isLoading, handleDefine, word, length, error]);
+  }, [canDefine, isBusy, isBatchMode, startBatchDefine, parsedBatch, handleDefine, word, length, error, t]);
 
 
   return (<View style={styles.card}>
-    <Text style={styles.cardTitle}>Define a Word</Text>
+    <Text style={styles.cardTitle} accessibilityRole="header">{isBatchMode ? t('define.titleBatch') : t('define.title')}</Text>
+    <ListSorter label={t('define.modeLabel')} sortOrder={defineMode} setSortOrder={setDefineMode} options={modeOptions} />
+    {/* Word List Input (batch mode) */}
+    {isBatchMode && (
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>{t('define.wordsLabel')}</Text>
+        <TextInput
+          style={[styles.input, styles.batchInput, isBusy && styles.inputDisabled]}
+          placeholder={t('define.wordsPlaceholder')}
+          accessibilityLabel={accessibleFieldLabel(t('define.wordsLabel'))}
+          value={batchText}
+          onChangeText={setBatchText}
+          multiline
+          textAlignVertical="top"
+          autoCapitalize="none"
+          editable={!isBusy}
+          placeholderTextColor={COLORS.textSecondary}
+        />
+        {batchText.trim() !== '' && <Text style={styles.batchSummaryText} accessibilityLiveRegion="polite">{batchSummary}</Text>}
+      </View>
+    )}
     {/* Word Input */}
-    <View style={styles.inputGroup}>
-      <Text style={styles.label}>Word / Phrase *</Text>
-      <TextInput
-        ref={wordInputRef}
-        style={[styles.input, isLoading && styles.inputDisabled]}
-        placeholder="e.g., Serendipity"
-        value={word}
-        onChangeText={setWord}
-        returnKeyType="next"
-        onSubmitEditing={() => lengthInputRef.current?.focus()}
-        blurOnSubmit={false}
-        editable={!isLoading}
-        placeholderTextColor={COLORS.textSecondary}
-      />
-    </View>
+    {!isBatchMode && (
+      <View style={styles.inputGroup}>
+        <Text style={styles.label}>{t('define.wordLabel')}</Text>
+        <TextInput
+          ref={wordInputRef}
+          style={[styles.input, isLoading && styles.inputDisabled]}
+          placeholder={t('define.wordPlaceholder')}
+          accessibilityLabel={accessibleFieldLabel(t('define.wordLabel'))}
+          value={word}
+          onChangeText={setWord}
+          onFocus={() => setIsWordFocused(true)}
+          onBlur={() => setIsWordFocused(false)}
+          returnKeyType="next"
+          onSubmitEditing={() => lengthInputRef.current?.focus()}
+          blurOnSubmit={false}
+          editable={!isLoading}
+          autoCorrect={false} // Suggestions below replace the keyboard's own
+          placeholderTextColor={COLORS.textSecondary}
+        />
+        {/* As-you-type suggestions (only while editing the word) */}
+        {isWordFocused && !isLoading && suggestions.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled" contentContainerStyle={styles.suggestionRow}>
+            {suggestions.map(suggestion => (
+              <TouchableOpacity
+                key={suggestion.word}
+                style={[styles.suggestionChip, suggestion.source === 'personal' && styles.suggestionChipPersonal]}
+                onPress={() => handleSuggestionPress(suggestion.word)}
+                activeOpacity={0.7}
+                accessibilityRole="button"
+                accessibilityLabel={suggestion.word}
+                accessibilityHint={t('a11y.suggestionHint')}
+              >
+                {suggestion.source === 'personal' && <MaterialIcons name="history" size={14} color={COLORS.primaryDark} style={styles.chipIcon} />}
+                <Text style={styles.chipText}>{suggestion.word}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+        {/* "Did you mean" for words neither the dictionary nor the user knows */}
+        {!isLoading && corrections.length > 0 && (
+          <View style={styles.correctionRow} accessibilityLiveRegion="polite">
+            <Text style={styles.correctionLabel}>{t('define.didYouMean')} </Text>
+            {corrections.map((correction, index) => (
+              <Text key={correction} style={styles.correctionLabel}>
+                <Text style={styles.correctionWord} onPress={() => handleSuggestionPress(correction)} accessibilityRole="button" accessibilityHint={t('a11y.suggestionHint')}>{correction}</Text>
+                {index < corrections.length - 1 ? t('common.listSeparator') : t('common.questionMark')}
+              </Text>
+            ))}
+          </View>
+        )}
+      </View>
+    )}
     {/* Length Input */}
     <View style={styles.inputGroup}>
-      <Text style={styles.label}>Target Length (Words) *</Text>
+      <Text style={styles.label}>{t('define.lengthLabel')}</Text>
       <TextInput
         ref={lengthInputRef}
-        style={[styles.input, isLoading && styles.inputDisabled]}
-        placeholder={`Approx. ${MAX_REQUESTED_LENGTH} max`}
+        style={[styles.input, isBusy && styles.inputDisabled]}
+        placeholder={t('define.lengthPlaceholder', { max: MAX_REQUESTED_LENGTH })}
+        accessibilityLabel={accessibleFieldLabel(t('define.lengthLabel'))}
         value={length}
         onChangeText={setLength}
         keyboardType="number-pad"
         returnKeyType={showOptionalFilters ? "next" : "done"} // Change based on filter visibility
         onSubmitEditing={showOptionalFilters ? () => toneInputRef.current?.focus() : submitDefine}
-        editable={!isLoading}
+        editable={!isBusy}
         placeholderTextColor={COLORS.textSecondary}
       />
     </View>
+    {/* Filter Presets */}
+    <ListSorter label={t('define.presetsLabel')} sortOrder={activePresetId} setSortOrder={handlePresetPress} options={presetOptions} />
     {/* Optional Filters Toggle */}
     <TouchableOpacity
       style={styles.toggleButton}
       onPress={() => setShowOptionalFilters(prev => !prev)}
       activeOpacity={0.7}
       hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} // Increase tap area
+      accessibilityRole="button"
+      accessibilityState={{ expanded: showOptionalFilters }}
     >
-      <Text style={styles.toggleButtonText}>{showOptionalFilters ? 'Hide' : 'Show'} Optional Filters</Text>
+      <Text style={styles.toggleButtonText}>{showOptionalFilters ? t('define.hideFilters') : t('define.showFilters')}</Text>
       <MaterialIcons name={showOptionalFilters ? 'expand-less' : 'expand-more'} size={24} color={COLORS.primary} />
     </TouchableOpacity>
     {/* Optional Filters Inputs (Animated would be smoother but adds complexity) */}
@@ -671,11 +2370,12 @@ const SearchForm = React.memo(() => {
       <View style={styles.optionalFiltersContainer} /* Replace Animated.View with View for simplicity unless animation is critical */>
         {/* Tone Input */}
         <View style={styles.inputGroup}>
-          <Text style={styles.label}>Tone (Optional)</Text>
+          <Text style={styles.label}>{t('define.toneLabel')}</Text>
           <TextInput
             ref={toneInputRef}
             style={[styles.input, isLoading && styles.inputDisabled]}
-            placeholder="e.g., formal, humorous, simple"
+            placeholder={t('define.tonePlaceholder')}
+            accessibilityLabel={t('define.toneLabel')}
             value={tone}
             onChangeText={setTone}
             returnKeyType="next"
@@ -687,55 +2387,47 @@ const SearchForm = React.memo(() => {
         </View>
         {/* Context Input */}
         <View style={styles.inputGroup}>
-          <Text style={styles.label}>Context (Optional)</Text>
+          <Text style={styles.label}>{t('define.contextLabel')}</Text>
           <TextInput
             ref={contextInputRef}
             style={[styles.input, isLoading && styles.inputDisabled]}
-            placeholder="e.g., medical, legal, for a child"
+            placeholder={t('define.contextPlaceholder')}
+            accessibilityLabel={t('define.contextLabel')}
             value={contextValue}
             onChangeText={setContextValue}
-            returnKeyType="next"
-            onSubmitEditing={() => langInputRef.current?.focus()}
-            blurOnSubmit={false}
+            returnKeyType="done"
+            onSubmitEditing={submitDefine} // Language is picked from a list, so this is the last text field
             editable={!isLoading}
             placeholderTextColor={COLORS.textSecondary}
           />
         </View>
         {/* Language Input */}
         <View style={styles.inputGroup}>
-          <Text style={styles.label}>Language (Optional, ISO code)</Text>
-          <TextInput
-            ref={langInputRef}
-            style={[styles.input, isLoading && styles.inputDisabled]}
-            placeholder="e.g., eng, spa, fra (default: auto)"
-            value={lang}
-            onChangeText={setLang}
-            autoCapitalize="none"
-            returnKeyType="done"
-            onSubmitEditing={submitDefine} // Submit on final field
-            editable={!isLoading}
-            placeholderTextColor={COLORS.textSecondary}
-          />
+          <Text style={styles.label}>{t('define.languageLabel')}</Text>
+          <LanguagePicker value={lang} onChange={setLang} disabled={isLoading} />
         </View>
       </View>
     )}
     {/* Define Button */}
     <TouchableOpacity
-      style={[styles.button, styles.buttonPrimary, (!canDefine || isLoading) && styles.buttonDisabled]}
+      style={[styles.button, styles.buttonPrimary, (!canDefine || isBusy) && styles.buttonDisabled]}
       onPress={submitDefine}
-      disabled={!canDefine || isLoading}
+      disabled={!canDefine || isBusy}
       activeOpacity={0.8}
+      accessibilityRole="button"
+      accessibilityLabel={isBusy ? t('define.loading') : buttonTextContent}
+      accessibilityState={{ disabled: !canDefine || isBusy, busy: isBusy }}
     >
       <LinearGradient
-        colors={canDefine && !isLoading ? [COLORS.primaryLight, COLORS.primary] : [COLORS.textDisabled, COLORS.textSecondary]}
+        colors={canDefine && !isBusy ? [COLORS.primaryLight, COLORS.primary] : [COLORS.textDisabled, COLORS.textSecondary]}
         style={styles.buttonGradient}
         start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }}
       >
-        {isLoading
-          ? <ActivityIndicator size="small" color={COLORS.surface} />
+        {isBusy
+          ? <ActivityIndicator size="small" color={COLORS.onPrimary} />
           : ( /* Ensure icon and text are inside Text and properly aligned */
             <Text style={styles.buttonText}>
-              <MaterialIcons name="search" size={18} color={COLORS.surface} style={{ marginRight: 8 }} /> {/* Added style for spacing */}
+              <MaterialIcons name="search" size={18} color={COLORS.onPrimary} style={{ marginRight: 8 }} /> {/* Added style for spacing */}
               {buttonTextContent}
             </Text>
           )
@@ -745,58 +2437,100 @@ const SearchForm = React.memo(() => {
   </View>);
 });
 
-const DailyWordCard = React.memo(({ onDefinePress }) => (
-  <View style={[styles.card, styles.dailyWordCard]}>
-    <View style={styles.dailyWordHeader}>
-      <MaterialIcons name="auto-stories" size={24} color={COLORS.accent} />
-      <Text style={styles.dailyWordTitle}>Word of the Day</Text>
-    </View>
-    <Text style={styles.dailyWordWord}>Ephemeral</Text>
-    <Text style={styles.dailyWordDefinition}>Lasting for a very short time; fleeting.</Text>
-    <Text style={styles.dailyWordExample}>"The beauty of the cherry blossoms is ephemeral."</Text>
-    <TouchableOpacity
-      style={styles.dailyWordButton}
-      onPress={() => onDefinePress("Ephemeral", 25, "formal")} // Example params
-      activeOpacity={0.7}
-    >
-      <Text style={styles.dailyWordButtonText}>Define Ephemeral (25 words)</Text>
-    </TouchableOpacity>
-  </View>
-));
-
-const LoadingIndicator = React.memo(() => (
-  <View style={styles.centeredMessage}>
-    <ActivityIndicator size="large" color={COLORS.primary} />
-    <Text style={styles.loadingText}>Loading Definition...</Text>
-  </View>
-));
-
-const ErrorCard = React.memo(({ message, onRetry }) => (
-  <View style={[styles.card, styles.errorCard]}>
-    <MaterialIcons name="error-outline" size={48} color={COLORS.error} />
-    <Text style={styles.errorTitle}>An Error Occurred</Text>
-    <Text style={styles.errorMessage}>{message || 'Could not complete the request.'}</Text>
-    {onRetry && (
+// Where a Word of the Day came from, shown under the word
+const describeWotdOrigin = (entry, t) => {
+  if (entry.source === 'mine') return t('wotd.origin.mine');
+  return entry.level ? t('wotd.origin.level', { level: t(`wotd.level.${entry.level}`) }) : t('wotd.origin.builtIn');
+};
+
+const DailyWordCard = React.memo(({ onDefinePress }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { wordOfTheDay, isOnline } = useContext(AppContext);
+  const navigation = useNavigation();
+  if (!wordOfTheDay) return null; // Nothing to pick from yet
+
+  const { word: wotdWord, params, definition } = wordOfTheDay;
+  const placeholder = isOnline ? t('wotd.fetching') : t('wotd.offline');
+  return (
+    <View style={[styles.card, styles.dailyWordCard]}>
+      <View style={styles.dailyWordHeader}>
+        <MaterialIcons name="auto-stories" size={24} color={COLORS.accent} />
+        <Text style={styles.dailyWordTitle} accessibilityRole="header">{t('wotd.title')}</Text>
+        <TouchableOpacity onPress={() => navigation.navigate('WordOfTheDayArchive')} style={styles.dailyWordArchiveLink} activeOpacity={0.7} accessibilityRole="button">
+          <Text style={styles.dailyWordArchiveLinkText}>{t('wotd.pastWords')}</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.dailyWordWord}>{wotdWord}</Text>
+      <Text style={styles.dailyWordDefinition} accessibilityLiveRegion="polite">{definition || placeholder}</Text>
+      <Text style={styles.dailyWordExample}>{describeWotdOrigin(wordOfTheDay, t)}</Text>
       <TouchableOpacity
-        style={[styles.button, styles.buttonSecondary]}
-        onPress={onRetry}
+        style={styles.dailyWordButton}
+        onPress={() => onDefinePress(wotdWord, params.length, params.tone)}
         activeOpacity={0.7}
+        accessibilityRole="button"
       >
-        <Text style={styles.buttonTextSecondary}>Try Again</Text>
+        <Text style={styles.dailyWordButtonText}>{t('wotd.defineButton', { word: wotdWord, count: Number(params.length) })}</Text>
       </TouchableOpacity>
-    )}
-  </View>
-));
+    </View>
+  );
+});
+
+const LoadingIndicator = React.memo(({ onCancel }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  useAccessibilityAnnouncement(t('define.loading'));
+  return (
+    <View style={styles.centeredMessage}>
+      <ActivityIndicator size="large" color={COLORS.primary} />
+      <Text style={styles.loadingText} accessibilityLiveRegion="polite">{t('define.loading')}</Text>
+      {typeof onCancel === 'function' && (
+        <TouchableOpacity style={[styles.button, styles.buttonSecondary, styles.loadingCancelButton]} onPress={onCancel} activeOpacity={0.7} accessibilityRole="button">
+          <Text style={styles.buttonTextSecondary}>{t('common.cancel')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+});
+
+const ErrorCard = React.memo(({ message, onRetry }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const text = message || t('errors.requestFailed');
+  useAccessibilityAnnouncement(`${t('errors.title')}. ${text}`);
+  return (
+    <View style={[styles.card, styles.errorCard]}>
+      {/* Title and message are read together, and as soon as the card appears */}
+      <View style={styles.errorCardText} accessible={true} accessibilityRole="alert" accessibilityLiveRegion="assertive">
+        <MaterialIcons name="error-outline" size={48} color={COLORS.error} />
+        <Text style={styles.errorTitle}>{t('errors.title')}</Text>
+        <Text style={styles.errorMessage}>{text}</Text>
+      </View>
+      {onRetry && (
+        <TouchableOpacity
+          style={[styles.button, styles.buttonSecondary]}
+          onPress={onRetry}
+          activeOpacity={0.7}
+          accessibilityRole="button"
+        >
+          <Text style={styles.buttonTextSecondary}>{t('common.tryAgain')}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+});
 
 const InfoChip = React.memo(({ icon, label, value, iconSet }) => {
+  const { styles, COLORS } = useTheme();
   const IconComponent = iconSet || MaterialIcons;
   // Render if value is present (including 0, but not null/undefined/empty string)
   if (value === null || value === undefined || value === '') return null;
 
   return (
-    <View style={styles.chip}>
+    // Read as one "Label: value" item rather than icon and text separately
+    <View style={styles.chip} accessible={true} accessibilityLabel={`${label}: ${value}`}>
       <IconComponent name={icon} size={16} color={COLORS.primaryDark} style={styles.chipIcon} />
-      <Text style={styles.chipText} numberOfLines={1} ellipsizeMode="tail">
+      <Text style={styles.chipText} numberOfLines={2} ellipsizeMode="tail">
         <Text style={styles.chipLabel}>{label}: </Text>
         {/* Ensure value is string */}
         {String(value)}
@@ -805,15 +2539,22 @@ const InfoChip = React.memo(({ icon, label, value, iconSet }) => {
   );
 });
 
-const ActionButton = React.memo(({ icon, label, onPress, disabled = false, iconSet }) => {
+const ActionButton = React.memo(({ icon, label, onPress, disabled = false, iconSet, hint }) => {
+  const { styles, COLORS } = useTheme();
   const IconComponent = iconSet || MaterialIcons;
+  const { fontScale } = useWindowDimensions();
   return (
     <TouchableOpacity
-      style={[styles.actionButton, disabled && styles.actionButtonDisabled]}
+      // Wider with larger system fonts, so the row wraps instead of breaking labels mid-word
+      style={[styles.actionButton, { minWidth: ACTION_BUTTON_MIN_WIDTH * fontScale }, disabled && styles.actionButtonDisabled]}
       onPress={onPress}
       disabled={disabled}
       activeOpacity={0.6}
       hitSlop={{ top: 10, bottom: 10, left: 5, right: 5 }} // Increase tap area
+      accessibilityRole="button"
+      accessibilityLabel={label}
+      accessibilityHint={hint}
+      accessibilityState={{ disabled }}
     >
       <IconComponent
         name={icon}
@@ -827,15 +2568,22 @@ const ActionButton = React.memo(({ icon, label, onPress, disabled = false, iconS
 
 
 const DefinitionResult = React.memo(() => {
-  const { definitionResult, clearSearch, addFavorite, removeFavorite, isFavorite, addToQuiz, showToast } = useContext(AppContext);
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const {
+    definitionResult, clearSearch, addFavorite, removeFavorite, isFavorite, addToQuiz, showToast, isOnline,
+    regenerateDefinition, showRevision, togglePinRevision, favorites,
+  } = useContext(AppContext);
+  const navigation = useNavigation();
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
   const [isSpeaking, setIsSpeaking] = useState(false); // Track TTS state
 
   // Destructure safely, providing defaults
+  const noDefinitionText = t('result.noDefinition');
   const {
-    word = 'Word', // Default if definitionResult is null
-    result = 'No definition available.',
+    word = t('common.word'), // Default if definitionResult is null
+    result = noDefinitionText,
     actualLength = 'N/A',
     status = 'N/A',
     config = {},
@@ -848,17 +2596,7 @@ const DefinitionResult = React.memo(() => {
   const displayTone = config?.tone && config.tone !== 'neutral' ? config.tone : null;
   const displayContext = config?.context && config.context !== 'none' ? config.context : null;
 
-  // More robust status display logic
-  const statusDisplay = useMemo(() => {
-    if (!status || status === 'N/A') return 'N/A';
-    if (isExact) return 'Exact Length';
-    // Try to extract reason more reliably
-    if (status.includes('Closest possible length achieved')) return 'Closest Possible';
-    if (status.includes('Could not meet constraint')) return 'Constraint Issue';
-    // Fallback to simpler extraction if needed
-    const match = status.match(/\(([^)]+)\)/);
-    return match ? match[1].replace('Closest: ', '').replace('Difference: ', 'Diff: ') : status;
-  }, [status, isExact]);
+  const statusDisplay = useMemo(() => describeResultStatus(status, t), [status, t]);
 
   // Ensure requestedLength is displayable
   const displayRequestedLength = requestedLength ?? definitionResult?.length ?? 'N/A';
@@ -918,11 +2656,15 @@ const DefinitionResult = React.memo(() => {
 
   if (!definitionResult) return null; // Guard clause
 
-  const wordIsFavorite = isFavorite(word);
+  const wordIsFavorite = isFavorite(word); // With any parameters; the bookmark shows as set only for these ones
+  // Stored revisions for these exact settings (oldest first); results from before revisions have none
+  const revisionList = definitionResult.revisionList || [];
+  const revisionIndex = revisionList.findIndex(revision => revision.revisionId === definitionResult.revisionId);
+  const isPinned = !!definitionResult.revisionId && definitionResult.pinnedRevisionId === definitionResult.revisionId;
 
   const handleListen = async () => {
-    if (!result || result === 'No definition available.') {
-      showToast('No definition text to read.', 'info');
+    if (!result || result === noDefinitionText) {
+      showToast(t('result.nothingToRead'), 'info');
       return;
     }
 
@@ -944,33 +2686,34 @@ const DefinitionResult = React.memo(() => {
           onStopped: () => setIsSpeaking(false),
           onError: (e) => {
             console.error("TTS Speak Error Callback:", e);
-            showToast('Text-to-speech playback failed.', 'error');
+            showToast(t('result.speechFailed'), 'error');
             setIsSpeaking(false); // Reset state on error
           }
         });
       }
     } catch (e) {
       console.error("TTS Interaction Error:", e);
-      showToast('Text-to-speech feature encountered an error.', 'error');
+      showToast(t('result.speechError'), 'error');
       setIsSpeaking(false); // Ensure state is reset
     }
   };
 
   const handleCopy = async () => {
-    if (result && result !== 'No definition available.') {
+    if (result && result !== noDefinitionText) {
       await Clipboard.setStringAsync(result);
-      showToast('Definition Copied!', 'success');
+      showToast(t('result.copied'), 'success');
     } else {
-      showToast('No definition text to copy.', 'info');
+      showToast(t('result.nothingToCopy'), 'info');
     }
   };
 
   const handleShare = useCallback(async () => {
-    if (!result || !word || result === 'No definition available.') {
-      showToast('No definition available to share.', 'info');
+    if (!result || !word || result === noDefinitionText) {
+      showToast(t('result.nothingToShare'), 'info');
       return;
     }
-    const shareText = `Definition for "${word}":\n${result}\n\n(From VocabMaster Pro v${APP_VERSION})`;
+    const linkLine = definitionResult?.requestParams ? `\n${t('result.share.link', { link: buildDefineLink(definitionResult.requestParams) })}\n` : '';
+    const shareText = `${t('result.share.heading', { word })}\n${result}\n${linkLine}\n${t('result.share.footer', { version: APP_VERSION })}`;
 
     // Use Expo Sharing module for a native share sheet if available
     // Fallback to mailto: link
@@ -981,7 +2724,7 @@ const DefinitionResult = React.memo(() => {
       //     mimeType: 'text/plain' // Optional
       // });
       // --- Using mailto: as fallback or if Sharing isn't imported ---
-      const url = `mailto:?subject=Definition: ${word}&body=${encodeURIComponent(shareText)}`;
+      const url = `mailto:?subject=${encodeURIComponent(t('result.share.subject', { word }))}&body=${encodeURIComponent(shareText)}`;
       const supported = await Linking.canOpenURL(url);
       if (supported) {
         await Linking.openURL(url);
@@ -989,43 +2732,137 @@ const DefinitionResult = React.memo(() => {
         // If mailto fails, try copying as a last resort
         console.warn("Cannot open mailto link.");
         await Clipboard.setStringAsync(shareText);
-        showToast('Sharing via email not available. Definition copied instead.', 'info');
+        showToast(t('result.share.emailUnavailable'), 'info');
       }
     } catch (error) {
       console.error("Share error:", error);
       await Clipboard.setStringAsync(shareText); // Fallback to copy
-      showToast(`Sharing failed: ${error.message || 'Unknown error'}. Definition copied instead.`, 'error');
+      showToast(t('result.share.failed', { error: error.message || t('errors.unknown') }), 'error');
     }
-  }, [word, result, showToast]); // Dependencies are correct
-
-  const handleQuizIt = () => addToQuiz(word);
-  const toggleFavorite = () => wordIsFavorite ? removeFavorite(word) : addFavorite(word);
+  }, [word, result, definitionResult, noDefinitionText, showToast, t]); // definitionResult: the link carries its request parameters
+
+  // Request parameters exactly as used for the cache key; older results fall back to what they report
+  const getResultParams = () => {
+    const { length: paramLength, tone: paramTone, context: paramContext, lang: paramLang } = definitionResult.requestParams || {};
+    return {
+      length: paramLength ?? displayRequestedLength,
+      tone: definitionResult.requestParams ? paramTone : config?.tone,
+      context: definitionResult.requestParams ? paramContext : config?.context,
+      lang: definitionResult.requestParams ? paramLang : config?.effectiveLang,
+    };
+  };
+  const handleQuizIt = () => {
+    addToQuiz(word, {
+      params: getResultParams(),
+      definitionSnapshot: { result, actualLength, status, effectiveLang, savedAt: Date.now() },
+    });
+  };
+  const isBookmarked = wordIsFavorite && favoriteHasParams(favorites.find(fav => fav.word.toLowerCase() === word.trim().toLowerCase()), getResultParams());
+  const toggleFavorite = () => {
+    if (!isBookmarked) {
+      addFavorite(word, getResultParams()); // Asks to switch the saved parameters when the word is already a favorite
+      return;
+    }
+    // Un-bookmarking also drops the favorite's collections, tags and note, so confirm when it has any
+    const favorite = favorites.find(fav => fav.word.toLowerCase() === word.trim().toLowerCase());
+    if (!favorite || (favorite.collections.length === 0 && favorite.tags.length === 0 && !favorite.note)) {
+      removeFavorite(word);
+      return;
+    }
+    Alert.alert(
+      t('favorites.removeTitle'),
+      t('favorites.removeMessage', { word }),
+      [
+        { text: t('common.cancel'), style: "cancel" },
+        { text: t('common.remove'), onPress: () => removeFavorite(word), style: "destructive" }
+      ]
+    );
+  };
+  // Opens the comparison with this lookup's parameters as the starting point
+  const handleCompare = () => {
+    const { length: paramLength, tone: paramTone, context: paramContext, lang: paramLang } = definitionResult.requestParams || {};
+    navigation.navigate('Compare', {
+      word,
+      length: String(paramLength ?? displayRequestedLength),
+      tone: definitionResult.requestParams ? paramTone || '' : displayTone || '',
+      context: definitionResult.requestParams ? paramContext || '' : displayContext || '',
+      lang: definitionResult.requestParams ? paramLang || '' : '',
+    });
+  };
 
   return (
     <Animated.View style={[styles.card, styles.resultCard, { opacity: fadeAnim, transform: [{ translateY: slideAnim }] }]}>
       {/* Header: Word and Bookmark */}
       <View style={styles.resultHeader}>
-        <Text style={styles.resultWord}>{word}</Text>
-        <TouchableOpacity onPress={toggleFavorite} style={styles.bookmarkIcon} activeOpacity={0.6} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+        <Text style={styles.resultWord} accessibilityRole="header">{word}</Text>
+        <TouchableOpacity
+          onPress={toggleFavorite}
+          style={styles.bookmarkIcon}
+          activeOpacity={0.6}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          accessibilityRole="button"
+          accessibilityLabel={t(isBookmarked ? 'a11y.removeFavorite' : 'a11y.addFavorite', { word })}
+          accessibilityState={{ selected: isBookmarked }}
+        >
           <MaterialIcons
-            name={wordIsFavorite ? "bookmark" : "bookmark-border"}
+            name={isBookmarked ? "bookmark" : "bookmark-border"}
             size={32}
-            color={wordIsFavorite ? COLORS.primaryDark : COLORS.textSecondary}
+            color={isBookmarked ? COLORS.primaryDark : COLORS.textSecondary}
           />
         </TouchableOpacity>
       </View>
 
       {/* Chips: Metadata */}
       <View style={styles.chipContainer}>
-        <InfoChip icon={isExact ? "check-circle-outline" : "rule"} label="Length" value={`${actualLength} words (Req: ${displayRequestedLength})`} />
-        <InfoChip icon="flag" label="Status" value={statusDisplay} />
-        <InfoChip icon="language" label="Lang" value={effectiveLang || 'N/A'} />
-        {cacheHit && <InfoChip icon="cached" label="Source" value="Cache" />}
+        <InfoChip icon={isExact ? "check-circle-outline" : "rule"} label={t('result.chip.length')} value={t('result.chip.lengthValue', { count: Number(actualLength) || 0, actual: actualLength, requested: displayRequestedLength })} />
+        <InfoChip icon="flag" label={t('result.chip.status')} value={statusDisplay} />
+        <InfoChip icon="language" label={t('result.chip.lang')} value={effectiveLang || t('common.notAvailable')} />
+        {cacheHit && <InfoChip icon="cached" label={t('result.chip.source')} value={t('result.chip.cache')} />}
         {/* Conditionally render Tone and Context chips only if they have a value */}
-        {displayTone && <InfoChip icon="sentiment-satisfied-alt" label="Tone" value={displayTone} />}
-        {displayContext && <InfoChip icon="gavel" label="Context" value={displayContext} />}
+        {displayTone && <InfoChip icon="sentiment-satisfied-alt" label={t('result.chip.tone')} value={displayTone} />}
+        {displayContext && <InfoChip icon="gavel" label={t('result.chip.context')} value={displayContext} />}
       </View>
 
+      {/* Revisions: page through earlier definitions for these settings and pin the preferred one */}
+      {revisionIndex !== -1 && (revisionList.length > 1 || isPinned) && (
+        <View style={styles.revisionBar}>
+          <TouchableOpacity
+            onPress={() => showRevision(revisionList[revisionIndex - 1].revisionId)}
+            disabled={revisionIndex === 0}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.previousRevision')}
+            accessibilityState={{ disabled: revisionIndex === 0 }}
+          >
+            <MaterialIcons name="chevron-left" size={26} color={revisionIndex === 0 ? COLORS.textDisabled : COLORS.primary} style={styles.directionalIcon} />
+          </TouchableOpacity>
+          <View style={styles.revisionInfo} accessible={true} accessibilityLiveRegion="polite">
+            <Text style={styles.revisionTitle}>{t(isPinned ? 'revisions.positionPinned' : 'revisions.position', { index: revisionIndex + 1, total: revisionList.length })}</Text>
+            <Text style={styles.historyMetaTextSmall}>{formatDateTime(t.language, revisionList[revisionIndex].savedAt)}</Text>
+          </View>
+          <TouchableOpacity
+            onPress={() => togglePinRevision(definitionResult.revisionId)}
+            style={styles.revisionPinButton}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            accessibilityRole="button"
+            accessibilityLabel={t(isPinned ? 'a11y.unpinRevision' : 'a11y.pinRevision')}
+            accessibilityState={{ selected: isPinned }}
+          >
+            <MaterialIcons name="push-pin" size={22} color={isPinned ? COLORS.accent : COLORS.textSecondary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => showRevision(revisionList[revisionIndex + 1].revisionId)}
+            disabled={revisionIndex === revisionList.length - 1}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.nextRevision')}
+            accessibilityState={{ disabled: revisionIndex === revisionList.length - 1 }}
+          >
+            <MaterialIcons name="chevron-right" size={26} color={revisionIndex === revisionList.length - 1 ? COLORS.textDisabled : COLORS.primary} style={styles.directionalIcon} />
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Definition Box */}
       <View style={styles.definitionBox}>
         {/* ScrollView is good for potentially long definitions */}
@@ -1038,25 +2875,42 @@ const DefinitionResult = React.memo(() => {
 
       {/* Action Buttons */}
       <View style={styles.actionButtonsContainer}>
-        <ActionButton icon={isSpeaking ? "stop-circle" : "volume-up"} label={isSpeaking ? "Stop" : "Listen"} onPress={handleListen} disabled={result === 'No definition available.'} />
-        <ActionButton icon="content-copy" label="Copy" onPress={handleCopy} disabled={result === 'No definition available.'} />
-        <ActionButton icon="share" label="Share" onPress={handleShare} disabled={result === 'No definition available.'} />
-        <ActionButton icon="school" label="Quiz It" onPress={handleQuizIt} iconSet={MaterialIcons} />
+        <ActionButton icon={isSpeaking ? "stop-circle" : "volume-up"} label={isSpeaking ? t('result.action.stop') : t('result.action.listen')} onPress={handleListen} disabled={result === noDefinitionText} />
+        <ActionButton icon="content-copy" label={t('result.action.copy')} onPress={handleCopy} disabled={result === noDefinitionText} />
+        <ActionButton icon="share" label={t('result.action.share')} onPress={handleShare} disabled={result === noDefinitionText} />
+        <ActionButton icon="school" label={t('result.action.quiz')} hint={t('a11y.hint.quiz')} onPress={handleQuizIt} iconSet={MaterialIcons} />
+        <ActionButton icon="compare-arrows" label={t('result.action.compare')} hint={t('a11y.hint.compare')} onPress={handleCompare} />
+        <ActionButton icon="autorenew" label={t('result.action.regenerate')} hint={t('a11y.hint.regenerate')} onPress={regenerateDefinition} disabled={!definitionResult.requestParams || !isOnline} />
       </View>
 
       {/* Clear Button */}
-      <TouchableOpacity style={[styles.button, styles.buttonSecondary]} onPress={clearSearch} activeOpacity={0.7}>
-        <Text style={styles.buttonTextSecondary}>Define Another Word</Text>
+      <TouchableOpacity style={[styles.button, styles.buttonSecondary]} onPress={clearSearch} activeOpacity={0.7} accessibilityRole="button">
+        <Text style={styles.buttonTextSecondary}>{t('result.defineAnother')}</Text>
       </TouchableOpacity>
     </Animated.View>
   );
 });
 
 
-const WordListItem = React.memo(({ item, onPress, onRemove, type }) => {
+// "60 words · formal · spa" for lookup parameters; null (favorites saved before parameters were kept) is the default length
+const describeLookupSettings = (params, t) => {
+  const { length, tone, context, lang } = params || { length: FAVORITE_DEFAULT_LENGTH };
+  const details = [tone, context, lang].filter(value => value && value !== 'neutral' && value !== 'none');
+  return [t('common.wordCount', { count: Number(length) || 0 }), ...details].join(' · ');
+};
+// "Saved: 60 words · formal · spa" for a favorite's bookmarked parameters
+const describeFavoriteParams = (params, t) => {
+  if (!params) return t('favorites.defaultSettings');
+  return t('favorites.savedSettings', { settings: describeLookupSettings(params, t) });
+};
+
+const WordListItem = React.memo(({ item, onPress, onRemove, onEdit, type }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
   const isHistory = type === 'history';
+  const isFavoriteItem = type === 'favorite';
   // Safely access potentially nested properties, provide defaults
-  const displayWord = String(item?.word || 'Unknown Word');
+  const displayWord = String(item?.word || t('common.unknownWord'));
   const displayLength = item?.length ?? '?'; // Requested length from history item
   const displayActualLength = item?.result?.actualLength;
   const displayLang = item?.lang ?? item?.result?.effectiveLang; // Lang used for request or result
@@ -1065,9 +2919,21 @@ const WordListItem = React.memo(({ item, onPress, onRemove, type }) => {
   const hasOptionalParams = (displayTone && displayTone !== 'neutral') || (displayContext && displayContext !== 'none');
 
   const iconName = isHistory ? "history" : "star"; // Use filled star for favorites
+  const canEdit = isFavoriteItem && typeof onEdit === 'function';
+  const canRemove = typeof onRemove === 'function'; // History rows are deleted by swiping, which screen readers get as this action
 
   return (
-    <TouchableOpacity style={styles.listItemCard} onPress={onPress} activeOpacity={0.7}>
+    <TouchableOpacity
+      style={styles.listItemCard}
+      onPress={onPress}
+      activeOpacity={0.7}
+      accessibilityRole="button"
+      accessibilityHint={t('a11y.hint.openDefinition')}
+      {...getRowAccessibilityActions([
+        ...(canEdit ? [{ name: 'edit', label: t('a11y.edit'), onPress: onEdit }] : []),
+        ...(canRemove ? [{ name: 'remove', label: t('common.remove'), onPress: onRemove }] : []),
+      ])}
+    >
       {/* Icon */}
       <MaterialIcons name={iconName} size={24} color={isHistory ? COLORS.textSecondary : COLORS.accent} style={styles.listItemIcon} />
       {/* Content */}
@@ -1077,25 +2943,44 @@ const WordListItem = React.memo(({ item, onPress, onRemove, type }) => {
         {isHistory && (
           <View style={styles.historyMetaContainer}>
             <Text style={styles.historyMetaText} numberOfLines={1} ellipsizeMode="tail">
-              {`Req: ${displayLength}w`}
+              {t('history.requestedLength', { length: displayLength })}
               {/* Only show actual length if available and different from requested */}
-              {(displayActualLength && displayActualLength !== displayLength) ? `, Gen: ${displayActualLength}w` : ''}
+              {(displayActualLength && displayActualLength !== displayLength) ? t('history.generatedLength', { length: displayActualLength }) : ''}
               {displayLang ? ` (${displayLang})` : ''}
             </Text>
             {/* Show Tone/Context only if they were used */}
             {hasOptionalParams && (
               <Text style={styles.historyMetaTextSmall} numberOfLines={1} ellipsizeMode="tail">
-                {displayTone && displayTone !== 'neutral' ? `Tone: ${displayTone} ` : ''}
-                {displayContext && displayContext !== 'none' ? `Ctx: ${displayContext}` : ''}
+                {displayTone && displayTone !== 'neutral' ? `${t('history.tone', { tone: displayTone })} ` : ''}
+                {displayContext && displayContext !== 'none' ? t('history.context', { context: displayContext }) : ''}
+              </Text>
+            )}
+          </View>
+        )}
+        {/* Favorites: saved parameters, collections/tags and the start of the note */}
+        {isFavoriteItem && (
+          <View style={styles.historyMetaContainer}>
+            <Text style={styles.historyMetaText} numberOfLines={1} ellipsizeMode="tail">{describeFavoriteParams(item?.params, t)}</Text>
+            {(item?.collections?.length > 0 || item?.tags?.length > 0) && (
+              <Text style={styles.favoriteLabelsText} numberOfLines={1} ellipsizeMode="tail">
+                {[...(item.collections || []), ...(item.tags || []).map(tag => `#${tag}`)].join('  ')}
               </Text>
             )}
+            {!!item?.note && (
+              <Text style={styles.favoriteNoteText} numberOfLines={1} ellipsizeMode="tail">{item.note}</Text>
+            )}
           </View>
         )}
       </View>
+      {canEdit && (
+        <TouchableOpacity onPress={onEdit} style={styles.removeButton} activeOpacity={0.6} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.editItem', { word: displayWord })}>
+          <MaterialIcons name="edit" size={22} color={COLORS.primary} />
+        </TouchableOpacity>
+      )}
       {/* Remove Button (Only for favorites, or potentially quiz items if needed) */}
       {/* Check explicitly for 'favorite' type and ensure onRemove is a function */}
-      {type === 'favorite' && typeof onRemove === 'function' && (
-        <TouchableOpacity onPress={onRemove} style={styles.removeButton} activeOpacity={0.6} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+      {isFavoriteItem && canRemove && (
+        <TouchableOpacity onPress={onRemove} style={styles.removeButton} activeOpacity={0.6} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.removeFavorite', { word: displayWord })}>
           <MaterialIcons name="close" size={24} color={COLORS.error} />
         </TouchableOpacity>
       )}
@@ -1104,41 +2989,37 @@ const WordListItem = React.memo(({ item, onPress, onRemove, type }) => {
 });
 
 const QuizItem = React.memo(({ item, onRemove }) => {
-  // TODO: Implement definition fetching/display for Quiz items.
-  // This requires fetching the definition when expanded, potentially using handleDefine or getCachedDefinition from context.
-  const { getCachedDefinition, handleDefine, showToast } = useContext(AppContext); // Access context for fetching
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  // lookupDefinition reads the cache and fetches silently on a miss, leaving the Define screen's result alone
+  const { lookupDefinition } = useContext(AppContext);
   const [showDefinition, setShowDefinition] = useState(false);
   const [isLoadingDef, setIsLoadingDef] = useState(false);
   const [definitionText, setDefinitionText] = useState(null); // Store fetched definition
 
-  const displayWord = String(item?.word || 'Unknown Word');
+  const displayWord = String(item?.word || t('common.unknownWord'));
 
   // Function to fetch or load definition
   const loadDefinition = useCallback(async () => {
-    if (!displayWord || displayWord === 'Unknown Word') return;
+    if (!item?.word) return;
 
     setIsLoadingDef(true);
     setDefinitionText(null); // Clear previous text
 
-    // Try cache first (using default parameters, maybe store params with quiz item?)
-    const params = { word: displayWord, length: 30 }; // Assume default length for quiz lookup
-    let def = await getCachedDefinition(params);
-
-    if (def) {
-      setDefinitionText(def.result);
-    } else {
-      // If not in cache, fetch (this might take time and incur cost)
-      // Consider if we *want* to fetch on demand in quiz list, or only show cached?
-      // For now, let's just show a message if not cached.
-      // await handleDefine(params); // This would trigger a full fetch and update App state
-      setDefinitionText('Definition not found in local cache. Define it again to view here.');
-      // Alternative: Trigger a silent fetch?
-      // showToast(`Fetching definition for ${displayWord}...`, 'info');
-      // Needs more robust handling if live fetching is desired here.
+    // Cache first, then a silent fetch, using the parameters the word was added with
+    try {
+      const def = await lookupDefinition(getQuizLookupParams(item));
+      setDefinitionText(def?.result || t('result.noDefinition'));
+    } catch (e) {
+      console.warn(`Quiz item lookup failed for "${displayWord}":`, e);
+      // Fall back to the copy saved when the word was added, if any
+      setDefinitionText(item?.definitionSnapshot?.result
+        ? `${item.definitionSnapshot.result}\n\n${t('quiz.item.savedCopy', { error: describeApiError(e, 'errors.unknown', t) })}`
+        : t('quiz.item.loadFailed', { error: describeApiError(e, 'errors.unknown', t) }));
     }
 
     setIsLoadingDef(false);
-  }, [displayWord, getCachedDefinition, showToast]); // handleDefine removed to avoid full state update
+  }, [displayWord, item, lookupDefinition, t]);
 
   const toggleDefinition = () => {
     const newState = !showDefinition;
@@ -1154,37 +3035,50 @@ const QuizItem = React.memo(({ item, onRemove }) => {
     if (!showDefinition) return null;
 
     return (
-      <View style={styles.quizDefinitionContainer}>
+      <View style={styles.quizDefinitionContainer} accessibilityLiveRegion="polite">
         {isLoadingDef ? (
           <>
             <ActivityIndicator size="small" color={COLORS.quizAccent} />
-            <Text style={styles.quizDefinitionPlaceholder}>Loading definition...</Text>
+            <Text style={styles.quizDefinitionPlaceholder}>{t('quiz.item.loading')}</Text>
           </>
         ) : (
           // Display fetched text or placeholder message
           <Text style={styles.quizDefinitionText}>
-            {definitionText || 'Tap again to load definition.'}
+            {definitionText || t('quiz.item.tapToLoad')}
           </Text>
         )}
       </View>
     );
-  }, [showDefinition, isLoadingDef, definitionText]);
+  }, [showDefinition, isLoadingDef, definitionText, styles, COLORS, t]);
 
   return (
     <View style={[styles.listItemCard, styles.quizItemCard, showDefinition && styles.quizItemCardExpanded]}>
       {/* Word and Definition Area */}
       <View style={styles.listItemContent}>
         <Text style={styles.listItemWord}>{displayWord}</Text>
+        {/* Review schedule (SM-2) */}
+        <Text style={[styles.historyMetaText, isQuizItemDue(item) && styles.quizDueText]} numberOfLines={1}>
+          {formatDueLabel(item?.dueAt, t)}
+          {item?.lapses > 0 ? ` · ${t('quiz.item.lapses', { count: item.lapses })}` : ''}
+        </Text>
         {definitionContent}
       </View>
       {/* Action Buttons */}
       <View style={styles.quizItemActions}>
-        <TouchableOpacity onPress={toggleDefinition} style={styles.quizToggleButton} activeOpacity={0.6} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+        <TouchableOpacity
+          onPress={toggleDefinition}
+          style={styles.quizToggleButton}
+          activeOpacity={0.6}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          accessibilityRole="button"
+          accessibilityLabel={t(showDefinition ? 'a11y.hideDefinition' : 'a11y.showDefinition', { word: displayWord })}
+          accessibilityState={{ expanded: showDefinition, busy: isLoadingDef }}
+        >
           <MaterialIcons name={showDefinition ? "expand-less" : "expand-more"} size={28} color={COLORS.quizAccent} />
         </TouchableOpacity>
         {/* Ensure onRemove is callable */}
         {typeof onRemove === 'function' && (
-          <TouchableOpacity onPress={onRemove} style={styles.removeButton} activeOpacity={0.6} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <TouchableOpacity onPress={onRemove} style={styles.removeButton} activeOpacity={0.6} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.removeFromQuiz', { word: displayWord })}>
             <MaterialIcons name="delete-outline" size={24} color={COLORS.error} />
           </TouchableOpacity>
         )}
@@ -1194,17 +3088,19 @@ const QuizItem = React.memo(({ item, onRemove }) => {
 });
 
 const EmptyState = React.memo(({ icon, title, message, buttonText, onButtonPress, iconSet }) => {
+  const { styles, COLORS } = useTheme();
   const IconComponent = iconSet || MaterialIcons;
   return (
     <View style={styles.emptyStateContainer}>
       <IconComponent name={icon || "info-outline"} size={72} color={COLORS.textSecondary} style={styles.emptyStateIcon} />
-      <Text style={styles.emptyStateTitle}>{title}</Text>
+      <Text style={styles.emptyStateTitle} accessibilityRole="header">{title}</Text>
       <Text style={styles.emptyStateMessage}>{message}</Text>
       {buttonText && typeof onButtonPress === 'function' && (
         <TouchableOpacity
           style={[styles.button, styles.buttonSecondary, styles.emptyStateButton]}
           onPress={onButtonPress}
           activeOpacity={0.7}
+          accessibilityRole="button"
         >
           <Text style={styles.buttonTextSecondary}>{buttonText}</Text>
         </TouchableOpacity>
@@ -1214,6 +3110,8 @@ const EmptyState = React.memo(({ icon, title, message, buttonText, onButtonPress
 });
 
 const RecentSearchesContainer = React.memo(() => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
   const { sortedHistory, handleDefine } = useContext(AppContext);
   // No need for navigation/setters if handleDefine is used directly
   // const navigation = useNavigation();
@@ -1243,13 +3141,15 @@ const RecentSearchesContainer = React.memo(() => {
 
   return (
     <View style={[styles.card, styles.recentSearchesCard]}>
-      <Text style={styles.cardTitle}>Recent Searches</Text>
+      <Text style={styles.cardTitle} accessibilityRole="header">{t('define.recentSearches')}</Text>
       {recentHistory.map((item) => (
         <TouchableOpacity
           key={item.timestamp || item.word} // Use timestamp for key
           style={styles.recentSearchItem}
           onPress={() => handlePress(item)}
           activeOpacity={0.7}
+          accessibilityRole="button"
+          accessibilityHint={t('a11y.hint.defineAgain')}
         >
           <MaterialIcons name="history" size={18} color={COLORS.textSecondary} style={{ marginRight: 10 }} />
           {/* Ensure text is nested correctly */}
@@ -1257,36 +3157,238 @@ const RecentSearchesContainer = React.memo(() => {
             {item.word}
             <Text style={styles.recentSearchMeta}>
               {' '} {/* Space */}
-              ({item.length || '?'}w{item.lang ? `, ${item.lang}` : ''})
+              ({t('common.lengthShort', { length: item.length || '?' })}{item.lang ? `, ${item.lang}` : ''})
             </Text>
           </Text>
-          <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} />
+          <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
         </TouchableOpacity>
       ))}
     </View>
   );
 });
 
-const ListSorter = React.memo(({ sortOrder, setSortOrder, options }) => {
+const PENDING_LOOKUP_STATUS = {
+  pending: { icon: 'schedule', labelKey: 'offline.status.pending', colorKey: 'textSecondary' },
+  retrying: { icon: null, labelKey: 'offline.status.retrying', colorKey: 'info' },
+  failed: { icon: 'error-outline', labelKey: 'offline.status.failed', colorKey: 'error' },
+  resolved: { icon: 'check-circle', labelKey: 'offline.status.resolved', colorKey: 'success' },
+};
+
+const PendingLookupsCard = React.memo(() => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { offlineQueue, isOnline, processOfflineQueue, removeQueueItem, clearResolvedLookups, handleDefine } = useContext(AppContext);
+  if (!offlineQueue || offlineQueue.length === 0) return null;
+
+  const hasRetryable = offlineQueue.some(item => item.status === 'pending' || item.status === 'failed');
+  const hasResolved = offlineQueue.some(item => item.status === 'resolved');
+
+  // Resolved items are cached, so defining them again is instant and offline-safe
+  const handleItemPress = (item) => {
+    if (item.status !== 'resolved') return;
+    removeQueueItem(item.id);
+    handleDefine(item.params);
+  };
+
+  return (
+    <View style={[styles.card, styles.pendingLookupsCard]}>
+      <View style={styles.listHeader}>
+        <Text style={[styles.cardTitle, styles.pendingLookupsTitle]} accessibilityRole="header">{t('offline.title', { count: offlineQueue.length })}</Text>
+        {!isOnline && (
+          <View style={styles.offlineBadge}>
+            <MaterialIcons name="cloud-off" size={14} color={COLORS.error} />
+            <Text style={styles.offlineBadgeText}>{t('offline.badge')}</Text>
+          </View>
+        )}
+      </View>
+      {offlineQueue.map(item => {
+        const statusInfo = PENDING_LOOKUP_STATUS[item.status] || PENDING_LOOKUP_STATUS.pending;
+        const detail = item.status === 'failed' && item.lastError ? item.lastError : t(statusInfo.labelKey);
+        return (
+          <TouchableOpacity
+            key={item.id}
+            style={styles.recentSearchItem}
+            onPress={() => handleItemPress(item)}
+            activeOpacity={item.status === 'resolved' ? 0.7 : 1}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: item.status !== 'resolved', busy: item.status === 'retrying' }}
+            {...getRowAccessibilityActions(item.status !== 'retrying' ? [{ name: 'remove', label: t('common.remove'), onPress: () => removeQueueItem(item.id) }] : [])}
+          >
+            <View style={styles.pendingLookupStatusIcon}>
+              {statusInfo.icon
+                ? <MaterialIcons name={statusInfo.icon} size={20} color={COLORS[statusInfo.colorKey]} />
+                : <ActivityIndicator size="small" color={COLORS[statusInfo.colorKey]} />}
+            </View>
+            <View style={styles.listItemContent}>
+              <Text style={styles.recentSearchText} numberOfLines={1}>
+                {item.params.word}
+                <Text style={styles.recentSearchMeta}> ({t('common.lengthShort', { length: item.params.length })}{item.params.lang ? `, ${item.params.lang}` : ''})</Text>
+              </Text>
+              <Text style={[styles.historyMetaTextSmall, { color: COLORS[statusInfo.colorKey] }]} numberOfLines={2}>{detail}</Text>
+            </View>
+            {item.status !== 'retrying' && (
+              <TouchableOpacity onPress={() => removeQueueItem(item.id)} style={styles.removeButton} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.removeItem', { word: item.params.word })}>
+                <MaterialIcons name="close" size={20} color={COLORS.textSecondary} />
+              </TouchableOpacity>
+            )}
+          </TouchableOpacity>
+        );
+      })}
+      <View style={styles.pendingLookupsActions}>
+        {hasResolved && (
+          <TouchableOpacity onPress={clearResolvedLookups} style={styles.clearButton} activeOpacity={0.7} accessibilityRole="button">
+            <Text style={styles.pendingLookupsActionText}>{t('offline.clearCompleted')}</Text>
+          </TouchableOpacity>
+        )}
+        {isOnline && hasRetryable && (
+          <TouchableOpacity onPress={() => processOfflineQueue({ includeFailed: true })} style={styles.clearButton} activeOpacity={0.7} accessibilityRole="button">
+            <MaterialIcons name="refresh" size={18} color={COLORS.primary} />
+            <Text style={styles.pendingLookupsActionText}>{t('offline.retryNow')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+});
+
+const BATCH_ITEM_STATUS = {
+  pending: { icon: 'schedule', labelKey: 'batch.status.pending', colorKey: 'textSecondary' },
+  running: { icon: null, labelKey: 'batch.status.running', colorKey: 'info' },
+  done: { icon: 'check-circle', labelKey: 'batch.status.done', colorKey: 'success' },
+  queued: { icon: 'cloud-queue', labelKey: 'batch.status.queued', colorKey: 'info' },
+  failed: { icon: 'error-outline', labelKey: 'batch.status.failed', colorKey: 'error' },
+  cancelled: { icon: 'block', labelKey: 'batch.status.cancelled', colorKey: 'textSecondary' },
+};
+
+// Per-word progress for a batch lookup, with bulk actions once words are defined
+const BatchResultsCard = React.memo(() => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const {
+    batchJob, cancelBatchDefine, retryBatchFailures, clearBatch, addBatchToFavorites, addBatchToQuiz, openCachedDefinition,
+  } = useContext(AppContext);
+  if (!batchJob) return null;
+
+  const { items, running } = batchJob;
+  const finishedCount = items.filter(item => item.status !== 'pending' && item.status !== 'running').length;
+  const doneCount = items.filter(item => item.status === 'done').length;
+  const hasRetryable = items.some(item => item.status === 'failed' || item.status === 'cancelled');
+
+  const handleItemPress = (item) => {
+    if (item.status === 'done') openCachedDefinition(item.cacheKey);
+  };
+
+  return (
+    <View style={[styles.card, styles.pendingLookupsCard]}>
+      <View style={styles.listHeader}>
+        <Text style={[styles.cardTitle, styles.pendingLookupsTitle]} accessibilityRole="header">{t('batch.title', { finished: finishedCount, total: items.length })}</Text>
+        {running ? (
+          <TouchableOpacity onPress={cancelBatchDefine} style={styles.clearButton} activeOpacity={0.7} accessibilityRole="button">
+            <MaterialIcons name="stop" size={18} color={COLORS.error} />
+            <Text style={[styles.pendingLookupsActionText, styles.batchCancelText]}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity onPress={clearBatch} style={styles.clearButton} activeOpacity={0.7} accessibilityRole="button" accessibilityLabel={t('a11y.close')}>
+            <MaterialIcons name="close" size={18} color={COLORS.textSecondary} />
+          </TouchableOpacity>
+        )}
+      </View>
+      <View
+        style={styles.batchProgressTrack}
+        accessible={true}
+        accessibilityRole="progressbar"
+        accessibilityLabel={t('a11y.batchProgress')}
+        accessibilityValue={{ min: 0, max: items.length, now: finishedCount }}
+        accessibilityLiveRegion="polite"
+      >
+        <View style={[styles.batchProgressFill, { width: `${(finishedCount / items.length) * 100}%` }]} />
+      </View>
+      {items.map((item, index) => {
+        const statusInfo = BATCH_ITEM_STATUS[item.status] || BATCH_ITEM_STATUS.pending;
+        const detail = item.status === 'failed' && item.error
+          ? item.error
+          : item.status === 'done' && item.cacheHit ? t('batch.status.doneFromCache') : t(statusInfo.labelKey);
+        return (
+          <TouchableOpacity
+            key={`${index}-${item.word}`}
+            style={styles.recentSearchItem}
+            onPress={() => handleItemPress(item)}
+            activeOpacity={item.status === 'done' ? 0.7 : 1}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: item.status !== 'done', busy: item.status === 'running' }}
+          >
+            <View style={styles.pendingLookupStatusIcon}>
+              {statusInfo.icon
+                ? <MaterialIcons name={statusInfo.icon} size={20} color={COLORS[statusInfo.colorKey]} />
+                : <ActivityIndicator size="small" color={COLORS[statusInfo.colorKey]} />}
+            </View>
+            <View style={styles.listItemContent}>
+              <Text style={styles.recentSearchText} numberOfLines={1}>{item.word}</Text>
+              <Text style={[styles.historyMetaTextSmall, { color: COLORS[statusInfo.colorKey] }]} numberOfLines={2}>{detail}</Text>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+      {!running && (
+        <View style={[styles.pendingLookupsActions, styles.batchActions]}>
+          {hasRetryable && (
+            <TouchableOpacity onPress={retryBatchFailures} style={styles.clearButton} activeOpacity={0.7} accessibilityRole="button">
+              <MaterialIcons name="refresh" size={18} color={COLORS.primary} />
+              <Text style={styles.pendingLookupsActionText}>{t('batch.retryFailed')}</Text>
+            </TouchableOpacity>
+          )}
+          {doneCount > 0 && (
+            <>
+              <TouchableOpacity onPress={addBatchToFavorites} style={styles.clearButton} activeOpacity={0.7} accessibilityRole="button">
+                <MaterialIcons name="bookmark-border" size={18} color={COLORS.primary} />
+                <Text style={styles.pendingLookupsActionText}>{t('batch.allToFavorites')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={addBatchToQuiz} style={styles.clearButton} activeOpacity={0.7} accessibilityRole="button">
+                <MaterialIcons name="school" size={18} color={COLORS.quizAccent} />
+                <Text style={[styles.pendingLookupsActionText, styles.batchQuizText]}>{t('batch.allToQuiz')}</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      )}
+    </View>
+  );
+});
+
+// Also used as a generic single-choice chip row (e.g. cache limits in Settings) via `label`
+// `sortOrder` may also be an array, in which case every listed value is shown as selected (multi-select chips)
+const ListSorter = React.memo(({ sortOrder, setSortOrder, options, label }) => {
+  const { styles } = useTheme();
+  const t = useTranslation();
   if (!options || options.length === 0) return null; // Don't render if no options
+  const isMultiSelect = Array.isArray(sortOrder);
+  const isSelected = (value) => (isMultiSelect ? sortOrder.includes(value) : sortOrder === value);
 
   return (
     <View style={styles.sorterContainer}>
-      <Text style={styles.sorterLabel}>Sort by:</Text>
-      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.sorterOptionsContainer}>
+      <Text style={styles.sorterLabel}>{label ?? t('common.sortBy')}</Text>
+      {/* Screen readers present the chips as radio buttons, or checkboxes when several can be chosen */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.sorterOptionsContainer}
+        accessibilityRole={isMultiSelect ? undefined : 'radiogroup'}
+      >
         {options.map(option => (
           <TouchableOpacity
-            key={option.value}
+            key={String(option.value)}
             style={[
               styles.sorterButton,
-              sortOrder === option.value && styles.sorterButtonActive
+              isSelected(option.value) && styles.sorterButtonActive
             ]}
             onPress={() => setSortOrder(option.value)}
             activeOpacity={0.7}
+            accessibilityRole={isMultiSelect ? 'checkbox' : 'radio'}
+            accessibilityState={{ checked: isSelected(option.value) }}
           >
             <Text style={[
               styles.sorterButtonText,
-              sortOrder === option.value && styles.sorterButtonTextActive
+              isSelected(option.value) && styles.sorterButtonTextActive
             ]}>
               {option.label}
             </Text>
@@ -1300,12 +3402,35 @@ const ListSorter = React.memo(({ sortOrder, setSortOrder, options }) => {
 
 // --- Screen Components ---
 
-function DefineScreen({ navigation }) { // navigation prop is implicitly passed by React Navigation
+function DefineScreen({ navigation, route }) { // navigation prop is implicitly passed by React Navigation
+  const { styles } = useTheme();
   const {
-    isLoading, error, definitionResult, clearSearch, handleDefine, word,
-    sortedHistory, isInitialDataLoaded, setWord, setLength, setTone, setContextValue, setLang
+    isLoading, error, definitionResult, clearSearch, handleDefine, cancelDefine, word,
+    sortedHistory, isInitialDataLoaded, setWord, setLength, setTone, setContextValue, setLang, setShowOptionalFilters
   } = useContext(AppContext);
 
+  // Deep links (vocabmaster://define?word=...) arrive as route params: prefill the form and run the lookup once.
+  // The params are cleared afterwards so re-renders or returning to the tab don't repeat it.
+  const linkParams = route?.params;
+  useEffect(() => {
+    if (!isInitialDataLoaded || !linkParams?.word) return;
+    const linkedRequest = {
+      word: String(linkParams.word).trim(),
+      length: linkParams.length ? String(linkParams.length) : DEEP_LINK_DEFAULT_LENGTH,
+      tone: linkParams.tone ? String(linkParams.tone) : '',
+      context: linkParams.context ? String(linkParams.context) : '',
+      lang: linkParams.lang ? String(linkParams.lang) : '',
+    };
+    setWord(linkedRequest.word);
+    setLength(linkedRequest.length);
+    setTone(linkedRequest.tone);
+    setContextValue(linkedRequest.context);
+    setLang(linkedRequest.lang);
+    setShowOptionalFilters(!!(linkedRequest.tone || linkedRequest.context || linkedRequest.lang));
+    handleDefine(linkedRequest);
+    navigation.setParams({ word: undefined, length: undefined, tone: undefined, context: undefined, lang: undefined });
+  }, [isInitialDataLoaded, linkParams, setWord, setLength, setTone, setContextValue, setLang, setShowOptionalFilters, handleDefine, navigation]);
+
   // Determine visibility based on state
   const showLoading = isLoading;
   const showError = !isLoading && error;
@@ -1342,7 +3467,7 @@ function DefineScreen({ navigation }) { // navigation prop is implicitly passed
       // Add scroll-to-top functionality? (Requires ref)
       >
         {/* Conditional Rendering Logic */}
-        {showLoading && <LoadingIndicator />}
+        {showLoading && <LoadingIndicator onCancel={cancelDefine} />}
 
         {showError && <ErrorCard message={error} onRetry={clearSearch} />}
 
@@ -1351,12 +3476,16 @@ function DefineScreen({ navigation }) { // navigation prop is implicitly passed
         {/* Container for Form/WOTD/Recents - shown when no result/error/loading */}
         {showFormArea && (
           <>
+            {/* Lookups queued while offline */}
+            <PendingLookupsCard />
             {/* Show Recents first if available and search is empty */}
             {showRecentSearches && <RecentSearchesContainer />}
             {/* Show Word of the Day */}
             <DailyWordCard onDefinePress={handleDefineWOTD} />
             {/* Show the Search Form */}
             <SearchForm />
+            {/* Progress and results of a word list lookup */}
+            <BatchResultsCard />
             {/* Recent searches could also be placed below the form */}
           </>
         )}
@@ -1366,43 +3495,100 @@ function DefineScreen({ navigation }) { // navigation prop is implicitly passed
 };
 
 
+// Header action that exports a word list (favorites or quiz words) as CSV or an Anki deck
+const ExportListButton = React.memo(({ source }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { exportWordList } = useContext(AppContext);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const runExport = useCallback(async (format) => {
+    setIsExporting(true);
+    await exportWordList(source, format); // Reports its own errors via toast
+    setIsExporting(false);
+  }, [exportWordList, source]);
+
+  const handlePress = useCallback(() => {
+    Alert.alert(
+      t('export.title'),
+      t('export.message'),
+      [
+        { text: t('common.cancel'), style: "cancel" },
+        { text: t('export.format.csv'), onPress: () => runExport('csv') },
+        { text: t('export.format.anki'), onPress: () => runExport('anki') },
+      ]
+    );
+  }, [runExport, t]);
+
+  return (
+    <TouchableOpacity onPress={handlePress} style={styles.clearButton} disabled={isExporting} activeOpacity={0.7} accessibilityRole="button" accessibilityState={{ busy: isExporting, disabled: isExporting }}>
+      {isExporting
+        ? <ActivityIndicator size="small" color={COLORS.primary} />
+        : <MaterialIcons name="file-download" size={22} color={COLORS.primary} />}
+      <Text style={[styles.clearButtonText, styles.exportButtonText]}>{t('export.button')}</Text>
+    </TouchableOpacity>
+  );
+});
+
 function FavoritesScreen({ navigation }) {
+  const { styles } = useTheme();
+  const t = useTranslation();
   const {
     sortedFavorites, removeFavorite, handleDefine, // Use handleDefine directly
     isInitialDataLoaded, favSortOrder, setFavSortOrder, showToast
   } = useContext(AppContext);
+  const [collectionFilter, setCollectionFilter] = useState(null); // null shows every favorite
+  const [tagFilter, setTagFilter] = useState(null);
 
   // Define sorting options
   const sortOptions = useMemo(() => [
-    { label: 'Newest', value: 'newest' },
-    { label: 'Oldest', value: 'oldest' },
-    { label: 'A-Z', value: 'a-z' },
-    { label: 'Z-A', value: 'z-a' }
-  ], []);
+    { label: t('sort.newest'), value: 'newest' },
+    { label: t('sort.oldest'), value: 'oldest' },
+    { label: t('sort.az'), value: 'a-z' },
+    { label: t('sort.za'), value: 'z-a' }
+  ], [t]);
+
+  // Collection and tag chips list only the names in use
+  const facets = useMemo(() => getFavoriteFacets(sortedFavorites), [sortedFavorites]);
+  const collectionOptions = useMemo(
+    () => [{ label: t('common.all'), value: null }, ...facets.collections.map(({ name, count }) => ({ label: `${name} (${count})`, value: name }))],
+    [facets, t]
+  );
+  const tagOptions = useMemo(
+    () => [{ label: t('common.all'), value: null }, ...facets.tags.map(({ name }) => ({ label: `#${name}`, value: name }))],
+    [facets, t]
+  );
+  // A filter whose last favorite was removed or renamed away switches itself off
+  useEffect(() => {
+    if (collectionFilter && !facets.collections.some(({ name }) => name.toLowerCase() === collectionFilter.toLowerCase())) setCollectionFilter(null);
+    if (tagFilter && !facets.tags.some(({ name }) => name === tagFilter)) setTagFilter(null);
+  }, [facets, collectionFilter, tagFilter]);
+  const filteredFavorites = useMemo(
+    () => filterFavorites(sortedFavorites, { collection: collectionFilter, tag: tagFilter }),
+    [sortedFavorites, collectionFilter, tagFilter]
+  );
 
-  // Handler for pressing a favorite item
+  // Handler for pressing a favorite item: reopens it with the parameters it was bookmarked with
   const handleFavoritePress = useCallback((item) => {
     if (!item || !item.word) return;
-    // Directly trigger define with the favorited word and default parameters
-    // If history lookup is needed for specific params, that's more complex
-    showToast(`Defining "${item.word}"...`, 'info'); // Give feedback
-    handleDefine({ word: item.word, length: 30 }); // Use default length/params
+    showToast(t('common.defining', { word: item.word }), 'info'); // Give feedback
+    handleDefine(getFavoriteLookupParams(item));
     // Navigate back to Define tab after triggering definition
     navigation.navigate('Define');
-  }, [handleDefine, navigation, showToast]); // Dependencies
+  }, [handleDefine, navigation, showToast, t]); // Dependencies
 
   // Handler for removing a favorite
   const handleRemoveFavorite = useCallback((wordToRemove) => {
     // Optional: Confirmation Alert
     Alert.alert(
-      "Remove Favorite",
-      `Are you sure you want to remove "${wordToRemove}" from your favorites?`,
+      t('favorites.removeTitle'),
+      t('favorites.removeConfirm', { word: wordToRemove }),
       [
-        { text: "Cancel", style: "cancel" },
-        { text: "Remove", onPress: () => removeFavorite(wordToRemove), style: "destructive" }
+        { text: t('common.cancel'), style: "cancel" },
+        { text: t('common.remove'), onPress: () => removeFavorite(wordToRemove), style: "destructive" }
       ]
     );
-  }, [removeFavorite]);
+  }, [removeFavorite, t]);
 
   // Render item function for FlatList
   const renderFavoriteItem = useCallback(({ item }) => (
@@ -1410,36 +3596,53 @@ function FavoritesScreen({ navigation }) {
       item={item}
       onPress={() => handleFavoritePress(item)}
       onRemove={() => handleRemoveFavorite(item.word)}
+      onEdit={() => navigation.navigate('FavoriteDetails', { word: item.word })}
       type="favorite"
     />
-  ), [handleFavoritePress, handleRemoveFavorite]);
+  ), [handleFavoritePress, handleRemoveFavorite, navigation]);
 
   if (!isInitialDataLoaded) {
     return <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}><LoadingIndicator /></SafeAreaView>;
   }
 
+  const isFiltered = !!(collectionFilter || tagFilter);
+
   return (
     <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
       <View style={styles.screenContainer}>
         {sortedFavorites.length === 0 ? (
           <EmptyState
             icon="favorite-border"
-            title="No Favorites Yet"
-            message="Use the bookmark icon on a definition result to save words here."
-            buttonText="Define a Word"
+            title={t('favorites.emptyTitle')}
+            message={t('favorites.emptyMessage')}
+            buttonText={t('define.title')}
             onButtonPress={() => navigation.navigate('Define')}
           />
         ) : (
           <>
-            <Text style={styles.listScreenTitle}>My Favorites ({sortedFavorites.length})</Text>
+            <View style={styles.listHeader}>
+              <Text style={styles.listScreenTitle} accessibilityRole="header">
+                {isFiltered
+                  ? t('favorites.titleFiltered', { shown: filteredFavorites.length, total: sortedFavorites.length })
+                  : t('favorites.title', { total: sortedFavorites.length })}
+              </Text>
+              <ExportListButton source="favorites" />
+            </View>
             <ListSorter sortOrder={favSortOrder} setSortOrder={setFavSortOrder} options={sortOptions} />
+            {facets.collections.length > 0 && (
+              <ListSorter label={t('favorites.collectionLabel')} sortOrder={collectionFilter} setSortOrder={setCollectionFilter} options={collectionOptions} />
+            )}
+            {facets.tags.length > 0 && (
+              <ListSorter label={t('favorites.tagLabel')} sortOrder={tagFilter} setSortOrder={setTagFilter} options={tagOptions} />
+            )}
             <FlatList
-              data={sortedFavorites}
+              data={filteredFavorites}
               renderItem={renderFavoriteItem}
               keyExtractor={(item) => item.word + (item.timestamp || '')} // Combine word and timestamp for key
               style={styles.listStyle}
               contentContainerStyle={styles.listContentContainer}
               showsVerticalScrollIndicator={false}
+              ListEmptyComponent={<Text style={styles.historyFooterText}>{t('favorites.noneFiltered')}</Text>}
             />
           </>
         )}
@@ -1449,86 +3652,366 @@ function FavoritesScreen({ navigation }) {
 };
 
 
-function HistoryScreen({ navigation }) {
-  const {
-    sortedHistory, clearHistory, handleDefine, // Use handleDefine directly
-    isInitialDataLoaded, histSortOrder, setHistSortOrder, showToast
-  } = useContext(AppContext);
-
-  // Define sorting options
-  const sortOptions = useMemo(() => [
-    { label: 'Newest', value: 'newest' },
-    { label: 'Oldest', value: 'oldest' },
-    { label: 'A-Z', value: 'a-z' },
-    { label: 'Z-A', value: 'z-a' }
-  ], []);
-
-  // Handler for pressing a history item
-  const handleHistoryPress = useCallback((item) => {
-    if (!item || !item.word) return;
-    showToast(`Defining "${item.word}"...`, 'info'); // Give feedback
-    // Directly trigger define with the parameters stored in the history item
-    handleDefine({
-      word: item.word,
-      length: item.length || 30, // Use stored length or default
-      tone: item.tone,          // Use stored tone or undefined
-      context: item.context,      // Use stored context or undefined
-      lang: item.lang           // Use stored lang or undefined
+// Collections, tags, note and saved parameters of one favorite, opened from the Favorites list
+function FavoriteDetailsScreen({ navigation, route }) {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { favorites, updateFavorite, handleDefine, showToast } = useContext(AppContext);
+  const word = String(route?.params?.word || '');
+  const favorite = useMemo(() => favorites.find(fav => fav.word.toLowerCase() === word.toLowerCase()) || null, [favorites, word]);
+  const [collections, setCollections] = useState(() => favorite?.collections || []);
+  const [newCollection, setNewCollection] = useState('');
+  const [tagsText, setTagsText] = useState(() => (favorite?.tags || []).join(', '));
+  const [note, setNote] = useState(() => favorite?.note || '');
+
+  // Every collection in use plus any created here but not saved yet
+  const collectionOptions = useMemo(() => {
+    const names = getFavoriteFacets(favorites).collections.map(({ name }) => name);
+    collections.forEach(name => {
+      if (!names.some(existing => existing.toLowerCase() === name.toLowerCase())) names.push(name);
     });
-    // Navigate back to Define tab after triggering definition
-    navigation.navigate('Define');
-  }, [handleDefine, navigation, showToast]); // Dependencies
+    return names.map(name => ({ label: name, value: name }));
+  }, [favorites, collections]);
+  const toggleCollection = useCallback((name) => {
+    setCollections(prev => (prev.includes(name) ? prev.filter(existing => existing !== name) : [...prev, name]));
+  }, []);
+  const addCollection = useCallback(() => {
+    const name = newCollection.trim().replace(/\s+/g, ' ');
+    if (!name) return;
+    const existing = collectionOptions.find(option => option.value.toLowerCase() === name.toLowerCase())?.value;
+    setCollections(prev => (prev.includes(existing || name) ? prev : [...prev, existing || name])); // Reuse the existing spelling
+    setNewCollection('');
+  }, [newCollection, collectionOptions]);
+
+  const handleSave = useCallback(() => {
+    updateFavorite(word, { collections, tags: parseTags(tagsText), note: note.trim() });
+    showToast(t('favorites.saved', { word }), 'success');
+    navigation.goBack();
+  }, [word, collections, tagsText, note, updateFavorite, showToast, navigation, t]);
+
+  const handleOpen = useCallback(() => {
+    handleDefine(getFavoriteLookupParams(favorite));
+    navigation.popTo('AppTabs', { screen: 'Define' });
+  }, [favorite, handleDefine, navigation]);
+
+  if (!favorite) {
+    return (
+      <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+        <EmptyState icon="favorite-border" title={t('favorites.notFoundTitle')} message={t('favorites.notFoundMessage', { word })} buttonText={t('common.back')} onButtonPress={() => navigation.goBack()} />
+      </SafeAreaView>
+    );
+  }
 
-  // Render item function for FlatList
-  // Pass null for onRemove as history items aren't individually removable here
-  const renderHistoryItem = useCallback(({ item }) => (
-    <WordListItem
-      item={item}
-      onPress={() => handleHistoryPress(item)}
-      onRemove={null}
-      type="history"
-    />
-  ), [handleHistoryPress]);
+  const { params } = favorite;
+  return (
+    <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+      <ScrollView
+        style={styles.screenScroll}
+        contentContainerStyle={styles.screenContentContainer}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <Text style={styles.listScreenTitle} accessibilityRole="header">{favorite.word}</Text>
+        <View style={styles.card}>
+          <Text style={styles.cardTitle} accessibilityRole="header">{t('favorites.details.savedSettings')}</Text>
+          <View style={styles.chipContainer}>
+            <InfoChip icon="straighten" label={t('result.chip.length')} value={t('common.wordCount', { count: Number(params?.length ?? FAVORITE_DEFAULT_LENGTH) })} />
+            <InfoChip icon="record-voice-over" label={t('result.chip.tone')} value={params?.tone} />
+            <InfoChip icon="category" label={t('result.chip.context')} value={params?.context} />
+            <InfoChip icon="language" label={t('result.chip.lang')} value={params?.lang} />
+          </View>
+          {!params && <Text style={styles.historyMetaTextSmall}>{t('favorites.details.noSavedSettings')}</Text>}
+          <TouchableOpacity style={styles.toggleButton} onPress={handleOpen} activeOpacity={0.7} accessibilityRole="button">
+            <MaterialIcons name="search" size={20} color={COLORS.primary} />
+            <Text style={styles.toggleButtonText}>{t('favorites.details.defineWithSettings')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle} accessibilityRole="header">{t('favorites.details.collections')}</Text>
+          {collectionOptions.length > 0 && (
+            <ListSorter label={t('favorites.details.inLabel')} sortOrder={collections} setSortOrder={toggleCollection} options={collectionOptions} />
+          )}
+          <View style={styles.favoriteCollectionRow}>
+            <TextInput
+              style={[styles.input, styles.favoriteCollectionInput]}
+              placeholder={t('favorites.details.newCollectionPlaceholder')}
+              accessibilityLabel={t('a11y.newCollection')}
+              value={newCollection}
+              onChangeText={setNewCollection}
+              onSubmitEditing={addCollection}
+              returnKeyType="done"
+              placeholderTextColor={COLORS.textSecondary}
+            />
+            <TouchableOpacity style={styles.clearButton} onPress={addCollection} disabled={!newCollection.trim()} activeOpacity={0.7} accessibilityRole="button" accessibilityLabel={t('a11y.addCollection')} accessibilityState={{ disabled: !newCollection.trim() }}>
+              <MaterialIcons name="create-new-folder" size={20} color={newCollection.trim() ? COLORS.primary : COLORS.textDisabled} />
+              <Text style={styles.pendingLookupsActionText}>{t('common.add')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>{t('favorites.details.tags')}</Text>
+            <TextInput
+              style={styles.input}
+              placeholder={t('favorites.details.tagsPlaceholder')}
+              accessibilityLabel={t('favorites.details.tags')}
+              value={tagsText}
+              onChangeText={setTagsText}
+              autoCapitalize="none"
+              autoCorrect={false}
+              placeholderTextColor={COLORS.textSecondary}
+            />
+          </View>
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>{t('favorites.details.notes')}</Text>
+            <TextInput
+              style={[styles.input, styles.batchInput]}
+              placeholder={t('favorites.details.notesPlaceholder')}
+              accessibilityLabel={t('favorites.details.notes')}
+              value={note}
+              onChangeText={setNote}
+              multiline
+              textAlignVertical="top"
+              maxLength={FAVORITE_NOTE_MAX_LENGTH}
+              placeholderTextColor={COLORS.textSecondary}
+            />
+          </View>
+        </View>
+
+        <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={handleSave} activeOpacity={0.8} accessibilityRole="button">
+          <LinearGradient colors={[COLORS.primaryLight, COLORS.primary]} style={styles.buttonGradient} start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }}>
+            <Text style={styles.buttonText}>{t('common.save')}</Text>
+          </LinearGradient>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+
+const SWIPE_ACTION_WIDTH = 88; // Width of the revealed Delete button
+
+// Swipe left (right in right-to-left layouts, where Delete sits on the left) to reveal Delete; swiping past half
+// the screen deletes straight away. PanResponder keeps this free of a gesture library, and only clearly
+// horizontal drags are claimed so the list still scrolls.
+const SwipeToDeleteRow = React.memo(({ children, onDelete }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const translateX = useRef(new Animated.Value(0)).current;
+  const offsetRef = useRef(0); // 0 (closed) or ±SWIPE_ACTION_WIDTH (open)
+  const onDeleteRef = useRef(onDelete);
+  onDeleteRef.current = onDelete;
+
+  const panResponder = useMemo(() => {
+    const direction = I18nManager.isRTL ? 1 : -1; // The way the row moves to open
+    const settle = (toValue) => {
+      offsetRef.current = toValue;
+      Animated.spring(translateX, { toValue, useNativeDriver: true, bounciness: 0 }).start();
+    };
+    return PanResponder.create({
+      onMoveShouldSetPanResponder: (_, gesture) => Math.abs(gesture.dx) > 10 && Math.abs(gesture.dx) > Math.abs(gesture.dy) * 1.5,
+      onPanResponderMove: (_, gesture) => translateX.setValue(direction * Math.max(0, direction * (offsetRef.current + gesture.dx))),
+      onPanResponderRelease: (_, gesture) => {
+        const distance = direction * (offsetRef.current + gesture.dx); // How far open
+        const screenWidth = Dimensions.get('window').width;
+        if (distance > screenWidth / 2) {
+          Animated.timing(translateX, { toValue: direction * screenWidth, duration: 180, useNativeDriver: true }).start(() => onDeleteRef.current());
+          return;
+        }
+        settle(distance > SWIPE_ACTION_WIDTH / 2 ? direction * SWIPE_ACTION_WIDTH : 0);
+      },
+      onPanResponderTerminate: () => settle(offsetRef.current),
+    });
+  }, [translateX]);
+
+  return (
+    <View style={styles.swipeRow}>
+      {/* Hidden from screen readers, which get Remove as an action on the row instead of the swipe */}
+      <TouchableOpacity
+        style={styles.swipeDeleteAction}
+        onPress={() => onDeleteRef.current()}
+        activeOpacity={0.7}
+        accessibilityElementsHidden={true}
+        importantForAccessibility="no-hide-descendants"
+      >
+        <MaterialIcons name="delete" size={22} color={COLORS.onPrimary} />
+        <Text style={styles.swipeDeleteText}>{t('common.delete')}</Text>
+      </TouchableOpacity>
+      <Animated.View style={{ transform: [{ translateX }] }} {...panResponder.panHandlers}>
+        {children}
+      </Animated.View>
+    </View>
+  );
+});
+
+const HISTORY_FILTER_LABEL_KEYS = { lang: 'history.filter.lang', tone: 'history.filter.tone', context: 'history.filter.context' };
+const HISTORY_DAY_GROUP_KEYS = {
+  today: 'history.section.today', yesterday: 'history.section.yesterday',
+  'this-week': 'history.section.thisWeek', 'last-week': 'history.section.lastWeek',
+};
+// Heading for a groupHistory section: a relative day, a month in the app language's format, or a letter
+const describeHistorySection = ({ key, type }, t) => {
+  if (type !== 'day') return key;
+  if (HISTORY_DAY_GROUP_KEYS[key]) return t(HISTORY_DAY_GROUP_KEYS[key]);
+  const [year, month] = key.split('-').map(Number);
+  return formatDate(t.language, new Date(year, month - 1, 1), { month: 'long', year: 'numeric' });
+};
+
+function HistoryScreen({ navigation }) {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const {
+    sortedHistory, clearHistory, handleDefine, // Use handleDefine directly
+    isInitialDataLoaded, histSortOrder, setHistSortOrder, showToast, removeHistoryEntry, historySettings
+  } = useContext(AppContext);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ lang: null, tone: null, context: null });
+  const [visibleCount, setVisibleCount] = useState(HISTORY_PAGE_SIZE);
+
+  // Define sorting options
+  const sortOptions = useMemo(() => [
+    { label: t('sort.newest'), value: 'newest' },
+    { label: t('sort.oldest'), value: 'oldest' },
+    { label: t('sort.az'), value: 'a-z' },
+    { label: t('sort.za'), value: 'z-a' }
+  ], [t]);
+
+  // Filter chips list the values actually present in history; fields nobody used aren't shown
+  const facets = useMemo(() => getHistoryFacets(sortedHistory), [sortedHistory]);
+  const filterOptions = useMemo(() => Object.fromEntries(HISTORY_FILTER_FIELDS.map(field => [
+    field,
+    [{ label: t('common.all'), value: null }, ...facets[field].map(value => ({ label: value, value }))],
+  ])), [facets, t]);
+  const setFilter = useCallback((field, value) => setFilters(prev => ({ ...prev, [field]: value })), []);
+
+  const filteredHistory = useMemo(() => filterHistory(sortedHistory, { query, ...filters }), [sortedHistory, query, filters]);
+  // Paging: sections are built from the entries loaded so far
+  const sections = useMemo(
+    () => groupHistory(filteredHistory.slice(0, visibleCount), histSortOrder),
+    [filteredHistory, visibleCount, histSortOrder]
+  );
+  const hasMore = visibleCount < filteredHistory.length;
+  useEffect(() => { setVisibleCount(HISTORY_PAGE_SIZE); }, [query, filters, histSortOrder]); // New results start at page one
+  const loadMore = useCallback(() => {
+    if (hasMore) setVisibleCount(prev => prev + HISTORY_PAGE_SIZE);
+  }, [hasMore]);
+
+  // Handler for pressing a history item
+  const handleHistoryPress = useCallback((item) => {
+    if (!item || !item.word) return;
+    showToast(t('common.defining', { word: item.word }), 'info'); // Give feedback
+    // Directly trigger define with the parameters stored in the history item
+    handleDefine({
+      word: item.word,
+      length: item.length || 30, // Use stored length or default
+      tone: item.tone,          // Use stored tone or undefined
+      context: item.context,      // Use stored context or undefined
+      lang: item.lang           // Use stored lang or undefined
+    });
+    // Navigate back to Define tab after triggering definition
+    navigation.navigate('Define');
+  }, [handleDefine, navigation, showToast, t]); // Dependencies
+
+  // Render item function for SectionList; swiping an entry left deletes it
+  const renderHistoryItem = useCallback(({ item }) => (
+    <SwipeToDeleteRow onDelete={() => removeHistoryEntry(getHistoryEntryId(item))}>
+      <WordListItem
+        item={item}
+        onPress={() => handleHistoryPress(item)}
+        onRemove={() => removeHistoryEntry(getHistoryEntryId(item))}
+        type="history"
+      />
+    </SwipeToDeleteRow>
+  ), [handleHistoryPress, removeHistoryEntry]);
+
+  const renderSectionHeader = useCallback(({ section }) => (
+    <Text style={styles.historySectionHeader} accessibilityRole="header">{describeHistorySection(section, t)}</Text>
+  ), [styles, t]);
 
   if (!isInitialDataLoaded) {
     return <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}><LoadingIndicator /></SafeAreaView>;
   }
 
+  const isFiltered = query.trim() !== '' || Object.values(filters).some(Boolean);
+
   return (
     <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
       <View style={styles.screenContainer}>
         {sortedHistory.length === 0 ? (
           <EmptyState
             icon="history"
-            title="No Search History"
-            message="Words you define will appear here for quick access to their definitions and parameters."
-            buttonText="Define a Word"
+            title={t('history.emptyTitle')}
+            message={t('history.emptyMessage')}
+            buttonText={t('define.title')}
             onButtonPress={() => navigation.navigate('Define')}
           />
         ) : (
           <>
             {/* Header with Title and Clear Button */}
             <View style={styles.listHeader}>
-              <Text style={styles.listScreenTitle}>Search History ({sortedHistory.length})</Text>
+              <Text style={styles.listScreenTitle} accessibilityRole="header">
+                {isFiltered
+                  ? t('history.titleFiltered', { shown: filteredHistory.length, total: sortedHistory.length })
+                  : t('history.title', { total: sortedHistory.length })}
+              </Text>
               {/* Ensure clearHistory is only callable */}
               {typeof clearHistory === 'function' && (
-                <TouchableOpacity onPress={clearHistory} style={styles.clearButton} activeOpacity={0.7}>
+                <TouchableOpacity onPress={clearHistory} style={styles.clearButton} activeOpacity={0.7} accessibilityRole="button">
                   <MaterialIcons name="delete-sweep" size={22} color={COLORS.error} />
-                  <Text style={styles.clearButtonText}>Clear All</Text>
+                  <Text style={styles.clearButtonText}>{t('common.clearAll')}</Text>
                 </TouchableOpacity>
               )}
             </View>
-            {/* Sorter */}
+            {/* Search */}
+            <TextInput
+              style={[styles.input, styles.historySearchInput]}
+              placeholder={t('history.searchPlaceholder')}
+              accessibilityLabel={t('history.searchPlaceholder')}
+              value={query}
+              onChangeText={setQuery}
+              autoCapitalize="none"
+              autoCorrect={false}
+              clearButtonMode="while-editing"
+              placeholderTextColor={COLORS.textSecondary}
+            />
+            {/* Sorter and filters */}
             <ListSorter sortOrder={histSortOrder} setSortOrder={setHistSortOrder} options={sortOptions} />
+            {HISTORY_FILTER_FIELDS.filter(field => facets[field].length > 0).map(field => (
+              <ListSorter
+                key={field}
+                label={t(HISTORY_FILTER_LABEL_KEYS[field])}
+                sortOrder={filters[field]}
+                setSortOrder={value => setFilter(field, value)}
+                options={filterOptions[field]}
+              />
+            ))}
             {/* List */}
-            <FlatList
-              data={sortedHistory}
+            <SectionList
+              sections={sections}
               renderItem={renderHistoryItem}
-              // Use timestamp + word as key for better uniqueness in case of rapid searches
-              keyExtractor={(item, index) => `${item.timestamp || index}-${item.word}`}
+              renderSectionHeader={renderSectionHeader}
+              stickySectionHeadersEnabled={false}
+              keyExtractor={getHistoryEntryId}
+              onEndReached={loadMore}
+              onEndReachedThreshold={0.5}
               style={styles.listStyle}
               contentContainerStyle={styles.listContentContainer}
               showsVerticalScrollIndicator={false}
+              keyboardShouldPersistTaps="handled"
+              ListEmptyComponent={<Text style={styles.historyFooterText}>{t('history.noMatches')}</Text>}
+              ListFooterComponent={filteredHistory.length > 0 ? (
+                hasMore ? (
+                  <TouchableOpacity onPress={loadMore} style={styles.historyLoadMore} activeOpacity={0.7} accessibilityRole="button">
+                    <Text style={styles.pendingLookupsActionText}>{t('history.showMore', { count: filteredHistory.length - visibleCount })}</Text>
+                  </TouchableOpacity>
+                ) : (
+                  <Text style={styles.historyFooterText}>
+                    {t(I18nManager.isRTL ? 'history.footerRtl' : 'history.footer', { count: historySettings.maxItems })}
+                  </Text>
+                )
+              ) : null}
             />
           </>
         )}
@@ -1539,23 +4022,40 @@ function HistoryScreen({ navigation }) {
 
 
 function QuizScreen({ navigation }) {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
   const { quizList, removeFromQuiz, isInitialDataLoaded, showToast } = useContext(AppContext);
 
+  // Split into the review queue (most overdue first) and upcoming words (soonest first)
+  const { dueItems, upcomingItems } = useMemo(() => {
+    const now = Date.now();
+    const byDueDate = [...quizList].sort((a, b) => (a.dueAt ?? 0) - (b.dueAt ?? 0));
+    return {
+      dueItems: byDueDate.filter(item => isQuizItemDue(item, now)),
+      upcomingItems: byDueDate.filter(item => !isQuizItemDue(item, now)),
+    };
+  }, [quizList]);
+
+  const sections = useMemo(() => [
+    { title: t('quiz.section.due', { count: dueItems.length }), data: dueItems },
+    { title: t('quiz.section.upcoming', { count: upcomingItems.length }), data: upcomingItems },
+  ].filter(section => section.data.length > 0), [dueItems, upcomingItems, t]);
+
   // Handler for removing a quiz item
   const handleRemoveQuizItem = useCallback((idToRemove) => {
     // Optional: Add confirmation
     Alert.alert(
-      "Remove Quiz Word",
-      "Are you sure you want to remove this word from your quiz list?",
+      t('quiz.removeTitle'),
+      t('quiz.removeMessage'),
       [
-        { text: "Cancel", style: "cancel" },
-        { text: "Remove", onPress: () => removeFromQuiz(idToRemove), style: "destructive" }
+        { text: t('common.cancel'), style: "cancel" },
+        { text: t('common.remove'), onPress: () => removeFromQuiz(idToRemove), style: "destructive" }
       ]
     );
     // removeFromQuiz(idToRemove); // Call directly if no confirmation needed
-  }, [removeFromQuiz]);
+  }, [removeFromQuiz, t]);
 
-  // Render item function for FlatList
+  // Render item function for SectionList
   const renderQuizItem = useCallback(({ item }) => (
     <QuizItem
       item={item}
@@ -1563,88 +4063,1356 @@ function QuizScreen({ navigation }) {
     />
   ), [handleRemoveQuizItem]); // Dependency
 
-  // Handler for starting the quiz (placeholder)
+  // Handler for starting a quiz session: reviews the due queue, or offers free practice when nothing is due
   const handleStartQuiz = useCallback(() => {
-    if (quizList.length > 0) {
-      showToast("Quiz feature coming soon!", 'info');
-      // TODO: Navigate to the actual quiz gameplay screen
-      // navigation.navigate('QuizGame', { wordList: quizList });
+    if (quizList.length === 0) {
+      showToast(t('quiz.emptyToast'), 'info');
+      return;
+    }
+    // Pass a snapshot of the list so edits during the session don't reshuffle it
+    if (dueItems.length > 0) {
+      navigation.navigate('QuizGame', { wordList: dueItems, mode: 'review' });
     } else {
-      showToast("Add words to your list using the 'Quiz It' button before starting.", 'info');
+      navigation.navigate('QuizGame', { wordList: shuffleArray(quizList), mode: 'practice' });
     }
-  }, [quizList, showToast, navigation]); // Add navigation if used for QuizGame
+  }, [quizList, dueItems, showToast, navigation, t]);
+
+  if (!isInitialDataLoaded) {
+    return <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}><LoadingIndicator /></SafeAreaView>;
+  }
+
+  return (
+    <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+      <View style={styles.screenContainer}>
+        {quizList.length === 0 ? (
+          <EmptyState
+            icon="school" // MaterialIcons is default
+            title={t('quiz.emptyTitle')}
+            message={t('quiz.emptyMessage')}
+            buttonText={t('define.title')}
+            onButtonPress={() => navigation.navigate('Define')}
+          />
+        ) : (
+          <>
+            <View style={styles.listHeader}>
+              <Text style={styles.listScreenTitle} accessibilityRole="header">{t('quiz.title', { total: quizList.length })}</Text>
+              <ExportListButton source="quiz" />
+            </View>
+            {dueItems.length === 0 && (
+              <Text style={styles.quizCaughtUpText}>{t('quiz.caughtUp')}</Text>
+            )}
+            {/* Start Quiz Button */}
+            <TouchableOpacity
+              style={[
+                styles.button,
+                styles.buttonPrimary, // Use primary button style or a dedicated quiz style
+                styles.startQuizButton // Specific margins for this button
+              ]}
+              onPress={handleStartQuiz}
+              activeOpacity={0.8}
+              accessibilityRole="button"
+              // Set explicitly so the icon glyph inside the text isn't read out
+              accessibilityLabel={dueItems.length > 0 ? t('quiz.reviewDue', { count: dueItems.length }) : t('quiz.practiceAll', { count: quizList.length })}
+            >
+              <LinearGradient
+                // Use quiz accent or primary colors
+                colors={[COLORS.quizAccent, COLORS.primaryLight]}
+                style={styles.buttonGradient}
+                start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }}
+              >
+                <Text style={styles.buttonText}>
+                  <MaterialIcons name="play-circle-outline" size={20} color={COLORS.onPrimary} style={{ marginRight: 8 }} />
+                  {dueItems.length > 0 ? t('quiz.reviewDue', { count: dueItems.length }) : t('quiz.practiceAll', { count: quizList.length })}
+                </Text>
+              </LinearGradient>
+            </TouchableOpacity>
+            {/* Quiz Words grouped by review schedule */}
+            <SectionList
+              sections={sections}
+              renderItem={renderQuizItem}
+              renderSectionHeader={({ section }) => <Text style={styles.quizSectionHeader} accessibilityRole="header">{section.title}</Text>}
+              keyExtractor={item => item.id} // Use unique ID from context
+              stickySectionHeadersEnabled={false}
+              style={styles.listStyle}
+              contentContainerStyle={styles.listContentContainer}
+              showsVerticalScrollIndicator={false}
+            />
+          </>
+        )}
+      </View>
+    </SafeAreaView>
+  );
+};
+
+
+const QUIZ_ROUND_LABEL_KEYS = {
+  'multiple-choice': 'quiz.round.multipleChoice',
+  'type-word': 'quiz.round.typeWord',
+  'true-false': 'quiz.round.trueFalse',
+};
+
+function QuizGameScreen({ navigation, route }) {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { lookupDefinition, recordQuizReview, showToast } = useContext(AppContext);
+  const wordList = route?.params?.wordList || [];
+  // Review sessions feed answers into the SM-2 schedule; practice sessions (and replays) leave it untouched
+  const [isReviewSession, setIsReviewSession] = useState(route?.params?.mode === 'review');
+
+  const [phase, setPhase] = useState('loading'); // 'loading' | 'playing' | 'finished' | 'error'
+  const [loadProgress, setLoadProgress] = useState({ loaded: 0, total: 0 });
+  const [rounds, setRounds] = useState([]);
+  const [roundIndex, setRoundIndex] = useState(0);
+  const [answers, setAnswers] = useState([]); // One { given, isCorrect } per answered round
+  const [typedAnswer, setTypedAnswer] = useState('');
+  const [sessionKey, setSessionKey] = useState(0); // Bumped to start a fresh session ("Play Again")
+
+  // lookupDefinition changes identity whenever the cache index updates; read it through a ref
+  // so saving definitions mid-preparation doesn't restart the session.
+  const lookupRef = useRef(lookupDefinition);
+  lookupRef.current = lookupDefinition;
+
+  useEffect(() => {
+    let cancelled = false;
+    const controller = new AbortController(); // Stops pending lookups if the screen is left mid-preparation
+    const prepareSession = async () => {
+      // Callers pass words in priority order (most overdue first); only the round order is shuffled
+      const sessionWords = shuffleArray(wordList.slice(0, QUIZ_SESSION_MAX_ROUNDS));
+      setPhase('loading');
+      setRounds([]);
+      setRoundIndex(0);
+      setAnswers([]);
+      setTypedAnswer('');
+      setLoadProgress({ loaded: 0, total: sessionWords.length });
+
+      // Sequential lookups keep the backend load gentle; cached words resolve instantly anyway
+      const entries = [];
+      for (const item of sessionWords) {
+        try {
+          const data = await lookupRef.current(getQuizLookupParams(item), { signal: controller.signal });
+          if (data?.result) entries.push({ id: item.id, word: item.word, definition: String(data.result) });
+        } catch (e) {
+          if (e instanceof CancelledError) return;
+          console.warn(`Quiz: could not load definition for "${item.word}":`, e);
+          // The snapshot saved with the item still makes a usable round offline
+          if (item.definitionSnapshot?.result) {
+            entries.push({ id: item.id, word: item.word, definition: String(item.definitionSnapshot.result) });
+          }
+        }
+        if (cancelled) return;
+        setLoadProgress(prev => ({ ...prev, loaded: prev.loaded + 1 }));
+      }
+
+      if (entries.length === 0) {
+        setPhase('error');
+        return;
+      }
+      if (entries.length < sessionWords.length) {
+        showToast(t('quiz.game.skipped', { count: sessionWords.length - entries.length }), 'info');
+      }
+      setRounds(buildQuizRounds(entries));
+      setPhase('playing');
+    };
+    prepareSession();
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+    // wordList is a navigation snapshot; only sessionKey should restart preparation
+  }, [sessionKey]);
+
+  const currentRound = rounds[roundIndex];
+  const currentAnswer = answers[roundIndex]; // Undefined until the current round is answered
+  const score = useMemo(() => answers.filter(a => a.isCorrect).length, [answers]);
+  const isLastRound = roundIndex + 1 >= rounds.length;
+
+  const submitAnswer = useCallback((given) => {
+    if (!currentRound || currentAnswer) return;
+    const isCorrect = currentRound.type === 'type-word'
+      ? isTypedAnswerCorrect(given, currentRound.answer)
+      : given === currentRound.answer;
+    setAnswers(prev => [...prev, { given, isCorrect }]);
+    if (isReviewSession) {
+      const quality = !isCorrect
+        ? QUIZ_REVIEW_QUALITY.incorrect
+        : currentRound.type === 'type-word' ? QUIZ_REVIEW_QUALITY.recalled : QUIZ_REVIEW_QUALITY.recognised;
+      recordQuizReview(currentRound.id, quality);
+    }
+    Keyboard.dismiss();
+  }, [currentRound, currentAnswer, isReviewSession, recordQuizReview]);
+
+  const goToNextRound = useCallback(() => {
+    if (isLastRound) {
+      setPhase('finished');
+    } else {
+      setRoundIndex(prev => prev + 1);
+      setTypedAnswer('');
+    }
+  }, [isLastRound]);
+
+  // Option button styling reflects the answer once the round is locked in
+  const optionStyleFor = (optionValue) => {
+    if (!currentAnswer) return null;
+    if (optionValue === currentRound.answer) return styles.quizOptionCorrect;
+    if (optionValue === currentAnswer.given) return styles.quizOptionIncorrect;
+    return styles.quizOptionDimmed;
+  };
+  // Screen readers get the same in words, since the styling is only colour
+  const optionAccessibilityLabel = (optionValue, text) => {
+    if (!currentAnswer) return text;
+    if (optionValue === currentRound.answer) return t('a11y.quiz.correctOption', { option: text });
+    if (optionValue === currentAnswer.given) return t('a11y.quiz.wrongOption', { option: text });
+    return text;
+  };
+
+  const feedbackMessage = !currentAnswer ? null : currentAnswer.isCorrect
+    ? t('quiz.game.correct')
+    : currentRound.type === 'true-false'
+      ? t(currentRound.answer ? 'quiz.game.statementTrue' : 'quiz.game.statementFalse')
+      : t('quiz.game.answerWas', { word: currentRound.word });
+  useAccessibilityAnnouncement(feedbackMessage, !!feedbackMessage);
+  useAccessibilityAnnouncement(t('a11y.quiz.preparing'), phase === 'loading');
+
+  const renderRoundBody = () => {
+    switch (currentRound.type) {
+      case 'multiple-choice':
+        return (
+          <>
+            <Text style={styles.quizQuestionText}>{t('quiz.game.whichWord')}</Text>
+            <View style={styles.definitionBox}>
+              <Text style={styles.definitionText}>{currentRound.prompt}</Text>
+            </View>
+            {currentRound.options.map(option => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.quizOptionButton, optionStyleFor(option)]}
+                onPress={() => submitAnswer(option)}
+                disabled={!!currentAnswer}
+                activeOpacity={0.7}
+                accessibilityRole="button"
+                accessibilityLabel={optionAccessibilityLabel(option, option)}
+                accessibilityState={{ disabled: !!currentAnswer }}
+              >
+                <Text style={styles.quizOptionText}>{option}</Text>
+              </TouchableOpacity>
+            ))}
+          </>
+        );
+      case 'true-false':
+        return (
+          <>
+            <Text style={styles.quizQuestionText}>
+              {t('quiz.game.doesMatch')} <Text style={styles.quizQuestionWord}>{currentRound.word}</Text>{t('common.questionMark')}
+            </Text>
+            <View style={styles.definitionBox}>
+              <Text style={styles.definitionText}>{currentRound.prompt}</Text>
+            </View>
+            <View style={styles.quizTrueFalseRow}>
+              {[true, false].map(option => (
+                <TouchableOpacity
+                  key={String(option)}
+                  style={[styles.quizOptionButton, styles.quizTrueFalseButton, optionStyleFor(option)]}
+                  onPress={() => submitAnswer(option)}
+                  disabled={!!currentAnswer}
+                  activeOpacity={0.7}
+                  accessibilityRole="button"
+                  accessibilityLabel={optionAccessibilityLabel(option, option ? t('quiz.game.true') : t('quiz.game.false'))}
+                  accessibilityState={{ disabled: !!currentAnswer }}
+                >
+                  <Text style={styles.quizOptionText}>{option ? t('quiz.game.true') : t('quiz.game.false')}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        );
+      case 'type-word':
+      default:
+        return (
+          <>
+            <Text style={styles.quizQuestionText}>{t('quiz.game.typeWord')}</Text>
+            <View style={styles.definitionBox}>
+              <Text style={styles.definitionText}>{currentRound.prompt}</Text>
+            </View>
+            <TextInput
+              style={[styles.input, !!currentAnswer && styles.inputDisabled]}
+              placeholder={t('quiz.game.answerPlaceholder')}
+              accessibilityLabel={t('quiz.game.answerPlaceholder')}
+              value={typedAnswer}
+              onChangeText={setTypedAnswer}
+              autoCapitalize="none"
+              autoCorrect={false}
+              returnKeyType="done"
+              onSubmitEditing={() => typedAnswer.trim() && submitAnswer(typedAnswer)}
+              editable={!currentAnswer}
+              placeholderTextColor={COLORS.textSecondary}
+            />
+            {!currentAnswer && (
+              <TouchableOpacity
+                style={[styles.button, styles.buttonSecondary, !typedAnswer.trim() && styles.buttonDisabled]}
+                onPress={() => submitAnswer(typedAnswer)}
+                disabled={!typedAnswer.trim()}
+                activeOpacity={0.7}
+                accessibilityRole="button"
+                accessibilityState={{ disabled: !typedAnswer.trim() }}
+              >
+                <Text style={styles.buttonTextSecondary}>{t('quiz.game.checkAnswer')}</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        );
+    }
+  };
+
+  if (phase === 'loading') {
+    return (
+      <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+        <View style={styles.centeredMessage}>
+          <ActivityIndicator size="large" color={COLORS.quizAccent} />
+          <Text style={styles.loadingText} accessibilityLiveRegion="polite">
+            {t('quiz.game.preparing', { loaded: loadProgress.loaded, total: loadProgress.total })}
+          </Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (phase === 'error') {
+    return (
+      <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+        <EmptyState
+          icon="cloud-off"
+          title={t('quiz.game.errorTitle')}
+          message={t('quiz.game.errorMessage')}
+          buttonText={t('quiz.game.backToList')}
+          onButtonPress={() => navigation.goBack()}
+        />
+      </SafeAreaView>
+    );
+  }
+
+  if (phase === 'finished') {
+    const percentage = Math.round((score / rounds.length) * 100);
+    const summaryMessage = t(percentage === 100 ? 'quiz.results.perfect' : percentage >= 70 ? 'quiz.results.great' : percentage >= 40 ? 'quiz.results.good' : 'quiz.results.keepGoing');
+    return (
+      <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+        <ScrollView style={styles.screenScroll} contentContainerStyle={styles.screenContentContainer} showsVerticalScrollIndicator={false}>
+          <View style={[styles.card, styles.quizResultsCard]}>
+            <MaterialIcons name="emoji-events" size={48} color={COLORS.accent} />
+            <Text style={styles.quizResultsScore} accessibilityLabel={t('a11y.quiz.score', { score, total: rounds.length })}>{score} / {rounds.length}</Text>
+            <Text style={styles.quizResultsPercentage}>{t('quiz.results.percentage', { percentage })}</Text>
+            <Text style={styles.quizResultsMessage}>{summaryMessage}</Text>
+            {isReviewSession && (
+              <Text style={styles.quizResultsNote}>{t('quiz.results.scheduleUpdated')}</Text>
+            )}
+          </View>
+          <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('quiz.results.summary')}</Text>
+          {rounds.map((round, index) => {
+            const answer = answers[index];
+            return (
+              <View
+                key={`${round.word}-${index}`}
+                style={[styles.listItemCard, styles.quizItemCard]}
+                accessible={true}
+                accessibilityLabel={t(answer?.isCorrect ? 'a11y.quiz.roundCorrect' : 'a11y.quiz.roundWrong', { word: round.word, round: t(QUIZ_ROUND_LABEL_KEYS[round.type]) })}
+              >
+                <MaterialIcons
+                  name={answer?.isCorrect ? 'check-circle' : 'cancel'}
+                  size={24}
+                  color={answer?.isCorrect ? COLORS.success : COLORS.error}
+                  style={styles.listItemIcon}
+                />
+                <View style={styles.listItemContent}>
+                  <Text style={styles.listItemWord}>{round.word}</Text>
+                  <Text style={styles.historyMetaText}>{t(QUIZ_ROUND_LABEL_KEYS[round.type])}</Text>
+                </View>
+              </View>
+            );
+          })}
+          <TouchableOpacity
+            style={[styles.button, styles.buttonPrimary]}
+            onPress={() => { setIsReviewSession(false); setSessionKey(prev => prev + 1); }}
+            activeOpacity={0.8}
+            accessibilityRole="button"
+            accessibilityLabel={t('quiz.results.playAgain')}
+          >
+            <LinearGradient colors={[COLORS.quizAccent, COLORS.primaryLight]} style={styles.buttonGradient} start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }}>
+              <Text style={styles.buttonText}>
+                <MaterialIcons name="replay" size={18} color={COLORS.onPrimary} style={{ marginRight: 8 }} />
+                {t('quiz.results.playAgain')}
+              </Text>
+            </LinearGradient>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.button, styles.buttonSecondary]} onPress={() => navigation.goBack()} activeOpacity={0.7} accessibilityRole="button">
+            <Text style={styles.buttonTextSecondary}>{t('quiz.game.backToList')}</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+      <ScrollView
+        style={styles.screenScroll}
+        contentContainerStyle={styles.screenContentContainer}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Progress & Score */}
+        <View style={styles.quizProgressRow}>
+          <Text style={styles.quizProgressText}>{t('quiz.game.round', { index: roundIndex + 1, total: rounds.length })}</Text>
+          <Text style={styles.quizProgressText}>{t('quiz.game.score', { score })}</Text>
+        </View>
+
+        <View style={[styles.card, styles.quizRoundCard]}>
+          <View style={styles.chipContainer}>
+            <InfoChip icon="school" label={t('quiz.game.roundChip')} value={t(QUIZ_ROUND_LABEL_KEYS[currentRound.type])} />
+          </View>
+          {renderRoundBody()}
+
+          {/* Feedback once answered */}
+          {currentAnswer && (
+            <View
+              style={[styles.quizFeedbackBox, currentAnswer.isCorrect ? styles.quizFeedbackCorrect : styles.quizFeedbackIncorrect]}
+              accessibilityLiveRegion="assertive"
+            >
+              <MaterialIcons
+                name={currentAnswer.isCorrect ? 'check-circle' : 'cancel'}
+                size={22}
+                color={currentAnswer.isCorrect ? COLORS.success : COLORS.error}
+              />
+              <Text style={styles.quizFeedbackText}>{feedbackMessage}</Text>
+            </View>
+          )}
+        </View>
+
+        {currentAnswer && (
+          <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={goToNextRound} activeOpacity={0.8} accessibilityRole="button">
+            <LinearGradient colors={[COLORS.quizAccent, COLORS.primaryLight]} style={styles.buttonGradient} start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }}>
+              <Text style={styles.buttonText}>{isLastRound ? t('quiz.game.seeResults') : t('quiz.game.nextRound')}</Text>
+            </LinearGradient>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+
+// Backend profile list + inline editor for the Settings screen
+const BackendProfilesSection = React.memo(() => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const {
+    backendProfiles, activeBackendProfile, saveBackendProfile, deleteBackendProfile,
+    selectBackendProfile, testBackendConnection,
+  } = useContext(AppContext);
+  const [draft, setDraft] = useState(null); // Profile being added/edited; timeout kept as a seconds string while typing
+  const [testState, setTestState] = useState({ status: 'idle', message: '' }); // 'idle' | 'testing' | 'ok' | 'error'
+  useAccessibilityAnnouncement(testState.status === 'testing' ? t('backend.testing') : testState.message, testState.status !== 'idle');
+
+  const startEditing = useCallback((profile) => {
+    setDraft(profile
+      ? { ...profile, timeoutSeconds: String(Math.round((profile.timeoutMs || DEFAULT_TIMEOUT_MS) / 1000)) }
+      : { name: '', baseUrl: 'http://', authHeaderName: DEFAULT_AUTH_HEADER_NAME, authHeaderValue: '', timeoutSeconds: String(DEFAULT_TIMEOUT_MS / 1000) });
+    setTestState({ status: 'idle', message: '' });
+  }, []);
+
+  const draftAsProfile = useCallback(() => ({ ...draft, timeoutMs: Number(draft.timeoutSeconds) * 1000 }), [draft]);
+  const updateDraft = (field) => (value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = useCallback(async () => {
+    const profile = draftAsProfile();
+    const validationError = validateBackendProfile(profile, t);
+    if (validationError) {
+      Alert.alert(t('backend.invalidTitle'), validationError);
+      return;
+    }
+    if (await saveBackendProfile(profile)) setDraft(null); // Kept open if the auth value couldn't be stored
+  }, [draftAsProfile, saveBackendProfile, t]);
+
+  const handleDelete = useCallback(() => {
+    Alert.alert(
+      t('backend.deleteTitle'),
+      t('backend.deleteMessage', { name: draft.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.delete'), style: 'destructive', onPress: () => { deleteBackendProfile(draft.id); setDraft(null); } },
+      ]
+    );
+  }, [draft, deleteBackendProfile, t]);
+
+  const runConnectionTest = useCallback(async (profile) => {
+    const validationError = validateBackendProfile(profile, t);
+    if (validationError) {
+      setTestState({ status: 'error', message: validationError });
+      return;
+    }
+    setTestState({ status: 'testing', message: '' });
+    try {
+      const { latencyMs } = await testBackendConnection(profile);
+      setTestState({ status: 'ok', message: t('backend.connected', { name: profile.name || profile.baseUrl, latency: latencyMs }) });
+    } catch (e) {
+      setTestState({ status: 'error', message: describeApiError(e, 'backend.connectionFailed', t) });
+    }
+  }, [testBackendConnection, t]);
+
+  const renderTestResult = () => {
+    if (testState.status === 'idle') return null;
+    if (testState.status === 'testing') {
+      return (
+        <View style={styles.backendTestResult} accessible accessibilityLiveRegion="polite">
+          <ActivityIndicator size="small" color={COLORS.primary} />
+          <Text style={styles.settingsItemDescription}>{t('backend.testing')}</Text>
+        </View>
+      );
+    }
+    const isOk = testState.status === 'ok';
+    return (
+      <View style={styles.backendTestResult} accessible accessibilityLiveRegion={isOk ? 'polite' : 'assertive'}>
+        <MaterialIcons name={isOk ? 'check-circle' : 'error-outline'} size={18} color={isOk ? COLORS.success : COLORS.error} />
+        <Text style={[styles.settingsItemDescription, { color: isOk ? COLORS.success : COLORS.error, flex: 1 }]}>{testState.message}</Text>
+      </View>
+    );
+  };
+
+  if (draft) {
+    return (
+      <View style={styles.card}>
+        <Text style={styles.cardTitle} accessibilityRole="header">{draft.id ? t('backend.editTitle') : t('backend.newTitle')}</Text>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('common.nameLabel')}</Text>
+          <TextInput style={styles.input} value={draft.name} onChangeText={updateDraft('name')} accessibilityLabel={accessibleFieldLabel(t('common.nameLabel'))} placeholder={t('backend.namePlaceholder')} placeholderTextColor={COLORS.textSecondary} />
+        </View>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('backend.baseUrlLabel')}</Text>
+          <TextInput style={styles.input} value={draft.baseUrl} onChangeText={updateDraft('baseUrl')} accessibilityLabel={accessibleFieldLabel(t('backend.baseUrlLabel'))} placeholder="https://define.example.com" autoCapitalize="none" autoCorrect={false} keyboardType="url" placeholderTextColor={COLORS.textSecondary} />
+        </View>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('backend.authNameLabel')}</Text>
+          <TextInput style={styles.input} value={draft.authHeaderName} onChangeText={updateDraft('authHeaderName')} accessibilityLabel={t('backend.authNameLabel')} placeholder={DEFAULT_AUTH_HEADER_NAME} autoCapitalize="none" autoCorrect={false} placeholderTextColor={COLORS.textSecondary} />
+        </View>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('backend.authValueLabel')}</Text>
+          <TextInput style={styles.input} value={draft.authHeaderValue} onChangeText={updateDraft('authHeaderValue')} accessibilityLabel={t('backend.authValueLabel')} placeholder={t('backend.authValuePlaceholder')} autoCapitalize="none" autoCorrect={false} secureTextEntry placeholderTextColor={COLORS.textSecondary} />
+        </View>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('backend.timeoutLabel')}</Text>
+          <TextInput style={styles.input} value={draft.timeoutSeconds} onChangeText={updateDraft('timeoutSeconds')} accessibilityLabel={t('backend.timeoutLabel')} keyboardType="number-pad" placeholderTextColor={COLORS.textSecondary} />
+        </View>
+        {renderTestResult()}
+        <TouchableOpacity style={[styles.button, styles.buttonSecondary]} onPress={() => runConnectionTest(draftAsProfile())} disabled={testState.status === 'testing'} activeOpacity={0.7} accessibilityRole="button" accessibilityState={{ disabled: testState.status === 'testing', busy: testState.status === 'testing' }}>
+          <Text style={styles.buttonTextSecondary}>{t('backend.testConnection')}</Text>
+        </TouchableOpacity>
+        <View style={styles.backendEditorActions}>
+          {draft.id && (
+            <TouchableOpacity style={styles.clearButton} onPress={handleDelete} activeOpacity={0.7} accessibilityRole="button">
+              <MaterialIcons name="delete-outline" size={20} color={COLORS.error} />
+              <Text style={styles.clearButtonText}>{t('common.delete')}</Text>
+            </TouchableOpacity>
+          )}
+          <View style={{ flex: 1 }} />
+          <TouchableOpacity style={styles.backendEditorButton} onPress={() => setDraft(null)} activeOpacity={0.7} accessibilityRole="button">
+            <Text style={styles.backendEditorCancelText}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.backendEditorButton} onPress={handleSave} activeOpacity={0.7} accessibilityRole="button">
+            <Text style={styles.backendEditorSaveText}>{t('common.save')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.card}>
+      {backendProfiles.map((profile, index) => {
+        const isActive = profile.id === activeBackendProfile.id;
+        return (
+          <React.Fragment key={profile.id}>
+            {index > 0 && <View style={styles.settingsDivider} />}
+            <TouchableOpacity
+              style={styles.settingsItem}
+              onPress={() => !isActive && selectBackendProfile(profile.id)}
+              activeOpacity={0.7}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: isActive }}
+              {...getRowAccessibilityActions(profile.builtIn
+                ? [{ name: 'test', label: t('backend.testConnection'), onPress: () => runConnectionTest(profile) }]
+                : [{ name: 'edit', label: t('a11y.edit'), onPress: () => startEditing(profile) }])}
+            >
+              <MaterialIcons name={isActive ? 'radio-button-checked' : 'radio-button-unchecked'} size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+              <View style={styles.settingsItemContent}>
+                <Text style={styles.settingsItemText}>{profile.name}</Text>
+                <Text style={styles.settingsItemDescription} numberOfLines={1}>{profile.baseUrl}</Text>
+              </View>
+              {profile.builtIn ? (
+                <TouchableOpacity onPress={() => runConnectionTest(profile)} style={styles.removeButton} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.testProfile', { name: profile.name })}>
+                  <MaterialIcons name="network-check" size={22} color={COLORS.textSecondary} />
+                </TouchableOpacity>
+              ) : (
+                <TouchableOpacity onPress={() => startEditing(profile)} style={styles.removeButton} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.editItem', { word: profile.name })}>
+                  <MaterialIcons name="edit" size={22} color={COLORS.textSecondary} />
+                </TouchableOpacity>
+              )}
+            </TouchableOpacity>
+          </React.Fragment>
+        );
+      })}
+      {renderTestResult()}
+      <View style={styles.settingsDivider} />
+      <TouchableOpacity style={styles.settingsItem} onPress={() => startEditing(null)} activeOpacity={0.7} accessibilityRole="button">
+        <MaterialIcons name="add-circle-outline" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+        <View style={styles.settingsItemContent}>
+          <Text style={styles.settingsItemText}>{t('backend.add')}</Text>
+          <Text style={styles.settingsItemDescription}>{t('backend.addDescription')}</Text>
+        </View>
+        <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
+      </TouchableOpacity>
+    </View>
+  );
+});
+
+// Settings list of filter presets: star marks the launch default, the pencil opens the editor
+const FilterPresetsSection = React.memo(() => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { filterPresets, defaultPresetId, savePreset, deletePreset, toggleDefaultPreset, tone, contextValue, lang } = useContext(AppContext);
+  const [draft, setDraft] = useState(null); // Preset being added/edited
+  const updateDraft = (field) => (value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  // New presets start from whatever filters are currently on the Define form
+  const startEditing = useCallback((preset) => {
+    setDraft(preset ? { ...preset } : { name: '', tone, context: contextValue, lang });
+  }, [tone, contextValue, lang]);
+
+  const handleSave = useCallback(() => {
+    const validationError = validatePreset(draft, t);
+    if (validationError) {
+      Alert.alert(t('presets.invalidTitle'), validationError);
+      return;
+    }
+    savePreset(draft);
+    setDraft(null);
+  }, [draft, savePreset, t]);
+
+  const handleDelete = useCallback(() => {
+    Alert.alert(
+      t('presets.deleteTitle'),
+      t('presets.deleteMessage', { name: draft.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.delete'), style: 'destructive', onPress: () => { deletePreset(draft.id); setDraft(null); } },
+      ]
+    );
+  }, [draft, deletePreset, t]);
+
+  if (draft) {
+    return (
+      <View style={styles.card}>
+        <Text style={styles.cardTitle} accessibilityRole="header">{draft.id ? t('presets.editTitle') : t('presets.newTitle')}</Text>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('common.nameLabel')}</Text>
+          <TextInput style={styles.input} value={draft.name} onChangeText={updateDraft('name')} accessibilityLabel={accessibleFieldLabel(t('common.nameLabel'))} placeholder={t('presets.namePlaceholder')} placeholderTextColor={COLORS.textSecondary} />
+        </View>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('common.tone')}</Text>
+          <TextInput style={styles.input} value={draft.tone} onChangeText={updateDraft('tone')} accessibilityLabel={t('common.tone')} placeholder={t('define.tonePlaceholder')} placeholderTextColor={COLORS.textSecondary} />
+        </View>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('common.context')}</Text>
+          <TextInput style={styles.input} value={draft.context} onChangeText={updateDraft('context')} accessibilityLabel={t('common.context')} placeholder={t('define.contextPlaceholder')} placeholderTextColor={COLORS.textSecondary} />
+        </View>
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>{t('presets.languageLabel')}</Text>
+          <LanguagePicker value={draft.lang} onChange={updateDraft('lang')} />
+        </View>
+        <View style={styles.backendEditorActions}>
+          {draft.id && (
+            <TouchableOpacity style={styles.clearButton} onPress={handleDelete} activeOpacity={0.7} accessibilityRole="button">
+              <MaterialIcons name="delete-outline" size={20} color={COLORS.error} />
+              <Text style={styles.clearButtonText}>{t('common.delete')}</Text>
+            </TouchableOpacity>
+          )}
+          <View style={{ flex: 1 }} />
+          <TouchableOpacity style={styles.backendEditorButton} onPress={() => setDraft(null)} activeOpacity={0.7} accessibilityRole="button">
+            <Text style={styles.backendEditorCancelText}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.backendEditorButton} onPress={handleSave} activeOpacity={0.7} accessibilityRole="button">
+            <Text style={styles.backendEditorSaveText}>{t('common.save')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.card}>
+      {filterPresets.map((preset, index) => {
+        const isDefault = preset.id === defaultPresetId;
+        return (
+          <React.Fragment key={preset.id}>
+            {index > 0 && <View style={styles.settingsDivider} />}
+            <TouchableOpacity
+              style={styles.settingsItem}
+              onPress={() => startEditing(preset)}
+              activeOpacity={0.7}
+              accessibilityRole="button"
+              accessibilityHint={t('a11y.hint.editPreset')}
+              {...getRowAccessibilityActions([{ name: 'toggleDefault', label: isDefault ? t('a11y.unsetDefaultPreset') : t('a11y.setDefaultPreset'), onPress: () => toggleDefaultPreset(preset.id) }])}
+            >
+              <TouchableOpacity
+                onPress={() => toggleDefaultPreset(preset.id)}
+                hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                accessibilityRole="button"
+                accessibilityLabel={isDefault ? t('a11y.unsetDefaultPreset') : t('a11y.setDefaultPreset')}
+                accessibilityState={{ selected: isDefault }}
+              >
+                <MaterialIcons name={isDefault ? 'star' : 'star-border'} size={24} color={isDefault ? COLORS.accent : COLORS.textSecondary} style={styles.settingsIconStyle} />
+              </TouchableOpacity>
+              <View style={styles.settingsItemContent}>
+                <Text style={styles.settingsItemText}>{isDefault ? t('presets.defaultName', { name: preset.name }) : preset.name}</Text>
+                <Text style={styles.settingsItemDescription} numberOfLines={1}>{describePreset(preset)}</Text>
+              </View>
+              <MaterialIcons name="edit" size={22} color={COLORS.textSecondary} />
+            </TouchableOpacity>
+          </React.Fragment>
+        );
+      })}
+      {filterPresets.length > 0 && <View style={styles.settingsDivider} />}
+      <TouchableOpacity style={styles.settingsItem} onPress={() => startEditing(null)} activeOpacity={0.7} accessibilityRole="button">
+        <MaterialIcons name="add-circle-outline" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+        <View style={styles.settingsItemContent}>
+          <Text style={styles.settingsItemText}>{t('presets.add')}</Text>
+          <Text style={styles.settingsItemDescription}>{t('presets.addDescription')}</Text>
+        </View>
+        <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
+      </TouchableOpacity>
+    </View>
+  );
+});
+
+const CACHE_AGE_OPTIONS = [7, 30, 90]; // Days, for "delete older than"
+
+function CacheBrowserScreen({ navigation }) {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { definitionsCacheIndex, openCachedDefinition, deleteCacheEntries } = useContext(AppContext);
+  const [searchQuery, setSearchQuery] = useState('');
+
+  // One row per index entry, with the parameters recovered from its key
+  const entries = useMemo(() => Object.entries(definitionsCacheIndex)
+    .map(([cacheKey, indexEntry]) => ({ cacheKey, indexEntry, keyParams: parseCacheKey(cacheKey) }))
+    .filter(entry => entry.keyParams)
+    .sort((a, b) => (b.indexEntry.savedAt ?? 0) - (a.indexEntry.savedAt ?? 0)), [definitionsCacheIndex]);
+
+  const filteredEntries = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    if (!query) return entries;
+    return entries.filter(({ keyParams }) => [keyParams.word, keyParams.tone, keyParams.context, keyParams.lang]
+      .some(value => String(value || '').toLowerCase().includes(query)));
+  }, [entries, searchQuery]);
+
+  const languages = useMemo(() => [...new Set(entries.map(entry => entry.keyParams.lang))].sort(), [entries]);
+
+  // `scope` is a translated phrase like "older than 30 days", read after the count
+  const confirmDelete = useCallback((keysToDelete, scope) => {
+    if (keysToDelete.length === 0) {
+      Alert.alert(t('cache.nothingTitle'), t('cache.nothingMessage', { scope }));
+      return;
+    }
+    Alert.alert(
+      t('cache.deleteTitle'),
+      t('cache.deleteMessage', { count: keysToDelete.length, scope }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('common.delete'), style: 'destructive', onPress: () => deleteCacheEntries(keysToDelete) },
+      ]
+    );
+  }, [deleteCacheEntries, t]);
+
+  const deleteOlderThan = (days) => {
+    const cutoff = Date.now() - days * DAY_MS;
+    confirmDelete(entries.filter(entry => (entry.indexEntry.savedAt ?? 0) < cutoff).map(entry => entry.cacheKey), t('cache.scope.olderThan', { count: days }));
+  };
+  const deleteLanguage = (langToDelete) => {
+    confirmDelete(entries.filter(entry => entry.keyParams.lang === langToDelete).map(entry => entry.cacheKey), t('cache.scope.language', { lang: langToDelete }));
+  };
+
+  const handleOpen = useCallback(async (cacheKey) => {
+    if (await openCachedDefinition(cacheKey)) {
+      // Back past the Settings modal to the Define tab, where the result is shown
+      navigation.popTo('AppTabs', { screen: 'Define' });
+    }
+  }, [openCachedDefinition, navigation]);
+
+  const renderEntry = useCallback(({ item }) => {
+    const { keyParams, indexEntry, cacheKey } = item;
+    const meta = [
+      t('common.lengthShort', { length: keyParams.length }),
+      keyParams.tone !== 'neutral' && keyParams.tone,
+      keyParams.context !== 'none' && keyParams.context,
+      keyParams.lang,
+    ].filter(Boolean).join(' · ');
+    return (
+      <TouchableOpacity
+        style={styles.listItemCard}
+        onPress={() => handleOpen(cacheKey)}
+        activeOpacity={0.7}
+        accessibilityRole="button"
+        accessibilityHint={t('a11y.hint.openDefinition')}
+        {...getRowAccessibilityActions([{ name: 'delete', label: t('common.delete'), onPress: () => confirmDelete([cacheKey], t('cache.scope.word', { word: keyParams.word })) }])}
+      >
+        <MaterialIcons name="cached" size={24} color={COLORS.textSecondary} style={styles.listItemIcon} />
+        <View style={styles.listItemContent}>
+          <Text style={styles.listItemWord} numberOfLines={1}>{keyParams.word}</Text>
+          <Text style={styles.historyMetaText} numberOfLines={1}>{meta}</Text>
+          <Text style={styles.historyMetaTextSmall} numberOfLines={1}>
+            {indexEntry.savedAt ? t('cache.savedOn', { date: formatDate(t.language, indexEntry.savedAt) }) : t('cache.savedUnknown')}
+            {typeof indexEntry.size === 'number' ? ` · ${formatBytes(indexEntry.size)}` : ''}
+            {keyParams.backend ? ` · ${keyParams.backend.replace(/^https?:\/\//, '')}` : ''}
+          </Text>
+        </View>
+        <TouchableOpacity onPress={() => confirmDelete([cacheKey], t('cache.scope.word', { word: keyParams.word }))} style={styles.removeButton} activeOpacity={0.6} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.removeItem', { word: keyParams.word })}>
+          <MaterialIcons name="delete-outline" size={24} color={COLORS.error} />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  }, [handleOpen, confirmDelete, styles, COLORS, t]);
+
+  return (
+    <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+      <View style={styles.screenContainer}>
+        {entries.length === 0 ? (
+          <EmptyState
+            icon="cached"
+            title={t('cache.emptyTitle')}
+            message={t('cache.emptyMessage')}
+          />
+        ) : (
+          <FlatList
+            data={filteredEntries}
+            renderItem={renderEntry}
+            keyExtractor={item => item.cacheKey}
+            style={styles.listStyle}
+            contentContainerStyle={styles.listContentContainer}
+            keyboardShouldPersistTaps="handled"
+            showsVerticalScrollIndicator={false}
+            ListHeaderComponent={(
+              <>
+                <TextInput
+                  style={[styles.input, styles.listSearchInput]}
+                  placeholder={t('cache.searchPlaceholder')}
+                  accessibilityLabel={t('cache.searchPlaceholder')}
+                  value={searchQuery}
+                  onChangeText={setSearchQuery}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  clearButtonMode="while-editing"
+                  placeholderTextColor={COLORS.textSecondary}
+                />
+                <ListSorter label={t('cache.deleteOlderThan')} sortOrder={null} setSortOrder={deleteOlderThan} options={CACHE_AGE_OPTIONS.map(days => ({ label: t('common.days', { count: days }), value: days }))} />
+                <ListSorter label={t('cache.deleteLanguage')} sortOrder={null} setSortOrder={deleteLanguage} options={languages.map(code => ({ label: code, value: code }))} />
+                <Text style={styles.listScreenTitle} accessibilityRole="header" accessibilityLiveRegion="polite">
+                  {filteredEntries.length === entries.length
+                    ? t('cache.count', { count: entries.length })
+                    : t('cache.countFiltered', { shown: filteredEntries.length, count: entries.length })}
+                </Text>
+              </>
+            )}
+          />
+        )}
+      </View>
+    </SafeAreaView>
+  );
+}
+
+
+function WordOfTheDayArchiveScreen({ navigation }) {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { wotdArchive, handleDefine } = useContext(AppContext);
+
+  const handleOpen = useCallback((entry) => {
+    handleDefine({ word: entry.word, ...entry.params }); // Usually a cache hit: the definition was prefetched that day
+    navigation.popTo('AppTabs', { screen: 'Define' });
+  }, [handleDefine, navigation]);
+
+  const renderEntry = useCallback(({ item }) => (
+    <TouchableOpacity style={styles.listItemCard} onPress={() => handleOpen(item)} activeOpacity={0.7} accessibilityRole="button" accessibilityHint={t('a11y.hint.defineAgain')}>
+      <MaterialIcons name="auto-stories" size={24} color={COLORS.accent} style={styles.listItemIcon} />
+      <View style={styles.listItemContent}>
+        <Text style={styles.listItemWord} numberOfLines={1}>{item.word}</Text>
+        <Text style={styles.historyMetaText} numberOfLines={2}>{item.definition || t('wotd.notFetched')}</Text>
+        <Text style={styles.historyMetaTextSmall} numberOfLines={1}>
+          {formatDate(t.language, `${item.date}T00:00:00`)} · {describeWotdOrigin(item, t)}
+        </Text>
+      </View>
+      <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
+    </TouchableOpacity>
+  ), [handleOpen, styles, COLORS, t]);
+
+  return (
+    <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+      <View style={styles.screenContainer}>
+        {wotdArchive.length === 0 ? (
+          <EmptyState
+            icon="auto-stories"
+            title={t('wotd.archiveEmptyTitle')}
+            message={t('wotd.archiveEmptyMessage')}
+          />
+        ) : (
+          <FlatList
+            data={wotdArchive}
+            renderItem={renderEntry}
+            keyExtractor={item => item.date}
+            style={styles.listStyle}
+            contentContainerStyle={styles.listContentContainer}
+            showsVerticalScrollIndicator={false}
+            ListHeaderComponent={<Text style={styles.listScreenTitle} accessibilityRole="header">{t('wotd.archiveTitle', { total: wotdArchive.length })}</Text>}
+          />
+        )}
+      </View>
+    </SafeAreaView>
+  );
+}
+
+
+// Finds cached definitions containing a term ("short-lived", "ephem"), entirely offline, with highlighted snippets
+function DefinitionSearchScreen({ navigation }) {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { searchCachedDefinitions, searchIndexVersion, openCachedDefinition, cacheUsage } = useContext(AppContext);
+  const [query, setQuery] = useState('');
+  const deferredQuery = useDeferredValue(query.trim());
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  useEffect(() => {
+    if (!deferredQuery) {
+      setResults([]);
+      return undefined;
+    }
+    let isCurrent = true; // Ignore results of queries the user has already typed past
+    setIsSearching(true);
+    searchCachedDefinitions(deferredQuery)
+      .then(found => { if (isCurrent) setResults(found); })
+      .catch(e => {
+        console.error("Definition search error:", e);
+        if (isCurrent) setResults([]);
+      })
+      .finally(() => { if (isCurrent) setIsSearching(false); });
+    return () => { isCurrent = false; };
+  }, [deferredQuery, searchCachedDefinitions, searchIndexVersion]); // Runs again when the index changes (e.g. the launch build finishes)
+
+  // Read out once a query settles, so screen reader users know whether typing found anything
+  const resultSummary = isSearching ? t('search.searching')
+    : results.length > 0 ? t('search.resultCount', { count: results.length }) : t('search.noResults', { query: deferredQuery });
+  useAccessibilityAnnouncement(resultSummary, !!deferredQuery);
+
+  const handleOpen = useCallback(async (item) => {
+    if (await openCachedDefinition(item.cacheKey)) navigation.popTo('AppTabs', { screen: 'Define' });
+  }, [openCachedDefinition, navigation]);
+
+  const renderResult = useCallback(({ item }) => (
+    <TouchableOpacity style={styles.listItemCard} onPress={() => handleOpen(item)} activeOpacity={0.7} accessibilityRole="button" accessibilityHint={t('a11y.hint.openDefinition')}>
+      <View style={styles.listItemContent}>
+        <Text style={styles.listItemWord} numberOfLines={1}>{item.word}</Text>
+        <Text style={styles.searchSnippetText} numberOfLines={3}>
+          {item.snippet.map((segment, index) => (
+            <Text key={index} style={segment.highlight ? styles.searchSnippetHighlight : null}>{segment.text}</Text>
+          ))}
+        </Text>
+        <Text style={styles.historyMetaTextSmall} numberOfLines={1}>
+          {[t('common.wordCount', { count: item.params.length }), item.params.tone, item.params.context, item.params.lang].filter(Boolean).join(' · ')}
+        </Text>
+      </View>
+      <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
+    </TouchableOpacity>
+  ), [handleOpen, styles, COLORS, t]);
+
+  return (
+    <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+      <View style={styles.screenContainer}>
+        <TextInput
+          style={[styles.input, styles.historySearchInput]}
+          placeholder={t('search.placeholder')}
+          accessibilityLabel={t('nav.definitionSearch')}
+          value={query}
+          onChangeText={setQuery}
+          autoFocus
+          autoCapitalize="none"
+          autoCorrect={false}
+          returnKeyType="search"
+          clearButtonMode="while-editing"
+          placeholderTextColor={COLORS.textSecondary}
+        />
+        {cacheUsage.count === 0 ? (
+          <EmptyState
+            icon="manage-search"
+            title={t('search.emptyTitle')}
+            message={t('search.emptyMessage')}
+          />
+        ) : (
+          <FlatList
+            data={results}
+            renderItem={renderResult}
+            keyExtractor={item => item.cacheKey}
+            style={styles.listStyle}
+            contentContainerStyle={styles.listContentContainer}
+            keyboardShouldPersistTaps="handled"
+            showsVerticalScrollIndicator={false}
+            ListHeaderComponent={deferredQuery && !isSearching && results.length > 0
+              ? <Text style={styles.historyMetaText} accessibilityLiveRegion="polite">{t('search.resultCount', { count: results.length })}</Text>
+              : null}
+            ListEmptyComponent={
+              <Text style={styles.historyFooterText} accessibilityLiveRegion="polite">
+                {!deferredQuery
+                  ? t('search.hint', { count: cacheUsage.count })
+                  : isSearching ? t('search.searching') : t('search.noResults', { query: deferredQuery })}
+              </Text>
+            }
+          />
+        )}
+      </View>
+    </SafeAreaView>
+  );
+}
+
+
+// Side-by-side lookups of one word with two to four parameter variants, opened from a definition result.
+// Lookups go through lookupDefinition, so variants already in the cache show up without a request.
+function CompareScreen({ navigation, route }) {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const { lookupDefinition, addToQuiz, handleDefine, showToast } = useContext(AppContext);
+  const base = route?.params || {};
+  const word = String(base.word || '').trim();
+  const [dimension, setDimension] = useState('length'); // null once variants are edited by hand
+  const [variants, setVariants] = useState(() => buildVariants(base, 'length'));
+  const [results, setResults] = useState({}); // variant id -> { status: 'loading' | 'done' | 'error', data, error }
+  const controllerRef = useRef(null);
+  useEffect(() => () => controllerRef.current?.abort(), []); // Leaving the screen cancels outstanding requests
+
+  const dimensionOptions = useMemo(() => Object.entries(COMPARE_DIMENSIONS).map(([value, { labelKey }]) => ({ label: t(labelKey), value })), [t]);
+  // Column headers name only what differs; everything else is listed once above the columns
+  const varyingFields = useMemo(() => getVaryingFields(variants), [variants]);
+  const sharedFields = useMemo(() => COMPARE_FIELDS.filter(field => !varyingFields.includes(field)), [varyingFields]);
+  // Two columns fill the screen; three or four scroll sideways
+  const columnWidth = variants.length <= 2
+    ? (Dimensions.get('window').width - 32 - 12) / 2
+    : Math.min(260, Dimensions.get('window').width * 0.7);
+
+  const handleDimensionPress = useCallback((value) => {
+    controllerRef.current?.abort();
+    setDimension(value);
+    setVariants(buildVariants(base, value));
+    setResults({});
+  }, [base]);
+
+  const updateVariant = useCallback((id, field, value) => {
+    setDimension(null);
+    setVariants(prev => prev.map(variant => (variant.id === id ? { ...variant, [field]: value } : variant)));
+    // The column's result no longer matches its parameters
+    setResults(prev => {
+      if (!prev[id]) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }, []);
+
+  const addVariant = useCallback(() => {
+    setDimension(null);
+    setVariants(prev => (prev.length < COMPARE_MAX_VARIANTS ? [...prev, createVariant(prev[prev.length - 1])] : prev));
+  }, []);
+
+  const removeVariant = useCallback((id) => {
+    setDimension(null);
+    setVariants(prev => (prev.length > COMPARE_MIN_VARIANTS ? prev.filter(variant => variant.id !== id) : prev));
+  }, []);
+
+  const runComparison = useCallback(async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    Keyboard.dismiss();
+
+    // Invalid variants and repeats of an earlier column are reported instead of looked up
+    const nextResults = {};
+    const columnByKey = new Map();
+    const toRun = [];
+    variants.forEach((variant, index) => {
+      const validationError = validateInputs({ word, length: variant.length, lang: variant.lang }, t);
+      const key = getVariantKey({ ...variant, lang: normalizeLanguageCode(variant.lang) || '' });
+      if (validationError) {
+        nextResults[variant.id] = { status: 'error', error: validationError };
+      } else if (columnByKey.has(key)) {
+        nextResults[variant.id] = { status: 'error', error: t('compare.duplicate', { column: columnByKey.get(key) }) };
+      } else {
+        columnByKey.set(key, index + 1);
+        nextResults[variant.id] = { status: 'loading' };
+        toRun.push(variant);
+      }
+    });
+    setResults(nextResults);
 
-  if (!isInitialDataLoaded) {
-    return <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}><LoadingIndicator /></SafeAreaView>;
+    const setResult = (id, result) => {
+      if (controllerRef.current === controller) setResults(prev => ({ ...prev, [id]: result }));
+    };
+    await runWithConcurrency(toRun, BATCH_CONCURRENCY, async (variant) => {
+      try {
+        const data = await lookupDefinition({ word, length: variant.length, tone: variant.tone, context: variant.context, lang: variant.lang }, { signal: controller.signal });
+        setResult(variant.id, { status: 'done', data });
+      } catch (error) {
+        if (error instanceof CancelledError) return;
+        setResult(variant.id, { status: 'error', error: describeApiError(error, 'common.lookupFailed', t) });
+      }
+    }, { signal: controller.signal });
+  }, [variants, word, lookupDefinition, t]);
+
+  const handleCopy = useCallback(async (data) => {
+    await Clipboard.setStringAsync(String(data.result));
+    showToast(t('result.copied'), 'success');
+  }, [showToast, t]);
+
+  const handleQuizIt = useCallback((variant, data) => {
+    addToQuiz(word, {
+      params: { length: variant.length, tone: variant.tone || undefined, context: variant.context || undefined, lang: normalizeLanguageCode(variant.lang) || undefined },
+      definitionSnapshot: { result: data.result, actualLength: data.actualLength, status: data.status, effectiveLang: data.config?.effectiveLang, savedAt: Date.now() },
+    });
+  }, [addToQuiz, word]);
+
+  // Shows the chosen variant on the Define tab (a cache hit, since it was just looked up)
+  const handleOpen = useCallback((variant) => {
+    handleDefine({ word, length: variant.length, tone: variant.tone, context: variant.context, lang: variant.lang });
+    navigation.popTo('AppTabs', { screen: 'Define' });
+  }, [handleDefine, navigation, word]);
+
+  const isRunning = Object.values(results).some(result => result.status === 'loading');
+  useAccessibilityAnnouncement(t('define.loading'), isRunning);
+
+  const renderColumnResult = (variant) => {
+    const result = results[variant.id];
+    if (!result) return <Text style={styles.compareHint}>{t('compare.hint')}</Text>;
+    if (result.status === 'loading') return <ActivityIndicator size="small" color={COLORS.primary} style={styles.compareLoading} accessibilityLabel={t('define.loading')} />;
+    if (result.status === 'error') return <Text style={styles.compareErrorText} accessibilityLiveRegion="polite">{result.error}</Text>;
+    const { data } = result;
+    return (
+      <>
+        <View style={styles.compareChips}>
+          <InfoChip icon={data.status === 'Exact length achieved' ? "check-circle-outline" : "rule"} label={t('result.chip.length')} value={t('common.wordCount', { count: data.actualLength })} />
+          <InfoChip icon="flag" label={t('result.chip.status')} value={describeResultStatus(data.status, t)} />
+          {data.cacheHit && <InfoChip icon="cached" label={t('result.chip.source')} value={t('result.chip.cache')} />}
+        </View>
+        <Text style={styles.compareDefinitionText} selectable={true}>{String(data.result)}</Text>
+        <View style={styles.compareActions}>
+          <ActionButton icon="content-copy" label={t('result.action.copy')} onPress={() => handleCopy(data)} />
+          <ActionButton icon="school" label={t('result.action.quiz')} onPress={() => handleQuizIt(variant, data)} />
+          <ActionButton icon="open-in-new" label={t('compare.open')} onPress={() => handleOpen(variant)} />
+        </View>
+      </>
+    );
+  };
+
+  if (!word) {
+    return (
+      <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
+        <EmptyState icon="compare-arrows" title={t('compare.emptyTitle')} message={t('compare.emptyMessage')} />
+      </SafeAreaView>
+    );
   }
 
   return (
     <SafeAreaView style={styles.screenSafeArea} edges={['right', 'bottom', 'left']}>
-      <View style={styles.screenContainer}>
-        {quizList.length === 0 ? (
-          <EmptyState
-            icon="school" // MaterialIcons is default
-            title="Quiz List is Empty"
-            message="Use the 'Quiz It' button on a definition result to add words for review."
-            buttonText="Define a Word"
-            onButtonPress={() => navigation.navigate('Define')}
-          />
-        ) : (
-          <>
-            <Text style={styles.listScreenTitle}>My Quiz Words ({quizList.length})</Text>
-            {/* Start Quiz Button */}
-            <TouchableOpacity
-              style={[
-                styles.button,
-                styles.buttonPrimary, // Use primary button style or a dedicated quiz style
-                styles.startQuizButton // Specific margins for this button
-              ]}
-              onPress={handleStartQuiz}
-              activeOpacity={0.8}
-            >
-              <LinearGradient
-                // Use quiz accent or primary colors
-                colors={[COLORS.quizAccent, COLORS.primaryLight]}
-                style={styles.buttonGradient}
-                start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }}
-              >
-                <Text style={styles.buttonText}>
-                  <MaterialIcons name="play-circle-outline" size={20} color={COLORS.surface} style={{ marginRight: 8 }} />
-                  Start Quiz ({quizList.length})
+      <ScrollView
+        style={styles.screenScroll}
+        contentContainerStyle={styles.screenContentContainer}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <Text style={styles.listScreenTitle} accessibilityRole="header">{word}</Text>
+        {sharedFields.length > 0 && (
+          <Text style={styles.historyMetaText}>{t('compare.allColumns', { description: describeVariant(variants[0], sharedFields, t) })}</Text>
+        )}
+        <ListSorter label={t('compare.vary')} sortOrder={dimension} setSortOrder={handleDimensionPress} options={dimensionOptions} />
+
+        {/* One column per variant: parameters on top, then the result, aligned across columns */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled" contentContainerStyle={styles.compareColumns}>
+          {variants.map((variant, index) => (
+            <View key={variant.id} style={[styles.card, styles.compareColumn, { width: columnWidth }]}>
+              <View style={styles.compareColumnHeader}>
+                <Text style={styles.compareColumnTitle} numberOfLines={2} accessibilityRole="header">
+                  {index + 1}. {describeVariant(variant, varyingFields.length > 0 ? varyingFields : ['length'], t)}
                 </Text>
-              </LinearGradient>
-            </TouchableOpacity>
-            {/* List of Quiz Words */}
-            <FlatList
-              data={quizList}
-              renderItem={renderQuizItem}
-              keyExtractor={item => item.id} // Use unique ID from context
-              style={styles.listStyle}
-              contentContainerStyle={styles.listContentContainer}
-              showsVerticalScrollIndicator={false}
-            />
-          </>
+                {variants.length > COMPARE_MIN_VARIANTS && (
+                  <TouchableOpacity onPress={() => removeVariant(variant.id)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }} accessibilityRole="button" accessibilityLabel={t('a11y.removeColumn', { column: index + 1 })}>
+                    <MaterialIcons name="close" size={18} color={COLORS.textSecondary} />
+                  </TouchableOpacity>
+                )}
+              </View>
+              <Text style={styles.label}>{t('compare.dimension.length')}</Text>
+              <TextInput
+                style={[styles.input, styles.compareInput]}
+                value={variant.length}
+                onChangeText={value => updateVariant(variant.id, 'length', value)}
+                accessibilityLabel={t('compare.dimension.length')}
+                keyboardType="number-pad"
+                placeholder={`1-${MAX_REQUESTED_LENGTH}`}
+                placeholderTextColor={COLORS.textSecondary}
+              />
+              <Text style={styles.label}>{t('common.tone')}</Text>
+              <TextInput
+                style={[styles.input, styles.compareInput]}
+                value={variant.tone}
+                onChangeText={value => updateVariant(variant.id, 'tone', value)}
+                accessibilityLabel={t('common.tone')}
+                placeholder={t('compare.field.toneUnset')}
+                placeholderTextColor={COLORS.textSecondary}
+              />
+              <Text style={styles.label}>{t('common.context')}</Text>
+              <TextInput
+                style={[styles.input, styles.compareInput]}
+                value={variant.context}
+                onChangeText={value => updateVariant(variant.id, 'context', value)}
+                accessibilityLabel={t('common.context')}
+                placeholder={t('compare.field.contextUnset')}
+                placeholderTextColor={COLORS.textSecondary}
+              />
+              <Text style={styles.label}>{t('compare.dimension.lang')}</Text>
+              <LanguagePicker value={variant.lang} onChange={value => updateVariant(variant.id, 'lang', value)} />
+              <View style={styles.compareResult}>{renderColumnResult(variant)}</View>
+            </View>
+          ))}
+        </ScrollView>
+
+        {variants.length < COMPARE_MAX_VARIANTS && (
+          <TouchableOpacity style={styles.toggleButton} onPress={addVariant} activeOpacity={0.7} accessibilityRole="button">
+            <MaterialIcons name="add" size={20} color={COLORS.primary} />
+            <Text style={styles.toggleButtonText}>{t('compare.addVariant')}</Text>
+          </TouchableOpacity>
         )}
-      </View>
+        <TouchableOpacity
+          style={[styles.button, styles.buttonPrimary, isRunning && styles.buttonDisabled]}
+          onPress={runComparison}
+          disabled={isRunning}
+          activeOpacity={0.8}
+          accessibilityRole="button"
+          accessibilityLabel={isRunning ? t('define.loading') : t('compare.run', { count: variants.length })}
+          accessibilityState={{ disabled: isRunning, busy: isRunning }}
+        >
+          <LinearGradient
+            colors={isRunning ? [COLORS.textDisabled, COLORS.textSecondary] : [COLORS.primaryLight, COLORS.primary]}
+            style={styles.buttonGradient}
+            start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }}
+          >
+            {isRunning
+              ? <ActivityIndicator size="small" color={COLORS.onPrimary} />
+              : <Text style={styles.buttonText}>{t('compare.run', { count: variants.length })}</Text>}
+          </LinearGradient>
+        </TouchableOpacity>
+      </ScrollView>
     </SafeAreaView>
   );
-};
+}
+
+
+// Settings row for picking a time of day in REMINDER_TIME_STEP_MINUTES steps (no native picker dependency).
+// Screen readers get one adjustable control that steps the time with the increment / decrement gestures.
+const TimeStepper = React.memo(({ label, minutes, onChange }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  return (
+    <View
+      style={styles.timeStepperRow}
+      accessible
+      accessibilityRole="adjustable"
+      accessibilityLabel={label}
+      accessibilityValue={{ text: formatMinutes(minutes) }}
+      {...getRowAccessibilityActions([
+        { name: 'increment', label: t('a11y.later'), onPress: () => onChange(shiftMinutes(minutes, REMINDER_TIME_STEP_MINUTES)) },
+        { name: 'decrement', label: t('a11y.earlier'), onPress: () => onChange(shiftMinutes(minutes, -REMINDER_TIME_STEP_MINUTES)) },
+      ])}
+    >
+      <Text style={styles.timeStepperLabel}>{label}</Text>
+      <TouchableOpacity onPress={() => onChange(shiftMinutes(minutes, -REMINDER_TIME_STEP_MINUTES))} style={styles.timeStepperButton} activeOpacity={0.6}>
+        <MaterialIcons name="remove" size={20} color={COLORS.primary} />
+      </TouchableOpacity>
+      <Text style={styles.timeStepperValue}>{formatMinutes(minutes)}</Text>
+      <TouchableOpacity onPress={() => onChange(shiftMinutes(minutes, REMINDER_TIME_STEP_MINUTES))} style={styles.timeStepperButton} activeOpacity={0.6}>
+        <MaterialIcons name="add" size={20} color={COLORS.primary} />
+      </TouchableOpacity>
+    </View>
+  );
+});
 
 
 function SettingsScreen({ navigation }) {
-  const { clearCache, clearHistory } = useContext(AppContext); // Get actions from context
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
+  const {
+    clearCache, clearHistory, cacheSettings, cacheUsage, updateCacheSettings, exportBackup, restoreBackup,
+    wotdSettings, updateWotdSettings, reminderSettings, updateReminderSettings,
+    sortedHistory, historySettings, updateHistorySettings, themePreference, setThemePreference,
+    appLanguagePreference, setAppLanguagePreference,
+  } = useContext(AppContext); // Get actions from context
+  const [isBackupBusy, setIsBackupBusy] = useState(false);
+
+  // Chip options for the cache limits
+  const maxEntryOptions = useMemo(() => CACHE_MAX_ENTRY_OPTIONS.map(value => ({ label: String(value), value })), []);
+  const maxBytesOptions = useMemo(() => CACHE_MAX_BYTES_OPTIONS.map(value => ({ label: formatBytes(value), value })), []);
+  const ttlOptions = useMemo(() => CACHE_TTL_DAY_OPTIONS.map(value => ({ label: value === 0 ? t('settings.cache.never') : t('common.days', { count: value }), value })), [t]);
+  // Chip options for the Word of the Day
+  const wotdSourceOptions = useMemo(() => [
+    { label: t('settings.wotd.source.bundled'), value: 'bundled' },
+    { label: t('settings.wotd.source.mine'), value: 'mine' },
+    { label: t('settings.wotd.source.mixed'), value: 'mixed' },
+  ], [t]);
+  const wotdLevelOptions = useMemo(() => [
+    { label: t('common.all'), value: 'all' },
+    ...WORD_LEVELS.map(level => ({ label: t(`wotd.level.${level}`), value: level })),
+  ], [t]);
+  const historySizeOptions = useMemo(() => HISTORY_SIZE_OPTIONS.map(value => ({ label: String(value), value })), []);
+  // Shrinking below the current history size deletes the oldest entries, so ask first
+  const handleHistorySizeChange = useCallback((maxItems) => {
+    const dropped = sortedHistory.length - maxItems;
+    if (dropped <= 0) {
+      updateHistorySettings({ maxItems });
+      return;
+    }
+    Alert.alert(
+      t('settings.history.shortenTitle'),
+      t('settings.history.shortenMessage', { maxItems, count: dropped }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('settings.history.shorten'), style: 'destructive', onPress: () => updateHistorySettings({ maxItems }) },
+      ]
+    );
+  }, [sortedHistory.length, updateHistorySettings, t]);
+  // Short weekday names in the app language; 1 January 2023 was a Sunday, matching Date#getDay() numbering
+  const weekdayOptions = useMemo(() => [0, 1, 2, 3, 4, 5, 6].map(day => ({ label: formatDate(t.language, new Date(2023, 0, 1 + day), { weekday: 'short' }), value: day })), [t]);
+  const themeOptions = useMemo(() => THEME_PREFERENCE_OPTIONS.map(option => ({ label: t(`theme.${option.value}`), value: option.value })), [t]);
+  const appLanguageOptions = useMemo(() => [
+    { label: t('language.system'), value: SYSTEM_APP_LANGUAGE },
+    ...APP_LANGUAGES.map(language => ({ label: language.name, value: language.code })), // Each in its own language
+  ], [t]);
+  const toggleReminderDay = useCallback((day) => {
+    const days = reminderSettings.days.includes(day)
+      ? reminderSettings.days.filter(value => value !== day)
+      : [...reminderSettings.days, day].sort();
+    updateReminderSettings({ days });
+  }, [reminderSettings.days, updateReminderSettings]);
 
   // Use useCallback to ensure function identity is stable, useful if passed as props, good practice regardless
   const handleClearCache = useCallback(() => {
     Alert.alert(
-      "Clear Definition Cache",
-      "Are you sure you want to delete all locally saved definitions? This can free up space but definitions will need to be fetched again. This action cannot be undone.",
+      t('settings.clearCache.title'),
+      t('settings.clearCache.message'),
       [
-        { text: "Cancel", style: "cancel" },
-        { text: "Clear Cache", onPress: clearCache, style: "destructive" } // Use the clearCache action from context
+        { text: t('common.cancel'), style: "cancel" },
+        { text: t('settings.clearCache.confirm'), onPress: clearCache, style: "destructive" } // Use the clearCache action from context
       ]
     );
-  }, [clearCache]); // Dependency: clearCache action
+  }, [clearCache, t]); // Dependency: clearCache action
 
   // clearHistory from context already uses useCallback, so just assign it
   const handleClearHistory = useCallback(() => {
@@ -1652,13 +5420,81 @@ function SettingsScreen({ navigation }) {
     clearHistory();
   }, [clearHistory]);
 
+  const handleExportBackup = useCallback(async () => {
+    setIsBackupBusy(true);
+    await exportBackup(); // Reports its own errors via toast
+    setIsBackupBusy(false);
+  }, [exportBackup]);
+
+  // Summarises what a restore changed, including conflicts and how each was resolved
+  const showRestoreReport = useCallback((report, mode) => {
+    const { added, conflicts, evicted } = report;
+    const lines = [
+      t(mode === 'replace' ? 'backup.report.restored' : 'backup.report.added', { contents: describeBackupCounts(added, t) }),
+    ];
+    if (conflicts.length > 0) {
+      lines.push('', t('backup.report.conflicts', { count: conflicts.length }));
+      conflicts.slice(0, 8).forEach(conflict => lines.push(`• ${t(`backup.conflict.${conflict.type}`, { label: conflict.label })}: ${t(`backup.kept.${conflict.type}.${conflict.kept}`)}`));
+      if (conflicts.length > 8) lines.push(t('backup.report.more', { count: conflicts.length - 8 }));
+    }
+    if (evicted > 0) lines.push('', t('backup.report.evicted', { count: evicted }));
+    Alert.alert(t('backup.restoredTitle'), lines.join('\n'));
+  }, [t]);
+
+  const applyBackup = useCallback(async (backup, mode) => {
+    setIsBackupBusy(true);
+    try {
+      const report = await restoreBackup(backup, mode);
+      showRestoreReport(report, mode);
+    } catch (e) {
+      console.error("Backup restore error:", e);
+      Alert.alert(t('backup.restoreFailedTitle'), t('backup.restoreFailedMessage'));
+    } finally {
+      setIsBackupBusy(false);
+    }
+  }, [restoreBackup, showRestoreReport, t]);
+
+  // Pick a file, validate it, then let the user choose how to apply it
+  const handleImportBackup = useCallback(async () => {
+    let backup;
+    try {
+      // Any type: many Android file managers don't report .json files as application/json
+      const picked = await DocumentPicker.getDocumentAsync({ type: '*/*', copyToCacheDirectory: true });
+      if (picked.canceled || !picked.assets?.length) return;
+      const contents = await FileSystem.readAsStringAsync(picked.assets[0].uri);
+      backup = JSON.parse(contents);
+    } catch (e) {
+      console.error("Backup read error:", e);
+      Alert.alert(t('backup.invalidTitle'), t('backup.unreadable'));
+      return;
+    }
+
+    const problems = validateBackup(backup, { cacheKeyPrefix: CACHE_KEY_PREFIX, translate: t });
+    if (problems.length > 0) {
+      Alert.alert(t('backup.invalidTitle'), problems.join('\n'));
+      return;
+    }
+
+    const summary = summarizeBackup(backup);
+    const exportedOn = backup.exportedAt ? formatDate(t.language, backup.exportedAt) : t('backup.unknownDate');
+    Alert.alert(
+      t('backup.restoreTitle'),
+      `${t('backup.restoreSummary', { date: exportedOn, contents: describeBackupCounts(summary, t) })}\n\n${t('backup.restoreExplanation')}`,
+      [
+        { text: t('common.cancel'), style: "cancel" },
+        { text: t('backup.merge'), onPress: () => applyBackup(backup, 'merge') },
+        { text: t('backup.replace'), onPress: () => applyBackup(backup, 'replace'), style: "destructive" },
+      ]
+    );
+  }, [applyBackup, t]);
+
   // Example handler for linking
   const openLink = async (url) => {
     const supported = await Linking.canOpenURL(url);
     if (supported) {
       await Linking.openURL(url);
     } else {
-      Alert.alert("Cannot Open Link", `Could not open the URL: ${url}`);
+      Alert.alert(t('settings.linkErrorTitle'), t('settings.linkErrorMessage', { url }));
     }
   };
 
@@ -1670,40 +5506,201 @@ function SettingsScreen({ navigation }) {
         contentContainerStyle={styles.settingsContentContainer}
         showsVerticalScrollIndicator={false}
       >
+        {/* --- Appearance Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.appearance')}</Text>
+        <View style={styles.card}>
+          <View style={[styles.settingsItem, styles.settingsItemNoBorder]}>
+            <MaterialIcons name="palette" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('settings.theme')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.themeDescription')}</Text>
+            </View>
+          </View>
+          <ListSorter label={t('settings.themeLabel')} sortOrder={themePreference} setSortOrder={setThemePreference} options={themeOptions} />
+        </View>
+
+        {/* --- Language Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.language')}</Text>
+        <View style={styles.card}>
+          <View style={[styles.settingsItem, styles.settingsItemNoBorder]}>
+            <MaterialIcons name="translate" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('settings.appLanguage')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.appLanguageDescription')}</Text>
+            </View>
+          </View>
+          <ListSorter label={t('settings.appLanguageLabel')} sortOrder={appLanguagePreference} setSortOrder={setAppLanguagePreference} options={appLanguageOptions} />
+        </View>
+
         {/* --- Data Management Section --- */}
-        <Text style={styles.settingsSectionTitle}>Data Management</Text>
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.dataManagement')}</Text>
         <View style={styles.card}>
           {/* Clear Cache Item */}
-          <TouchableOpacity style={styles.settingsItem} onPress={handleClearCache} activeOpacity={0.7}>
+          <TouchableOpacity style={styles.settingsItem} onPress={handleClearCache} activeOpacity={0.7} accessibilityRole="button">
             <MaterialIcons name="delete-forever" size={24} color={COLORS.error} style={styles.settingsIconStyle} />
             <View style={styles.settingsItemContent}>
-              <Text style={styles.settingsItemText}>Clear Definition Cache</Text>
-              <Text style={styles.settingsItemDescription}>Removes definitions stored locally. Frees up space.</Text>
+              <Text style={styles.settingsItemText}>{t('settings.clearCache.title')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.clearCache.description')}</Text>
+            </View>
+            <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
+          </TouchableOpacity>
+
+          <View style={styles.settingsDivider} />
+
+          {/* Cache Browser Item */}
+          <TouchableOpacity style={styles.settingsItem} onPress={() => navigation.navigate('CacheBrowser')} activeOpacity={0.7} accessibilityRole="button">
+            <MaterialIcons name="manage-search" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('settings.browseCache')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.browseCacheDescription')}</Text>
             </View>
-            <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} />
+            <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
           </TouchableOpacity>
 
           <View style={styles.settingsDivider} />
 
           {/* Clear History Item */}
-          <TouchableOpacity style={styles.settingsItem} onPress={handleClearHistory} activeOpacity={0.7}>
+          <TouchableOpacity style={styles.settingsItem} onPress={handleClearHistory} activeOpacity={0.7} accessibilityRole="button">
             <MaterialIcons name="delete-sweep" size={24} color={COLORS.error} style={styles.settingsIconStyle} />
             <View style={styles.settingsItemContent}>
-              <Text style={styles.settingsItemText}>Clear Search History</Text>
-              <Text style={styles.settingsItemDescription}>Removes the list of past searches from the History tab.</Text>
+              <Text style={styles.settingsItemText}>{t('settings.clearHistory')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.clearHistoryDescription')}</Text>
+            </View>
+            <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
+          </TouchableOpacity>
+        </View>
+
+        {/* --- Backup & Restore Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.backup')}</Text>
+        <View style={styles.card}>
+          <TouchableOpacity style={styles.settingsItem} onPress={handleExportBackup} disabled={isBackupBusy} activeOpacity={0.7} accessibilityRole="button" accessibilityState={{ disabled: isBackupBusy, busy: isBackupBusy }}>
+            <MaterialIcons name="file-upload" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('settings.exportBackup')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.exportBackupDescription')}</Text>
+            </View>
+            {isBackupBusy ? <ActivityIndicator size="small" color={COLORS.primary} /> : <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />}
+          </TouchableOpacity>
+
+          <View style={styles.settingsDivider} />
+
+          <TouchableOpacity style={styles.settingsItem} onPress={handleImportBackup} disabled={isBackupBusy} activeOpacity={0.7} accessibilityRole="button" accessibilityState={{ disabled: isBackupBusy, busy: isBackupBusy }}>
+            <MaterialIcons name="file-download" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('backup.restoreTitle')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.restoreBackupDescription')}</Text>
             </View>
-            <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} />
+            <MaterialIcons name="chevron-right" size={24} color={COLORS.textSecondary} style={styles.directionalIcon} />
           </TouchableOpacity>
         </View>
 
+        {/* --- Search Presets Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.presets')}</Text>
+        <FilterPresetsSection />
+
+        {/* --- Word of the Day Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('wotd.title')}</Text>
+        <View style={styles.card}>
+          <View style={[styles.settingsItem, styles.settingsItemNoBorder]}>
+            <MaterialIcons name="auto-stories" size={24} color={COLORS.accent} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('settings.wotd.source')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.wotd.sourceDescription')}</Text>
+            </View>
+          </View>
+          <ListSorter label={t('settings.wotd.pickFrom')} sortOrder={wotdSettings.source} setSortOrder={value => updateWotdSettings({ source: value })} options={wotdSourceOptions} />
+          {wotdSettings.source !== 'mine' && (
+            <ListSorter label={t('settings.wotd.level')} sortOrder={wotdSettings.level} setSortOrder={value => updateWotdSettings({ level: value })} options={wotdLevelOptions} />
+          )}
+        </View>
+
+        {/* --- Daily Reminder Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.reminder')}</Text>
+        <View style={styles.card}>
+          <View style={[styles.settingsItem, !reminderSettings.enabled && styles.settingsItemNoBorder]}>
+            <MaterialIcons name="notifications-active" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('settings.reminder.notification')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.reminder.notificationDescription')}</Text>
+            </View>
+            <Switch
+              value={reminderSettings.enabled}
+              onValueChange={value => updateReminderSettings({ enabled: value })}
+              accessibilityLabel={t('settings.reminder.notification')}
+              trackColor={{ true: COLORS.primaryLight, false: COLORS.border }}
+              thumbColor={reminderSettings.enabled ? COLORS.primary : COLORS.surface}
+            />
+          </View>
+          {reminderSettings.enabled && (
+            <>
+              <TimeStepper label={t('settings.reminder.time')} minutes={reminderSettings.time} onChange={value => updateReminderSettings({ time: value })} />
+              <ListSorter label={t('settings.reminder.days')} sortOrder={reminderSettings.days} setSortOrder={toggleReminderDay} options={weekdayOptions} />
+              <View style={[styles.settingsItem, !reminderSettings.quietHoursEnabled && styles.settingsItemNoBorder]}>
+                <MaterialIcons name="bedtime" size={24} color={COLORS.textSecondary} style={styles.settingsIconStyle} />
+                <View style={styles.settingsItemContent}>
+                  <Text style={styles.settingsItemText}>{t('settings.reminder.quietHours')}</Text>
+                  <Text style={styles.settingsItemDescription}>{t('settings.reminder.quietHoursDescription')}</Text>
+                </View>
+                <Switch
+                  value={reminderSettings.quietHoursEnabled}
+                  onValueChange={value => updateReminderSettings({ quietHoursEnabled: value })}
+                  accessibilityLabel={t('settings.reminder.quietHours')}
+                  trackColor={{ true: COLORS.primaryLight, false: COLORS.border }}
+                  thumbColor={reminderSettings.quietHoursEnabled ? COLORS.primary : COLORS.surface}
+                />
+              </View>
+              {reminderSettings.quietHoursEnabled && (
+                <>
+                  <TimeStepper label={t('settings.reminder.quietFrom')} minutes={reminderSettings.quietStart} onChange={value => updateReminderSettings({ quietStart: value })} />
+                  <TimeStepper label={t('settings.reminder.quietUntil')} minutes={reminderSettings.quietEnd} onChange={value => updateReminderSettings({ quietEnd: value })} />
+                </>
+              )}
+            </>
+          )}
+        </View>
+
+        {/* --- Cache Limits Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.cacheLimits')}</Text>
+        <View style={styles.card}>
+          <View style={[styles.settingsItem, styles.settingsItemNoBorder]} accessible>
+            <MaterialIcons name="storage" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('settings.cache.definitions')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.cache.definitionsDescription')}</Text>
+            </View>
+            <Text style={styles.settingsItemValue}>{cacheUsage.count} · {formatBytes(cacheUsage.bytes)}</Text>
+          </View>
+          <ListSorter label={t('settings.cache.maxEntries')} sortOrder={cacheSettings.maxEntries} setSortOrder={value => updateCacheSettings({ maxEntries: value })} options={maxEntryOptions} />
+          <ListSorter label={t('settings.cache.maxBytes')} sortOrder={cacheSettings.maxBytes} setSortOrder={value => updateCacheSettings({ maxBytes: value })} options={maxBytesOptions} />
+          <ListSorter label={t('settings.cache.ttl')} sortOrder={cacheSettings.ttlDays} setSortOrder={value => updateCacheSettings({ ttlDays: value })} options={ttlOptions} />
+        </View>
+
+        {/* --- History Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.history')}</Text>
+        <View style={styles.card}>
+          <View style={[styles.settingsItem, styles.settingsItemNoBorder]} accessible>
+            <MaterialIcons name="history" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
+            <View style={styles.settingsItemContent}>
+              <Text style={styles.settingsItemText}>{t('settings.history.title')}</Text>
+              <Text style={styles.settingsItemDescription}>{t('settings.history.description')}</Text>
+            </View>
+            <Text style={styles.settingsItemValue}>{sortedHistory.length}</Text>
+          </View>
+          <ListSorter label={t('settings.history.keepUpTo')} sortOrder={historySettings.maxItems} setSortOrder={handleHistorySizeChange} options={historySizeOptions} />
+        </View>
+
+        {/* --- Backend Section --- */}
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.backend')}</Text>
+        <BackendProfilesSection />
+
         {/* --- About Section --- */}
-        <Text style={styles.settingsSectionTitle}>About</Text>
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">{t('settings.about')}</Text>
         <View style={styles.card}>
           {/* App Version Item - Not Touchable */}
-          <View style={[styles.settingsItem, styles.settingsItemNoBorder]}>
+          <View style={[styles.settingsItem, styles.settingsItemNoBorder]} accessible>
             <MaterialIcons name="info-outline" size={24} color={COLORS.primary} style={styles.settingsIconStyle} />
             <View style={styles.settingsItemContent}>
-              <Text style={styles.settingsItemText}>App Version</Text>
+              <Text style={styles.settingsItemText}>{t('settings.version')}</Text>
             </View>
             <Text style={styles.settingsItemValue}>{APP_VERSION}</Text>
           </View>
@@ -1711,12 +5708,13 @@ function SettingsScreen({ navigation }) {
 
         {/* --- Legal/Links Section (Example) --- */}
         {/*
-        <Text style={styles.settingsSectionTitle}>Legal</Text>
+        <Text style={styles.settingsSectionTitle} accessibilityRole="header">Legal</Text>
         <View style={styles.card}>
             <TouchableOpacity
                 style={[styles.settingsItem, styles.settingsItemNoBorder]}
                 onPress={() => openLink('https://your-privacy-policy-url.com')} // Replace with actual URL
                 activeOpacity={0.7}
+                accessibilityRole="link"
             >
                 <MaterialIcons name="privacy-tip" size={24} color={COLORS.info} style={styles.settingsIconStyle} />
                 <View style={styles.settingsItemContent}>
@@ -1735,14 +5733,19 @@ function SettingsScreen({ navigation }) {
 
 // --- Custom Bottom Tab Bar Component ---
 const CustomBottomTabBar = ({ state, descriptors, navigation }) => {
+  const { styles, COLORS } = useTheme();
+  const t = useTranslation();
   const insets = useSafeAreaInsets();
 
   return (
-    <View style={[
-      styles.customTabBarContainer,
-      // Adjust paddingBottom based on safe area insets
-      { paddingBottom: insets.bottom > 0 ? insets.bottom : 10 } // Provide minimum padding even without inset
-    ]}>
+    <View
+      style={[
+        styles.customTabBarContainer,
+        // Adjust paddingBottom based on safe area insets
+        { paddingBottom: insets.bottom > 0 ? insets.bottom : 10 } // Provide minimum padding even without inset
+      ]}
+      accessibilityRole="tablist"
+    >
       {state.routes.map((route, index) => {
         const { options } = descriptors[route.key];
         const label = options.tabBarLabel ?? options.title ?? route.name;
@@ -1781,13 +5784,13 @@ const CustomBottomTabBar = ({ state, descriptors, navigation }) => {
           // }
         };
 
-        const accessibilityLabel = options.tabBarAccessibilityLabel ?? `${label} tab`;
+        const accessibilityLabel = options.tabBarAccessibilityLabel ?? t('nav.tabAccessibility', { label });
 
         return (
           <TouchableOpacity
             key={route.key}
-            accessibilityRole="button"
-            accessibilityState={isFocused ? { selected: true } : {}}
+            accessibilityRole="tab"
+            accessibilityState={{ selected: isFocused }}
             accessibilityLabel={accessibilityLabel}
             testID={options.tabBarTestID}
             onPress={onPress}
@@ -1803,6 +5806,7 @@ const CustomBottomTabBar = ({ state, descriptors, navigation }) => {
             <Text
               style={[styles.customTabLabel, { color: isFocused ? COLORS.tabBarActiveTint : COLORS.tabBarInactiveTint }]}
               numberOfLines={1} // Prevent label wrapping
+              maxFontSizeMultiplier={CHROME_MAX_FONT_SCALE}
             >
               {label}
             </Text>
@@ -1814,11 +5818,36 @@ const CustomBottomTabBar = ({ state, descriptors, navigation }) => {
 };
 
 // --- Navigation Setup ---
+// --- Deep Linking ---
+// vocabmaster://define?word=serendipity&length=40&tone=formal&lang=spa runs a lookup; the other paths open a screen.
+// The same paths work as universal links (https://<host>/define?word=serendipity) in builds that set a link host.
+// ExpoLinking.createURL('/') adds the development (exp://) prefix.
+const linking = {
+  prefixes: [ExpoLinking.createURL('/'), `${DEEP_LINK_SCHEME}://`, ...(UNIVERSAL_LINK_HOST ? [`https://${UNIVERSAL_LINK_HOST}`] : [])],
+  config: {
+    initialRouteName: 'AppTabs', // Keeps the tabs underneath modals opened from a link
+    screens: {
+      AppTabs: {
+        screens: {
+          Define: 'define',
+          Favorites: 'favorites',
+          History: 'history',
+          Quiz: 'quiz',
+        },
+      },
+      SettingsModal: 'settings',
+      CacheBrowser: 'settings/cache',
+      WordOfTheDayArchive: 'word-of-the-day',
+    },
+  },
+};
+
 const Tab = createBottomTabNavigator();
 const RootStack = createNativeStackNavigator();
 
 // Tab Navigator using the Custom Bar & Shared Header
 function AppTabs() {
+  const t = useTranslation();
   return (
     <Tab.Navigator
       tabBar={props => <CustomBottomTabBar {...props} />} // Use custom tab bar component
@@ -1831,16 +5860,17 @@ function AppTabs() {
       }}
     >
       {/* Define Screens - Options like title are used by the Header component */}
-      <Tab.Screen name="Define" component={DefineScreen} options={{ title: 'Define Word' }} />
-      <Tab.Screen name="Favorites" component={FavoritesScreen} options={{ title: 'Favorites' }} />
-      <Tab.Screen name="History" component={HistoryScreen} options={{ title: 'History' }} />
-      <Tab.Screen name="Quiz" component={QuizScreen} options={{ title: 'Quiz List' }} />
+      <Tab.Screen name="Define" component={DefineScreen} options={{ title: t('nav.define') }} />
+      <Tab.Screen name="Favorites" component={FavoritesScreen} options={{ title: t('nav.favorites') }} />
+      <Tab.Screen name="History" component={HistoryScreen} options={{ title: t('nav.history') }} />
+      <Tab.Screen name="Quiz" component={QuizScreen} options={{ title: t('nav.quiz') }} />
     </Tab.Navigator>
   );
 }
 
 // Root Stack Navigator (Handles Tabs + Modals like Settings)
 function RootNavigator() {
+  const t = useTranslation();
   return (
     <RootStack.Navigator
       screenOptions={{
@@ -1860,40 +5890,113 @@ function RootNavigator() {
         component={SettingsScreen}
         options={{
           presentation: 'modal', // iOS style slide-up, Android standard screen transition
-          title: 'Settings',     // Title used by the custom Header component
+          title: t('nav.settings'), // Title used by the custom Header component
           // No need for headerLeft/Right overrides unless custom behavior needed for modal specifically
         }}
       />
-      {/* Add other stack screens outside the tabs here if needed */}
-      {/* Example:
+      {/* Cache browser, opened from Settings (modal so it stacks above the Settings modal) */}
+      <RootStack.Screen
+        name="CacheBrowser"
+        component={CacheBrowserScreen}
+        options={{ presentation: 'modal', title: t('nav.cacheBrowser') }}
+      />
+      {/* Archive of past Words of the Day, opened from the Define tab */}
+      <RootStack.Screen
+        name="WordOfTheDayArchive"
+        component={WordOfTheDayArchiveScreen}
+        options={{ presentation: 'modal', title: t('nav.wotdArchive') }}
+      />
+      {/* Full-text search over cached definitions, opened from the header of the main tabs */}
+      <RootStack.Screen
+        name="DefinitionSearch"
+        component={DefinitionSearchScreen}
+        options={{ presentation: 'modal', title: t('nav.definitionSearch') }}
+      />
+      {/* Collections, tags and notes of a favorite, opened from the Favorites tab */}
+      <RootStack.Screen
+        name="FavoriteDetails"
+        component={FavoriteDetailsScreen}
+        options={{ presentation: 'modal', title: t('nav.favoriteDetails') }}
+      />
+      {/* Definition comparison, opened from a definition result */}
+      <RootStack.Screen
+        name="Compare"
+        component={CompareScreen}
+        options={{ presentation: 'modal', title: t('nav.compare') }}
+      />
+      {/* Quiz session, pushed over the tabs from the Quiz tab */}
       <RootStack.Screen
         name="QuizGame"
-        component={QuizGameScreen} // Assuming QuizGameScreen is defined
-        options={{ title: 'Quiz Time!' }}
+        component={QuizGameScreen}
+        options={{ title: t('nav.quizGame') }}
       />
-      */}
     </RootStack.Navigator>
   );
 }
 
+// Lets code outside the navigator (notification taps) navigate
+const navigationRef = createNavigationContainerRef();
+
 // --- Main App Component ---
 export default function App() {
+  // Tapping a reminder opens the tab it points at; covers cold starts too, once navigation is ready
+  const lastNotificationResponse = Notifications.useLastNotificationResponse();
+  const [isNavigationReady, setIsNavigationReady] = useState(false);
+  useEffect(() => {
+    if (!isNavigationReady || !lastNotificationResponse) return;
+    if (lastNotificationResponse.actionIdentifier !== Notifications.DEFAULT_ACTION_IDENTIFIER) return;
+    const { kind, screen } = lastNotificationResponse.notification.request.content.data || {};
+    if (kind === REMINDER_NOTIFICATION_KIND && (screen === 'Define' || screen === 'Quiz')) {
+      navigationRef.navigate('AppTabs', { screen });
+    }
+  }, [isNavigationReady, lastNotificationResponse]);
+
   return (
     <SafeAreaProvider>
-      {/* Set status bar style globally for consistency */}
-      <StatusBar barStyle="light-content" backgroundColor={COLORS.primaryDark} />
       <AppProvider>
-        <NavigationContainer>
-          <RootNavigator />
-        </NavigationContainer>
+        <ThemedNavigation onReady={() => setIsNavigationReady(true)} />
       </AppProvider>
     </SafeAreaProvider>
   );
 }
 
+// Status bar and navigation in the active theme; screens pick up theme and language changes through context
+function ThemedNavigation({ onReady }) {
+  const { theme } = useTheme();
+  const navigationTheme = useMemo(() => {
+    const base = theme.isDark ? DarkTheme : DefaultTheme;
+    return {
+      ...base,
+      colors: {
+        ...base.colors,
+        primary: theme.colors.primary,
+        background: theme.colors.background,
+        card: theme.colors.surface,
+        text: theme.colors.textPrimary,
+        border: theme.colors.border,
+      },
+    };
+  }, [theme]);
+
+  return (
+    <>
+      <StatusBar barStyle={theme.statusBarStyle} backgroundColor={theme.colors.primaryDark} />
+      <NavigationContainer
+        ref={navigationRef}
+        linking={linking}
+        theme={navigationTheme}
+        onReady={onReady}
+      >
+        <RootNavigator />
+      </NavigationContainer>
+    </>
+  );
+}
+
 // --- Styles ---
 // V2.2.1 - Polished Styles (Incorporating previous version's good choices and refining)
-const styles = StyleSheet.create({
+// Built per theme from its palette; components get the active theme's sheet from useTheme
+const createStyles = (COLORS) => StyleSheet.create({
   // --- Screen & Layout ---
   screenSafeArea: {
     flex: 1,
@@ -1919,6 +6022,9 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     marginLeft: 4 // Slight indent
   },
+  directionalIcon: { // Back arrows and chevrons point the other way in right-to-left layouts
+    transform: [{ scaleX: I18nManager.isRTL ? -1 : 1 }],
+  },
 
   // --- Header ---
   header: {
@@ -1954,14 +6060,14 @@ const styles = StyleSheet.create({
   headerTitle: {
     fontSize: 20,
     fontWeight: '600', // Semi-bold
-    color: COLORS.surface,
+    color: COLORS.onPrimary,
     textAlign: 'center',
   },
 
   // --- Custom Tab Bar ---
   customTabBarContainer: {
     flexDirection: 'row',
-    height: 65, // Consistent height
+    minHeight: 65, // Grows with large system font sizes
     backgroundColor: COLORS.tabBarBackground,
     borderTopWidth: StyleSheet.hairlineWidth,
     borderTopColor: COLORS.border,
@@ -2037,6 +6143,38 @@ const styles = StyleSheet.create({
     backgroundColor: COLORS.background, // Indicate non-interactive state
     color: COLORS.textDisabled,
   },
+  suggestionRow: { // Autocomplete chips under the word input
+    gap: 8,
+    paddingTop: 8,
+  },
+  suggestionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.surface,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  suggestionChipPersonal: { // Words from the user's history, favorites or cache
+    backgroundColor: COLORS.chipBackground,
+    borderColor: COLORS.primaryLight + '99',
+  },
+  correctionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingTop: 8,
+  },
+  correctionLabel: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
+  correctionWord: {
+    color: COLORS.primary,
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+  },
   toggleButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -2050,6 +6188,53 @@ const styles = StyleSheet.create({
     marginRight: 4,
     fontSize: 15,
   },
+  languagePickerField: { // Input-looking button that opens the language list
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  languagePickerValue: {
+    flex: 1,
+    fontSize: 16,
+    color: COLORS.textPrimary,
+  },
+  languagePickerPlaceholder: {
+    flex: 1,
+    fontSize: 16,
+    color: COLORS.textSecondary,
+  },
+  languageModalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  languageSearchInput: {
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  languageListContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  languageOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  languageOptionName: {
+    fontSize: 16,
+    color: COLORS.textPrimary,
+    fontWeight: '500',
+  },
+  languageOptionNative: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+    fontWeight: 'normal',
+  },
   optionalFiltersContainer: {
     marginTop: 12, // Space above filters
     borderTopWidth: 1,
@@ -2087,7 +6272,7 @@ const styles = StyleSheet.create({
     gap: 8, // Space between icon and text within the gradient button
   },
   buttonText: { // For buttons with dark background (like gradient primary)
-    color: COLORS.surface,
+    color: COLORS.onPrimary,
     fontSize: 16,
     fontWeight: 'bold',
     textAlign: 'center',
@@ -2116,6 +6301,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: COLORS.textSecondary,
   },
+  loadingCancelButton: {
+    minWidth: 140, // Keep the pill from shrinking around the short label
+    marginTop: 24,
+  },
   errorCard: {
     backgroundColor: COLORS.errorBackground,
     alignItems: 'center',
@@ -2123,6 +6312,10 @@ const styles = StyleSheet.create({
     borderColor: COLORS.error,
     borderWidth: 1,
   },
+  errorCardText: {
+    alignItems: 'center',
+    alignSelf: 'stretch',
+  },
   errorTitle: {
     fontSize: 20,
     fontWeight: 'bold',
@@ -2240,6 +6433,8 @@ const styles = StyleSheet.create({
   },
   actionButtonsContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap', // Large system font sizes push some actions onto a second row
+    rowGap: 12,
     justifyContent: 'space-around', // Distribute buttons evenly
     alignItems: 'flex-start', // Align button content (icon+text) to the top
     marginBottom: 16, // Space below actions
@@ -2281,6 +6476,9 @@ const styles = StyleSheet.create({
     marginBottom: 0, // Reduce margin below header, rely on sorter margin
     paddingRight: 4, // Align clear button nicely
   },
+  listSearchInput: { // Search field above a list
+    marginBottom: 12,
+  },
   clearButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -2294,6 +6492,52 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     fontSize: 13,
   },
+  exportButtonText: {
+    color: COLORS.primary,
+  },
+  swipeRow: { // Holds a list item above its swipe-revealed Delete button; the card keeps its own spacing
+    position: 'relative',
+  },
+  swipeDeleteAction: {
+    position: 'absolute',
+    top: 0,
+    bottom: 12, // Matches listItemCard's marginBottom so the button lines up with the card
+    right: 0,
+    width: SWIPE_ACTION_WIDTH,
+    borderRadius: 10,
+    backgroundColor: COLORS.error,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  swipeDeleteText: {
+    color: COLORS.onPrimary,
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  historySearchInput: {
+    paddingVertical: 10,
+    marginBottom: 4,
+  },
+  historySectionHeader: {
+    fontSize: 13,
+    fontWeight: '700',
+    color: COLORS.textSecondary,
+    textTransform: 'uppercase',
+    marginTop: 8,
+    marginBottom: 8,
+    marginLeft: 4,
+  },
+  historyLoadMore: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  historyFooterText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
   listItemCard: { // Base style for items in Fav/History/Quiz lists
     backgroundColor: COLORS.surface,
     borderRadius: 10,
@@ -2340,6 +6584,38 @@ const styles = StyleSheet.create({
     marginTop: 3, // Space between meta lines
     fontStyle: 'italic', // Differentiate second line
   },
+  searchSnippetText: { // Definition excerpt in search results
+    fontSize: 14,
+    color: COLORS.textPrimary,
+    lineHeight: 20,
+    marginTop: 4,
+  },
+  searchSnippetHighlight: {
+    fontWeight: '700',
+    color: COLORS.primaryDark,
+    backgroundColor: COLORS.chipBackground,
+  },
+  favoriteLabelsText: { // Collections and #tags under a favorite
+    fontSize: 12,
+    color: COLORS.primary,
+    fontWeight: '500',
+    marginTop: 2,
+  },
+  favoriteNoteText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  favoriteCollectionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  favoriteCollectionInput: {
+    flex: 1,
+    marginRight: 8,
+  },
   removeButton: { // Button for removing Fav/Quiz items
     padding: 8, // Tap area
     marginLeft: 4, // Space from content
@@ -2391,12 +6667,139 @@ const styles = StyleSheet.create({
     marginBottom: 20, // Space below button
     marginTop: 12, // Space above button (below title)
   },
+  quizSectionHeader: { // "Due Today" / "Upcoming" headers in the quiz list
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.quizAccent,
+    textTransform: 'uppercase',
+    marginBottom: 8,
+    marginTop: 4,
+    marginLeft: 4,
+  },
+  quizDueText: { // Highlights the schedule line of words due for review
+    color: COLORS.quizAccent,
+    fontWeight: '600',
+  },
+  quizCaughtUpText: {
+    fontSize: 14,
+    color: COLORS.success,
+    marginLeft: 4,
+    marginTop: -8,
+  },
+
+  // --- Quiz Game ---
+  quizProgressRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+    paddingHorizontal: 4,
+  },
+  quizProgressText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: COLORS.textSecondary,
+  },
+  quizRoundCard: {
+    borderColor: COLORS.quizAccent + 'AA',
+    borderWidth: 1,
+  },
+  quizQuestionText: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: COLORS.textPrimary,
+    marginBottom: 12,
+  },
+  quizQuestionWord: {
+    color: COLORS.quizAccent,
+    fontWeight: 'bold',
+  },
+  quizOptionButton: {
+    borderWidth: 1.5,
+    borderColor: COLORS.quizAccent + '80',
+    backgroundColor: COLORS.surface,
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    marginBottom: 10,
+  },
+  quizOptionText: {
+    fontSize: 16,
+    color: COLORS.textPrimary,
+    fontWeight: '500',
+    textAlign: 'center',
+  },
+  quizOptionCorrect: {
+    borderColor: COLORS.success,
+    backgroundColor: COLORS.successBackground,
+  },
+  quizOptionIncorrect: {
+    borderColor: COLORS.error,
+    backgroundColor: COLORS.errorBackground,
+  },
+  quizOptionDimmed: {
+    opacity: 0.5,
+  },
+  quizTrueFalseRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  quizTrueFalseButton: {
+    flex: 1,
+  },
+  quizFeedbackBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+  quizFeedbackCorrect: {
+    backgroundColor: COLORS.successBackground,
+  },
+  quizFeedbackIncorrect: {
+    backgroundColor: COLORS.errorBackground,
+  },
+  quizFeedbackText: {
+    flex: 1,
+    fontSize: 15,
+    color: COLORS.textPrimary,
+    lineHeight: 21,
+  },
+  quizResultsCard: {
+    alignItems: 'center',
+    paddingVertical: 24,
+  },
+  quizResultsScore: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: COLORS.quizAccent,
+    marginTop: 12,
+  },
+  quizResultsPercentage: {
+    fontSize: 16,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  quizResultsMessage: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.textPrimary,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  quizResultsNote: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginTop: 8,
+    textAlign: 'center',
+  },
 
   // --- Daily Word Card ---
   dailyWordCard: {
     borderColor: COLORS.accent + 'AA', // Accent border
     borderWidth: 1,
-    backgroundColor: '#FFFBF2', // Light yellow/orange background tint
+    backgroundColor: COLORS.dailyWordBackground, // Light yellow/orange background tint
   },
   dailyWordHeader: {
     flexDirection: 'row',
@@ -2412,6 +6815,16 @@ const styles = StyleSheet.create({
     color: COLORS.primaryDark, // Use darker primary for title
     marginLeft: 10,
   },
+  dailyWordArchiveLink: {
+    marginLeft: 'auto', // Push to the right edge of the header
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  dailyWordArchiveLinkText: {
+    color: COLORS.primary,
+    fontWeight: '600',
+    fontSize: 13,
+  },
   dailyWordWord: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -2470,6 +6883,156 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
   },
 
+  // --- Pending Lookups (Offline Queue) ---
+  pendingLookupsCard: {
+    paddingTop: 12,
+    paddingBottom: 8,
+    borderColor: COLORS.info + '66',
+    borderWidth: 1,
+  },
+  pendingLookupsTitle: {
+    marginBottom: 4,
+  },
+  revisionBar: { // Pager over stored revisions of a definition
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.background,
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    marginBottom: 12,
+  },
+  revisionInfo: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  revisionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.textPrimary,
+  },
+  revisionPinButton: {
+    marginHorizontal: 8,
+  },
+  compareColumns: { // Horizontal row of variant columns
+    gap: 12,
+    alignItems: 'flex-start',
+  },
+  compareColumn: {
+    marginBottom: 8,
+    padding: 12,
+  },
+  compareColumnHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    justifyContent: 'space-between',
+    minHeight: 40, // Two lines, so the inputs below line up across columns
+    marginBottom: 8,
+  },
+  compareColumnTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: COLORS.primaryDark,
+    marginRight: 6,
+  },
+  compareInput: {
+    paddingVertical: 8,
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  compareResult: {
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+  },
+  compareChips: {
+    alignItems: 'flex-start', // Chips keep their natural width
+    gap: 6,
+    marginBottom: 10,
+  },
+  compareDefinitionText: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: COLORS.textPrimary,
+  },
+  compareActions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  compareHint: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    fontStyle: 'italic',
+  },
+  compareErrorText: {
+    fontSize: 13,
+    color: COLORS.error,
+  },
+  compareLoading: {
+    marginVertical: 12,
+  },
+  batchInput: { // Multi-line word list in batch mode
+    minHeight: 110,
+    maxHeight: 200,
+  },
+  batchSummaryText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 6,
+  },
+  batchProgressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: COLORS.border,
+    overflow: 'hidden',
+    marginBottom: 6,
+  },
+  batchProgressFill: {
+    height: '100%',
+    backgroundColor: COLORS.success,
+  },
+  batchActions: { // Up to three actions; wrap on narrow screens
+    flexWrap: 'wrap',
+  },
+  batchCancelText: {
+    color: COLORS.error,
+  },
+  batchQuizText: {
+    color: COLORS.quizAccent,
+  },
+  pendingLookupStatusIcon: {
+    width: 24,
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  pendingLookupsActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 4,
+  },
+  pendingLookupsActionText: {
+    color: COLORS.primary,
+    marginLeft: 5,
+    fontWeight: '600',
+    fontSize: 13,
+  },
+  offlineBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    backgroundColor: COLORS.errorBackground,
+    borderRadius: 12,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+  },
+  offlineBadgeText: {
+    color: COLORS.error,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+
   // --- List Sorter ---
   sorterContainer: {
     marginBottom: 16, // Space below sorter
@@ -2512,6 +7075,32 @@ const styles = StyleSheet.create({
   },
 
   // --- Settings Screen ---
+  timeStepperRow: { // Label, minus, time value, plus
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 4,
+    marginBottom: 6,
+  },
+  timeStepperLabel: {
+    flex: 1,
+    fontSize: 15,
+    color: COLORS.textPrimary,
+  },
+  timeStepperButton: {
+    padding: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.surface,
+  },
+  timeStepperValue: {
+    minWidth: 64,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: COLORS.primaryDark,
+  },
   settingsScrollContainer: {
     flex: 1,
     backgroundColor: COLORS.background,
@@ -2562,6 +7151,31 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
     fontWeight: '500',
   },
+  backendTestResult: { // Connection test feedback row
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 8,
+  },
+  backendEditorActions: { // Delete / Cancel / Save row under the profile editor
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  backendEditorButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+  },
+  backendEditorCancelText: {
+    color: COLORS.textSecondary,
+    fontWeight: '600',
+    fontSize: 15,
+  },
+  backendEditorSaveText: {
+    color: COLORS.primary,
+    fontWeight: 'bold',
+    fontSize: 15,
+  },
   settingsDivider: { // Divider line between settings items within a card
     height: StyleSheet.hairlineWidth,
     backgroundColor: COLORS.border,
@@ -2600,3 +7214,10 @@ const styles = StyleSheet.create({
     lineHeight: 20, // Ensure text readability
   },
 });
+
+// Sheets are built once per theme and kept for when it is chosen again
+const stylesByThemeId = {};
+const getThemeStyles = (theme) => {
+  if (!stylesByThemeId[theme.id]) stylesByThemeId[theme.id] = createStyles(theme.colors);
+  return stylesByThemeId[theme.id];
+};
@@ -0,0 +1,208 @@
+// --- Define API Client ---
+// Thin wrapper around POST /api/define with cancellation (AbortController), a per-attempt timeout,
+// exponential backoff for 429/5xx responses and typed errors whose messages are safe to show users.
+
+const DEFINE_PATH = '/api/define';
+export const DEFAULT_TIMEOUT_MS = 45000; // Generous: the hosted backend can take a while to cold-start
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 10000;
+export const MAX_REQUESTED_LENGTH = 250;
+
+// --- Error Classes ---
+export class DefineApiError extends Error {
+  constructor(message, { status = null, cause } = {}) {
+    super(message);
+    this.name = 'DefineApiError';
+    this.status = status; // HTTP status when the server answered, otherwise null
+    if (cause) this.cause = cause;
+  }
+}
+
+// Request never reached the server (offline, DNS, TLS, connection reset)
+export class NetworkError extends DefineApiError {
+  constructor(message = 'Could not reach the definition service. Check your internet connection.', options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends DefineApiError {
+  constructor(message = 'The definition service took too long to respond. It may be starting up, please try again.', options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class RateLimitError extends DefineApiError {
+  constructor(message = 'Too many requests right now. Please wait a moment and try again.', { retryAfterMs = null, ...options } = {}) {
+    super(message, { status: 429, ...options });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs; // From the Retry-After header, if the server sent one
+  }
+}
+
+// Rejected input, either before sending or by the server (4xx other than 429)
+export class ValidationError extends DefineApiError {
+  constructor(message = 'The request was not accepted. Please check the word and options.', options) {
+    super(message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+// 5xx responses, or a success status with a body that isn't the expected JSON
+export class ServerError extends DefineApiError {
+  constructor(message = 'The definition service ran into a problem. Please try again shortly.', options) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+}
+
+// The caller aborted the request through its AbortSignal
+export class CancelledError extends DefineApiError {
+  constructor(message = 'The request was cancelled.', options) {
+    super(message, options);
+    this.name = 'CancelledError';
+  }
+}
+
+const isRetryableError = (error) => error instanceof RateLimitError || error instanceof ServerError;
+
+// --- Helpers ---
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) { reject(new CancelledError()); return; }
+  const onAbort = () => { clearTimeout(timer); reject(new CancelledError()); };
+  const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+  signal?.addEventListener('abort', onAbort);
+});
+
+const parseJsonSafely = (text) => {
+  if (!text) return null;
+  try { return JSON.parse(text); } catch (e) { return null; } // HTML error pages, proxies, truncated bodies
+};
+
+// Retry-After may be delta-seconds or an HTTP date
+const parseRetryAfter = (headerValue) => {
+  if (!headerValue) return null;
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(headerValue);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const backoffDelay = (attempt, baseDelayMs) => {
+  const exponential = baseDelayMs * 2 ** attempt;
+  const jitter = Math.random() * baseDelayMs; // Spread out retries from many clients
+  return Math.min(MAX_RETRY_DELAY_MS, exponential + jitter);
+};
+
+// Checks the parameters before spending a request on them
+export const validateDefineParams = (params) => {
+  const word = (params?.word || '').trim();
+  if (!word) return 'Please enter a word or phrase.';
+  const length = parseInt(params?.length, 10);
+  if (isNaN(length) || length < 1 || length > MAX_REQUESTED_LENGTH) return `Please enter a valid length (1-${MAX_REQUESTED_LENGTH}).`;
+  return null;
+};
+
+const buildRequestBody = (params) => ({
+  word: params.word.trim(),
+  length: parseInt(params.length, 10), // Ensure length is integer
+  // Only include optional params if they have a value
+  ...(params.tone && { tone: params.tone }),
+  ...(params.context && { context: params.context }),
+  ...(params.lang && { lang: params.lang }),
+});
+
+// Maps a completed HTTP response to either the parsed payload or a typed error
+const interpretResponse = (response, bodyText) => {
+  const data = parseJsonSafely(bodyText);
+  const serverMessage = typeof data?.message === 'string' && data.message ? data.message : null;
+  const { status } = response;
+
+  if (response.ok) {
+    if (!data || typeof data !== 'object') {
+      throw new ServerError('The definition service returned an unreadable response. Please try again.', { status });
+    }
+    return data;
+  }
+  if (status === 429) {
+    throw new RateLimitError(serverMessage || undefined, { retryAfterMs: parseRetryAfter(response.headers?.get?.('Retry-After')) });
+  }
+  if (status >= 500) {
+    throw new ServerError(serverMessage || `The definition service is unavailable right now (status ${status}). Please try again shortly.`, { status });
+  }
+  throw new ValidationError(serverMessage || undefined, { status });
+};
+
+// --- Client Factory ---
+// options: { baseUrl, timeoutMs, maxRetries, retryBaseDelayMs, headers, fetchImpl }
+export const createDefineClient = ({
+  baseUrl,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryBaseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+  headers = {},
+  fetchImpl = (...args) => fetch(...args),
+} = {}) => {
+  const endpoint = `${(baseUrl || '').replace(/\/+$/, '')}${DEFINE_PATH}`;
+
+  // One HTTP attempt, with its own timeout; also covers reading the body so slow streams time out too
+  const attempt = async (body, externalSignal) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs);
+    const onExternalAbort = () => controller.abort();
+    externalSignal?.addEventListener('abort', onExternalAbort);
+
+    try {
+      const response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      const bodyText = await response.text();
+      return { response, bodyText };
+    } catch (e) {
+      if (externalSignal?.aborted) throw new CancelledError(undefined, { cause: e });
+      if (timedOut) throw new TimeoutError(undefined, { cause: e });
+      throw new NetworkError(undefined, { cause: e });
+    } finally {
+      clearTimeout(timer);
+      externalSignal?.removeEventListener('abort', onExternalAbort);
+    }
+  };
+
+  // Resolves with the raw API payload. `onRetry({ attempt, maxRetries, delayMs, error })` is called before each retry.
+  const define = async (params, { signal, onRetry } = {}) => {
+    const validationMessage = validateDefineParams(params);
+    if (validationMessage) throw new ValidationError(validationMessage);
+    if (signal?.aborted) throw new CancelledError();
+
+    const body = buildRequestBody(params);
+    for (let attemptIndex = 0; ; attemptIndex++) {
+      try {
+        const { response, bodyText } = await attempt(body, signal);
+        return interpretResponse(response, bodyText);
+      } catch (error) {
+        if (!isRetryableError(error) || attemptIndex >= maxRetries) throw error;
+        // A server asking for a long pause is better reported than waited out behind a spinner
+        if (error.retryAfterMs > MAX_RETRY_DELAY_MS) throw error;
+        const delayMs = error.retryAfterMs ?? backoffDelay(attemptIndex, retryBaseDelayMs);
+        onRetry?.({ attempt: attemptIndex + 1, maxRetries, delayMs, error });
+        await delay(delayMs, signal);
+      }
+    }
+  };
+
+  // Sends one small real lookup (no retries) and reports the round-trip time; throws the usual typed errors
+  const testConnection = async ({ signal } = {}) => {
+    const startedAt = Date.now();
+    const { response, bodyText } = await attempt(buildRequestBody({ word: 'test', length: 5 }), signal);
+    interpretResponse(response, bodyText);
+    return { latencyMs: Date.now() - startedAt };
+  };
+
+  return { endpoint, define, testConnection };
+};
@@ -0,0 +1,27 @@
+// --- Dynamic App Config ---
+// Extends app.json with universal links (https://<host>/define?word=...) when UNIVERSAL_LINK_HOST is set at build
+// time, e.g. `UNIVERSAL_LINK_HOST=links.example.com eas build`. The host must be one the team controls and must serve
+// /.well-known/apple-app-site-association and /.well-known/assetlinks.json for this app (see README.md); without it
+// the app only shares and opens vocabmaster:// links.
+
+// Paths the app opens (the screens in App.js's linking config)
+const UNIVERSAL_LINK_PATHS = ['/define', '/favorites', '/history', '/quiz', '/settings', '/word-of-the-day'];
+
+export default ({ config }) => {
+  const host = (process.env.UNIVERSAL_LINK_HOST || '').trim().toLowerCase();
+  if (!host) return config;
+  return {
+    ...config,
+    ios: { ...config.ios, associatedDomains: [`applinks:${host}`] },
+    android: {
+      ...config.android,
+      intentFilters: [{
+        action: 'VIEW',
+        autoVerify: true,
+        data: UNIVERSAL_LINK_PATHS.map(pathPrefix => ({ scheme: 'https', host, pathPrefix })),
+        category: ['BROWSABLE', 'DEFAULT'],
+      }],
+    },
+    extra: { ...config.extra, universalLinkHost: host },
+  };
+};
@@ -0,0 +1,148 @@
+// --- Backup Format ---
+// Versioned JSON backup of favorites, history, the quiz list and the definition cache, plus the
+// validation and merge rules used when importing one. Storage and file I/O stay with the caller.
+
+export const BACKUP_FORMAT = 'vocabmaster-backup';
+export const BACKUP_VERSION = 1;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+// Identity of a history entry: the full parameter combination, as in addToHistory
+const historyIdentity = (item) => [lower(item.word), item.length, lower(item.tone), lower(item.context), lower(item.lang)].join('|');
+
+export const createBackup = ({ appVersion, favorites, history, quizList, cacheIndex, cacheEntries }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  appVersion,
+  exportedAt: new Date().toISOString(),
+  data: {
+    favorites,
+    history,
+    quizList,
+    cache: { index: cacheIndex, entries: cacheEntries }, // entries: { [cacheKey]: parsed cache entry, all revisions included }
+  },
+});
+
+// Returns a list of problems, worded by the app's translator (`translate(key, params)`);
+// an empty list means the backup can be imported
+export const validateBackup = (backup, { cacheKeyPrefix, translate }) => {
+  if (!isPlainObject(backup)) return [translate('backup.invalid.notObject')];
+  if (backup.format !== BACKUP_FORMAT) return [translate('backup.invalid.format')];
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    return [translate('backup.invalid.version', { version: backup.version })];
+  }
+  const errors = [];
+  const { data } = backup;
+  if (!isPlainObject(data)) return [translate('backup.invalid.noData')];
+
+  ['favorites', 'history', 'quizList'].forEach(field => {
+    const section = translate(`backup.section.${field}`);
+    if (!Array.isArray(data[field])) {
+      errors.push(translate('backup.invalid.notList', { section }));
+    } else if (data[field].some(item => !isPlainObject(item) || typeof item.word !== 'string' || !item.word.trim())) {
+      errors.push(translate('backup.invalid.missingWord', { section }));
+    }
+  });
+
+  if (!isPlainObject(data.cache) || !isPlainObject(data.cache.index) || !isPlainObject(data.cache.entries)) {
+    errors.push(translate('backup.invalid.cacheSection'));
+  } else {
+    const badKeys = Object.keys(data.cache.entries).filter(key => !key.startsWith(cacheKeyPrefix) || !isPlainObject(data.cache.entries[key]));
+    if (badKeys.length > 0) errors.push(translate('backup.invalid.cacheEntries', { count: badKeys.length }));
+  }
+  return errors;
+};
+
+export const summarizeBackup = (backup) => ({
+  favorites: backup.data.favorites.length,
+  history: backup.data.history.length,
+  quizList: backup.data.quizList.length,
+  cache: Object.keys(backup.data.cache.entries).length,
+});
+
+// Combines current data with a validated backup.
+// mode 'replace': the backup wins wholesale. mode 'merge': union of both; when the same item exists on
+// both sides the more recently updated copy is kept and the clash is reported in `conflicts` as
+// { type: 'favorite' | 'quizWord', label, kept: 'backup' | 'device' }.
+// Returns { favorites, history, quizList, cacheIndex, cacheEntriesToWrite, cacheKeysToRemove, added, conflicts }.
+export const mergeBackup = (current, backup, mode, { historyMaxItems }) => {
+  const incoming = backup.data;
+  const incomingCacheKeys = Object.keys(incoming.cache.entries);
+  // Only entries with data are restored; index-only keys would be dangling
+  const incomingIndex = {};
+  incomingCacheKeys.forEach(key => { incomingIndex[key] = incoming.cache.index[key] || { savedAt: incoming.cache.entries[key].savedAt ?? Date.now() }; });
+
+  if (mode === 'replace') {
+    return {
+      favorites: incoming.favorites,
+      history: incoming.history.slice(0, historyMaxItems),
+      quizList: incoming.quizList,
+      cacheIndex: incomingIndex,
+      cacheEntriesToWrite: incoming.cache.entries,
+      cacheKeysToRemove: Object.keys(current.cacheIndex).filter(key => !incoming.cache.entries[key]),
+      added: summarizeBackup(backup),
+      conflicts: [],
+    };
+  }
+
+  const conflicts = [];
+  const added = { favorites: 0, history: 0, quizList: 0, cache: 0 };
+
+  // Favorites: by word; edits to collections, tags or notes count as updates
+  const favorites = [...current.favorites];
+  const favoriteUpdatedAt = (item) => item.updatedAt || item.timestamp || 0;
+  incoming.favorites.forEach(item => {
+    const index = favorites.findIndex(fav => lower(fav.word) === lower(item.word));
+    if (index === -1) { favorites.push(item); added.favorites += 1; return; }
+    const keepIncoming = favoriteUpdatedAt(item) > favoriteUpdatedAt(favorites[index]);
+    if (keepIncoming) favorites[index] = item;
+    conflicts.push({ type: 'favorite', label: item.word, kept: keepIncoming ? 'backup' : 'device' });
+  });
+
+  // History: by parameter combination; duplicates simply collapse to the newest visit
+  const historyByIdentity = new Map(current.history.map(item => [historyIdentity(item), item]));
+  incoming.history.forEach(item => {
+    const identity = historyIdentity(item);
+    const existing = historyByIdentity.get(identity);
+    if (!existing) added.history += 1;
+    if (!existing || (item.timestamp || 0) > (existing.timestamp || 0)) historyByIdentity.set(identity, item);
+  });
+  const history = [...historyByIdentity.values()]
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, historyMaxItems);
+
+  // Quiz list: by word; the copy with the latest review (or addition) wins so progress isn't lost
+  const quizList = [...current.quizList];
+  const quizActivity = (item) => Math.max(item.lastReviewedAt || 0, item.addedAt || 0);
+  incoming.quizList.forEach(item => {
+    const index = quizList.findIndex(existing => lower(existing.word) === lower(item.word));
+    if (index === -1) {
+      // Avoid id collisions with words already on the device
+      const idTaken = quizList.some(existing => existing.id === item.id);
+      quizList.push(idTaken ? { ...item, id: `${item.id}-restored` } : item);
+      added.quizList += 1;
+      return;
+    }
+    const keepIncoming = quizActivity(item) > quizActivity(quizList[index]);
+    if (keepIncoming) quizList[index] = { ...item, id: quizList[index].id };
+    conflicts.push({ type: 'quizWord', label: item.word, kept: keepIncoming ? 'backup' : 'device' });
+  });
+
+  // Cache: by key; newer save wins
+  const cacheIndex = { ...current.cacheIndex };
+  const cacheEntriesToWrite = {};
+  incomingCacheKeys.forEach(key => {
+    const existing = cacheIndex[key];
+    const incomingEntry = incomingIndex[key];
+    if (!existing) {
+      added.cache += 1;
+    } else if ((incomingEntry.savedAt || 0) <= (existing.savedAt || 0)) {
+      return; // Device copy is as new or newer; not worth reporting individually
+    }
+    cacheIndex[key] = incomingEntry;
+    cacheEntriesToWrite[key] = incoming.cache.entries[key];
+  });
+
+  return { favorites, history, quizList, cacheIndex, cacheEntriesToWrite, cacheKeysToRemove: [], added, conflicts };
+};
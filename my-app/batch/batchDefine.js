@@ -0,0 +1,46 @@
+// --- Batch Define ---
+// Parsing for pasted vocabulary lists and a small worker pool for running their lookups.
+
+export const BATCH_MAX_WORDS = 50;
+export const BATCH_CONCURRENCY = 3; // Parallel requests; keeps a cold backend from being flooded
+export const BATCH_MAX_WORD_LENGTH = 60; // Characters; longer entries are usually a pasted sentence, not a word or phrase
+
+// List markers people paste along with their words: "1.", "2)", "-", "*", "•"
+const LIST_MARKER_PATTERN = /^(?:\d+[.)]|[-*•])\s*/;
+
+// One word or phrase per line, or separated by commas, semicolons or tabs. Duplicates are dropped
+// case-insensitively (first spelling kept) and the list is capped at BATCH_MAX_WORDS.
+export const parseWordList = (text) => {
+  const seen = new Set();
+  const words = [];
+  let duplicates = 0;
+  String(text || '').split(/[\n\r,;\t]+/).forEach(rawEntry => {
+    const entry = rawEntry.trim().replace(LIST_MARKER_PATTERN, '').replace(/\s+/g, ' ').trim();
+    if (!entry) return;
+    const key = entry.toLowerCase();
+    if (seen.has(key)) {
+      duplicates += 1;
+      return;
+    }
+    seen.add(key);
+    words.push(entry);
+  });
+  return { words: words.slice(0, BATCH_MAX_WORDS), duplicates, truncated: Math.max(0, words.length - BATCH_MAX_WORDS) };
+};
+
+// Entries that can't be looked up as a word or phrase: no letters at all ("42", "---") or sentence-length text
+export const isValidBatchWord = (entry) => /\p{L}/u.test(entry) && entry.length <= BATCH_MAX_WORD_LENGTH;
+
+// Calls `worker(item, index)` for every item with at most `limit` calls in flight. Worker errors are the
+// worker's to handle; once `signal` aborts, no new items are started.
+export const runWithConcurrency = async (items, limit, worker, { signal } = {}) => {
+  let nextIndex = 0;
+  const runNext = async () => {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const index = nextIndex;
+      nextIndex += 1;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+};
@@ -0,0 +1,81 @@
+// --- Definition Cache Manager ---
+// Eviction policy for the definition cache. The index (CACHE_INDEX_KEY) maps each cache key to
+// { savedAt, lastAccessedAt, size }; these helpers decide what to drop, the caller does the AsyncStorage I/O.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ESTIMATED_ENTRY_BYTES = 2048; // Stand-in for entries written before sizes were tracked
+
+export const DEFAULT_CACHE_SETTINGS = {
+  maxEntries: 250,
+  maxBytes: 5 * 1024 * 1024,
+  ttlDays: 0, // 0 = never expire
+};
+
+export const CACHE_MAX_ENTRY_OPTIONS = [100, 250, 500, 1000];
+export const CACHE_MAX_BYTES_OPTIONS = [1, 5, 10, 25].map(mb => mb * 1024 * 1024);
+export const CACHE_TTL_DAY_OPTIONS = [0, 7, 30, 90];
+
+// UTF-8 size of a string, without TextEncoder (not available on every RN engine)
+export const utf8ByteLength = (text) => {
+  let bytes = 0;
+  for (const char of String(text)) {
+    const codePoint = char.codePointAt(0);
+    bytes += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+};
+
+export const createIndexEntry = (serializedData, now = Date.now()) => ({
+  savedAt: now,
+  lastAccessedAt: now,
+  size: utf8ByteLength(serializedData),
+});
+
+// Older indexes stored only the write timestamp per key
+export const migrateCacheIndex = (storedIndex) => {
+  if (!storedIndex || typeof storedIndex !== 'object' || Array.isArray(storedIndex)) return {};
+  const migrated = {};
+  Object.entries(storedIndex).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      migrated[key] = { savedAt: value, lastAccessedAt: value, size: null };
+    } else if (value && typeof value === 'object') {
+      migrated[key] = { savedAt: value.savedAt ?? 0, lastAccessedAt: value.lastAccessedAt ?? value.savedAt ?? 0, size: value.size ?? null };
+    }
+  });
+  return migrated;
+};
+
+export const entrySize = (entry) => (typeof entry?.size === 'number' ? entry.size : ESTIMATED_ENTRY_BYTES);
+
+export const isEntryExpired = (entry, settings, now = Date.now()) =>
+  settings.ttlDays > 0 && now - (entry?.savedAt ?? 0) > settings.ttlDays * DAY_MS;
+
+export const getCacheUsage = (index) => {
+  const entries = Object.values(index);
+  return { count: entries.length, bytes: entries.reduce((total, entry) => total + entrySize(entry), 0) };
+};
+
+// Keys to evict so the index fits the settings: expired entries first, then least recently used
+// until both the entry count and byte budget are met. `protectKey` (the entry just written) is never chosen.
+export const selectKeysToEvict = (index, settings = DEFAULT_CACHE_SETTINGS, { now = Date.now(), protectKey } = {}) => {
+  const evicted = [];
+  const survivors = [];
+  Object.entries(index).forEach(([key, entry]) => {
+    if (key !== protectKey && isEntryExpired(entry, settings, now)) evicted.push(key);
+    else survivors.push([key, entry]);
+  });
+
+  let count = survivors.length;
+  let bytes = survivors.reduce((total, [, entry]) => total + entrySize(entry), 0);
+  const byLeastRecentUse = survivors
+    .filter(([key]) => key !== protectKey)
+    .sort(([, a], [, b]) => (a.lastAccessedAt ?? 0) - (b.lastAccessedAt ?? 0));
+
+  for (const [key, entry] of byLeastRecentUse) {
+    if (count <= settings.maxEntries && bytes <= settings.maxBytes) break;
+    evicted.push(key);
+    count -= 1;
+    bytes -= entrySize(entry);
+  }
+  return evicted;
+};
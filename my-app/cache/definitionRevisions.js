@@ -0,0 +1,53 @@
+// --- Definition Revisions ---
+// A cache entry keeps every definition generated for its parameters ("revisions", oldest first) and an
+// optional pinned revision. Cache hits serve the pinned revision, or the newest one when nothing is pinned.
+// Stored shape: { savedAt, pinnedRevisionId, revisions: [{ revisionId, savedAt, ...API payload }] }.
+// Entries written before revisions existed (a bare payload) read as a single revision.
+
+export const MAX_REVISIONS_PER_ENTRY = 10;
+
+// Fields added when serving a revision; never written back into a revision
+const SERVED_FIELDS = ['cacheHit', 'revisionId', 'pinnedRevisionId', 'revisionList'];
+
+export const normalizeCacheEntry = (stored) => {
+  if (!stored || typeof stored !== 'object') return null;
+  if (Array.isArray(stored.revisions)) return stored.revisions.length > 0 ? stored : null;
+  const savedAt = stored.savedAt ?? 0;
+  return { savedAt, pinnedRevisionId: null, revisions: [{ ...stored, revisionId: `rev-${savedAt}`, savedAt }] };
+};
+
+// Appends `resultData` as the newest revision. Beyond MAX_REVISIONS_PER_ENTRY the oldest unpinned revision goes.
+export const addRevision = (stored, resultData, now = Date.now()) => {
+  const entry = normalizeCacheEntry(stored) || { pinnedRevisionId: null, revisions: [] };
+  let revisionId = `rev-${now}`;
+  for (let n = 2; entry.revisions.some(revision => revision.revisionId === revisionId); n++) revisionId = `rev-${now}-${n}`;
+  const payload = Object.fromEntries(Object.entries(resultData).filter(([field]) => !SERVED_FIELDS.includes(field)));
+
+  const revisions = [...entry.revisions, { ...payload, revisionId, savedAt: now }];
+  while (revisions.length > MAX_REVISIONS_PER_ENTRY) {
+    const dropIndex = revisions.findIndex(revision => revision.revisionId !== entry.pinnedRevisionId);
+    revisions.splice(dropIndex, 1);
+  }
+  return { savedAt: now, pinnedRevisionId: entry.pinnedRevisionId, revisions };
+};
+
+// Pins a revision (null unpins); unknown ids leave the entry unchanged
+export const setPinnedRevision = (stored, revisionId) => {
+  const entry = normalizeCacheEntry(stored);
+  if (!entry || (revisionId && !entry.revisions.some(revision => revision.revisionId === revisionId))) return entry;
+  return { ...entry, pinnedRevisionId: revisionId || null };
+};
+
+// The payload a cache read returns: `revisionId` if given, else the pinned or newest revision, plus the
+// entry's pin and revision list ({ revisionId, savedAt }, oldest first) for paging
+export const serveRevision = (stored, revisionId = null) => {
+  const entry = normalizeCacheEntry(stored);
+  if (!entry) return null;
+  const findRevision = (id) => (id ? entry.revisions.find(revision => revision.revisionId === id) : null);
+  const revision = findRevision(revisionId) || findRevision(entry.pinnedRevisionId) || entry.revisions[entry.revisions.length - 1];
+  return {
+    ...revision,
+    pinnedRevisionId: entry.pinnedRevisionId,
+    revisionList: entry.revisions.map(({ revisionId: id, savedAt }) => ({ revisionId: id, savedAt })),
+  };
+};
@@ -0,0 +1,53 @@
+// --- Compare Variants ---
+// The same word looked up with two to four parameter sets ("variants") for side-by-side comparison.
+// A variant holds the request fields as form strings: { id, length, tone, context, lang }.
+// Labels are message keys for the app's translator (`translate(key, params)`).
+
+export const COMPARE_MIN_VARIANTS = 2;
+export const COMPARE_MAX_VARIANTS = 4;
+export const COMPARE_FIELDS = ['length', 'tone', 'context', 'lang'];
+
+// Quick starting points: the base request varied along one field
+export const COMPARE_DIMENSIONS = {
+  length: { labelKey: 'compare.dimension.length', values: ['15', '60'] },
+  tone: { labelKey: 'compare.dimension.tone', values: ['formal', 'humorous'] },
+  lang: { labelKey: 'compare.dimension.lang', values: ['eng', 'spa'] },
+};
+
+let nextVariantId = 0;
+export const createVariant = (fields = {}) => {
+  nextVariantId += 1;
+  return {
+    id: `variant-${nextVariantId}`,
+    ...Object.fromEntries(COMPARE_FIELDS.map(field => [field, fields[field] != null ? String(fields[field]) : ''])),
+  };
+};
+
+// Copies of `base` with `dimension` set to each of its values
+export const buildVariants = (base, dimension) => (COMPARE_DIMENSIONS[dimension]?.values || [])
+  .map(value => createVariant({ ...base, [dimension]: value }));
+
+// Identity of a variant's request; blank and default values count as the same request
+export const getVariantKey = (variant) => COMPARE_FIELDS
+  .map(field => String(variant[field] || '').trim().toLowerCase())
+  .join('|');
+
+// Fields whose values differ between variants; column headers show these, the rest is shared
+export const getVaryingFields = (variants) => COMPARE_FIELDS
+  .filter(field => new Set(variants.map(variant => String(variant[field] || '').trim().toLowerCase())).size > 1);
+
+const describeField = (field, value, translate) => {
+  const text = String(value || '').trim();
+  switch (field) {
+    case 'length': return translate('compare.field.length', { count: Number(text) || 0, length: text || '?' });
+    case 'tone': return text || translate('compare.field.toneUnset');
+    case 'context': return text || translate('compare.field.contextUnset');
+    case 'lang': return text || translate('compare.field.langUnset');
+    default: return text;
+  }
+};
+
+// "60 words · formal" for the given fields
+export const describeVariant = (variant, fields, translate) => fields
+  .map(field => describeField(field, variant[field], translate))
+  .join(' · ');
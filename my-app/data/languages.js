@@ -0,0 +1,102 @@
+// --- Language Table ---
+// ISO 639-3 code (what the app sends and caches), ISO 639-1 code where one exists, English and native names.
+// `alt` lists other codes users may type for the same language (ISO 639-2/B bibliographic codes, macro/individual variants).
+
+export const LANGUAGES = [
+  { iso3: 'afr', iso1: 'af', name: 'Afrikaans', native: 'Afrikaans' },
+  { iso3: 'amh', iso1: 'am', name: 'Amharic', native: 'አማርኛ' },
+  { iso3: 'ara', iso1: 'ar', name: 'Arabic', native: 'العربية', alt: ['arb'] },
+  { iso3: 'aze', iso1: 'az', name: 'Azerbaijani', native: 'Azərbaycan dili' },
+  { iso3: 'bel', iso1: 'be', name: 'Belarusian', native: 'Беларуская' },
+  { iso3: 'ben', iso1: 'bn', name: 'Bengali', native: 'বাংলা' },
+  { iso3: 'bos', iso1: 'bs', name: 'Bosnian', native: 'Bosanski' },
+  { iso3: 'bul', iso1: 'bg', name: 'Bulgarian', native: 'Български' },
+  { iso3: 'cat', iso1: 'ca', name: 'Catalan', native: 'Català' },
+  { iso3: 'ceb', iso1: null, name: 'Cebuano', native: 'Cebuano' },
+  { iso3: 'ces', iso1: 'cs', name: 'Czech', native: 'Čeština', alt: ['cze'] },
+  { iso3: 'cym', iso1: 'cy', name: 'Welsh', native: 'Cymraeg', alt: ['wel'] },
+  { iso3: 'dan', iso1: 'da', name: 'Danish', native: 'Dansk' },
+  { iso3: 'deu', iso1: 'de', name: 'German', native: 'Deutsch', alt: ['ger'] },
+  { iso3: 'ell', iso1: 'el', name: 'Greek', native: 'Ελληνικά', alt: ['gre'] },
+  { iso3: 'eng', iso1: 'en', name: 'English', native: 'English' },
+  { iso3: 'epo', iso1: 'eo', name: 'Esperanto', native: 'Esperanto' },
+  { iso3: 'est', iso1: 'et', name: 'Estonian', native: 'Eesti' },
+  { iso3: 'eus', iso1: 'eu', name: 'Basque', native: 'Euskara', alt: ['baq'] },
+  { iso3: 'fas', iso1: 'fa', name: 'Persian', native: 'فارسی', alt: ['per', 'pes'] },
+  { iso3: 'fil', iso1: null, name: 'Filipino', native: 'Filipino' },
+  { iso3: 'fin', iso1: 'fi', name: 'Finnish', native: 'Suomi' },
+  { iso3: 'fra', iso1: 'fr', name: 'French', native: 'Français', alt: ['fre'] },
+  { iso3: 'gle', iso1: 'ga', name: 'Irish', native: 'Gaeilge' },
+  { iso3: 'glg', iso1: 'gl', name: 'Galician', native: 'Galego' },
+  { iso3: 'guj', iso1: 'gu', name: 'Gujarati', native: 'ગુજરાતી' },
+  { iso3: 'hau', iso1: 'ha', name: 'Hausa', native: 'Hausa' },
+  { iso3: 'heb', iso1: 'he', name: 'Hebrew', native: 'עברית' },
+  { iso3: 'hin', iso1: 'hi', name: 'Hindi', native: 'हिन्दी' },
+  { iso3: 'hrv', iso1: 'hr', name: 'Croatian', native: 'Hrvatski' },
+  { iso3: 'hun', iso1: 'hu', name: 'Hungarian', native: 'Magyar' },
+  { iso3: 'hye', iso1: 'hy', name: 'Armenian', native: 'Հայերեն', alt: ['arm'] },
+  { iso3: 'ibo', iso1: 'ig', name: 'Igbo', native: 'Asụsụ Igbo' },
+  { iso3: 'ind', iso1: 'id', name: 'Indonesian', native: 'Bahasa Indonesia' },
+  { iso3: 'isl', iso1: 'is', name: 'Icelandic', native: 'Íslenska', alt: ['ice'] },
+  { iso3: 'ita', iso1: 'it', name: 'Italian', native: 'Italiano' },
+  { iso3: 'jav', iso1: 'jv', name: 'Javanese', native: 'Basa Jawa' },
+  { iso3: 'jpn', iso1: 'ja', name: 'Japanese', native: '日本語' },
+  { iso3: 'kan', iso1: 'kn', name: 'Kannada', native: 'ಕನ್ನಡ' },
+  { iso3: 'kat', iso1: 'ka', name: 'Georgian', native: 'ქართული', alt: ['geo'] },
+  { iso3: 'kaz', iso1: 'kk', name: 'Kazakh', native: 'Қазақ тілі' },
+  { iso3: 'khm', iso1: 'km', name: 'Khmer', native: 'ខ្មែរ' },
+  { iso3: 'kin', iso1: 'rw', name: 'Kinyarwanda', native: 'Ikinyarwanda' },
+  { iso3: 'kir', iso1: 'ky', name: 'Kyrgyz', native: 'Кыргызча' },
+  { iso3: 'kor', iso1: 'ko', name: 'Korean', native: '한국어' },
+  { iso3: 'kur', iso1: 'ku', name: 'Kurdish', native: 'Kurdî' },
+  { iso3: 'lao', iso1: 'lo', name: 'Lao', native: 'ລາວ' },
+  { iso3: 'lat', iso1: 'la', name: 'Latin', native: 'Latina' },
+  { iso3: 'lav', iso1: 'lv', name: 'Latvian', native: 'Latviešu' },
+  { iso3: 'lit', iso1: 'lt', name: 'Lithuanian', native: 'Lietuvių' },
+  { iso3: 'ltz', iso1: 'lb', name: 'Luxembourgish', native: 'Lëtzebuergesch' },
+  { iso3: 'mal', iso1: 'ml', name: 'Malayalam', native: 'മലയാളം' },
+  { iso3: 'mar', iso1: 'mr', name: 'Marathi', native: 'मराठी' },
+  { iso3: 'mkd', iso1: 'mk', name: 'Macedonian', native: 'Македонски', alt: ['mac'] },
+  { iso3: 'mlt', iso1: 'mt', name: 'Maltese', native: 'Malti' },
+  { iso3: 'mon', iso1: 'mn', name: 'Mongolian', native: 'Монгол' },
+  { iso3: 'mri', iso1: 'mi', name: 'Maori', native: 'Te Reo Māori', alt: ['mao'] },
+  { iso3: 'msa', iso1: 'ms', name: 'Malay', native: 'Bahasa Melayu', alt: ['may', 'zsm'] },
+  { iso3: 'mya', iso1: 'my', name: 'Burmese', native: 'မြန်မာ', alt: ['bur'] },
+  { iso3: 'nep', iso1: 'ne', name: 'Nepali', native: 'नेपाली', alt: ['npi'] },
+  { iso3: 'nld', iso1: 'nl', name: 'Dutch', native: 'Nederlands', alt: ['dut'] },
+  { iso3: 'nor', iso1: 'no', name: 'Norwegian', native: 'Norsk', alt: ['nob', 'nno'] },
+  { iso3: 'nya', iso1: 'ny', name: 'Chichewa', native: 'Chichewa' },
+  { iso3: 'ori', iso1: 'or', name: 'Odia', native: 'ଓଡ଼ିଆ', alt: ['ory'] },
+  { iso3: 'pan', iso1: 'pa', name: 'Punjabi', native: 'ਪੰਜਾਬੀ' },
+  { iso3: 'pol', iso1: 'pl', name: 'Polish', native: 'Polski' },
+  { iso3: 'por', iso1: 'pt', name: 'Portuguese', native: 'Português' },
+  { iso3: 'pus', iso1: 'ps', name: 'Pashto', native: 'پښتو' },
+  { iso3: 'ron', iso1: 'ro', name: 'Romanian', native: 'Română', alt: ['rum'] },
+  { iso3: 'rus', iso1: 'ru', name: 'Russian', native: 'Русский' },
+  { iso3: 'sin', iso1: 'si', name: 'Sinhala', native: 'සිංහල' },
+  { iso3: 'slk', iso1: 'sk', name: 'Slovak', native: 'Slovenčina', alt: ['slo'] },
+  { iso3: 'slv', iso1: 'sl', name: 'Slovenian', native: 'Slovenščina' },
+  { iso3: 'smo', iso1: 'sm', name: 'Samoan', native: 'Gagana Samoa' },
+  { iso3: 'sna', iso1: 'sn', name: 'Shona', native: 'chiShona' },
+  { iso3: 'som', iso1: 'so', name: 'Somali', native: 'Soomaali' },
+  { iso3: 'spa', iso1: 'es', name: 'Spanish', native: 'Español' },
+  { iso3: 'sqi', iso1: 'sq', name: 'Albanian', native: 'Shqip', alt: ['alb'] },
+  { iso3: 'srp', iso1: 'sr', name: 'Serbian', native: 'Српски' },
+  { iso3: 'sun', iso1: 'su', name: 'Sundanese', native: 'Basa Sunda' },
+  { iso3: 'swa', iso1: 'sw', name: 'Swahili', native: 'Kiswahili', alt: ['swh'] },
+  { iso3: 'swe', iso1: 'sv', name: 'Swedish', native: 'Svenska' },
+  { iso3: 'tam', iso1: 'ta', name: 'Tamil', native: 'தமிழ்' },
+  { iso3: 'tel', iso1: 'te', name: 'Telugu', native: 'తెలుగు' },
+  { iso3: 'tgk', iso1: 'tg', name: 'Tajik', native: 'Тоҷикӣ' },
+  { iso3: 'tha', iso1: 'th', name: 'Thai', native: 'ไทย' },
+  { iso3: 'tur', iso1: 'tr', name: 'Turkish', native: 'Türkçe' },
+  { iso3: 'ukr', iso1: 'uk', name: 'Ukrainian', native: 'Українська' },
+  { iso3: 'urd', iso1: 'ur', name: 'Urdu', native: 'اردو' },
+  { iso3: 'uzb', iso1: 'uz', name: 'Uzbek', native: 'Oʻzbek' },
+  { iso3: 'vie', iso1: 'vi', name: 'Vietnamese', native: 'Tiếng Việt' },
+  { iso3: 'xho', iso1: 'xh', name: 'Xhosa', native: 'isiXhosa' },
+  { iso3: 'yid', iso1: 'yi', name: 'Yiddish', native: 'ייִדיש' },
+  { iso3: 'yor', iso1: 'yo', name: 'Yoruba', native: 'Yorùbá' },
+  { iso3: 'zho', iso1: 'zh', name: 'Chinese', native: '中文', alt: ['chi', 'cmn'] },
+  { iso3: 'zul', iso1: 'zu', name: 'Zulu', native: 'isiZulu' },
+];
@@ -0,0 +1,35 @@
+// --- Word of the Day Word List ---
+// Bundled candidates for the Word of the Day, tagged by learner level.
+// Keep entries lowercase, single words or short phrases the define API handles well.
+
+export const WORD_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+const BEGINNER = [
+  'brave', 'calm', 'curious', 'eager', 'fragile', 'gentle', 'honest', 'humble', 'journey', 'kind',
+  'loyal', 'patient', 'polite', 'proud', 'quiet', 'rare', 'shy', 'simple', 'steady', 'clever',
+  'cozy', 'delight', 'fancy', 'generous', 'grateful', 'harvest', 'invent', 'jolly', 'lively', 'marvel',
+  'neat', 'orbit', 'puzzle', 'rescue', 'shelter', 'sparkle', 'swift', 'treasure', 'vast', 'wander',
+  'whisper', 'wonder', 'bold', 'cheerful', 'explore', 'fierce', 'glimpse', 'hollow', 'ancient', 'bloom',
+];
+
+const INTERMEDIATE = [
+  'ambiguous', 'benevolent', 'candid', 'diligent', 'eloquent', 'frugal', 'gregarious', 'hinder', 'impartial', 'jubilant',
+  'keen', 'lament', 'meticulous', 'nostalgia', 'obscure', 'pragmatic', 'reluctant', 'resilient', 'scrutinize', 'tedious',
+  'tenacious', 'vivid', 'whimsical', 'zealous', 'abundant', 'adamant', 'adept', 'aloof', 'arduous', 'astute',
+  'coherent', 'complacent', 'concise', 'conspicuous', 'daunting', 'deter', 'elusive', 'empathy', 'feasible', 'fervent',
+  'hypothesis', 'indifferent', 'inevitable', 'lucid', 'mundane', 'novice', 'plausible', 'prudent', 'serene', 'versatile',
+];
+
+const ADVANCED = [
+  'ephemeral', 'serendipity', 'ubiquitous', 'quixotic', 'perfunctory', 'obfuscate', 'magnanimous', 'laconic', 'juxtapose', 'iconoclast',
+  'hegemony', 'garrulous', 'fastidious', 'equivocal', 'diaphanous', 'cacophony', 'bellicose', 'anachronism', 'recalcitrant', 'sycophant',
+  'vicissitude', 'pusillanimous', 'obsequious', 'mellifluous', 'loquacious', 'insidious', 'inexorable', 'idiosyncrasy', 'harbinger', 'grandiloquent',
+  'effervescent', 'ebullient', 'disparate', 'delineate', 'convivial', 'circumlocution', 'capricious', 'cogent', 'apocryphal', 'antediluvian',
+  'perspicacious', 'petrichor', 'sanguine', 'surreptitious', 'tacit', 'trepidation', 'verisimilitude', 'zeitgeist', 'acquiesce', 'penchant',
+];
+
+export const WORD_OF_THE_DAY_WORDS = [
+  ...BEGINNER.map(word => ({ word, level: 'beginner' })),
+  ...INTERMEDIATE.map(word => ({ word, level: 'intermediate' })),
+  ...ADVANCED.map(word => ({ word, level: 'advanced' })),
+];
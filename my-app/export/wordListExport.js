@@ -0,0 +1,62 @@
+// --- Word List Export ---
+// Formats favorites / quiz words (already joined with their definitions) as CSV or as an
+// Anki-importable text file. Rows: { word, definition, length, tone, context, lang, addedAt, dueAt,
+// collections, tags, note }; the last three are only set for favorites.
+
+const CSV_COLUMNS = [
+  ['Word', row => row.word],
+  ['Definition', row => row.definition],
+  ['Length', row => row.length],
+  ['Tone', row => row.tone],
+  ['Context', row => row.context],
+  ['Language', row => row.lang],
+  ['Added', row => (row.addedAt ? new Date(row.addedAt).toISOString() : '')],
+  ['Next Review', row => (row.dueAt ? new Date(row.dueAt).toISOString() : '')],
+  ['Collections', row => (row.collections || []).join('; ')],
+  ['Tags', row => (row.tags || []).join(' ')],
+  ['Notes', row => row.note],
+];
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv', UTI: 'public.comma-separated-values-text', label: 'CSV' },
+  anki: { extension: 'txt', mimeType: 'text/plain', UTI: 'public.plain-text', label: 'Anki Deck' },
+};
+
+// RFC 4180 quoting. Cells that spreadsheets would run as formulas are prefixed with a quote.
+const escapeCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const buildCsv = (rows) => {
+  const lines = [
+    CSV_COLUMNS.map(([header]) => header).join(','),
+    ...rows.map(row => CSV_COLUMNS.map(([, getValue]) => escapeCsvCell(getValue(row))).join(',')),
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`; // BOM so Excel opens it as UTF-8
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Anki fields are HTML; tabs would split a field, newlines would split a note
+const toAnkiField = (text) => escapeHtml(text).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+
+// Anki tags are space-separated, so spaces inside a tag become underscores
+const toAnkiTag = (text) => String(text).trim().toLowerCase().replace(/\s+/g, '_');
+
+// Front = word, Back = definition (+ the parameters it was generated with, and the note if any),
+// Tags = deck + source + language + the favorite's collections and tags.
+// The header lines let Anki 2.1.55+ pick the separator and columns without asking.
+export const buildAnkiDeck = (rows, { tag }) => {
+  const lines = ['#separator:tab', '#html:true', '#columns:Front\tBack\tTags'];
+  rows.forEach(row => {
+    const details = [row.tone, row.context, row.lang].filter(Boolean).join(' · ');
+    let back = details ? `${toAnkiField(row.definition)}<br><br><small>${toAnkiField(details)}</small>` : toAnkiField(row.definition);
+    if (row.note) back += `<br><br><i>${toAnkiField(row.note)}</i>`;
+    const tags = [...new Set(['vocabmaster', tag, row.lang, ...(row.collections || []), ...(row.tags || [])].filter(Boolean).map(toAnkiTag))].join(' ');
+    lines.push([toAnkiField(row.word), back, tags].join('\t'));
+  });
+  return `${lines.join('\n')}\n`;
+};
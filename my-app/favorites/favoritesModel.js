@@ -0,0 +1,81 @@
+// --- Favorites Model ---
+// A favorite is { word, timestamp, updatedAt, params, collections, tags, note }. `params` are the request
+// parameters the word was bookmarked with ({ length, tone, context, lang }, null for older favorites);
+// collections ("GRE", "Medical") and tags are free-form names, compared case-insensitively.
+
+export const FAVORITE_DEFAULT_LENGTH = 30; // Lookup length for favorites saved before parameters were kept
+export const FAVORITE_NOTE_MAX_LENGTH = 1000;
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+// Trimmed, de-duplicated names keeping the first spelling seen
+const uniqueNames = (names) => {
+  const seen = new Set();
+  return (Array.isArray(names) ? names : []).reduce((result, rawName) => {
+    const name = String(rawName || '').trim().replace(/\s+/g, ' ');
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      result.push(name);
+    }
+    return result;
+  }, []);
+};
+
+// Fills in the fields older favorites ({ word, timestamp }) don't have
+export const normalizeFavorite = (item) => ({
+  ...item,
+  word: String(item.word).trim(),
+  timestamp: item.timestamp ?? Date.now(),
+  updatedAt: item.updatedAt ?? item.timestamp ?? Date.now(),
+  params: item.params && typeof item.params === 'object' ? item.params : null,
+  collections: uniqueNames(item.collections),
+  tags: uniqueNames((Array.isArray(item.tags) ? item.tags : []).map(tag => String(tag || '').replace(/^#+/, ''))).map(tag => tag.toLowerCase()),
+  note: typeof item.note === 'string' ? item.note : '',
+});
+
+export const migrateFavorites = (storedList) => (Array.isArray(storedList)
+  ? storedList.filter(item => item && typeof item.word === 'string' && item.word.trim()).map(normalizeFavorite)
+  : []);
+
+export const createFavorite = (word, params = null, now = Date.now()) => normalizeFavorite({ word, params, timestamp: now, updatedAt: now });
+
+// "gre, latin-root #exam" -> ['gre', 'latin-root', 'exam']; commas, spaces and leading #s all separate tags
+export const parseTags = (text) => uniqueNames(String(text || '').split(/[,\s]+/).map(tag => tag.replace(/^#+/, ''))).map(tag => tag.toLowerCase());
+
+// Applies edits from the favorite editor; collections and tags are cleaned the same way as on load
+export const updateFavoriteFields = (item, changes, now = Date.now()) => normalizeFavorite({
+  ...item,
+  ...changes,
+  note: changes.note !== undefined ? String(changes.note).slice(0, FAVORITE_NOTE_MAX_LENGTH) : item.note,
+  updatedAt: now,
+});
+
+// Collections and tags in use, each { name, count }, most used first
+export const getFavoriteFacets = (favorites) => {
+  const count = (field) => {
+    const counts = new Map();
+    favorites.forEach(item => item[field].forEach(name => {
+      const key = name.toLowerCase();
+      const existing = counts.get(key);
+      counts.set(key, { name: existing?.name || name, count: (existing?.count || 0) + 1 });
+    }));
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  };
+  return { collections: count('collections'), tags: count('tags') };
+};
+
+// Null filters are off; names match case-insensitively
+export const filterFavorites = (favorites, { collection = null, tag = null } = {}) => favorites.filter(item => (
+  (!collection || item.collections.some(name => lower(name) === lower(collection)))
+  && (!tag || item.tags.includes(lower(tag)))
+));
+
+// Parameters to reopen a favorite with: the bookmarked ones, or the default length for older favorites
+export const getFavoriteLookupParams = (item) => ({ word: item.word, ...(item.params || { length: FAVORITE_DEFAULT_LENGTH }) });
+
+// Whether a favorite was bookmarked with these lookup parameters (length, tone, context, language)
+export const favoriteHasParams = (item, params) => {
+  if (!item) return false;
+  const saved = getFavoriteLookupParams(item);
+  return ['length', 'tone', 'context', 'lang'].every(field => lower(saved[field]) === lower(params?.[field]));
+};
@@ -0,0 +1,63 @@
+// --- Search History Model ---
+// Filtering, facets and sectioning for the History tab. Entries are
+// { word, length, tone, context, lang, result, timestamp }, newest first in storage.
+
+export const HISTORY_SIZE_OPTIONS = [50, 100, 250, 500];
+export const DEFAULT_HISTORY_SETTINGS = { maxItems: 250 };
+export const HISTORY_PAGE_SIZE = 40; // Entries rendered per page; more load as the list scrolls
+export const HISTORY_FILTER_FIELDS = ['lang', 'tone', 'context'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Timestamps are unique per entry in practice; the word guards against imported duplicates
+export const getHistoryEntryId = (entry) => `${entry.timestamp || 0}-${entry.word}`;
+
+// The language an entry was looked up in: the requested one, else what the API detected
+const entryFieldValue = (entry, field) => String((field === 'lang' ? entry.lang ?? entry.result?.effectiveLang : entry[field]) || '').trim();
+
+// Distinct non-empty values per filter field, most frequent first
+export const getHistoryFacets = (entries) => Object.fromEntries(HISTORY_FILTER_FIELDS.map(field => {
+  const counts = new Map();
+  entries.forEach(entry => {
+    const value = entryFieldValue(entry, field).toLowerCase();
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [field, [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([value]) => value)];
+}));
+
+// `query` matches the word, tone or context; the field filters match exactly (case-insensitive). Null filters are off.
+export const filterHistory = (entries, { query = '', lang = null, tone = null, context = null } = {}) => {
+  const text = query.trim().toLowerCase();
+  const fieldFilters = Object.entries({ lang, tone, context }).filter(([, value]) => value);
+  return entries.filter(entry => {
+    if (text && ![entry.word, entry.tone, entry.context].some(value => String(value || '').toLowerCase().includes(text))) return false;
+    return fieldFilters.every(([field, value]) => entryFieldValue(entry, field).toLowerCase() === value);
+  });
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+// 'today', 'yesterday', 'this-week', 'last-week', then the month as 'YYYY-MM'; the screen words these
+// in the app language
+export const getHistoryDayGroup = (timestamp, now = new Date()) => {
+  const daysAgo = Math.round((startOfDay(now) - startOfDay(new Date(timestamp))) / DAY_MS);
+  if (daysAgo <= 0) return 'today';
+  if (daysAgo === 1) return 'yesterday';
+  if (daysAgo < 7) return 'this-week';
+  if (daysAgo < 14) return 'last-week';
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Consecutive entries sharing a key form one section, so the sections follow whatever order `entries` is in
+const groupConsecutive = (entries, keyFor, type) => entries.reduce((sections, entry) => {
+  const key = keyFor(entry);
+  const last = sections[sections.length - 1];
+  if (last && last.key === key) last.data.push(entry);
+  else sections.push({ key, type, data: [entry] });
+  return sections;
+}, []);
+
+// Date-sorted entries by day group ({ type: 'day' }); alphabetically sorted ones by first letter ({ type: 'letter' })
+export const groupHistory = (entries, sortOrder, now = new Date()) => (sortOrder === 'a-z' || sortOrder === 'z-a'
+  ? groupConsecutive(entries, entry => (String(entry.word || '').charAt(0).toUpperCase() || '#'), 'letter')
+  : groupConsecutive(entries, entry => getHistoryDayGroup(entry.timestamp || 0, now), 'day'));
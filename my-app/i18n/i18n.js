@@ -0,0 +1,86 @@
+// --- App Localisation ---
+// Message catalogues for the app's own UI, independent of the `lang` sent with definition requests.
+// Catalogue values are strings with {placeholders}, or plural forms keyed by category ({ one, other, ... })
+// chosen by the `count` parameter. Keys missing from a catalogue fall back to English.
+
+import en from './locales/en';
+import es from './locales/es';
+import fr from './locales/fr';
+import ar from './locales/ar';
+import he from './locales/he';
+
+const CATALOGUES = { en, es, fr, ar, he };
+
+export const DEFAULT_APP_LANGUAGE = 'en';
+export const SYSTEM_APP_LANGUAGE = 'system'; // Follow the device's language when we have it, else English
+export const APP_LANGUAGES = [
+  { code: 'en', name: 'English', rtl: false },
+  { code: 'es', name: 'Español', rtl: false },
+  { code: 'fr', name: 'Français', rtl: false },
+  { code: 'ar', name: 'العربية', rtl: true },
+  { code: 'he', name: 'עברית', rtl: true },
+];
+
+export const isRTLLanguage = (code) => !!APP_LANGUAGES.find(language => language.code === code)?.rtl;
+
+// First of the device's preferred language codes (e.g. ['fr', 'en']) that has a catalogue
+export const resolveAppLanguage = (preference, deviceLanguageCodes = []) => {
+  if (preference !== SYSTEM_APP_LANGUAGE) return CATALOGUES[preference] ? preference : DEFAULT_APP_LANGUAGE;
+  const supported = deviceLanguageCodes.map(code => String(code || '').toLowerCase().split(/[-_]/)[0]).find(code => CATALOGUES[code]);
+  return supported || DEFAULT_APP_LANGUAGE;
+};
+
+// CLDR cardinal plural categories for the bundled languages (Intl.PluralRules isn't available on every engine)
+export const getPluralCategory = (code, count) => {
+  const n = Math.abs(Number(count) || 0);
+  switch (code) {
+    case 'fr': return n < 2 ? 'one' : 'other';
+    case 'he': return n === 1 ? 'one' : n === 2 ? 'two' : 'other';
+    case 'ar': {
+      const lastTwo = n % 100;
+      if (n === 0) return 'zero';
+      if (n === 1) return 'one';
+      if (n === 2) return 'two';
+      if (lastTwo >= 3 && lastTwo <= 10) return 'few';
+      if (lastTwo >= 11 && lastTwo <= 99) return 'many';
+      return 'other';
+    }
+    default: return n === 1 ? 'one' : 'other';
+  }
+};
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+
+// t('history.cleared', { count: 3 }) -> "3 definitions cleared"
+export const createTranslator = (code) => {
+  const catalogue = CATALOGUES[code] || CATALOGUES[DEFAULT_APP_LANGUAGE];
+  const translate = (key, params = {}) => {
+    const usePrimary = catalogue[key] !== undefined;
+    const entry = usePrimary ? catalogue[key] : CATALOGUES[DEFAULT_APP_LANGUAGE][key];
+    if (entry === undefined) return key; // Missing everywhere: the key itself makes the gap easy to spot
+    if (typeof entry === 'string') return interpolate(entry, params);
+    const category = getPluralCategory(usePrimary ? code : DEFAULT_APP_LANGUAGE, params.count);
+    return interpolate(entry[category] ?? entry.other, params);
+  };
+  translate.language = CATALOGUES[code] ? code : DEFAULT_APP_LANGUAGE;
+  return translate;
+};
+
+// Locale-aware dates; engines without Intl data fall back to their default formatting
+export const formatDate = (code, value, options = { year: 'numeric', month: 'short', day: 'numeric' }) => {
+  const date = value instanceof Date ? value : new Date(value);
+  try {
+    return date.toLocaleDateString(code, options);
+  } catch (e) {
+    return date.toLocaleDateString();
+  }
+};
+
+export const formatDateTime = (code, value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  try {
+    return date.toLocaleString(code, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  } catch (e) {
+    return date.toLocaleString();
+  }
+};
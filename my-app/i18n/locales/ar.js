@@ -0,0 +1,596 @@
+// --- العربية (Arabic) ---
+// Plural forms: zero, one, two, few (3-10), many (11-99), other.
+
+export default {
+  // App
+  'app.name': 'VocabMaster Pro',
+
+  // Shared words and buttons
+  'common.notAvailable': 'غير متاح',
+  'common.sharingUnavailable': 'المشاركة غير متاحة على هذا الجهاز.',
+  'common.lookupFailed': 'فشل البحث.',
+  'common.cancel': 'إلغاء',
+  'common.clearAll': 'مسح الكل',
+  'common.word': 'كلمة',
+  'common.listSeparator': '، ',
+  'common.questionMark': '؟',
+  'common.tryAgain': 'إعادة المحاولة',
+  'common.remove': 'إزالة',
+  'common.wordCount': { zero: 'لا كلمات', one: 'كلمة واحدة', two: 'كلمتان', few: '{count} كلمات', many: '{count} كلمة', other: '{count} كلمة' },
+  'common.unknownWord': 'كلمة غير معروفة',
+  'common.lengthShort': '{length} ك',
+  'common.sortBy': 'الترتيب حسب:',
+  'common.all': 'الكل',
+  'common.defining': 'جارٍ تعريف "{word}"...',
+  'common.back': 'رجوع',
+  'common.add': 'إضافة',
+  'common.save': 'حفظ',
+  'common.delete': 'حذف',
+  'common.nameLabel': 'الاسم *',
+  'common.days': { zero: '0 أيام', one: 'يوم واحد', two: 'يومان', few: '{count} أيام', many: '{count} يومًا', other: '{count} يوم' },
+  'common.tone': 'الأسلوب',
+  'common.context': 'السياق',
+
+  // Navigation
+  'nav.tabAccessibility': 'تبويب {label}',
+  'nav.define': 'تعريف كلمة',
+  'nav.favorites': 'المفضلة',
+  'nav.history': 'السجل',
+  'nav.quiz': 'قائمة الاختبار',
+  'nav.settings': 'الإعدادات',
+  'nav.cacheBrowser': 'التعريفات المحفوظة',
+  'nav.wotdArchive': 'أرشيف كلمة اليوم',
+  'nav.definitionSearch': 'البحث في التعريفات',
+  'nav.favoriteDetails': 'تعديل المفضلة',
+  'nav.compare': 'مقارنة التعريفات',
+  'nav.quizGame': 'وقت الاختبار!',
+
+  // Errors
+  'errors.network': 'تعذّر الوصول إلى خدمة التعريفات. تحقق من اتصالك بالإنترنت.',
+  'errors.timeout': 'لم تستجب خدمة التعريفات في الوقت المحدد. ربما لا تزال قيد التشغيل، حاول مرة أخرى.',
+  'errors.title': 'حدث خطأ',
+  'errors.requestFailed': 'تعذّر إكمال الطلب.',
+  'errors.unknown': 'خطأ غير معروف',
+
+  // Form validation
+  'validation.enterWord': 'يرجى إدخال كلمة أو عبارة.',
+  'validation.invalidLength': 'يرجى إدخال طول صالح (1-{max}).',
+  'validation.unknownLanguagePickFromList': 'لغة غير معروفة "{lang}". اختر لغة من القائمة.',
+  'validation.presetName': 'يرجى إدخال اسم للإعداد المحفوظ.',
+  'validation.presetEmpty': 'املأ الأسلوب أو السياق أو اللغة على الأقل.',
+  'validation.unknownLanguageIso': 'لغة غير معروفة "{lang}". استخدم رمز ISO مثل eng أو spa.',
+  'validation.profileName': 'يرجى إدخال اسم للملف الشخصي.',
+  'validation.baseUrl': 'يجب أن يبدأ العنوان الأساسي بـ http:// أو https://',
+  'validation.timeout': 'يجب أن تكون مهلة الانتظار بين 1 و{max} ثانية.',
+  'validation.enterWords': 'يرجى إدخال كلمة واحدة على الأقل.',
+  'validation.title': 'خطأ في التحقق',
+
+  // Definition status
+  'status.exactLength': 'طول مطابق',
+  'status.closestPossible': 'أقرب طول ممكن',
+  'status.constraintIssue': 'مشكلة في القيود',
+
+  // Define tab
+  'define.loadedFromCache': 'حُمّل التعريف من الذاكرة المؤقتة المحلية.',
+  'define.retrying': 'الخادم مشغول، إعادة المحاولة بعد {seconds} ث ({attempt}/{maxRetries})...',
+  'define.unexpectedError': 'حدث خطأ غير متوقع أثناء جلب التعريف.',
+  'define.cancelled': 'أُلغي البحث.',
+  'define.buttonBatch': { zero: 'لا كلمات لتعريفها', one: 'تعريف كلمة واحدة', two: 'تعريف كلمتين', few: 'تعريف {count} كلمات', many: 'تعريف {count} كلمة', other: 'تعريف {count} كلمة' },
+  'define.button': 'تعريف "{word}"',
+  'define.mode.single': 'كلمة واحدة',
+  'define.mode.batch': 'قائمة كلمات',
+  'define.title': 'تعريف كلمة',
+  'define.titleBatch': 'تعريف قائمة كلمات',
+  'define.modeLabel': 'الوضع:',
+  'define.wordsLabel': 'الكلمات / العبارات *',
+  'define.wordsPlaceholder': 'واحدة في كل سطر أو مفصولة بفواصل\nمثال: ubiquitous, ephemeral, candid',
+  'define.wordLabel': 'كلمة / عبارة *',
+  'define.wordPlaceholder': 'مثال: Serendipity',
+  'define.didYouMean': 'هل تقصد',
+  'define.lengthLabel': 'الطول المطلوب (كلمات) *',
+  'define.lengthPlaceholder': 'حتى {max} تقريبًا',
+  'define.presetsLabel': 'الإعدادات المحفوظة:',
+  'define.showFilters': 'إظهار عوامل التصفية الاختيارية',
+  'define.hideFilters': 'إخفاء عوامل التصفية الاختيارية',
+  'define.toneLabel': 'الأسلوب (اختياري)',
+  'define.tonePlaceholder': 'مثال: رسمي، فكاهي، بسيط',
+  'define.contextLabel': 'السياق (اختياري)',
+  'define.contextPlaceholder': 'مثال: طبي، قانوني، لطفل',
+  'define.languageLabel': 'اللغة (اختياري)',
+  'define.loading': 'جارٍ تحميل التعريف...',
+  'define.recentSearches': 'عمليات البحث الأخيرة',
+
+  // Language picker
+  'languagePicker.matches': 'النتائج المطابقة',
+  'languagePicker.recent': 'المستخدمة مؤخرًا',
+  'languagePicker.all': 'كل اللغات',
+  'languagePicker.autoDetect': 'اكتشاف تلقائي',
+  'languagePicker.title': 'اختيار اللغة',
+  'languagePicker.searchPlaceholder': 'ابحث بالاسم أو الرمز (مثل Spanish أو es أو spa)',
+  'languagePicker.autoDetectHint': 'تختار الخدمة اللغة',
+  'languagePicker.noMatches': 'لا توجد لغة تطابق "{query}".',
+
+  // Definition result
+  'result.noDefinition': 'لا يوجد تعريف متاح.',
+  'result.nothingToRead': 'لا يوجد نص تعريف لقراءته.',
+  'result.speechFailed': 'فشلت القراءة الصوتية.',
+  'result.speechError': 'حدث خطأ أثناء القراءة الصوتية.',
+  'result.copied': 'نُسخ التعريف!',
+  'result.nothingToCopy': 'لا يوجد نص تعريف لنسخه.',
+  'result.nothingToShare': 'لا يوجد تعريف لمشاركته.',
+  'result.share.link': 'افتح هذا البحث في VocabMaster: {link}',
+  'result.share.heading': 'تعريف "{word}":',
+  'result.share.footer': '(من VocabMaster Pro v{version})',
+  'result.share.subject': 'تعريف: {word}',
+  'result.share.emailUnavailable': 'المشاركة عبر البريد غير متاحة. نُسخ التعريف بدلًا من ذلك.',
+  'result.share.failed': 'فشلت المشاركة: {error}. نُسخ التعريف بدلًا من ذلك.',
+  'result.chip.length': 'الطول',
+  'result.chip.lengthValue': { zero: '{actual} كلمات (المطلوب: {requested})', one: 'كلمة واحدة (المطلوب: {requested})', two: 'كلمتان (المطلوب: {requested})', few: '{actual} كلمات (المطلوب: {requested})', many: '{actual} كلمة (المطلوب: {requested})', other: '{actual} كلمة (المطلوب: {requested})' },
+  'result.chip.status': 'الحالة',
+  'result.chip.lang': 'اللغة',
+  'result.chip.source': 'المصدر',
+  'result.chip.cache': 'الذاكرة المؤقتة',
+  'result.chip.tone': 'الأسلوب',
+  'result.chip.context': 'السياق',
+  'result.action.stop': 'إيقاف',
+  'result.action.listen': 'استماع',
+  'result.action.copy': 'نسخ',
+  'result.action.share': 'مشاركة',
+  'result.action.quiz': 'إلى الاختبار',
+  'result.action.compare': 'مقارنة',
+  'result.action.regenerate': 'إعادة الإنشاء',
+  'result.defineAnother': 'تعريف كلمة أخرى',
+
+  // Definition revisions
+  'revisions.offline': 'لا يوجد اتصال. إعادة الإنشاء تتطلب اتصالًا بالشبكة.',
+  'revisions.savedPinnedKept': 'حُفظت نسخة جديدة. تبقى النسخة المثبتة هي الافتراضية.',
+  'revisions.saved': 'حُفظت نسخة جديدة.',
+  'revisions.regenerateFailed': 'تعذّرت إعادة إنشاء التعريف.',
+  'revisions.loadFailed': 'تعذّر تحميل هذه النسخة.',
+  'revisions.notCached': 'هذا التعريف لم يعد محفوظًا في الذاكرة المؤقتة.',
+  'revisions.pinned': 'ثُبّتت النسخة. ستعرضها عمليات البحث بهذه الإعدادات.',
+  'revisions.unpinned': 'أُلغي التثبيت. ستعرض عمليات البحث أحدث نسخة.',
+  'revisions.pinFailed': 'تعذّر تثبيت هذه النسخة.',
+  'revisions.position': 'النسخة {index} من {total}',
+  'revisions.positionPinned': 'النسخة {index} من {total} · مثبتة',
+
+  // Offline queue
+  'offline.noConnection': 'لا يوجد اتصال بالإنترنت',
+  'offline.queued': 'لا يوجد اتصال. أُضيفت "{word}" إلى عمليات البحث المعلقة.',
+  'offline.connectionQueued': 'مشكلة في الاتصال. أُضيفت "{word}" إلى عمليات البحث المعلقة.',
+  'offline.completed': { zero: 'لم تكتمل أي عملية بحث معلقة.', one: 'اكتملت عملية بحث معلقة واحدة.', two: 'اكتملت عمليتا بحث معلقتان.', few: 'اكتملت {count} عمليات بحث معلقة.', many: 'اكتملت {count} عملية بحث معلقة.', other: 'اكتملت {count} عملية بحث معلقة.' },
+  'offline.status.pending': 'في انتظار الاتصال',
+  'offline.status.retrying': 'جارٍ البحث...',
+  'offline.status.failed': 'فشل',
+  'offline.status.resolved': 'جاهز، اضغط للعرض',
+  'offline.title': 'عمليات البحث المعلقة ({count})',
+  'offline.badge': 'غير متصل',
+  'offline.clearCompleted': 'مسح المكتملة',
+  'offline.retryNow': 'إعادة المحاولة الآن',
+
+  // Word lists
+  'batch.summary.defined': { zero: 'لم تُعرَّف أي كلمة', one: 'عُرّفت واحدة', two: 'عُرّفت اثنتان', few: 'عُرّفت {count}', many: 'عُرّفت {count}', other: 'عُرّفت {count}' },
+  'batch.summary.failed': { zero: 'لم تفشل أي كلمة', one: 'فشلت واحدة', two: 'فشلت اثنتان', few: 'فشلت {count}', many: 'فشلت {count}', other: 'فشلت {count}' },
+  'batch.summary.queued': { zero: 'لا شيء في الانتظار', one: 'واحدة في الانتظار', two: 'اثنتان في الانتظار', few: '{count} في الانتظار', many: '{count} في الانتظار', other: '{count} في الانتظار' },
+  'batch.cancelled': 'أُلغيت القائمة: {summary}.',
+  'batch.finished': 'اكتملت القائمة: {summary}.',
+  'batch.alreadyThere': { zero: '', one: ' (واحدة كانت موجودة بالفعل)', two: ' (اثنتان كانتا موجودتين بالفعل)', few: ' ({count} كانت موجودة بالفعل)', many: ' ({count} كانت موجودة بالفعل)', other: ' ({count} كانت موجودة بالفعل)' },
+  'batch.addedToFavorites': { zero: 'لم تُضف أي كلمة إلى المفضلة{existing}.', one: 'أُضيفت كلمة واحدة إلى المفضلة{existing}.', two: 'أُضيفت كلمتان إلى المفضلة{existing}.', few: 'أُضيفت {count} كلمات إلى المفضلة{existing}.', many: 'أُضيفت {count} كلمة إلى المفضلة{existing}.', other: 'أُضيفت {count} كلمة إلى المفضلة{existing}.' },
+  'batch.addedToQuiz': { zero: 'لم تُضف أي كلمة إلى قائمة الاختبار{existing}.', one: 'أُضيفت كلمة واحدة إلى قائمة الاختبار{existing}.', two: 'أُضيفت كلمتان إلى قائمة الاختبار{existing}.', few: 'أُضيفت {count} كلمات إلى قائمة الاختبار{existing}.', many: 'أُضيفت {count} كلمة إلى قائمة الاختبار{existing}.', other: 'أُضيفت {count} كلمة إلى قائمة الاختبار{existing}.' },
+  'batch.parsed.words': { zero: 'لا كلمات', one: 'كلمة واحدة', two: 'كلمتان', few: '{count} كلمات', many: '{count} كلمة', other: '{count} كلمة' },
+  'batch.parsed.duplicates': { zero: 'لا تكرارات', one: 'تُخطي تكرار واحد', two: 'تُخطي تكراران', few: 'تُخطيت {count} تكرارات', many: 'تُخطي {count} تكرارًا', other: 'تُخطي {count} تكرار' },
+  'batch.parsed.truncated': { zero: 'لا شيء بعد حد {max} كلمة', one: 'تُخطيت واحدة بعد حد {max} كلمة', two: 'تُخطيت اثنتان بعد حد {max} كلمة', few: 'تُخطيت {count} بعد حد {max} كلمة', many: 'تُخطيت {count} بعد حد {max} كلمة', other: 'تُخطيت {count} بعد حد {max} كلمة' },
+  'batch.status.pending': 'في الانتظار',
+  'batch.status.running': 'جارٍ البحث...',
+  'batch.status.done': 'عُرّفت، اضغط للعرض',
+  'batch.status.doneFromCache': 'من الذاكرة المؤقتة، اضغط للعرض',
+  'batch.status.queued': 'أُضيفت إلى عمليات البحث المعلقة',
+  'batch.status.failed': 'فشلت',
+  'batch.status.cancelled': 'أُلغيت',
+  'batch.title': 'قائمة الكلمات ({finished}/{total})',
+  'batch.retryFailed': 'إعادة محاولة الفاشلة',
+  'batch.allToFavorites': 'الكل إلى المفضلة',
+  'batch.allToQuiz': 'الكل إلى الاختبار',
+  'batch.invalidWords': { zero: 'لا توجد إدخالات غير صالحة: {words}.', one: 'تعذر البحث عن إدخال واحد: {words}. احذفه أو صححه وحاول مجددًا.', two: 'تعذر البحث عن إدخالين: {words}. احذفهما أو صححهما وحاول مجددًا.', few: 'تعذر البحث عن {count} إدخالات: {words}. احذفها أو صححها وحاول مجددًا.', many: 'تعذر البحث عن {count} إدخالًا: {words}. احذفها أو صححها وحاول مجددًا.', other: 'تعذر البحث عن {count} إدخال: {words}. احذفها أو صححها وحاول مجددًا.' },
+
+  // Word of the Day
+  'wotd.origin.mine': 'من مفضلتك وكلمات اختبارك',
+  'wotd.origin.level': 'المستوى: {level}',
+  'wotd.origin.builtIn': 'قائمة كلمات VocabMaster',
+  'wotd.level.beginner': 'مبتدئ',
+  'wotd.level.intermediate': 'متوسط',
+  'wotd.level.advanced': 'متقدم',
+  'wotd.fetching': 'جارٍ جلب تعريف اليوم...',
+  'wotd.offline': 'سيُحمَّل تعريف اليوم عند عودة الاتصال.',
+  'wotd.title': 'كلمة اليوم',
+  'wotd.pastWords': 'كلمات سابقة',
+  'wotd.defineButton': { zero: 'تعريف {word}', one: 'تعريف {word} (كلمة واحدة)', two: 'تعريف {word} (كلمتان)', few: 'تعريف {word} ({count} كلمات)', many: 'تعريف {word} ({count} كلمة)', other: 'تعريف {word} ({count} كلمة)' },
+  'wotd.notFetched': 'لم يُجلب التعريف',
+  'wotd.archiveEmptyTitle': 'لا توجد كلمات سابقة بعد',
+  'wotd.archiveEmptyMessage': 'تُحفظ كلمة اليوم لكل يوم هنا لتتمكن من الرجوع إليها.',
+  'wotd.archiveTitle': 'كلمات سابقة ({total})',
+
+  // Favorites
+  'favorites.added': 'أُضيفت إلى المفضلة: {word}',
+  'favorites.alreadyAdded': '{word} موجودة بالفعل في المفضلة.',
+  'favorites.removed': 'أُزيلت من المفضلة: {word}',
+  'favorites.removeTitle': 'إزالة من المفضلة',
+  'favorites.removeMessage': 'لـ"{word}" مجموعات أو وسوم أو ملاحظات. هل تريد إزالتها من المفضلة على أي حال؟',
+  'favorites.defaultSettings': 'الإعدادات الافتراضية',
+  'favorites.savedSettings': 'محفوظة: {settings}',
+  'favorites.removeConfirm': 'إزالة "{word}" من المفضلة؟',
+  'favorites.emptyTitle': 'لا توجد مفضلات بعد',
+  'favorites.emptyMessage': 'استخدم رمز الإشارة المرجعية بجانب أي تعريف لحفظ الكلمات هنا.',
+  'favorites.title': 'مفضلتي ({total})',
+  'favorites.titleFiltered': 'مفضلتي ({shown} من {total})',
+  'favorites.collectionLabel': 'المجموعة:',
+  'favorites.tagLabel': 'الوسم:',
+  'favorites.noneFiltered': 'لا توجد مفضلات في هذه المجموعة أو بهذا الوسم.',
+  'favorites.saved': 'حُفظت "{word}".',
+  'favorites.notFoundTitle': 'المفضلة غير موجودة',
+  'favorites.notFoundMessage': '"{word}" لم تعد في المفضلة.',
+  'favorites.details.savedSettings': 'الإعدادات المحفوظة',
+  'favorites.details.noSavedSettings': 'حُفظت قبل أن نحفظ الإعدادات؛ تُفتح بالطول الافتراضي.',
+  'favorites.details.defineWithSettings': 'التعريف بهذه الإعدادات',
+  'favorites.details.collections': 'المجموعات',
+  'favorites.details.inLabel': 'في:',
+  'favorites.details.newCollectionPlaceholder': 'مجموعة جديدة، مثل: التحضير لاختبار',
+  'favorites.details.tags': 'الوسوم',
+  'favorites.details.tagsPlaceholder': 'مثال: جذر-لاتيني، اختبار',
+  'favorites.details.notes': 'ملاحظات',
+  'favorites.details.notesPlaceholder': 'وسائل للتذكر، جمل أمثلة، أين رأيتها...',
+  'favorites.updateParamsTitle': 'تحديث الإعدادات المحفوظة؟',
+  'favorites.updateParamsMessage': '{word} محفوظة بـ {saved}. هل تريد فتحها بـ {current} بدلًا من ذلك؟ ستبقى مجموعاتها ووسومها وملاحظتها.',
+  'favorites.updateParams': 'تحديث',
+  'favorites.paramsUpdated': 'تم تحديث الإعدادات المحفوظة لـ {word}.',
+
+  // History
+  'history.clearTitle': 'مسح سجل البحث',
+  'history.clearMessage': 'هل تريد مسح سجل البحث بالكامل؟ لا يمكن التراجع عن هذا الإجراء.',
+  'history.cleared': 'مُسح سجل البحث',
+  'history.requestedLength': 'المطلوب: {length} ك',
+  'history.generatedLength': '، المُنشأ: {length} ك',
+  'history.tone': 'الأسلوب: {tone}',
+  'history.context': 'السياق: {context}',
+  'history.filter.lang': 'اللغة:',
+  'history.filter.tone': 'الأسلوب:',
+  'history.filter.context': 'السياق:',
+  'history.section.today': 'اليوم',
+  'history.section.yesterday': 'أمس',
+  'history.section.thisWeek': 'هذا الأسبوع',
+  'history.section.lastWeek': 'الأسبوع الماضي',
+  'history.emptyTitle': 'لا يوجد سجل بحث',
+  'history.emptyMessage': 'تظهر هنا الكلمات التي عرّفتها للوصول السريع إلى تعريفاتها ومعاييرها.',
+  'history.title': 'سجل البحث ({total})',
+  'history.titleFiltered': 'سجل البحث ({shown} من {total})',
+  'history.searchPlaceholder': 'ابحث في الكلمات أو الأساليب أو السياقات',
+  'history.noMatches': 'لا توجد إدخالات مطابقة في السجل.',
+  'history.showMore': { zero: 'عرض المزيد', one: 'عرض المزيد (بقي واحد)', two: 'عرض المزيد (بقي اثنان)', few: 'عرض المزيد (بقيت {count})', many: 'عرض المزيد (بقي {count})', other: 'عرض المزيد (بقي {count})' },
+  'history.footer': { zero: 'اسحب إدخالًا إلى اليسار لحذفه. لا يُحفظ أي بحث (يمكن تغيير ذلك في الإعدادات).', one: 'اسحب إدخالًا إلى اليسار لحذفه. يُحفظ آخر بحث فقط (يمكن تغيير ذلك في الإعدادات).', two: 'اسحب إدخالًا إلى اليسار لحذفه. يُحفظ آخر بحثين (يمكن تغيير ذلك في الإعدادات).', few: 'اسحب إدخالًا إلى اليسار لحذفه. تُحفظ آخر {count} عمليات بحث (يمكن تغيير ذلك في الإعدادات).', many: 'اسحب إدخالًا إلى اليسار لحذفه. تُحفظ آخر {count} عملية بحث (يمكن تغيير ذلك في الإعدادات).', other: 'اسحب إدخالًا إلى اليسار لحذفه. تُحفظ آخر {count} عملية بحث (يمكن تغيير ذلك في الإعدادات).' },
+  'history.footerRtl': { zero: 'اسحب إدخالًا إلى اليمين لحذفه. لا يُحفظ أي بحث (يمكن تغيير ذلك في الإعدادات).', one: 'اسحب إدخالًا إلى اليمين لحذفه. يُحفظ آخر بحث فقط (يمكن تغيير ذلك في الإعدادات).', two: 'اسحب إدخالًا إلى اليمين لحذفه. يُحفظ آخر بحثين (يمكن تغيير ذلك في الإعدادات).', few: 'اسحب إدخالًا إلى اليمين لحذفه. تُحفظ آخر {count} عمليات بحث (يمكن تغيير ذلك في الإعدادات).', many: 'اسحب إدخالًا إلى اليمين لحذفه. تُحفظ آخر {count} عملية بحث (يمكن تغيير ذلك في الإعدادات).', other: 'اسحب إدخالًا إلى اليمين لحذفه. تُحفظ آخر {count} عملية بحث (يمكن تغيير ذلك في الإعدادات).' },
+
+  // Sorting
+  'sort.newest': 'الأحدث',
+  'sort.oldest': 'الأقدم',
+  'sort.az': 'A-Z',
+  'sort.za': 'Z-A',
+
+  // Word list export
+  'export.noDefinitions': 'لا توجد بعد تعريفات محفوظة لأي من هذه الكلمات.',
+  'export.shareTitle': 'تصدير {format}',
+  'export.format.csv': 'CSV',
+  'export.format.anki': 'مجموعة Anki',
+  'export.skipped': { zero: 'لم تُتخطَّ أي كلمة.', one: 'تُخطيت كلمة واحدة بلا تعريف محفوظ.', two: 'تُخطيت كلمتان بلا تعريف محفوظ.', few: 'تُخطيت {count} كلمات بلا تعريف محفوظ.', many: 'تُخطيت {count} كلمة بلا تعريف محفوظ.', other: 'تُخطيت {count} كلمة بلا تعريف محفوظ.' },
+  'export.missingDefinitions': { zero: 'لكل الكلمات تعريفات محفوظة.', one: 'كلمة واحدة لا تملك تعريفًا محفوظًا بعد.', two: 'كلمتان لا تملكان تعريفًا محفوظًا بعد.', few: '{count} كلمات لا تملك تعريفًا محفوظًا بعد.', many: '{count} كلمة لا تملك تعريفًا محفوظًا بعد.', other: '{count} كلمة لا تملك تعريفًا محفوظًا بعد.' },
+  'export.createFailed': 'تعذّر إنشاء ملف التصدير.',
+  'export.title': 'تصدير الكلمات',
+  'export.message': 'يُفتح ملف CSV في أي جدول بيانات. يمكن استيراد مجموعة Anki عبر File > Import في Anki.',
+  'export.button': 'تصدير',
+
+  // Quiz
+  'quiz.due.overdue': { zero: 'متأخرة اليوم', one: 'متأخرة يومًا واحدًا', two: 'متأخرة يومين', few: 'متأخرة {count} أيام', many: 'متأخرة {count} يومًا', other: 'متأخرة {count} يوم' },
+  'quiz.due.today': 'مستحقة اليوم',
+  'quiz.due.tomorrow': 'مستحقة غدًا',
+  'quiz.due.inDays': { zero: 'مستحقة اليوم', one: 'مستحقة بعد يوم واحد', two: 'مستحقة بعد يومين', few: 'مستحقة بعد {count} أيام', many: 'مستحقة بعد {count} يومًا', other: 'مستحقة بعد {count} يوم' },
+  'quiz.added': 'أُضيفت إلى قائمة الاختبار: {word}',
+  'quiz.alreadyAdded': '{word} موجودة بالفعل في قائمة الاختبار.',
+  'quiz.removed': 'أُزيلت من قائمة الاختبار: {word}',
+  'quiz.item.savedCopy': '(نسخة محفوظة، فشل التحديث: {error})',
+  'quiz.item.loadFailed': 'تعذّر تحميل التعريف: {error}',
+  'quiz.item.loading': 'جارٍ تحميل التعريف...',
+  'quiz.item.tapToLoad': 'اضغط مرة أخرى لتحميل التعريف.',
+  'quiz.item.lapses': { zero: 'لا مرات نسيان', one: 'مرة نسيان واحدة', two: 'مرتا نسيان', few: '{count} مرات نسيان', many: '{count} مرة نسيان', other: '{count} مرة نسيان' },
+  'quiz.section.due': 'مستحقة اليوم ({count})',
+  'quiz.section.upcoming': 'قادمة ({count})',
+  'quiz.removeTitle': 'إزالة كلمة من الاختبار',
+  'quiz.removeMessage': 'هل تريد إزالة هذه الكلمة من قائمة الاختبار؟',
+  'quiz.emptyToast': 'أضف كلمات إلى القائمة بزر "إلى الاختبار" قبل البدء.',
+  'quiz.emptyTitle': 'قائمة الاختبار فارغة',
+  'quiz.emptyMessage': 'استخدم زر "إلى الاختبار" بجانب أي تعريف لإضافة كلمات للمراجعة.',
+  'quiz.title': 'كلمات اختباري ({total})',
+  'quiz.caughtUp': 'أنهيت كل شيء! لا توجد مراجعات مستحقة اليوم.',
+  'quiz.reviewDue': 'مراجعة المستحقة ({count})',
+  'quiz.practiceAll': 'التدرّب على الكل ({count})',
+  'quiz.round.multipleChoice': 'اختيار من متعدد',
+  'quiz.round.typeWord': 'اكتب الكلمة',
+  'quiz.round.trueFalse': 'صواب أم خطأ',
+  'quiz.game.roundChip': 'جولة',
+  'quiz.game.skipped': { zero: 'لم تُتخطَّ أي كلمة.', one: 'تُخطيت كلمة واحدة: التعريف غير متاح.', two: 'تُخطيت كلمتان: التعريفان غير متاحين.', few: 'تُخطيت {count} كلمات: التعريفات غير متاحة.', many: 'تُخطيت {count} كلمة: التعريفات غير متاحة.', other: 'تُخطيت {count} كلمة: التعريفات غير متاحة.' },
+  'quiz.game.whichWord': 'أي كلمة تطابق هذا التعريف؟',
+  'quiz.game.doesMatch': 'هل يطابق هذا التعريف',
+  'quiz.game.true': 'صواب',
+  'quiz.game.false': 'خطأ',
+  'quiz.game.typeWord': 'اكتب الكلمة التي تطابق هذا التعريف:',
+  'quiz.game.answerPlaceholder': 'إجابتك',
+  'quiz.game.checkAnswer': 'التحقق من الإجابة',
+  'quiz.game.preparing': 'جارٍ تجهيز الاختبار... ({loaded}/{total})',
+  'quiz.game.errorTitle': 'تعذّر تجهيز الاختبار',
+  'quiz.game.errorMessage': 'تعذّر تحميل أي تعريف لكلمات الاختبار. تحقق من اتصالك وحاول مرة أخرى.',
+  'quiz.game.backToList': 'العودة إلى قائمة الاختبار',
+  'quiz.results.perfect': 'نتيجة كاملة!',
+  'quiz.results.great': 'عمل رائع!',
+  'quiz.results.good': 'محاولة جيدة، واصل التدرّب.',
+  'quiz.results.keepGoing': 'واصل مراجعة هذه الكلمات.',
+  'quiz.results.percentage': '{percentage}% إجابات صحيحة',
+  'quiz.results.scheduleUpdated': 'تم تحديث جدول المراجعة لهذه الكلمات.',
+  'quiz.results.summary': 'ملخص الجولات',
+  'quiz.results.playAgain': 'العب مرة أخرى',
+  'quiz.game.round': 'الجولة {index} من {total}',
+  'quiz.game.score': 'النتيجة: {score}',
+  'quiz.game.correct': 'صحيح!',
+  'quiz.game.statementTrue': 'ليس تمامًا. كانت العبارة صحيحة.',
+  'quiz.game.statementFalse': 'ليس تمامًا. كانت العبارة خاطئة.',
+  'quiz.game.answerWas': 'ليس تمامًا. الإجابة هي "{word}".',
+  'quiz.game.seeResults': 'عرض النتائج',
+  'quiz.game.nextRound': 'الجولة التالية',
+
+  // Definition search
+  'search.placeholder': 'ابحث في التعريفات، مثل: عابر',
+  'search.emptyTitle': 'لا يوجد ما يُبحث فيه بعد',
+  'search.emptyMessage': 'تُحفظ التعريفات التي بحثت عنها على الجهاز ويمكن البحث فيها هنا، حتى دون اتصال.',
+  'search.resultCount': { zero: 'لا كلمات بتعريفات مطابقة', one: 'كلمة واحدة بتعريف مطابق', two: 'كلمتان بتعريفات مطابقة', few: '{count} كلمات بتعريفات مطابقة', many: '{count} كلمة بتعريفات مطابقة', other: '{count} كلمة بتعريفات مطابقة' },
+  'search.hint': { zero: 'لا توجد تعريفات محفوظة على الجهاز.', one: 'البحث في التعريف المحفوظ الوحيد على الجهاز.', two: 'البحث في التعريفين المحفوظين على الجهاز.', few: 'البحث في {count} تعريفات محفوظة على الجهاز.', many: 'البحث في {count} تعريفًا محفوظًا على الجهاز.', other: 'البحث في {count} تعريف محفوظ على الجهاز.' },
+  'search.searching': 'جارٍ البحث...',
+  'search.noResults': 'لا يذكر أي تعريف محفوظ "{query}".',
+
+  // Compare
+  'compare.dimension.length': 'الطول',
+  'compare.dimension.tone': 'الأسلوب',
+  'compare.dimension.lang': 'اللغة',
+  'compare.field.length': { zero: '{length} كلمة', one: 'كلمة واحدة', two: 'كلمتان', few: '{length} كلمات', many: '{length} كلمة', other: '{length} كلمة' },
+  'compare.field.toneUnset': 'محايد',
+  'compare.field.contextUnset': 'بلا سياق',
+  'compare.field.langUnset': 'تلقائي',
+  'compare.duplicate': 'نفس المعايير في العمود {column}.',
+  'compare.hint': 'شغّل المقارنة لرؤية هذا التعريف.',
+  'compare.open': 'فتح',
+  'compare.emptyTitle': 'لا شيء للمقارنة',
+  'compare.emptyMessage': 'افتح تعريفًا واضغط على "مقارنة" لتجربته بإعدادات أخرى.',
+  'compare.allColumns': 'كل الأعمدة: {description}',
+  'compare.vary': 'التغيير حسب:',
+  'compare.addVariant': 'إضافة نسخة',
+  'compare.run': { zero: 'لا تعريفات للمقارنة', one: 'مقارنة تعريف واحد', two: 'مقارنة تعريفين', few: 'مقارنة {count} تعريفات', many: 'مقارنة {count} تعريفًا', other: 'مقارنة {count} تعريف' },
+
+  // Cache
+  'cache.saveFailed': 'تعذّر حفظ التعريف على الجهاز.',
+  'cache.cleared': { zero: 'لم يُمسح أي تعريف من الذاكرة المؤقتة.', one: 'مُسح تعريف واحد من الذاكرة المؤقتة.', two: 'مُسح تعريفان من الذاكرة المؤقتة.', few: 'مُسحت {count} تعريفات من الذاكرة المؤقتة.', many: 'مُسح {count} تعريفًا من الذاكرة المؤقتة.', other: 'مُسح {count} تعريف من الذاكرة المؤقتة.' },
+  'cache.clearFailed': 'فشل مسح الذاكرة المؤقتة. قد تبقى بعض العناصر.',
+  'cache.entryMissing': 'هذا التعريف المحفوظ لم يعد متاحًا.',
+  'cache.openFailed': 'تعذّر فتح التعريف المحفوظ.',
+  'cache.removed': { zero: 'لم يُحذف أي تعريف من الذاكرة المؤقتة.', one: 'حُذف تعريف واحد من الذاكرة المؤقتة.', two: 'حُذف تعريفان من الذاكرة المؤقتة.', few: 'حُذفت {count} تعريفات من الذاكرة المؤقتة.', many: 'حُذف {count} تعريفًا من الذاكرة المؤقتة.', other: 'حُذف {count} تعريف من الذاكرة المؤقتة.' },
+  'cache.nothingTitle': 'لا شيء للحذف',
+  'cache.nothingMessage': 'لا توجد تعريفات محفوظة {scope}.',
+  'cache.deleteTitle': 'حذف التعريفات المحفوظة',
+  'cache.deleteMessage': { zero: 'لا توجد تعريفات محفوظة {scope}.', one: 'حذف تعريف محفوظ واحد {scope}؟ سيُحمَّل مجددًا عند الحاجة.', two: 'حذف تعريفين محفوظين {scope}؟ سيُحمَّلان مجددًا عند الحاجة.', few: 'حذف {count} تعريفات محفوظة {scope}؟ ستُحمَّل مجددًا عند الحاجة.', many: 'حذف {count} تعريفًا محفوظًا {scope}؟ ستُحمَّل مجددًا عند الحاجة.', other: 'حذف {count} تعريف محفوظ {scope}؟ ستُحمَّل مجددًا عند الحاجة.' },
+  'cache.scope.olderThan': { zero: 'أقدم من اليوم', one: 'أقدم من يوم واحد', two: 'أقدم من يومين', few: 'أقدم من {count} أيام', many: 'أقدم من {count} يومًا', other: 'أقدم من {count} يوم' },
+  'cache.scope.language': 'باللغة "{lang}"',
+  'cache.scope.word': 'للكلمة "{word}"',
+  'cache.savedOn': 'حُفظ في {date}',
+  'cache.savedUnknown': 'تاريخ الحفظ غير معروف',
+  'cache.emptyTitle': 'الذاكرة المؤقتة فارغة',
+  'cache.emptyMessage': 'تُحفظ التعريفات التي تبحث عنها هنا لتتمكن من فتحها مجددًا دون اتصال.',
+  'cache.searchPlaceholder': 'ابحث عن كلمة أو أسلوب أو سياق أو لغة',
+  'cache.deleteOlderThan': 'حذف الأقدم من:',
+  'cache.deleteLanguage': 'حذف اللغة:',
+  'cache.count': '{count} محفوظة',
+  'cache.countFiltered': '{shown} من {count} محفوظة',
+
+  // Backup and restore
+  'backup.shareTitle': 'حفظ نسخة احتياطية من VocabMaster',
+  'backup.createFailed': 'تعذّر إنشاء ملف النسخة الاحتياطية.',
+  'backup.section.favorites': 'المفضلة',
+  'backup.section.history': 'السجل',
+  'backup.section.quizList': 'قائمة الاختبار',
+  'backup.invalid.notObject': 'الملف ليس كائن JSON.',
+  'backup.invalid.format': 'هذا الملف ليس نسخة احتياطية من VocabMaster.',
+  'backup.invalid.version': 'إصدار نسخة احتياطية غير مدعوم ({version}). حدّث التطبيق وحاول مرة أخرى.',
+  'backup.invalid.noData': 'لا يحتوي ملف النسخة الاحتياطية على قسم بيانات.',
+  'backup.invalid.notList': 'قسم {section} مفقود أو ليس قائمة.',
+  'backup.invalid.missingWord': 'في قسم {section} إدخالات بلا كلمة.',
+  'backup.invalid.cacheSection': 'قسم الذاكرة المؤقتة مفقود أو تالف.',
+  'backup.invalid.cacheEntries': { zero: 'لا إدخالات تالفة في الذاكرة المؤقتة.', one: 'إدخال واحد في الذاكرة المؤقتة تالف.', two: 'إدخالان في الذاكرة المؤقتة تالفان.', few: '{count} إدخالات في الذاكرة المؤقتة تالفة.', many: '{count} إدخالًا في الذاكرة المؤقتة تالفة.', other: '{count} إدخال في الذاكرة المؤقتة تالفة.' },
+  'backup.count.favorites': { zero: 'لا مفضلات', one: 'مفضلة واحدة', two: 'مفضلتان', few: '{count} مفضلات', many: '{count} مفضلة', other: '{count} مفضلة' },
+  'backup.count.history': { zero: 'لا عناصر في السجل', one: 'عنصر واحد في السجل', two: 'عنصران في السجل', few: '{count} عناصر في السجل', many: '{count} عنصرًا في السجل', other: '{count} عنصر في السجل' },
+  'backup.count.quizList': { zero: 'لا كلمات اختبار', one: 'كلمة اختبار واحدة', two: 'كلمتا اختبار', few: '{count} كلمات اختبار', many: '{count} كلمة اختبار', other: '{count} كلمة اختبار' },
+  'backup.count.cache': { zero: 'لا تعريفات محفوظة', one: 'تعريف محفوظ واحد', two: 'تعريفان محفوظان', few: '{count} تعريفات محفوظة', many: '{count} تعريفًا محفوظًا', other: '{count} تعريف محفوظ' },
+  'backup.report.restored': 'تمت الاستعادة: {contents}.',
+  'backup.report.added': 'تمت الإضافة: {contents}.',
+  'backup.report.conflicts': { zero: 'لا تعارضات:', one: 'تعارض واحد، احتُفظ بالنسخة الأحدث:', two: 'تعارضان، احتُفظ بالنسخة الأحدث:', few: '{count} تعارضات، احتُفظ بالنسخة الأحدث:', many: '{count} تعارضًا، احتُفظ بالنسخة الأحدث:', other: '{count} تعارض، احتُفظ بالنسخة الأحدث:' },
+  'backup.conflict.favorite': 'المفضلة "{label}"',
+  'backup.conflict.quizWord': 'كلمة الاختبار "{label}"',
+  'backup.kept.favorite.backup': 'احتُفظ بنسخة النسخة الاحتياطية',
+  'backup.kept.favorite.device': 'احتُفظ بنسخة الجهاز',
+  'backup.kept.quizWord.backup': 'احتُفظ بتقدّم النسخة الاحتياطية',
+  'backup.kept.quizWord.device': 'احتُفظ بتقدّم الجهاز',
+  'backup.report.more': '…و{count} أخرى.',
+  'backup.report.evicted': { zero: 'لم يُستبعد أي تعريف محفوظ.', one: 'استُبعد تعريف محفوظ واحد للبقاء ضمن حدود الذاكرة المؤقتة.', two: 'استُبعد تعريفان محفوظان للبقاء ضمن حدود الذاكرة المؤقتة.', few: 'استُبعدت {count} تعريفات محفوظة للبقاء ضمن حدود الذاكرة المؤقتة.', many: 'استُبعد {count} تعريفًا محفوظًا للبقاء ضمن حدود الذاكرة المؤقتة.', other: 'استُبعد {count} تعريف محفوظ للبقاء ضمن حدود الذاكرة المؤقتة.' },
+  'backup.restoredTitle': 'تمت استعادة النسخة الاحتياطية',
+  'backup.restoreFailedTitle': 'فشلت الاستعادة',
+  'backup.restoreFailedMessage': 'تعذّرت استعادة النسخة الاحتياطية بالكامل. ربما حُدّثت بياناتك الحالية جزئيًا.',
+  'backup.invalidTitle': 'نسخة احتياطية غير صالحة',
+  'backup.unreadable': 'تعذّرت قراءة الملف المحدد كنسخة احتياطية من VocabMaster.',
+  'backup.unknownDate': 'تاريخ غير معروف',
+  'backup.restoreTitle': 'استعادة نسخة احتياطية',
+  'backup.restoreSummary': 'نسخة احتياطية من {date} تحتوي على {contents}.',
+  'backup.restoreExplanation': 'الدمج يحتفظ ببياناتك الحالية ويضيف النسخة الاحتياطية (عند التعارض تفوز النسخة الأحدث). الاستبدال يمسح بياناتك الحالية أولًا.',
+  'backup.merge': 'دمج',
+  'backup.replace': 'استبدال',
+
+  // Search presets
+  'presets.saved': 'حُفظ الإعداد: {name}',
+  'presets.invalidTitle': 'إعداد غير صالح',
+  'presets.deleteTitle': 'حذف الإعداد',
+  'presets.deleteMessage': 'حذف "{name}"؟',
+  'presets.editTitle': 'تعديل الإعداد',
+  'presets.newTitle': 'إعداد جديد',
+  'presets.namePlaceholder': 'مثال: إنجليزية للأطفال، إسبانية قانونية',
+  'presets.languageLabel': 'اللغة',
+  'presets.defaultName': '{name} (افتراضي)',
+  'presets.add': 'إضافة إعداد',
+  'presets.addDescription': 'يبدأ من عوامل التصفية الموجودة حاليًا في نموذج التعريف. اضغط على النجمة لتطبيق إعداد عند فتح التطبيق.',
+
+  // Backend profiles
+  'backend.saved': 'حُفظ ملف الخادم: {name}',
+  'backend.selected': 'الخادم المستخدم: {name}',
+  'backend.invalidTitle': 'ملف غير صالح',
+  'backend.deleteTitle': 'حذف ملف الخادم',
+  'backend.deleteMessage': 'حذف "{name}"؟ تبقى التعريفات المحفوظة من هذا الخادم في الذاكرة المؤقتة حتى تُمسح.',
+  'backend.connected': 'متصل بـ{name} في {latency} مللي ثانية.',
+  'backend.connectionFailed': 'فشل الاتصال.',
+  'backend.testing': 'جارٍ اختبار الاتصال...',
+  'backend.editTitle': 'تعديل ملف الخادم',
+  'backend.newTitle': 'ملف خادم جديد',
+  'backend.namePlaceholder': 'مثال: خادم الفريق، محاكاة محلية',
+  'backend.baseUrlLabel': 'العنوان الأساسي *',
+  'backend.authNameLabel': 'اسم ترويسة المصادقة (اختياري)',
+  'backend.authValueLabel': 'قيمة ترويسة المصادقة (اختياري)',
+  'backend.authValuePlaceholder': 'مثال: Bearer abc123',
+  'backend.timeoutLabel': 'مهلة الانتظار (ثوانٍ)',
+  'backend.testConnection': 'اختبار الاتصال',
+  'backend.add': 'إضافة ملف خادم',
+  'backend.addDescription': 'وصّل التطبيق بخدمة تعريفات خاصة بك أو بمحاكاة محلية.',
+  'backend.secretSaveFailed': 'تعذر حفظ قيمة ترويسة المصادقة بشكل آمن. لم يتم حفظ الملف الشخصي.',
+
+  // Daily reminder
+  'reminders.channelName': 'تذكيرات يومية',
+  'reminders.notification.titleWithWord': 'كلمة اليوم: {word}',
+  'reminders.notification.title': 'كلمة اليوم جاهزة',
+  'reminders.notification.due': { zero: 'لا كلمات اختبار مستحقة.', one: 'كلمة اختبار واحدة مستحقة للمراجعة.', two: 'كلمتا اختبار مستحقتان للمراجعة.', few: '{count} كلمات اختبار مستحقة للمراجعة.', many: '{count} كلمة اختبار مستحقة للمراجعة.', other: '{count} كلمة اختبار مستحقة للمراجعة.' },
+  'reminders.notification.nothingDue': 'لا مراجعات مستحقة. ابحث عن شيء جديد!',
+  'reminders.notification.bodyWithWord': 'اضغط لتعرف معنى "{word}". {reviewLine}',
+  'reminders.permissionDenied': 'إشعارات VocabMaster متوقفة في إعدادات النظام.',
+  'reminders.enableFailed': 'تعذّر تفعيل التذكيرات على هذا الجهاز.',
+
+  // Themes
+  'theme.system': 'النظام',
+  'theme.light': 'فاتح',
+  'theme.dark': 'داكن',
+  'theme.amoled': 'أسود AMOLED',
+  'theme.highContrast': 'تباين عالٍ',
+
+  // App language
+  'language.system': 'النظام',
+  'language.restartTitle': 'يلزم إعادة التشغيل',
+  'language.restartMessage': 'أغلق VocabMaster وأعد فتحه لتغيير اتجاه العرض لهذه اللغة.',
+
+  // Settings
+  'settings.appearance': 'المظهر',
+  'settings.theme': 'السمة',
+  'settings.themeDescription': '"النظام" يتبع وضع الجهاز الفاتح أو الداكن. أسود AMOLED يوفر البطارية على شاشات OLED.',
+  'settings.themeLabel': 'السمة:',
+  'settings.language': 'اللغة',
+  'settings.appLanguage': 'لغة التطبيق',
+  'settings.appLanguageDescription': 'لغة القوائم والرسائل. تستخدم التعريفات اللغة المختارة في نموذج التعريف.',
+  'settings.appLanguageLabel': 'اللغة:',
+  'settings.dataManagement': 'إدارة البيانات',
+  'settings.clearCache.title': 'مسح ذاكرة التعريفات المؤقتة',
+  'settings.clearCache.message': 'هل تريد حذف كل التعريفات المحفوظة على الجهاز؟ سيوفر ذلك مساحة، لكن يلزم تحميل التعريفات مجددًا. لا يمكن التراجع عن هذا الإجراء.',
+  'settings.clearCache.confirm': 'مسح الذاكرة المؤقتة',
+  'settings.clearCache.description': 'يحذف التعريفات المحفوظة على الجهاز. يوفر مساحة.',
+  'settings.browseCache': 'تصفح الذاكرة المؤقتة',
+  'settings.browseCacheDescription': 'ابحث في التعريفات المحفوظة أو افتحها أو احذفها واحدًا تلو الآخر.',
+  'settings.clearHistory': 'مسح سجل البحث',
+  'settings.clearHistoryDescription': 'يحذف قائمة عمليات البحث السابقة من تبويب السجل.',
+  'settings.backup': 'النسخ الاحتياطي والاستعادة',
+  'settings.exportBackup': 'تصدير نسخة احتياطية',
+  'settings.exportBackupDescription': 'يحفظ المفضلة والسجل وكلمات الاختبار والتعريفات المحفوظة في ملف.',
+  'settings.restoreBackupDescription': 'ادمج ملف نسخة احتياطية في هذا الجهاز أو استبدل كل شيء بمحتواه.',
+  'settings.presets': 'إعدادات البحث المحفوظة',
+  'settings.wotd.source': 'مصدر كلمة اليوم',
+  'settings.wotd.sourceDescription': '"كلماتي" تختار من المفضلة وكلمات الاختبار. تغيير الاختيار يختار كلمة جديدة لليوم.',
+  'settings.wotd.source.bundled': 'قائمة كلمات',
+  'settings.wotd.source.mine': 'كلماتي',
+  'settings.wotd.source.mixed': 'كلاهما',
+  'settings.wotd.pickFrom': 'الاختيار من:',
+  'settings.wotd.level': 'المستوى:',
+  'settings.reminder': 'تذكير يومي',
+  'settings.reminder.notification': 'إشعار التذكير',
+  'settings.reminder.notificationDescription': 'كلمة اليوم وعدد كلمات الاختبار المستحقة. يعمل دون اتصال.',
+  'settings.reminder.time': 'ذكّرني في',
+  'settings.reminder.days': 'في هذه الأيام:',
+  'settings.reminder.quietHours': 'ساعات الهدوء',
+  'settings.reminder.quietHoursDescription': 'التذكيرات التي تقع في ساعات الهدوء تنتظر حتى تنتهي.',
+  'settings.reminder.quietFrom': 'الهدوء من',
+  'settings.reminder.quietUntil': 'الهدوء حتى',
+  'settings.cacheLimits': 'حدود الذاكرة المؤقتة',
+  'settings.cache.definitions': 'التعريفات المحفوظة',
+  'settings.cache.definitionsDescription': 'عند بلوغ الحد، تُحذف التعريفات الأقل استخدامًا مؤخرًا أولًا.',
+  'settings.cache.maxEntries': 'الحد الأقصى للإدخالات:',
+  'settings.cache.maxBytes': 'مساحة التخزين:',
+  'settings.cache.ttl': 'تنتهي الصلاحية بعد:',
+  'settings.cache.never': 'أبدًا',
+  'settings.history': 'السجل',
+  'settings.history.title': 'سجل البحث',
+  'settings.history.description': 'تُحذف أقدم عمليات البحث عند بلوغ الحد.',
+  'settings.history.keepUpTo': 'الاحتفاظ بما يصل إلى:',
+  'settings.history.shortenTitle': 'تقصير السجل؟',
+  'settings.history.shortenMessage': { zero: 'الاحتفاظ بـ{maxItems} إدخالًا لن يحذف أي بحث.', one: 'الاحتفاظ بـ{maxItems} إدخالًا سيحذف أقدم بحث.', two: 'الاحتفاظ بـ{maxItems} إدخالًا سيحذف أقدم بحثين.', few: 'الاحتفاظ بـ{maxItems} إدخالًا سيحذف أقدم {count} عمليات بحث.', many: 'الاحتفاظ بـ{maxItems} إدخالًا سيحذف أقدم {count} عملية بحث.', other: 'الاحتفاظ بـ{maxItems} إدخالًا سيحذف أقدم {count} عملية بحث.' },
+  'settings.history.shorten': 'تقصير',
+  'settings.backend': 'الخادم',
+  'settings.about': 'حول',
+  'settings.version': 'إصدار التطبيق',
+  'settings.linkErrorTitle': 'تعذّر فتح الرابط',
+  'settings.linkErrorMessage': 'تعذّر فتح العنوان: {url}',
+
+  // Screen reader labels
+  'a11y.toast.success': 'تم: {message}',
+  'a11y.toast.error': 'خطأ: {message}',
+  'a11y.toast.info': '{message}',
+  'a11y.close': 'إغلاق',
+  'a11y.edit': 'تعديل',
+  'a11y.editItem': 'تعديل {word}',
+  'a11y.removeItem': 'إزالة {word}',
+  'a11y.languageField': 'اللغة: {language}',
+  'a11y.languageFieldHint': 'يفتح قائمة اللغات',
+  'a11y.suggestionHint': 'يملأ هذه الكلمة',
+  'a11y.addFavorite': 'إضافة {word} إلى المفضلة',
+  'a11y.removeFavorite': 'إزالة {word} من المفضلة',
+  'a11y.previousRevision': 'المراجعة السابقة',
+  'a11y.nextRevision': 'المراجعة التالية',
+  'a11y.pinRevision': 'تثبيت هذه المراجعة',
+  'a11y.unpinRevision': 'إلغاء تثبيت هذه المراجعة',
+  'a11y.showDefinition': 'إظهار تعريف {word}',
+  'a11y.hideDefinition': 'إخفاء تعريف {word}',
+  'a11y.removeFromQuiz': 'إزالة {word} من الاختبار',
+  'a11y.batchProgress': 'تقدم قائمة الكلمات',
+  'a11y.newCollection': 'اسم المجموعة الجديدة',
+  'a11y.addCollection': 'إضافة مجموعة',
+  'a11y.testProfile': 'اختبار الاتصال بـ {name}',
+  'a11y.setDefaultPreset': 'استخدامه عند التشغيل',
+  'a11y.unsetDefaultPreset': 'إيقاف استخدامه عند التشغيل',
+  'a11y.removeColumn': 'إزالة العمود {column}',
+  'a11y.earlier': 'أبكر',
+  'a11y.later': 'لاحقًا',
+  'a11y.hint.quiz': 'يضيف هذه الكلمة إلى الاختبار',
+  'a11y.hint.compare': 'يفتح مقارنة جنبًا إلى جنب',
+  'a11y.hint.regenerate': 'يطلب تعريفًا جديدًا',
+  'a11y.hint.openDefinition': 'يفتح التعريف',
+  'a11y.hint.defineAgain': 'يبحث عن هذه الكلمة مجددًا',
+  'a11y.hint.editPreset': 'يفتح محرر الإعداد المسبق',
+  'a11y.quiz.correctOption': '{option}، إجابة صحيحة',
+  'a11y.quiz.wrongOption': '{option}، إجابة خاطئة',
+  'a11y.quiz.preparing': 'جارٍ تحضير الاختبار',
+  'a11y.quiz.score': 'النتيجة: {score} من {total}',
+  'a11y.quiz.roundCorrect': '{word}، {round}: صحيحة',
+  'a11y.quiz.roundWrong': '{word}، {round}: خاطئة',
+};
@@ -0,0 +1,596 @@
+// --- English ---
+// Source catalogue: every key the app uses is defined here, and other languages fall back to it.
+
+export default {
+  // App
+  'app.name': 'VocabMaster Pro',
+
+  // Shared words and buttons
+  'common.notAvailable': 'N/A',
+  'common.sharingUnavailable': 'Sharing is not available on this device.',
+  'common.lookupFailed': 'Lookup failed.',
+  'common.cancel': 'Cancel',
+  'common.clearAll': 'Clear All',
+  'common.word': 'Word',
+  'common.listSeparator': ', ',
+  'common.questionMark': '?',
+  'common.tryAgain': 'Try Again',
+  'common.remove': 'Remove',
+  'common.wordCount': { one: '{count} word', other: '{count} words' },
+  'common.unknownWord': 'Unknown Word',
+  'common.lengthShort': '{length}w',
+  'common.sortBy': 'Sort by:',
+  'common.all': 'All',
+  'common.defining': 'Defining "{word}"...',
+  'common.back': 'Back',
+  'common.add': 'Add',
+  'common.save': 'Save',
+  'common.delete': 'Delete',
+  'common.nameLabel': 'Name *',
+  'common.days': { one: '{count} day', other: '{count} days' },
+  'common.tone': 'Tone',
+  'common.context': 'Context',
+
+  // Navigation
+  'nav.tabAccessibility': '{label} tab',
+  'nav.define': 'Define Word',
+  'nav.favorites': 'Favorites',
+  'nav.history': 'History',
+  'nav.quiz': 'Quiz List',
+  'nav.settings': 'Settings',
+  'nav.cacheBrowser': 'Cached Definitions',
+  'nav.wotdArchive': 'Word of the Day Archive',
+  'nav.definitionSearch': 'Search Definitions',
+  'nav.favoriteDetails': 'Edit Favorite',
+  'nav.compare': 'Compare Definitions',
+  'nav.quizGame': 'Quiz Time!',
+
+  // Errors
+  'errors.network': 'Could not reach the definition service. Check your internet connection.',
+  'errors.timeout': 'The definition service took too long to respond. It may be starting up, please try again.',
+  'errors.title': 'An Error Occurred',
+  'errors.requestFailed': 'Could not complete the request.',
+  'errors.unknown': 'Unknown error',
+
+  // Form validation
+  'validation.enterWord': 'Please enter a word or phrase.',
+  'validation.invalidLength': 'Please enter a valid length (1-{max}).',
+  'validation.unknownLanguagePickFromList': 'Unknown language "{lang}". Please pick one from the language list.',
+  'validation.presetName': 'Please enter a preset name.',
+  'validation.presetEmpty': 'Fill in at least one of tone, context or language.',
+  'validation.unknownLanguageIso': 'Unknown language "{lang}". Use an ISO code such as eng or spa.',
+  'validation.profileName': 'Please enter a profile name.',
+  'validation.baseUrl': 'Base URL must start with http:// or https://',
+  'validation.timeout': 'Timeout must be between 1 and {max} seconds.',
+  'validation.enterWords': 'Please enter at least one word.',
+  'validation.title': 'Validation Error',
+
+  // Definition status
+  'status.exactLength': 'Exact Length',
+  'status.closestPossible': 'Closest Possible',
+  'status.constraintIssue': 'Constraint Issue',
+
+  // Define tab
+  'define.loadedFromCache': 'Definition loaded from local cache.',
+  'define.retrying': 'Server busy, retrying in {seconds}s ({attempt}/{maxRetries})...',
+  'define.unexpectedError': 'An unexpected error occurred while fetching the definition.',
+  'define.cancelled': 'Lookup cancelled.',
+  'define.buttonBatch': { one: 'Define {count} Word', other: 'Define {count} Words' },
+  'define.button': 'Define \'{word}\'',
+  'define.mode.single': 'Single Word',
+  'define.mode.batch': 'Word List',
+  'define.title': 'Define a Word',
+  'define.titleBatch': 'Define a Word List',
+  'define.modeLabel': 'Mode:',
+  'define.wordsLabel': 'Words / Phrases *',
+  'define.wordsPlaceholder': 'One per line or comma-separated\ne.g., ubiquitous, ephemeral, candid',
+  'define.wordLabel': 'Word / Phrase *',
+  'define.wordPlaceholder': 'e.g., Serendipity',
+  'define.didYouMean': 'Did you mean',
+  'define.lengthLabel': 'Target Length (Words) *',
+  'define.lengthPlaceholder': 'Approx. {max} max',
+  'define.presetsLabel': 'Presets:',
+  'define.showFilters': 'Show Optional Filters',
+  'define.hideFilters': 'Hide Optional Filters',
+  'define.toneLabel': 'Tone (Optional)',
+  'define.tonePlaceholder': 'e.g., formal, humorous, simple',
+  'define.contextLabel': 'Context (Optional)',
+  'define.contextPlaceholder': 'e.g., medical, legal, for a child',
+  'define.languageLabel': 'Language (Optional)',
+  'define.loading': 'Loading Definition...',
+  'define.recentSearches': 'Recent Searches',
+
+  // Language picker
+  'languagePicker.matches': 'Matches',
+  'languagePicker.recent': 'Recently Used',
+  'languagePicker.all': 'All Languages',
+  'languagePicker.autoDetect': 'Auto-detect',
+  'languagePicker.title': 'Choose Language',
+  'languagePicker.searchPlaceholder': 'Search by name or code (e.g., Spanish, es, spa)',
+  'languagePicker.autoDetectHint': 'Let the service pick the language',
+  'languagePicker.noMatches': 'No language matches "{query}".',
+
+  // Definition result
+  'result.noDefinition': 'No definition available.',
+  'result.nothingToRead': 'No definition text to read.',
+  'result.speechFailed': 'Text-to-speech playback failed.',
+  'result.speechError': 'Text-to-speech feature encountered an error.',
+  'result.copied': 'Definition Copied!',
+  'result.nothingToCopy': 'No definition text to copy.',
+  'result.nothingToShare': 'No definition available to share.',
+  'result.share.link': 'Open this lookup in VocabMaster: {link}',
+  'result.share.heading': 'Definition for "{word}":',
+  'result.share.footer': '(From VocabMaster Pro v{version})',
+  'result.share.subject': 'Definition: {word}',
+  'result.share.emailUnavailable': 'Sharing via email not available. Definition copied instead.',
+  'result.share.failed': 'Sharing failed: {error}. Definition copied instead.',
+  'result.chip.length': 'Length',
+  'result.chip.lengthValue': { one: '{actual} word (Req: {requested})', other: '{actual} words (Req: {requested})' },
+  'result.chip.status': 'Status',
+  'result.chip.lang': 'Lang',
+  'result.chip.source': 'Source',
+  'result.chip.cache': 'Cache',
+  'result.chip.tone': 'Tone',
+  'result.chip.context': 'Context',
+  'result.action.stop': 'Stop',
+  'result.action.listen': 'Listen',
+  'result.action.copy': 'Copy',
+  'result.action.share': 'Share',
+  'result.action.quiz': 'Quiz It',
+  'result.action.compare': 'Compare',
+  'result.action.regenerate': 'Regenerate',
+  'result.defineAnother': 'Define Another Word',
+
+  // Definition revisions
+  'revisions.offline': 'You\'re offline. Regenerating needs a connection.',
+  'revisions.savedPinnedKept': 'New revision saved. Your pinned revision stays the default.',
+  'revisions.saved': 'New revision saved.',
+  'revisions.regenerateFailed': 'Could not regenerate the definition.',
+  'revisions.loadFailed': 'Could not load that revision.',
+  'revisions.notCached': 'This definition is no longer cached.',
+  'revisions.pinned': 'Revision pinned. Lookups with these settings will show it.',
+  'revisions.unpinned': 'Revision unpinned. Lookups will show the newest revision.',
+  'revisions.pinFailed': 'Could not pin that revision.',
+  'revisions.position': 'Revision {index} of {total}',
+  'revisions.positionPinned': 'Revision {index} of {total} · Pinned',
+
+  // Offline queue
+  'offline.noConnection': 'No internet connection',
+  'offline.queued': 'You\'re offline. "{word}" was added to Pending Lookups.',
+  'offline.connectionQueued': 'Connection problem. "{word}" was added to Pending Lookups.',
+  'offline.completed': { one: '{count} pending lookup completed.', other: '{count} pending lookups completed.' },
+  'offline.status.pending': 'Waiting for connection',
+  'offline.status.retrying': 'Looking up...',
+  'offline.status.failed': 'Failed',
+  'offline.status.resolved': 'Ready, tap to view',
+  'offline.title': 'Pending Lookups ({count})',
+  'offline.badge': 'Offline',
+  'offline.clearCompleted': 'Clear Completed',
+  'offline.retryNow': 'Retry Now',
+
+  // Word lists
+  'batch.summary.defined': { one: '{count} defined', other: '{count} defined' },
+  'batch.summary.failed': { one: '{count} failed', other: '{count} failed' },
+  'batch.summary.queued': { one: '{count} queued for later', other: '{count} queued for later' },
+  'batch.cancelled': 'Batch cancelled: {summary}.',
+  'batch.finished': 'Batch finished: {summary}.',
+  'batch.alreadyThere': { one: ' ({count} already there)', other: ' ({count} already there)' },
+  'batch.addedToFavorites': { one: 'Added {count} word to favorites{existing}.', other: 'Added {count} words to favorites{existing}.' },
+  'batch.addedToQuiz': { one: 'Added {count} word to the Quiz list{existing}.', other: 'Added {count} words to the Quiz list{existing}.' },
+  'batch.parsed.words': { one: '{count} word', other: '{count} words' },
+  'batch.parsed.duplicates': { one: '{count} duplicate skipped', other: '{count} duplicates skipped' },
+  'batch.parsed.truncated': { one: '{count} over the {max}-word limit skipped', other: '{count} over the {max}-word limit skipped' },
+  'batch.status.pending': 'Waiting',
+  'batch.status.running': 'Looking up...',
+  'batch.status.done': 'Defined, tap to view',
+  'batch.status.doneFromCache': 'From cache, tap to view',
+  'batch.status.queued': 'Added to Pending Lookups',
+  'batch.status.failed': 'Failed',
+  'batch.status.cancelled': 'Cancelled',
+  'batch.title': 'Word List ({finished}/{total})',
+  'batch.retryFailed': 'Retry Failed',
+  'batch.allToFavorites': 'All to Favorites',
+  'batch.allToQuiz': 'All to Quiz',
+  'batch.invalidWords': { one: '{count} entry can\'t be looked up: {words}. Remove or fix it and try again.', other: '{count} entries can\'t be looked up: {words}. Remove or fix them and try again.' },
+
+  // Word of the Day
+  'wotd.origin.mine': 'From your favorites and quiz words',
+  'wotd.origin.level': '{level} level',
+  'wotd.origin.builtIn': 'VocabMaster word list',
+  'wotd.level.beginner': 'Beginner',
+  'wotd.level.intermediate': 'Intermediate',
+  'wotd.level.advanced': 'Advanced',
+  'wotd.fetching': 'Fetching today\'s definition...',
+  'wotd.offline': 'Today\'s definition will load when you\'re back online.',
+  'wotd.title': 'Word of the Day',
+  'wotd.pastWords': 'Past Words',
+  'wotd.defineButton': { one: 'Define {word} ({count} word)', other: 'Define {word} ({count} words)' },
+  'wotd.notFetched': 'Definition not fetched',
+  'wotd.archiveEmptyTitle': 'No Past Words Yet',
+  'wotd.archiveEmptyMessage': 'Each day\'s Word of the Day is kept here so you can come back to it.',
+  'wotd.archiveTitle': 'Past Words ({total})',
+
+  // Favorites
+  'favorites.added': 'Favorited: {word}',
+  'favorites.alreadyAdded': '{word} is already in favorites.',
+  'favorites.removed': 'Unfavorited: {word}',
+  'favorites.removeTitle': 'Remove Favorite',
+  'favorites.removeMessage': '"{word}" has collections, tags or notes. Remove it from your favorites anyway?',
+  'favorites.defaultSettings': 'Default settings',
+  'favorites.savedSettings': 'Saved: {settings}',
+  'favorites.removeConfirm': 'Are you sure you want to remove "{word}" from your favorites?',
+  'favorites.emptyTitle': 'No Favorites Yet',
+  'favorites.emptyMessage': 'Use the bookmark icon on a definition result to save words here.',
+  'favorites.title': 'My Favorites ({total})',
+  'favorites.titleFiltered': 'My Favorites ({shown} of {total})',
+  'favorites.collectionLabel': 'Collection:',
+  'favorites.tagLabel': 'Tag:',
+  'favorites.noneFiltered': 'No favorites in this collection or tag.',
+  'favorites.saved': 'Saved "{word}".',
+  'favorites.notFoundTitle': 'Favorite Not Found',
+  'favorites.notFoundMessage': '"{word}" is no longer in your favorites.',
+  'favorites.details.savedSettings': 'Saved Settings',
+  'favorites.details.noSavedSettings': 'Bookmarked before settings were saved; opens with the default length.',
+  'favorites.details.defineWithSettings': 'Define With These Settings',
+  'favorites.details.collections': 'Collections',
+  'favorites.details.inLabel': 'In:',
+  'favorites.details.newCollectionPlaceholder': 'New collection, e.g. GRE',
+  'favorites.details.tags': 'Tags',
+  'favorites.details.tagsPlaceholder': 'e.g., latin-root, exam',
+  'favorites.details.notes': 'Notes',
+  'favorites.details.notesPlaceholder': 'Mnemonics, example sentences, where you saw it...',
+  'favorites.updateParamsTitle': 'Update saved settings?',
+  'favorites.updateParamsMessage': '{word} is saved with {saved}. Reopen it with {current} instead? Its collections, tags and note are kept.',
+  'favorites.updateParams': 'Update',
+  'favorites.paramsUpdated': 'Saved settings for {word} updated.',
+
+  // History
+  'history.clearTitle': 'Clear Search History',
+  'history.clearMessage': 'Are you sure you want to delete all search history items? This action cannot be undone.',
+  'history.cleared': 'Search History Cleared',
+  'history.requestedLength': 'Req: {length}w',
+  'history.generatedLength': ', Gen: {length}w',
+  'history.tone': 'Tone: {tone}',
+  'history.context': 'Ctx: {context}',
+  'history.filter.lang': 'Language:',
+  'history.filter.tone': 'Tone:',
+  'history.filter.context': 'Context:',
+  'history.section.today': 'Today',
+  'history.section.yesterday': 'Yesterday',
+  'history.section.thisWeek': 'This Week',
+  'history.section.lastWeek': 'Last Week',
+  'history.emptyTitle': 'No Search History',
+  'history.emptyMessage': 'Words you define will appear here for quick access to their definitions and parameters.',
+  'history.title': 'Search History ({total})',
+  'history.titleFiltered': 'Search History ({shown} of {total})',
+  'history.searchPlaceholder': 'Search words, tones or contexts',
+  'history.noMatches': 'No history entries match.',
+  'history.showMore': { one: 'Show More ({count} left)', other: 'Show More ({count} left)' },
+  'history.footer': { one: 'Swipe an entry left to delete it. Keeping the last {count} lookup (change in Settings).', other: 'Swipe an entry left to delete it. Keeping the last {count} lookups (change in Settings).' },
+  'history.footerRtl': { one: 'Swipe an entry right to delete it. Keeping the last {count} lookup (change in Settings).', other: 'Swipe an entry right to delete it. Keeping the last {count} lookups (change in Settings).' },
+
+  // Sorting
+  'sort.newest': 'Newest',
+  'sort.oldest': 'Oldest',
+  'sort.az': 'A-Z',
+  'sort.za': 'Z-A',
+
+  // Word list export
+  'export.noDefinitions': 'None of these words have a saved definition yet.',
+  'export.shareTitle': 'Export {format}',
+  'export.format.csv': 'CSV',
+  'export.format.anki': 'Anki Deck',
+  'export.skipped': { one: '{count} word without a saved definition was skipped.', other: '{count} words without a saved definition were skipped.' },
+  'export.missingDefinitions': { one: '{count} word has no saved definition yet.', other: '{count} words have no saved definition yet.' },
+  'export.createFailed': 'Could not create the export file.',
+  'export.title': 'Export Words',
+  'export.message': 'CSV opens in any spreadsheet. The Anki deck can be imported with File > Import in Anki.',
+  'export.button': 'Export',
+
+  // Quiz
+  'quiz.due.overdue': { one: 'Overdue by {count} day', other: 'Overdue by {count} days' },
+  'quiz.due.today': 'Due today',
+  'quiz.due.tomorrow': 'Due tomorrow',
+  'quiz.due.inDays': { one: 'Due in {count} day', other: 'Due in {count} days' },
+  'quiz.added': 'Added to Quiz List: {word}',
+  'quiz.alreadyAdded': '{word} is already in the Quiz list.',
+  'quiz.removed': 'Removed from Quiz List: {word}',
+  'quiz.item.savedCopy': '(Saved copy, couldn\'t refresh: {error})',
+  'quiz.item.loadFailed': 'Couldn\'t load the definition: {error}',
+  'quiz.item.loading': 'Loading definition...',
+  'quiz.item.tapToLoad': 'Tap again to load definition.',
+  'quiz.item.lapses': { one: '{count} lapse', other: '{count} lapses' },
+  'quiz.section.due': 'Due Today ({count})',
+  'quiz.section.upcoming': 'Upcoming ({count})',
+  'quiz.removeTitle': 'Remove Quiz Word',
+  'quiz.removeMessage': 'Are you sure you want to remove this word from your quiz list?',
+  'quiz.emptyToast': 'Add words to your list using the \'Quiz It\' button before starting.',
+  'quiz.emptyTitle': 'Quiz List is Empty',
+  'quiz.emptyMessage': 'Use the \'Quiz It\' button on a definition result to add words for review.',
+  'quiz.title': 'My Quiz Words ({total})',
+  'quiz.caughtUp': 'All caught up! Nothing is due for review today.',
+  'quiz.reviewDue': 'Review Due ({count})',
+  'quiz.practiceAll': 'Practice All ({count})',
+  'quiz.round.multipleChoice': 'Multiple Choice',
+  'quiz.round.typeWord': 'Type the Word',
+  'quiz.round.trueFalse': 'True or False',
+  'quiz.game.roundChip': 'Round',
+  'quiz.game.skipped': { one: '{count} word skipped: definition unavailable.', other: '{count} words skipped: definition unavailable.' },
+  'quiz.game.whichWord': 'Which word matches this definition?',
+  'quiz.game.doesMatch': 'Does this definition match',
+  'quiz.game.true': 'True',
+  'quiz.game.false': 'False',
+  'quiz.game.typeWord': 'Type the word for this definition:',
+  'quiz.game.answerPlaceholder': 'Your answer',
+  'quiz.game.checkAnswer': 'Check Answer',
+  'quiz.game.preparing': 'Preparing quiz... ({loaded}/{total})',
+  'quiz.game.errorTitle': 'Couldn\'t Prepare Quiz',
+  'quiz.game.errorMessage': 'None of the definitions for your quiz words could be loaded. Check your connection and try again.',
+  'quiz.game.backToList': 'Back to Quiz List',
+  'quiz.results.perfect': 'Perfect score!',
+  'quiz.results.great': 'Great work!',
+  'quiz.results.good': 'Good effort, keep practising.',
+  'quiz.results.keepGoing': 'Keep reviewing these words.',
+  'quiz.results.percentage': '{percentage}% correct',
+  'quiz.results.scheduleUpdated': 'Review schedule updated for these words.',
+  'quiz.results.summary': 'Round Summary',
+  'quiz.results.playAgain': 'Play Again',
+  'quiz.game.round': 'Round {index} of {total}',
+  'quiz.game.score': 'Score: {score}',
+  'quiz.game.correct': 'Correct!',
+  'quiz.game.statementTrue': 'Not quite. The statement was true.',
+  'quiz.game.statementFalse': 'Not quite. The statement was false.',
+  'quiz.game.answerWas': 'Not quite. The answer was "{word}".',
+  'quiz.game.seeResults': 'See Results',
+  'quiz.game.nextRound': 'Next Round',
+
+  // Definition search
+  'search.placeholder': 'Search definitions, e.g. short-lived',
+  'search.emptyTitle': 'Nothing to Search Yet',
+  'search.emptyMessage': 'Definitions you look up are saved on this device and can be searched here, even offline.',
+  'search.resultCount': { one: '{count} word with a matching definition', other: '{count} words with matching definitions' },
+  'search.hint': { one: 'Searches the {count} definition saved on this device.', other: 'Searches the {count} definitions saved on this device.' },
+  'search.searching': 'Searching...',
+  'search.noResults': 'No saved definitions mention "{query}".',
+
+  // Compare
+  'compare.dimension.length': 'Length',
+  'compare.dimension.tone': 'Tone',
+  'compare.dimension.lang': 'Language',
+  'compare.field.length': { one: '{length} word', other: '{length} words' },
+  'compare.field.toneUnset': 'neutral',
+  'compare.field.contextUnset': 'no context',
+  'compare.field.langUnset': 'auto',
+  'compare.duplicate': 'Same parameters as column {column}.',
+  'compare.hint': 'Run the comparison to see this definition.',
+  'compare.open': 'Open',
+  'compare.emptyTitle': 'Nothing to Compare',
+  'compare.emptyMessage': 'Open a definition and tap Compare to try it with different settings.',
+  'compare.allColumns': 'All columns: {description}',
+  'compare.vary': 'Vary:',
+  'compare.addVariant': 'Add Variant',
+  'compare.run': { one: 'Compare {count} Definition', other: 'Compare {count} Definitions' },
+
+  // Cache
+  'cache.saveFailed': 'Could not save definition locally.',
+  'cache.cleared': { one: '{count} definition cleared from cache.', other: '{count} definitions cleared from cache.' },
+  'cache.clearFailed': 'Cache clear failed. Some items might remain.',
+  'cache.entryMissing': 'That cached definition is no longer available.',
+  'cache.openFailed': 'Could not open the cached definition.',
+  'cache.removed': { one: '{count} definition removed from cache.', other: '{count} definitions removed from cache.' },
+  'cache.nothingTitle': 'Nothing to Delete',
+  'cache.nothingMessage': 'No cached definitions {scope}.',
+  'cache.deleteTitle': 'Delete Cached Definitions',
+  'cache.deleteMessage': { one: 'Delete {count} cached definition {scope}? It will be fetched again when needed.', other: 'Delete {count} cached definitions {scope}? They will be fetched again when needed.' },
+  'cache.scope.olderThan': { one: 'older than {count} day', other: 'older than {count} days' },
+  'cache.scope.language': 'for language "{lang}"',
+  'cache.scope.word': 'for "{word}"',
+  'cache.savedOn': 'Saved {date}',
+  'cache.savedUnknown': 'Saved unknown',
+  'cache.emptyTitle': 'Cache is Empty',
+  'cache.emptyMessage': 'Definitions you look up are saved here so they can be opened again without a network connection.',
+  'cache.searchPlaceholder': 'Search word, tone, context or language',
+  'cache.deleteOlderThan': 'Delete older than:',
+  'cache.deleteLanguage': 'Delete language:',
+  'cache.count': '{count} Cached',
+  'cache.countFiltered': '{shown} of {count} Cached',
+
+  // Backup and restore
+  'backup.shareTitle': 'Save VocabMaster Backup',
+  'backup.createFailed': 'Could not create the backup file.',
+  'backup.section.favorites': 'Favorites',
+  'backup.section.history': 'History',
+  'backup.section.quizList': 'Quiz list',
+  'backup.invalid.notObject': 'The file is not a JSON object.',
+  'backup.invalid.format': 'This file is not a VocabMaster backup.',
+  'backup.invalid.version': 'Unsupported backup version ({version}). Please update the app and try again.',
+  'backup.invalid.noData': 'The backup has no data section.',
+  'backup.invalid.notList': '{section} is missing or not a list.',
+  'backup.invalid.missingWord': '{section} contains entries without a word.',
+  'backup.invalid.cacheSection': 'Cache section is missing or malformed.',
+  'backup.invalid.cacheEntries': { one: '{count} cache entry is malformed.', other: '{count} cache entries are malformed.' },
+  'backup.count.favorites': { one: '{count} favorite', other: '{count} favorites' },
+  'backup.count.history': { one: '{count} history item', other: '{count} history items' },
+  'backup.count.quizList': { one: '{count} quiz word', other: '{count} quiz words' },
+  'backup.count.cache': { one: '{count} cached definition', other: '{count} cached definitions' },
+  'backup.report.restored': 'Restored: {contents}.',
+  'backup.report.added': 'Added: {contents}.',
+  'backup.report.conflicts': { one: '{count} conflict, newer copy kept:', other: '{count} conflicts, newer copy kept:' },
+  'backup.conflict.favorite': 'Favorite "{label}"',
+  'backup.conflict.quizWord': 'Quiz word "{label}"',
+  'backup.kept.favorite.backup': 'backup copy kept',
+  'backup.kept.favorite.device': 'device copy kept',
+  'backup.kept.quizWord.backup': 'backup progress kept',
+  'backup.kept.quizWord.device': 'device progress kept',
+  'backup.report.more': '…and {count} more.',
+  'backup.report.evicted': { one: '{count} cached definition was dropped to stay within your cache limits.', other: '{count} cached definitions were dropped to stay within your cache limits.' },
+  'backup.restoredTitle': 'Backup Restored',
+  'backup.restoreFailedTitle': 'Restore Failed',
+  'backup.restoreFailedMessage': 'The backup could not be fully restored. Your existing data may be partially updated.',
+  'backup.invalidTitle': 'Invalid Backup',
+  'backup.unreadable': 'The selected file could not be read as a VocabMaster backup.',
+  'backup.unknownDate': 'an unknown date',
+  'backup.restoreTitle': 'Restore Backup',
+  'backup.restoreSummary': 'Backup from {date} with {contents}.',
+  'backup.restoreExplanation': 'Merge keeps your current data and adds the backup (the newer copy wins on conflicts). Replace deletes your current data first.',
+  'backup.merge': 'Merge',
+  'backup.replace': 'Replace',
+
+  // Search presets
+  'presets.saved': 'Saved preset: {name}',
+  'presets.invalidTitle': 'Invalid Preset',
+  'presets.deleteTitle': 'Delete Preset',
+  'presets.deleteMessage': 'Delete "{name}"?',
+  'presets.editTitle': 'Edit Preset',
+  'presets.newTitle': 'New Preset',
+  'presets.namePlaceholder': 'e.g., Kids English, Legal Spanish',
+  'presets.languageLabel': 'Language',
+  'presets.defaultName': '{name} (default)',
+  'presets.add': 'Add Preset',
+  'presets.addDescription': 'Starts from the filters currently on the Define form. Tap the star to apply a preset on launch.',
+
+  // Backend profiles
+  'backend.saved': 'Saved backend profile: {name}',
+  'backend.selected': 'Using backend: {name}',
+  'backend.invalidTitle': 'Invalid Profile',
+  'backend.deleteTitle': 'Delete Backend Profile',
+  'backend.deleteMessage': 'Delete "{name}"? Definitions cached from this backend stay in the cache until it is cleared.',
+  'backend.connected': 'Connected to {name} in {latency} ms.',
+  'backend.connectionFailed': 'Connection failed.',
+  'backend.testing': 'Testing connection...',
+  'backend.editTitle': 'Edit Backend Profile',
+  'backend.newTitle': 'New Backend Profile',
+  'backend.namePlaceholder': 'e.g., Team server, Local mock',
+  'backend.baseUrlLabel': 'Base URL *',
+  'backend.authNameLabel': 'Auth Header Name (Optional)',
+  'backend.authValueLabel': 'Auth Header Value (Optional)',
+  'backend.authValuePlaceholder': 'e.g., Bearer abc123',
+  'backend.timeoutLabel': 'Timeout (Seconds)',
+  'backend.testConnection': 'Test Connection',
+  'backend.add': 'Add Backend Profile',
+  'backend.addDescription': 'Point the app at your own define service or a local mock.',
+  'backend.secretSaveFailed': 'Could not store the auth header value securely. The profile was not saved.',
+
+  // Daily reminder
+  'reminders.channelName': 'Daily reminders',
+  'reminders.notification.titleWithWord': 'Word of the Day: {word}',
+  'reminders.notification.title': 'Your Word of the Day is ready',
+  'reminders.notification.due': { one: '{count} quiz word is due for review.', other: '{count} quiz words are due for review.' },
+  'reminders.notification.nothingDue': 'No reviews due. Look up something new!',
+  'reminders.notification.bodyWithWord': 'Tap to see what "{word}" means. {reviewLine}',
+  'reminders.permissionDenied': 'Notifications are turned off for VocabMaster in system settings.',
+  'reminders.enableFailed': 'Could not enable reminders on this device.',
+
+  // Themes
+  'theme.system': 'System',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.amoled': 'AMOLED Black',
+  'theme.highContrast': 'High Contrast',
+
+  // App language
+  'language.system': 'System',
+  'language.restartTitle': 'Restart Required',
+  'language.restartMessage': 'Close and reopen VocabMaster to switch the layout direction for this language.',
+
+  // Settings
+  'settings.appearance': 'Appearance',
+  'settings.theme': 'Theme',
+  'settings.themeDescription': 'System switches between Light and Dark with your device. AMOLED Black saves battery on OLED screens.',
+  'settings.themeLabel': 'Theme:',
+  'settings.language': 'Language',
+  'settings.appLanguage': 'App Language',
+  'settings.appLanguageDescription': 'The language of menus and messages. Definitions use the language chosen on the Define form.',
+  'settings.appLanguageLabel': 'Language:',
+  'settings.dataManagement': 'Data Management',
+  'settings.clearCache.title': 'Clear Definition Cache',
+  'settings.clearCache.message': 'Are you sure you want to delete all locally saved definitions? This can free up space but definitions will need to be fetched again. This action cannot be undone.',
+  'settings.clearCache.confirm': 'Clear Cache',
+  'settings.clearCache.description': 'Removes definitions stored locally. Frees up space.',
+  'settings.browseCache': 'Browse Cache',
+  'settings.browseCacheDescription': 'Search, open or delete individual cached definitions.',
+  'settings.clearHistory': 'Clear Search History',
+  'settings.clearHistoryDescription': 'Removes the list of past searches from the History tab.',
+  'settings.backup': 'Backup & Restore',
+  'settings.exportBackup': 'Export Backup',
+  'settings.exportBackupDescription': 'Saves favorites, history, quiz words and cached definitions to a file.',
+  'settings.restoreBackupDescription': 'Merge a backup file into this device or replace everything with it.',
+  'settings.presets': 'Search Presets',
+  'settings.wotd.source': 'Daily Word Source',
+  'settings.wotd.sourceDescription': '"My Words" picks from your favorites and quiz words. Changing this picks a new word for today.',
+  'settings.wotd.source.bundled': 'Word List',
+  'settings.wotd.source.mine': 'My Words',
+  'settings.wotd.source.mixed': 'Both',
+  'settings.wotd.pickFrom': 'Pick from:',
+  'settings.wotd.level': 'Level:',
+  'settings.reminder': 'Daily Reminder',
+  'settings.reminder.notification': 'Reminder Notification',
+  'settings.reminder.notificationDescription': 'Today\'s word and how many quiz words are due. Works offline.',
+  'settings.reminder.time': 'Remind me at',
+  'settings.reminder.days': 'On these days:',
+  'settings.reminder.quietHours': 'Quiet Hours',
+  'settings.reminder.quietHoursDescription': 'Reminders that fall inside quiet hours wait until they end.',
+  'settings.reminder.quietFrom': 'Quiet from',
+  'settings.reminder.quietUntil': 'Quiet until',
+  'settings.cacheLimits': 'Cache Limits',
+  'settings.cache.definitions': 'Cached Definitions',
+  'settings.cache.definitionsDescription': 'Least recently used definitions are removed first when a limit is reached.',
+  'settings.cache.maxEntries': 'Max entries:',
+  'settings.cache.maxBytes': 'Storage budget:',
+  'settings.cache.ttl': 'Expire after:',
+  'settings.cache.never': 'Never',
+  'settings.history': 'History',
+  'settings.history.title': 'Search History',
+  'settings.history.description': 'The oldest lookups are dropped once the limit is reached.',
+  'settings.history.keepUpTo': 'Keep up to:',
+  'settings.history.shortenTitle': 'Shorten History?',
+  'settings.history.shortenMessage': { one: 'Keeping {maxItems} entries removes your oldest lookup.', other: 'Keeping {maxItems} entries removes your {count} oldest lookups.' },
+  'settings.history.shorten': 'Shorten',
+  'settings.backend': 'Backend',
+  'settings.about': 'About',
+  'settings.version': 'App Version',
+  'settings.linkErrorTitle': 'Cannot Open Link',
+  'settings.linkErrorMessage': 'Could not open the URL: {url}',
+
+  // Screen reader labels
+  'a11y.toast.success': 'Success: {message}',
+  'a11y.toast.error': 'Error: {message}',
+  'a11y.toast.info': '{message}',
+  'a11y.close': 'Close',
+  'a11y.edit': 'Edit',
+  'a11y.editItem': 'Edit {word}',
+  'a11y.removeItem': 'Remove {word}',
+  'a11y.languageField': 'Language: {language}',
+  'a11y.languageFieldHint': 'Opens the language list',
+  'a11y.suggestionHint': 'Fills in this word',
+  'a11y.addFavorite': 'Add {word} to favorites',
+  'a11y.removeFavorite': 'Remove {word} from favorites',
+  'a11y.previousRevision': 'Previous revision',
+  'a11y.nextRevision': 'Next revision',
+  'a11y.pinRevision': 'Pin this revision',
+  'a11y.unpinRevision': 'Unpin this revision',
+  'a11y.showDefinition': 'Show definition of {word}',
+  'a11y.hideDefinition': 'Hide definition of {word}',
+  'a11y.removeFromQuiz': 'Remove {word} from the quiz',
+  'a11y.batchProgress': 'Word list progress',
+  'a11y.newCollection': 'New collection name',
+  'a11y.addCollection': 'Add collection',
+  'a11y.testProfile': 'Test connection to {name}',
+  'a11y.setDefaultPreset': 'Use as launch default',
+  'a11y.unsetDefaultPreset': 'Stop using as launch default',
+  'a11y.removeColumn': 'Remove column {column}',
+  'a11y.earlier': 'Earlier',
+  'a11y.later': 'Later',
+  'a11y.hint.quiz': 'Adds this word to the quiz',
+  'a11y.hint.compare': 'Opens a side-by-side comparison',
+  'a11y.hint.regenerate': 'Asks for a new definition',
+  'a11y.hint.openDefinition': 'Opens the definition',
+  'a11y.hint.defineAgain': 'Looks up this word again',
+  'a11y.hint.editPreset': 'Opens the preset editor',
+  'a11y.quiz.correctOption': '{option}, correct answer',
+  'a11y.quiz.wrongOption': '{option}, wrong answer',
+  'a11y.quiz.preparing': 'Preparing the quiz',
+  'a11y.quiz.score': 'Score: {score} out of {total}',
+  'a11y.quiz.roundCorrect': '{word}, {round}: correct',
+  'a11y.quiz.roundWrong': '{word}, {round}: wrong',
+};
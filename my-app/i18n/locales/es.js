@@ -0,0 +1,595 @@
+// --- Español ---
+
+export default {
+  // App
+  'app.name': 'VocabMaster Pro',
+
+  // Shared words and buttons
+  'common.notAvailable': 'N/D',
+  'common.sharingUnavailable': 'Compartir no está disponible en este dispositivo.',
+  'common.lookupFailed': 'La búsqueda falló.',
+  'common.cancel': 'Cancelar',
+  'common.clearAll': 'Borrar todo',
+  'common.word': 'Palabra',
+  'common.listSeparator': ', ',
+  'common.questionMark': '?',
+  'common.tryAgain': 'Reintentar',
+  'common.remove': 'Quitar',
+  'common.wordCount': { one: '{count} palabra', other: '{count} palabras' },
+  'common.unknownWord': 'Palabra desconocida',
+  'common.lengthShort': '{length} pal.',
+  'common.sortBy': 'Ordenar por:',
+  'common.all': 'Todas',
+  'common.defining': 'Definiendo "{word}"...',
+  'common.back': 'Atrás',
+  'common.add': 'Añadir',
+  'common.save': 'Guardar',
+  'common.delete': 'Eliminar',
+  'common.nameLabel': 'Nombre *',
+  'common.days': { one: '{count} día', other: '{count} días' },
+  'common.tone': 'Tono',
+  'common.context': 'Contexto',
+
+  // Navigation
+  'nav.tabAccessibility': 'Pestaña {label}',
+  'nav.define': 'Definir',
+  'nav.favorites': 'Favoritos',
+  'nav.history': 'Historial',
+  'nav.quiz': 'Cuestionario',
+  'nav.settings': 'Ajustes',
+  'nav.cacheBrowser': 'Definiciones guardadas',
+  'nav.wotdArchive': 'Archivo de la palabra del día',
+  'nav.definitionSearch': 'Buscar en definiciones',
+  'nav.favoriteDetails': 'Editar favorito',
+  'nav.compare': 'Comparar definiciones',
+  'nav.quizGame': '¡A practicar!',
+
+  // Errors
+  'errors.network': 'No se pudo contactar con el servicio de definiciones. Comprueba tu conexión a internet.',
+  'errors.timeout': 'El servicio de definiciones tardó demasiado en responder. Puede que se esté iniciando; inténtalo de nuevo.',
+  'errors.title': 'Se produjo un error',
+  'errors.requestFailed': 'No se pudo completar la solicitud.',
+  'errors.unknown': 'Error desconocido',
+
+  // Form validation
+  'validation.enterWord': 'Escribe una palabra o frase.',
+  'validation.invalidLength': 'Escribe una longitud válida (1-{max}).',
+  'validation.unknownLanguagePickFromList': 'Idioma desconocido "{lang}". Elige uno de la lista de idiomas.',
+  'validation.presetName': 'Escribe un nombre para el ajuste.',
+  'validation.presetEmpty': 'Rellena al menos el tono, el contexto o el idioma.',
+  'validation.unknownLanguageIso': 'Idioma desconocido "{lang}". Usa un código ISO como eng o spa.',
+  'validation.profileName': 'Escribe un nombre para el perfil.',
+  'validation.baseUrl': 'La URL base debe empezar por http:// o https://',
+  'validation.timeout': 'El tiempo de espera debe estar entre 1 y {max} segundos.',
+  'validation.enterWords': 'Escribe al menos una palabra.',
+  'validation.title': 'Error de validación',
+
+  // Definition status
+  'status.exactLength': 'Longitud exacta',
+  'status.closestPossible': 'Lo más cercano posible',
+  'status.constraintIssue': 'Problema de restricciones',
+
+  // Define tab
+  'define.loadedFromCache': 'Definición cargada de la caché local.',
+  'define.retrying': 'Servidor ocupado, reintentando en {seconds} s ({attempt}/{maxRetries})...',
+  'define.unexpectedError': 'Se produjo un error inesperado al obtener la definición.',
+  'define.cancelled': 'Búsqueda cancelada.',
+  'define.buttonBatch': { one: 'Definir {count} palabra', other: 'Definir {count} palabras' },
+  'define.button': 'Definir \'{word}\'',
+  'define.mode.single': 'Una palabra',
+  'define.mode.batch': 'Lista de palabras',
+  'define.title': 'Definir una palabra',
+  'define.titleBatch': 'Definir una lista de palabras',
+  'define.modeLabel': 'Modo:',
+  'define.wordsLabel': 'Palabras / frases *',
+  'define.wordsPlaceholder': 'Una por línea o separadas por comas\np. ej., ubicuo, efímero, franco',
+  'define.wordLabel': 'Palabra / frase *',
+  'define.wordPlaceholder': 'p. ej., Serendipia',
+  'define.didYouMean': 'Quizá quisiste decir',
+  'define.lengthLabel': 'Longitud objetivo (palabras) *',
+  'define.lengthPlaceholder': 'Aprox. {max} como máximo',
+  'define.presetsLabel': 'Ajustes:',
+  'define.showFilters': 'Mostrar filtros opcionales',
+  'define.hideFilters': 'Ocultar filtros opcionales',
+  'define.toneLabel': 'Tono (opcional)',
+  'define.tonePlaceholder': 'p. ej., formal, humorístico, sencillo',
+  'define.contextLabel': 'Contexto (opcional)',
+  'define.contextPlaceholder': 'p. ej., médico, legal, para un niño',
+  'define.languageLabel': 'Idioma (opcional)',
+  'define.loading': 'Cargando definición...',
+  'define.recentSearches': 'Búsquedas recientes',
+
+  // Language picker
+  'languagePicker.matches': 'Coincidencias',
+  'languagePicker.recent': 'Usados recientemente',
+  'languagePicker.all': 'Todos los idiomas',
+  'languagePicker.autoDetect': 'Detectar automáticamente',
+  'languagePicker.title': 'Elegir idioma',
+  'languagePicker.searchPlaceholder': 'Buscar por nombre o código (p. ej., Spanish, es, spa)',
+  'languagePicker.autoDetectHint': 'Deja que el servicio elija el idioma',
+  'languagePicker.noMatches': 'Ningún idioma coincide con "{query}".',
+
+  // Definition result
+  'result.noDefinition': 'No hay definición disponible.',
+  'result.nothingToRead': 'No hay texto de definición para leer.',
+  'result.speechFailed': 'Falló la lectura en voz alta.',
+  'result.speechError': 'La lectura en voz alta encontró un error.',
+  'result.copied': '¡Definición copiada!',
+  'result.nothingToCopy': 'No hay texto de definición para copiar.',
+  'result.nothingToShare': 'No hay ninguna definición para compartir.',
+  'result.share.link': 'Abre esta búsqueda en VocabMaster: {link}',
+  'result.share.heading': 'Definición de "{word}":',
+  'result.share.footer': '(De VocabMaster Pro v{version})',
+  'result.share.subject': 'Definición: {word}',
+  'result.share.emailUnavailable': 'No se puede compartir por correo. Se copió la definición en su lugar.',
+  'result.share.failed': 'Error al compartir: {error}. Se copió la definición en su lugar.',
+  'result.chip.length': 'Longitud',
+  'result.chip.lengthValue': { one: '{actual} palabra (pedidas: {requested})', other: '{actual} palabras (pedidas: {requested})' },
+  'result.chip.status': 'Estado',
+  'result.chip.lang': 'Idioma',
+  'result.chip.source': 'Origen',
+  'result.chip.cache': 'Caché',
+  'result.chip.tone': 'Tono',
+  'result.chip.context': 'Contexto',
+  'result.action.stop': 'Detener',
+  'result.action.listen': 'Escuchar',
+  'result.action.copy': 'Copiar',
+  'result.action.share': 'Compartir',
+  'result.action.quiz': 'Al cuestionario',
+  'result.action.compare': 'Comparar',
+  'result.action.regenerate': 'Regenerar',
+  'result.defineAnother': 'Definir otra palabra',
+
+  // Definition revisions
+  'revisions.offline': 'Estás sin conexión. Para regenerar necesitas conexión.',
+  'revisions.savedPinnedKept': 'Nueva revisión guardada. Tu revisión fijada sigue siendo la predeterminada.',
+  'revisions.saved': 'Nueva revisión guardada.',
+  'revisions.regenerateFailed': 'No se pudo regenerar la definición.',
+  'revisions.loadFailed': 'No se pudo cargar esa revisión.',
+  'revisions.notCached': 'Esta definición ya no está en la caché.',
+  'revisions.pinned': 'Revisión fijada. Las búsquedas con estos ajustes la mostrarán.',
+  'revisions.unpinned': 'Revisión desfijada. Las búsquedas mostrarán la revisión más reciente.',
+  'revisions.pinFailed': 'No se pudo fijar esa revisión.',
+  'revisions.position': 'Revisión {index} de {total}',
+  'revisions.positionPinned': 'Revisión {index} de {total} · Fijada',
+
+  // Offline queue
+  'offline.noConnection': 'Sin conexión a internet',
+  'offline.queued': 'Estás sin conexión. "{word}" se añadió a Búsquedas pendientes.',
+  'offline.connectionQueued': 'Problema de conexión. "{word}" se añadió a Búsquedas pendientes.',
+  'offline.completed': { one: '{count} búsqueda pendiente completada.', other: '{count} búsquedas pendientes completadas.' },
+  'offline.status.pending': 'Esperando conexión',
+  'offline.status.retrying': 'Buscando...',
+  'offline.status.failed': 'Falló',
+  'offline.status.resolved': 'Lista, toca para ver',
+  'offline.title': 'Búsquedas pendientes ({count})',
+  'offline.badge': 'Sin conexión',
+  'offline.clearCompleted': 'Borrar completadas',
+  'offline.retryNow': 'Reintentar ahora',
+
+  // Word lists
+  'batch.summary.defined': { one: '{count} definida', other: '{count} definidas' },
+  'batch.summary.failed': { one: '{count} fallida', other: '{count} fallidas' },
+  'batch.summary.queued': { one: '{count} en cola para más tarde', other: '{count} en cola para más tarde' },
+  'batch.cancelled': 'Lista cancelada: {summary}.',
+  'batch.finished': 'Lista terminada: {summary}.',
+  'batch.alreadyThere': { one: ' ({count} ya estaba)', other: ' ({count} ya estaban)' },
+  'batch.addedToFavorites': { one: 'Se añadió {count} palabra a favoritos{existing}.', other: 'Se añadieron {count} palabras a favoritos{existing}.' },
+  'batch.addedToQuiz': { one: 'Se añadió {count} palabra al cuestionario{existing}.', other: 'Se añadieron {count} palabras al cuestionario{existing}.' },
+  'batch.parsed.words': { one: '{count} palabra', other: '{count} palabras' },
+  'batch.parsed.duplicates': { one: '{count} duplicado omitido', other: '{count} duplicados omitidos' },
+  'batch.parsed.truncated': { one: '{count} omitida por superar el límite de {max} palabras', other: '{count} omitidas por superar el límite de {max} palabras' },
+  'batch.status.pending': 'En espera',
+  'batch.status.running': 'Buscando...',
+  'batch.status.done': 'Definida, toca para ver',
+  'batch.status.doneFromCache': 'De la caché, toca para ver',
+  'batch.status.queued': 'Añadida a Búsquedas pendientes',
+  'batch.status.failed': 'Falló',
+  'batch.status.cancelled': 'Cancelada',
+  'batch.title': 'Lista de palabras ({finished}/{total})',
+  'batch.retryFailed': 'Reintentar fallidas',
+  'batch.allToFavorites': 'Todas a favoritos',
+  'batch.allToQuiz': 'Todas al cuestionario',
+  'batch.invalidWords': { one: 'No se puede buscar {count} entrada: {words}. Quítala o corrígela e inténtalo de nuevo.', other: 'No se pueden buscar {count} entradas: {words}. Quítalas o corrígelas e inténtalo de nuevo.' },
+
+  // Word of the Day
+  'wotd.origin.mine': 'De tus favoritos y palabras de repaso',
+  'wotd.origin.level': 'Nivel {level}',
+  'wotd.origin.builtIn': 'Lista de palabras de VocabMaster',
+  'wotd.level.beginner': 'Principiante',
+  'wotd.level.intermediate': 'Intermedio',
+  'wotd.level.advanced': 'Avanzado',
+  'wotd.fetching': 'Obteniendo la definición de hoy...',
+  'wotd.offline': 'La definición de hoy se cargará cuando vuelvas a tener conexión.',
+  'wotd.title': 'Palabra del día',
+  'wotd.pastWords': 'Palabras anteriores',
+  'wotd.defineButton': { one: 'Definir {word} ({count} palabra)', other: 'Definir {word} ({count} palabras)' },
+  'wotd.notFetched': 'Definición no obtenida',
+  'wotd.archiveEmptyTitle': 'Aún no hay palabras anteriores',
+  'wotd.archiveEmptyMessage': 'La palabra del día de cada jornada se guarda aquí para que puedas volver a ella.',
+  'wotd.archiveTitle': 'Palabras anteriores ({total})',
+
+  // Favorites
+  'favorites.added': 'Añadida a favoritos: {word}',
+  'favorites.alreadyAdded': '{word} ya está en favoritos.',
+  'favorites.removed': 'Quitada de favoritos: {word}',
+  'favorites.removeTitle': 'Quitar favorito',
+  'favorites.removeMessage': '"{word}" tiene colecciones, etiquetas o notas. ¿Quitarla de favoritos de todos modos?',
+  'favorites.defaultSettings': 'Ajustes predeterminados',
+  'favorites.savedSettings': 'Guardado: {settings}',
+  'favorites.removeConfirm': '¿Seguro que quieres quitar "{word}" de favoritos?',
+  'favorites.emptyTitle': 'Aún no hay favoritos',
+  'favorites.emptyMessage': 'Usa el icono de marcador en una definición para guardar palabras aquí.',
+  'favorites.title': 'Mis favoritos ({total})',
+  'favorites.titleFiltered': 'Mis favoritos ({shown} de {total})',
+  'favorites.collectionLabel': 'Colección:',
+  'favorites.tagLabel': 'Etiqueta:',
+  'favorites.noneFiltered': 'No hay favoritos en esta colección o etiqueta.',
+  'favorites.saved': 'Se guardó "{word}".',
+  'favorites.notFoundTitle': 'Favorito no encontrado',
+  'favorites.notFoundMessage': '"{word}" ya no está en tus favoritos.',
+  'favorites.details.savedSettings': 'Ajustes guardados',
+  'favorites.details.noSavedSettings': 'Se guardó antes de que se guardaran los ajustes; se abre con la longitud predeterminada.',
+  'favorites.details.defineWithSettings': 'Definir con estos ajustes',
+  'favorites.details.collections': 'Colecciones',
+  'favorites.details.inLabel': 'En:',
+  'favorites.details.newCollectionPlaceholder': 'Nueva colección, p. ej. DELE',
+  'favorites.details.tags': 'Etiquetas',
+  'favorites.details.tagsPlaceholder': 'p. ej., raiz-latina, examen',
+  'favorites.details.notes': 'Notas',
+  'favorites.details.notesPlaceholder': 'Reglas mnemotécnicas, frases de ejemplo, dónde la viste...',
+  'favorites.updateParamsTitle': '¿Actualizar la configuración guardada?',
+  'favorites.updateParamsMessage': '{word} está guardada con {saved}. ¿Abrirla con {current} en su lugar? Se conservan sus colecciones, etiquetas y nota.',
+  'favorites.updateParams': 'Actualizar',
+  'favorites.paramsUpdated': 'Configuración guardada de {word} actualizada.',
+
+  // History
+  'history.clearTitle': 'Borrar historial de búsqueda',
+  'history.clearMessage': '¿Seguro que quieres borrar todo el historial de búsqueda? Esta acción no se puede deshacer.',
+  'history.cleared': 'Historial de búsqueda borrado',
+  'history.requestedLength': 'Pedido: {length} pal.',
+  'history.generatedLength': ', Generado: {length} pal.',
+  'history.tone': 'Tono: {tone}',
+  'history.context': 'Ctx: {context}',
+  'history.filter.lang': 'Idioma:',
+  'history.filter.tone': 'Tono:',
+  'history.filter.context': 'Contexto:',
+  'history.section.today': 'Hoy',
+  'history.section.yesterday': 'Ayer',
+  'history.section.thisWeek': 'Esta semana',
+  'history.section.lastWeek': 'La semana pasada',
+  'history.emptyTitle': 'Sin historial de búsqueda',
+  'history.emptyMessage': 'Las palabras que definas aparecerán aquí para acceder rápido a sus definiciones y parámetros.',
+  'history.title': 'Historial de búsqueda ({total})',
+  'history.titleFiltered': 'Historial de búsqueda ({shown} de {total})',
+  'history.searchPlaceholder': 'Buscar palabras, tonos o contextos',
+  'history.noMatches': 'Ninguna entrada del historial coincide.',
+  'history.showMore': { one: 'Mostrar más (queda {count})', other: 'Mostrar más (quedan {count})' },
+  'history.footer': { one: 'Desliza una entrada a la izquierda para eliminarla. Se guarda la última búsqueda ({count}); cámbialo en Ajustes.', other: 'Desliza una entrada a la izquierda para eliminarla. Se guardan las últimas {count} búsquedas (cámbialo en Ajustes).' },
+  'history.footerRtl': { one: 'Desliza una entrada a la derecha para eliminarla. Se guarda la última búsqueda ({count}); cámbialo en Ajustes.', other: 'Desliza una entrada a la derecha para eliminarla. Se guardan las últimas {count} búsquedas (cámbialo en Ajustes).' },
+
+  // Sorting
+  'sort.newest': 'Más recientes',
+  'sort.oldest': 'Más antiguas',
+  'sort.az': 'A-Z',
+  'sort.za': 'Z-A',
+
+  // Word list export
+  'export.noDefinitions': 'Ninguna de estas palabras tiene todavía una definición guardada.',
+  'export.shareTitle': 'Exportar {format}',
+  'export.format.csv': 'CSV',
+  'export.format.anki': 'Mazo de Anki',
+  'export.skipped': { one: 'Se omitió {count} palabra sin definición guardada.', other: 'Se omitieron {count} palabras sin definición guardada.' },
+  'export.missingDefinitions': { one: '{count} palabra aún no tiene definición guardada.', other: '{count} palabras aún no tienen definición guardada.' },
+  'export.createFailed': 'No se pudo crear el archivo de exportación.',
+  'export.title': 'Exportar palabras',
+  'export.message': 'El CSV se abre en cualquier hoja de cálculo. El mazo de Anki se importa con Archivo > Importar en Anki.',
+  'export.button': 'Exportar',
+
+  // Quiz
+  'quiz.due.overdue': { one: 'Atrasada {count} día', other: 'Atrasada {count} días' },
+  'quiz.due.today': 'Toca hoy',
+  'quiz.due.tomorrow': 'Toca mañana',
+  'quiz.due.inDays': { one: 'Toca en {count} día', other: 'Toca en {count} días' },
+  'quiz.added': 'Añadida al cuestionario: {word}',
+  'quiz.alreadyAdded': '{word} ya está en el cuestionario.',
+  'quiz.removed': 'Quitada del cuestionario: {word}',
+  'quiz.item.savedCopy': '(Copia guardada, no se pudo actualizar: {error})',
+  'quiz.item.loadFailed': 'No se pudo cargar la definición: {error}',
+  'quiz.item.loading': 'Cargando definición...',
+  'quiz.item.tapToLoad': 'Toca de nuevo para cargar la definición.',
+  'quiz.item.lapses': { one: '{count} fallo', other: '{count} fallos' },
+  'quiz.section.due': 'Para hoy ({count})',
+  'quiz.section.upcoming': 'Próximas ({count})',
+  'quiz.removeTitle': 'Quitar palabra',
+  'quiz.removeMessage': '¿Seguro que quieres quitar esta palabra del cuestionario?',
+  'quiz.emptyToast': 'Añade palabras a tu lista con el botón \'Al cuestionario\' antes de empezar.',
+  'quiz.emptyTitle': 'El cuestionario está vacío',
+  'quiz.emptyMessage': 'Usa el botón \'Al cuestionario\' en una definición para añadir palabras que repasar.',
+  'quiz.title': 'Mis palabras de repaso ({total})',
+  'quiz.caughtUp': '¡Todo al día! Hoy no hay nada que repasar.',
+  'quiz.reviewDue': 'Repasar pendientes ({count})',
+  'quiz.practiceAll': 'Practicar todas ({count})',
+  'quiz.round.multipleChoice': 'Opción múltiple',
+  'quiz.round.typeWord': 'Escribe la palabra',
+  'quiz.round.trueFalse': 'Verdadero o falso',
+  'quiz.game.roundChip': 'Ronda',
+  'quiz.game.skipped': { one: '{count} palabra omitida: definición no disponible.', other: '{count} palabras omitidas: definición no disponible.' },
+  'quiz.game.whichWord': '¿Qué palabra corresponde a esta definición?',
+  'quiz.game.doesMatch': '¿Esta definición corresponde a',
+  'quiz.game.true': 'Verdadero',
+  'quiz.game.false': 'Falso',
+  'quiz.game.typeWord': 'Escribe la palabra de esta definición:',
+  'quiz.game.answerPlaceholder': 'Tu respuesta',
+  'quiz.game.checkAnswer': 'Comprobar',
+  'quiz.game.preparing': 'Preparando el cuestionario... ({loaded}/{total})',
+  'quiz.game.errorTitle': 'No se pudo preparar el cuestionario',
+  'quiz.game.errorMessage': 'No se pudo cargar ninguna definición de tus palabras. Comprueba la conexión e inténtalo de nuevo.',
+  'quiz.game.backToList': 'Volver a la lista',
+  'quiz.results.perfect': '¡Puntuación perfecta!',
+  'quiz.results.great': '¡Muy buen trabajo!',
+  'quiz.results.good': 'Buen intento, sigue practicando.',
+  'quiz.results.keepGoing': 'Sigue repasando estas palabras.',
+  'quiz.results.percentage': '{percentage}% de aciertos',
+  'quiz.results.scheduleUpdated': 'Se ha actualizado el calendario de repaso de estas palabras.',
+  'quiz.results.summary': 'Resumen de rondas',
+  'quiz.results.playAgain': 'Jugar otra vez',
+  'quiz.game.round': 'Ronda {index} de {total}',
+  'quiz.game.score': 'Puntos: {score}',
+  'quiz.game.correct': '¡Correcto!',
+  'quiz.game.statementTrue': 'No exactamente. La afirmación era verdadera.',
+  'quiz.game.statementFalse': 'No exactamente. La afirmación era falsa.',
+  'quiz.game.answerWas': 'No exactamente. La respuesta era "{word}".',
+  'quiz.game.seeResults': 'Ver resultados',
+  'quiz.game.nextRound': 'Siguiente ronda',
+
+  // Definition search
+  'search.placeholder': 'Buscar en definiciones, p. ej. efímero',
+  'search.emptyTitle': 'Aún no hay nada que buscar',
+  'search.emptyMessage': 'Las definiciones que consultas se guardan en este dispositivo y puedes buscarlas aquí, incluso sin conexión.',
+  'search.resultCount': { one: '{count} palabra con una definición que coincide', other: '{count} palabras con definiciones que coinciden' },
+  'search.hint': { one: 'Busca en la {count} definición guardada en este dispositivo.', other: 'Busca en las {count} definiciones guardadas en este dispositivo.' },
+  'search.searching': 'Buscando...',
+  'search.noResults': 'Ninguna definición guardada menciona "{query}".',
+
+  // Compare
+  'compare.dimension.length': 'Longitud',
+  'compare.dimension.tone': 'Tono',
+  'compare.dimension.lang': 'Idioma',
+  'compare.field.length': { one: '{length} palabra', other: '{length} palabras' },
+  'compare.field.toneUnset': 'neutro',
+  'compare.field.contextUnset': 'sin contexto',
+  'compare.field.langUnset': 'auto',
+  'compare.duplicate': 'Mismos parámetros que la columna {column}.',
+  'compare.hint': 'Ejecuta la comparación para ver esta definición.',
+  'compare.open': 'Abrir',
+  'compare.emptyTitle': 'Nada que comparar',
+  'compare.emptyMessage': 'Abre una definición y toca Comparar para probarla con otros ajustes.',
+  'compare.allColumns': 'Todas las columnas: {description}',
+  'compare.vary': 'Variar:',
+  'compare.addVariant': 'Añadir variante',
+  'compare.run': { one: 'Comparar {count} definición', other: 'Comparar {count} definiciones' },
+
+  // Cache
+  'cache.saveFailed': 'No se pudo guardar la definición en el dispositivo.',
+  'cache.cleared': { one: '{count} definición borrada de la caché.', other: '{count} definiciones borradas de la caché.' },
+  'cache.clearFailed': 'No se pudo vaciar la caché. Puede que queden elementos.',
+  'cache.entryMissing': 'Esa definición ya no está en la caché.',
+  'cache.openFailed': 'No se pudo abrir la definición guardada.',
+  'cache.removed': { one: '{count} definición eliminada de la caché.', other: '{count} definiciones eliminadas de la caché.' },
+  'cache.nothingTitle': 'Nada que eliminar',
+  'cache.nothingMessage': 'No hay definiciones guardadas {scope}.',
+  'cache.deleteTitle': 'Eliminar definiciones guardadas',
+  'cache.deleteMessage': { one: '¿Eliminar {count} definición guardada {scope}? Se volverá a descargar cuando haga falta.', other: '¿Eliminar {count} definiciones guardadas {scope}? Se volverán a descargar cuando hagan falta.' },
+  'cache.scope.olderThan': { one: 'de hace más de {count} día', other: 'de hace más de {count} días' },
+  'cache.scope.language': 'del idioma "{lang}"',
+  'cache.scope.word': 'de "{word}"',
+  'cache.savedOn': 'Guardada el {date}',
+  'cache.savedUnknown': 'Fecha de guardado desconocida',
+  'cache.emptyTitle': 'La caché está vacía',
+  'cache.emptyMessage': 'Las definiciones que consultas se guardan aquí para abrirlas de nuevo sin conexión.',
+  'cache.searchPlaceholder': 'Buscar palabra, tono, contexto o idioma',
+  'cache.deleteOlderThan': 'Eliminar anteriores a:',
+  'cache.deleteLanguage': 'Eliminar idioma:',
+  'cache.count': '{count} guardadas',
+  'cache.countFiltered': '{shown} de {count} guardadas',
+
+  // Backup and restore
+  'backup.shareTitle': 'Guardar copia de VocabMaster',
+  'backup.createFailed': 'No se pudo crear el archivo de copia de seguridad.',
+  'backup.section.favorites': 'Favoritos',
+  'backup.section.history': 'Historial',
+  'backup.section.quizList': 'Cuestionario',
+  'backup.invalid.notObject': 'El archivo no es un objeto JSON.',
+  'backup.invalid.format': 'Este archivo no es una copia de seguridad de VocabMaster.',
+  'backup.invalid.version': 'Versión de copia no compatible ({version}). Actualiza la app e inténtalo de nuevo.',
+  'backup.invalid.noData': 'La copia no tiene sección de datos.',
+  'backup.invalid.notList': 'Falta la sección {section} o no es una lista.',
+  'backup.invalid.missingWord': 'La sección {section} tiene entradas sin palabra.',
+  'backup.invalid.cacheSection': 'Falta la sección de caché o está dañada.',
+  'backup.invalid.cacheEntries': { one: '{count} entrada de caché está dañada.', other: '{count} entradas de caché están dañadas.' },
+  'backup.count.favorites': { one: '{count} favorito', other: '{count} favoritos' },
+  'backup.count.history': { one: '{count} entrada de historial', other: '{count} entradas de historial' },
+  'backup.count.quizList': { one: '{count} palabra de repaso', other: '{count} palabras de repaso' },
+  'backup.count.cache': { one: '{count} definición guardada', other: '{count} definiciones guardadas' },
+  'backup.report.restored': 'Restaurado: {contents}.',
+  'backup.report.added': 'Añadido: {contents}.',
+  'backup.report.conflicts': { one: '{count} conflicto, se conservó la copia más reciente:', other: '{count} conflictos, se conservó la copia más reciente:' },
+  'backup.conflict.favorite': 'Favorito "{label}"',
+  'backup.conflict.quizWord': 'Palabra de repaso "{label}"',
+  'backup.kept.favorite.backup': 'se conservó la copia de seguridad',
+  'backup.kept.favorite.device': 'se conservó la copia del dispositivo',
+  'backup.kept.quizWord.backup': 'se conservó el progreso de la copia',
+  'backup.kept.quizWord.device': 'se conservó el progreso del dispositivo',
+  'backup.report.more': '…y {count} más.',
+  'backup.report.evicted': { one: 'Se descartó {count} definición guardada para respetar los límites de la caché.', other: 'Se descartaron {count} definiciones guardadas para respetar los límites de la caché.' },
+  'backup.restoredTitle': 'Copia restaurada',
+  'backup.restoreFailedTitle': 'Error al restaurar',
+  'backup.restoreFailedMessage': 'No se pudo restaurar la copia por completo. Puede que tus datos se hayan actualizado en parte.',
+  'backup.invalidTitle': 'Copia no válida',
+  'backup.unreadable': 'El archivo elegido no se pudo leer como copia de seguridad de VocabMaster.',
+  'backup.unknownDate': 'una fecha desconocida',
+  'backup.restoreTitle': 'Restaurar copia',
+  'backup.restoreSummary': 'Copia del {date} con {contents}.',
+  'backup.restoreExplanation': 'Combinar conserva tus datos actuales y añade los de la copia (en los conflictos gana la copia más reciente). Reemplazar borra antes tus datos actuales.',
+  'backup.merge': 'Combinar',
+  'backup.replace': 'Reemplazar',
+
+  // Search presets
+  'presets.saved': 'Ajuste guardado: {name}',
+  'presets.invalidTitle': 'Ajuste no válido',
+  'presets.deleteTitle': 'Eliminar ajuste',
+  'presets.deleteMessage': '¿Eliminar "{name}"?',
+  'presets.editTitle': 'Editar ajuste',
+  'presets.newTitle': 'Nuevo ajuste',
+  'presets.namePlaceholder': 'p. ej., Inglés infantil, Español jurídico',
+  'presets.languageLabel': 'Idioma',
+  'presets.defaultName': '{name} (predeterminado)',
+  'presets.add': 'Añadir ajuste',
+  'presets.addDescription': 'Parte de los filtros que hay ahora en el formulario Definir. Toca la estrella para aplicar un ajuste al abrir la app.',
+
+  // Backend profiles
+  'backend.saved': 'Perfil de servidor guardado: {name}',
+  'backend.selected': 'Usando el servidor: {name}',
+  'backend.invalidTitle': 'Perfil no válido',
+  'backend.deleteTitle': 'Eliminar perfil de servidor',
+  'backend.deleteMessage': '¿Eliminar "{name}"? Las definiciones guardadas desde este servidor siguen en la caché hasta que la vacíes.',
+  'backend.connected': 'Conectado a {name} en {latency} ms.',
+  'backend.connectionFailed': 'Falló la conexión.',
+  'backend.testing': 'Probando la conexión...',
+  'backend.editTitle': 'Editar perfil de servidor',
+  'backend.newTitle': 'Nuevo perfil de servidor',
+  'backend.namePlaceholder': 'p. ej., Servidor del equipo, Simulación local',
+  'backend.baseUrlLabel': 'URL base *',
+  'backend.authNameLabel': 'Nombre de la cabecera de autenticación (opcional)',
+  'backend.authValueLabel': 'Valor de la cabecera de autenticación (opcional)',
+  'backend.authValuePlaceholder': 'p. ej., Bearer abc123',
+  'backend.timeoutLabel': 'Tiempo de espera (segundos)',
+  'backend.testConnection': 'Probar conexión',
+  'backend.add': 'Añadir perfil de servidor',
+  'backend.addDescription': 'Conecta la app a tu propio servicio de definiciones o a una simulación local.',
+  'backend.secretSaveFailed': 'No se pudo guardar de forma segura el valor del encabezado de autenticación. El perfil no se guardó.',
+
+  // Daily reminder
+  'reminders.channelName': 'Recordatorios diarios',
+  'reminders.notification.titleWithWord': 'Palabra del día: {word}',
+  'reminders.notification.title': 'Tu palabra del día está lista',
+  'reminders.notification.due': { one: 'Tienes {count} palabra pendiente de repaso.', other: 'Tienes {count} palabras pendientes de repaso.' },
+  'reminders.notification.nothingDue': 'No hay repasos pendientes. ¡Busca algo nuevo!',
+  'reminders.notification.bodyWithWord': 'Toca para ver qué significa "{word}". {reviewLine}',
+  'reminders.permissionDenied': 'Las notificaciones de VocabMaster están desactivadas en los ajustes del sistema.',
+  'reminders.enableFailed': 'No se pudieron activar los recordatorios en este dispositivo.',
+
+  // Themes
+  'theme.system': 'Sistema',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.amoled': 'Negro AMOLED',
+  'theme.highContrast': 'Alto contraste',
+
+  // App language
+  'language.system': 'Sistema',
+  'language.restartTitle': 'Reinicio necesario',
+  'language.restartMessage': 'Cierra y vuelve a abrir VocabMaster para cambiar la dirección del diseño para este idioma.',
+
+  // Settings
+  'settings.appearance': 'Apariencia',
+  'settings.theme': 'Tema',
+  'settings.themeDescription': 'Sistema cambia entre Claro y Oscuro según tu dispositivo. Negro AMOLED ahorra batería en pantallas OLED.',
+  'settings.themeLabel': 'Tema:',
+  'settings.language': 'Idioma',
+  'settings.appLanguage': 'Idioma de la app',
+  'settings.appLanguageDescription': 'El idioma de los menús y mensajes. Las definiciones usan el idioma elegido en el formulario Definir.',
+  'settings.appLanguageLabel': 'Idioma:',
+  'settings.dataManagement': 'Gestión de datos',
+  'settings.clearCache.title': 'Vaciar caché de definiciones',
+  'settings.clearCache.message': '¿Seguro que quieres eliminar todas las definiciones guardadas? Liberarás espacio, pero habrá que volver a descargarlas. Esta acción no se puede deshacer.',
+  'settings.clearCache.confirm': 'Vaciar caché',
+  'settings.clearCache.description': 'Elimina las definiciones guardadas en el dispositivo. Libera espacio.',
+  'settings.browseCache': 'Explorar caché',
+  'settings.browseCacheDescription': 'Busca, abre o elimina definiciones guardadas una a una.',
+  'settings.clearHistory': 'Borrar historial de búsqueda',
+  'settings.clearHistoryDescription': 'Elimina la lista de búsquedas anteriores de la pestaña Historial.',
+  'settings.backup': 'Copia de seguridad',
+  'settings.exportBackup': 'Exportar copia',
+  'settings.exportBackupDescription': 'Guarda favoritos, historial, palabras de repaso y definiciones en un archivo.',
+  'settings.restoreBackupDescription': 'Combina un archivo de copia con este dispositivo o reemplázalo todo.',
+  'settings.presets': 'Ajustes de búsqueda',
+  'settings.wotd.source': 'Origen de la palabra diaria',
+  'settings.wotd.sourceDescription': '"Mis palabras" elige entre tus favoritos y palabras de repaso. Al cambiarlo se elige una palabra nueva para hoy.',
+  'settings.wotd.source.bundled': 'Lista de palabras',
+  'settings.wotd.source.mine': 'Mis palabras',
+  'settings.wotd.source.mixed': 'Ambas',
+  'settings.wotd.pickFrom': 'Elegir de:',
+  'settings.wotd.level': 'Nivel:',
+  'settings.reminder': 'Recordatorio diario',
+  'settings.reminder.notification': 'Notificación de recordatorio',
+  'settings.reminder.notificationDescription': 'La palabra de hoy y cuántas palabras tienes pendientes. Funciona sin conexión.',
+  'settings.reminder.time': 'Recordarme a las',
+  'settings.reminder.days': 'Estos días:',
+  'settings.reminder.quietHours': 'Horas de silencio',
+  'settings.reminder.quietHoursDescription': 'Los recordatorios que caen en horas de silencio esperan a que terminen.',
+  'settings.reminder.quietFrom': 'Silencio desde',
+  'settings.reminder.quietUntil': 'Silencio hasta',
+  'settings.cacheLimits': 'Límites de la caché',
+  'settings.cache.definitions': 'Definiciones guardadas',
+  'settings.cache.definitionsDescription': 'Al alcanzar un límite se eliminan primero las definiciones usadas hace más tiempo.',
+  'settings.cache.maxEntries': 'Máx. entradas:',
+  'settings.cache.maxBytes': 'Espacio máximo:',
+  'settings.cache.ttl': 'Caducan tras:',
+  'settings.cache.never': 'Nunca',
+  'settings.history': 'Historial',
+  'settings.history.title': 'Historial de búsqueda',
+  'settings.history.description': 'Las búsquedas más antiguas se descartan al alcanzar el límite.',
+  'settings.history.keepUpTo': 'Guardar hasta:',
+  'settings.history.shortenTitle': '¿Acortar el historial?',
+  'settings.history.shortenMessage': { one: 'Guardar {maxItems} entradas elimina tu búsqueda más antigua.', other: 'Guardar {maxItems} entradas elimina tus {count} búsquedas más antiguas.' },
+  'settings.history.shorten': 'Acortar',
+  'settings.backend': 'Servidor',
+  'settings.about': 'Acerca de',
+  'settings.version': 'Versión de la app',
+  'settings.linkErrorTitle': 'No se puede abrir el enlace',
+  'settings.linkErrorMessage': 'No se pudo abrir la URL: {url}',
+
+  // Screen reader labels
+  'a11y.toast.success': 'Hecho: {message}',
+  'a11y.toast.error': 'Error: {message}',
+  'a11y.toast.info': '{message}',
+  'a11y.close': 'Cerrar',
+  'a11y.edit': 'Editar',
+  'a11y.editItem': 'Editar {word}',
+  'a11y.removeItem': 'Quitar {word}',
+  'a11y.languageField': 'Idioma: {language}',
+  'a11y.languageFieldHint': 'Abre la lista de idiomas',
+  'a11y.suggestionHint': 'Rellena esta palabra',
+  'a11y.addFavorite': 'Añadir {word} a favoritos',
+  'a11y.removeFavorite': 'Quitar {word} de favoritos',
+  'a11y.previousRevision': 'Revisión anterior',
+  'a11y.nextRevision': 'Revisión siguiente',
+  'a11y.pinRevision': 'Fijar esta revisión',
+  'a11y.unpinRevision': 'Dejar de fijar esta revisión',
+  'a11y.showDefinition': 'Mostrar la definición de {word}',
+  'a11y.hideDefinition': 'Ocultar la definición de {word}',
+  'a11y.removeFromQuiz': 'Quitar {word} del cuestionario',
+  'a11y.batchProgress': 'Progreso de la lista de palabras',
+  'a11y.newCollection': 'Nombre de la nueva colección',
+  'a11y.addCollection': 'Añadir colección',
+  'a11y.testProfile': 'Probar la conexión con {name}',
+  'a11y.setDefaultPreset': 'Usar al iniciar',
+  'a11y.unsetDefaultPreset': 'Dejar de usar al iniciar',
+  'a11y.removeColumn': 'Quitar la columna {column}',
+  'a11y.earlier': 'Antes',
+  'a11y.later': 'Después',
+  'a11y.hint.quiz': 'Añade esta palabra al cuestionario',
+  'a11y.hint.compare': 'Abre una comparación lado a lado',
+  'a11y.hint.regenerate': 'Pide una definición nueva',
+  'a11y.hint.openDefinition': 'Abre la definición',
+  'a11y.hint.defineAgain': 'Vuelve a buscar esta palabra',
+  'a11y.hint.editPreset': 'Abre el editor del preajuste',
+  'a11y.quiz.correctOption': '{option}, respuesta correcta',
+  'a11y.quiz.wrongOption': '{option}, respuesta incorrecta',
+  'a11y.quiz.preparing': 'Preparando el cuestionario',
+  'a11y.quiz.score': 'Puntuación: {score} de {total}',
+  'a11y.quiz.roundCorrect': '{word}, {round}: correcta',
+  'a11y.quiz.roundWrong': '{word}, {round}: incorrecta',
+};
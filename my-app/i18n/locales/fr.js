@@ -0,0 +1,595 @@
+// --- Français ---
+
+export default {
+  // App
+  'app.name': 'VocabMaster Pro',
+
+  // Shared words and buttons
+  'common.notAvailable': 'N/D',
+  'common.sharingUnavailable': 'Le partage n\'est pas disponible sur cet appareil.',
+  'common.lookupFailed': 'La recherche a échoué.',
+  'common.cancel': 'Annuler',
+  'common.clearAll': 'Tout effacer',
+  'common.word': 'Mot',
+  'common.listSeparator': ', ',
+  'common.questionMark': ' ?',
+  'common.tryAgain': 'Réessayer',
+  'common.remove': 'Retirer',
+  'common.wordCount': { one: '{count} mot', other: '{count} mots' },
+  'common.unknownWord': 'Mot inconnu',
+  'common.lengthShort': '{length} m.',
+  'common.sortBy': 'Trier par :',
+  'common.all': 'Tous',
+  'common.defining': 'Définition de « {word} »...',
+  'common.back': 'Retour',
+  'common.add': 'Ajouter',
+  'common.save': 'Enregistrer',
+  'common.delete': 'Supprimer',
+  'common.nameLabel': 'Nom *',
+  'common.days': { one: '{count} jour', other: '{count} jours' },
+  'common.tone': 'Ton',
+  'common.context': 'Contexte',
+
+  // Navigation
+  'nav.tabAccessibility': 'Onglet {label}',
+  'nav.define': 'Définir',
+  'nav.favorites': 'Favoris',
+  'nav.history': 'Historique',
+  'nav.quiz': 'Quiz',
+  'nav.settings': 'Réglages',
+  'nav.cacheBrowser': 'Définitions enregistrées',
+  'nav.wotdArchive': 'Archives du mot du jour',
+  'nav.definitionSearch': 'Rechercher dans les définitions',
+  'nav.favoriteDetails': 'Modifier le favori',
+  'nav.compare': 'Comparer des définitions',
+  'nav.quizGame': 'C\'est l\'heure du quiz !',
+
+  // Errors
+  'errors.network': 'Impossible de joindre le service de définitions. Vérifiez votre connexion internet.',
+  'errors.timeout': 'Le service de définitions a mis trop de temps à répondre. Il est peut-être en cours de démarrage, réessayez.',
+  'errors.title': 'Une erreur s\'est produite',
+  'errors.requestFailed': 'Impossible de terminer la requête.',
+  'errors.unknown': 'Erreur inconnue',
+
+  // Form validation
+  'validation.enterWord': 'Saisissez un mot ou une expression.',
+  'validation.invalidLength': 'Saisissez une longueur valide (1-{max}).',
+  'validation.unknownLanguagePickFromList': 'Langue inconnue « {lang} ». Choisissez-en une dans la liste des langues.',
+  'validation.presetName': 'Saisissez un nom de préréglage.',
+  'validation.presetEmpty': 'Renseignez au moins le ton, le contexte ou la langue.',
+  'validation.unknownLanguageIso': 'Langue inconnue « {lang} ». Utilisez un code ISO comme eng ou spa.',
+  'validation.profileName': 'Saisissez un nom de profil.',
+  'validation.baseUrl': 'L\'URL de base doit commencer par http:// ou https://',
+  'validation.timeout': 'Le délai d\'attente doit être compris entre 1 et {max} secondes.',
+  'validation.enterWords': 'Saisissez au moins un mot.',
+  'validation.title': 'Erreur de validation',
+
+  // Definition status
+  'status.exactLength': 'Longueur exacte',
+  'status.closestPossible': 'Au plus proche',
+  'status.constraintIssue': 'Problème de contraintes',
+
+  // Define tab
+  'define.loadedFromCache': 'Définition chargée depuis le cache local.',
+  'define.retrying': 'Serveur occupé, nouvel essai dans {seconds} s ({attempt}/{maxRetries})...',
+  'define.unexpectedError': 'Une erreur inattendue s\'est produite lors de la récupération de la définition.',
+  'define.cancelled': 'Recherche annulée.',
+  'define.buttonBatch': { one: 'Définir {count} mot', other: 'Définir {count} mots' },
+  'define.button': 'Définir « {word} »',
+  'define.mode.single': 'Un mot',
+  'define.mode.batch': 'Liste de mots',
+  'define.title': 'Définir un mot',
+  'define.titleBatch': 'Définir une liste de mots',
+  'define.modeLabel': 'Mode :',
+  'define.wordsLabel': 'Mots / expressions *',
+  'define.wordsPlaceholder': 'Un par ligne ou séparés par des virgules\nex. : omniprésent, éphémère, candide',
+  'define.wordLabel': 'Mot / expression *',
+  'define.wordPlaceholder': 'ex. : Sérendipité',
+  'define.didYouMean': 'Vouliez-vous dire',
+  'define.lengthLabel': 'Longueur visée (mots) *',
+  'define.lengthPlaceholder': 'Environ {max} max.',
+  'define.presetsLabel': 'Préréglages :',
+  'define.showFilters': 'Afficher les filtres facultatifs',
+  'define.hideFilters': 'Masquer les filtres facultatifs',
+  'define.toneLabel': 'Ton (facultatif)',
+  'define.tonePlaceholder': 'ex. : soutenu, humoristique, simple',
+  'define.contextLabel': 'Contexte (facultatif)',
+  'define.contextPlaceholder': 'ex. : médical, juridique, pour un enfant',
+  'define.languageLabel': 'Langue (facultatif)',
+  'define.loading': 'Chargement de la définition...',
+  'define.recentSearches': 'Recherches récentes',
+
+  // Language picker
+  'languagePicker.matches': 'Correspondances',
+  'languagePicker.recent': 'Utilisées récemment',
+  'languagePicker.all': 'Toutes les langues',
+  'languagePicker.autoDetect': 'Détection automatique',
+  'languagePicker.title': 'Choisir la langue',
+  'languagePicker.searchPlaceholder': 'Rechercher par nom ou code (ex. : Spanish, es, spa)',
+  'languagePicker.autoDetectHint': 'Laisser le service choisir la langue',
+  'languagePicker.noMatches': 'Aucune langue ne correspond à « {query} ».',
+
+  // Definition result
+  'result.noDefinition': 'Aucune définition disponible.',
+  'result.nothingToRead': 'Aucun texte de définition à lire.',
+  'result.speechFailed': 'La lecture vocale a échoué.',
+  'result.speechError': 'La lecture vocale a rencontré une erreur.',
+  'result.copied': 'Définition copiée !',
+  'result.nothingToCopy': 'Aucun texte de définition à copier.',
+  'result.nothingToShare': 'Aucune définition à partager.',
+  'result.share.link': 'Ouvrir cette recherche dans VocabMaster : {link}',
+  'result.share.heading': 'Définition de « {word} » :',
+  'result.share.footer': '(Depuis VocabMaster Pro v{version})',
+  'result.share.subject': 'Définition : {word}',
+  'result.share.emailUnavailable': 'Le partage par e-mail n\'est pas disponible. La définition a été copiée à la place.',
+  'result.share.failed': 'Échec du partage : {error}. La définition a été copiée à la place.',
+  'result.chip.length': 'Longueur',
+  'result.chip.lengthValue': { one: '{actual} mot (dem. : {requested})', other: '{actual} mots (dem. : {requested})' },
+  'result.chip.status': 'État',
+  'result.chip.lang': 'Langue',
+  'result.chip.source': 'Source',
+  'result.chip.cache': 'Cache',
+  'result.chip.tone': 'Ton',
+  'result.chip.context': 'Contexte',
+  'result.action.stop': 'Arrêter',
+  'result.action.listen': 'Écouter',
+  'result.action.copy': 'Copier',
+  'result.action.share': 'Partager',
+  'result.action.quiz': 'Au quiz',
+  'result.action.compare': 'Comparer',
+  'result.action.regenerate': 'Régénérer',
+  'result.defineAnother': 'Définir un autre mot',
+
+  // Definition revisions
+  'revisions.offline': 'Vous êtes hors ligne. La régénération nécessite une connexion.',
+  'revisions.savedPinnedKept': 'Nouvelle révision enregistrée. Votre révision épinglée reste celle par défaut.',
+  'revisions.saved': 'Nouvelle révision enregistrée.',
+  'revisions.regenerateFailed': 'Impossible de régénérer la définition.',
+  'revisions.loadFailed': 'Impossible de charger cette révision.',
+  'revisions.notCached': 'Cette définition n\'est plus dans le cache.',
+  'revisions.pinned': 'Révision épinglée. Les recherches avec ces réglages l\'afficheront.',
+  'revisions.unpinned': 'Révision désépinglée. Les recherches afficheront la révision la plus récente.',
+  'revisions.pinFailed': 'Impossible d\'épingler cette révision.',
+  'revisions.position': 'Révision {index} sur {total}',
+  'revisions.positionPinned': 'Révision {index} sur {total} · Épinglée',
+
+  // Offline queue
+  'offline.noConnection': 'Pas de connexion internet',
+  'offline.queued': 'Vous êtes hors ligne. « {word} » a été ajouté aux recherches en attente.',
+  'offline.connectionQueued': 'Problème de connexion. « {word} » a été ajouté aux recherches en attente.',
+  'offline.completed': { one: '{count} recherche en attente terminée.', other: '{count} recherches en attente terminées.' },
+  'offline.status.pending': 'En attente de connexion',
+  'offline.status.retrying': 'Recherche...',
+  'offline.status.failed': 'Échec',
+  'offline.status.resolved': 'Prête, touchez pour afficher',
+  'offline.title': 'Recherches en attente ({count})',
+  'offline.badge': 'Hors ligne',
+  'offline.clearCompleted': 'Effacer les terminées',
+  'offline.retryNow': 'Réessayer maintenant',
+
+  // Word lists
+  'batch.summary.defined': { one: '{count} définie', other: '{count} définies' },
+  'batch.summary.failed': { one: '{count} en échec', other: '{count} en échec' },
+  'batch.summary.queued': { one: '{count} mise en attente', other: '{count} mises en attente' },
+  'batch.cancelled': 'Liste annulée : {summary}.',
+  'batch.finished': 'Liste terminée : {summary}.',
+  'batch.alreadyThere': { one: ' ({count} déjà présent)', other: ' ({count} déjà présents)' },
+  'batch.addedToFavorites': { one: '{count} mot ajouté aux favoris{existing}.', other: '{count} mots ajoutés aux favoris{existing}.' },
+  'batch.addedToQuiz': { one: '{count} mot ajouté au quiz{existing}.', other: '{count} mots ajoutés au quiz{existing}.' },
+  'batch.parsed.words': { one: '{count} mot', other: '{count} mots' },
+  'batch.parsed.duplicates': { one: '{count} doublon ignoré', other: '{count} doublons ignorés' },
+  'batch.parsed.truncated': { one: '{count} ignoré au-delà de la limite de {max} mots', other: '{count} ignorés au-delà de la limite de {max} mots' },
+  'batch.status.pending': 'En attente',
+  'batch.status.running': 'Recherche...',
+  'batch.status.done': 'Définie, touchez pour afficher',
+  'batch.status.doneFromCache': 'Depuis le cache, touchez pour afficher',
+  'batch.status.queued': 'Ajoutée aux recherches en attente',
+  'batch.status.failed': 'Échec',
+  'batch.status.cancelled': 'Annulée',
+  'batch.title': 'Liste de mots ({finished}/{total})',
+  'batch.retryFailed': 'Réessayer les échecs',
+  'batch.allToFavorites': 'Tout aux favoris',
+  'batch.allToQuiz': 'Tout au quiz',
+  'batch.invalidWords': { one: 'Impossible de rechercher {count} entrée : {words}. Retirez-la ou corrigez-la, puis réessayez.', other: 'Impossible de rechercher {count} entrées : {words}. Retirez-les ou corrigez-les, puis réessayez.' },
+
+  // Word of the Day
+  'wotd.origin.mine': 'Parmi vos favoris et mots du quiz',
+  'wotd.origin.level': 'Niveau {level}',
+  'wotd.origin.builtIn': 'Liste de mots VocabMaster',
+  'wotd.level.beginner': 'Débutant',
+  'wotd.level.intermediate': 'Intermédiaire',
+  'wotd.level.advanced': 'Avancé',
+  'wotd.fetching': 'Récupération de la définition du jour...',
+  'wotd.offline': 'La définition du jour se chargera quand vous serez de nouveau en ligne.',
+  'wotd.title': 'Mot du jour',
+  'wotd.pastWords': 'Mots précédents',
+  'wotd.defineButton': { one: 'Définir {word} ({count} mot)', other: 'Définir {word} ({count} mots)' },
+  'wotd.notFetched': 'Définition non récupérée',
+  'wotd.archiveEmptyTitle': 'Pas encore de mots précédents',
+  'wotd.archiveEmptyMessage': 'Chaque mot du jour est conservé ici pour que vous puissiez y revenir.',
+  'wotd.archiveTitle': 'Mots précédents ({total})',
+
+  // Favorites
+  'favorites.added': 'Ajouté aux favoris : {word}',
+  'favorites.alreadyAdded': '{word} est déjà dans les favoris.',
+  'favorites.removed': 'Retiré des favoris : {word}',
+  'favorites.removeTitle': 'Retirer le favori',
+  'favorites.removeMessage': '« {word} » a des collections, des étiquettes ou des notes. Le retirer quand même des favoris ?',
+  'favorites.defaultSettings': 'Réglages par défaut',
+  'favorites.savedSettings': 'Enregistré : {settings}',
+  'favorites.removeConfirm': 'Voulez-vous vraiment retirer « {word} » de vos favoris ?',
+  'favorites.emptyTitle': 'Pas encore de favoris',
+  'favorites.emptyMessage': 'Utilisez l\'icône de signet sous une définition pour enregistrer des mots ici.',
+  'favorites.title': 'Mes favoris ({total})',
+  'favorites.titleFiltered': 'Mes favoris ({shown} sur {total})',
+  'favorites.collectionLabel': 'Collection :',
+  'favorites.tagLabel': 'Étiquette :',
+  'favorites.noneFiltered': 'Aucun favori dans cette collection ou avec cette étiquette.',
+  'favorites.saved': '« {word} » enregistré.',
+  'favorites.notFoundTitle': 'Favori introuvable',
+  'favorites.notFoundMessage': '« {word} » n\'est plus dans vos favoris.',
+  'favorites.details.savedSettings': 'Réglages enregistrés',
+  'favorites.details.noSavedSettings': 'Ajouté avant l\'enregistrement des réglages ; s\'ouvre avec la longueur par défaut.',
+  'favorites.details.defineWithSettings': 'Définir avec ces réglages',
+  'favorites.details.collections': 'Collections',
+  'favorites.details.inLabel': 'Dans :',
+  'favorites.details.newCollectionPlaceholder': 'Nouvelle collection, ex. DELF',
+  'favorites.details.tags': 'Étiquettes',
+  'favorites.details.tagsPlaceholder': 'ex. : racine-latine, examen',
+  'favorites.details.notes': 'Notes',
+  'favorites.details.notesPlaceholder': 'Moyens mnémotechniques, phrases d\'exemple, où vous l\'avez vu...',
+  'favorites.updateParamsTitle': 'Mettre à jour les paramètres enregistrés ?',
+  'favorites.updateParamsMessage': '{word} est enregistré avec {saved}. Le rouvrir plutôt avec {current} ? Ses collections, étiquettes et note sont conservées.',
+  'favorites.updateParams': 'Mettre à jour',
+  'favorites.paramsUpdated': 'Paramètres enregistrés de {word} mis à jour.',
+
+  // History
+  'history.clearTitle': 'Effacer l\'historique de recherche',
+  'history.clearMessage': 'Voulez-vous vraiment supprimer tout l\'historique de recherche ? Cette action est irréversible.',
+  'history.cleared': 'Historique de recherche effacé',
+  'history.requestedLength': 'Dem. : {length} m.',
+  'history.generatedLength': ', Gén. : {length} m.',
+  'history.tone': 'Ton : {tone}',
+  'history.context': 'Ctx : {context}',
+  'history.filter.lang': 'Langue :',
+  'history.filter.tone': 'Ton :',
+  'history.filter.context': 'Contexte :',
+  'history.section.today': 'Aujourd\'hui',
+  'history.section.yesterday': 'Hier',
+  'history.section.thisWeek': 'Cette semaine',
+  'history.section.lastWeek': 'La semaine dernière',
+  'history.emptyTitle': 'Aucun historique de recherche',
+  'history.emptyMessage': 'Les mots que vous définissez apparaîtront ici pour retrouver vite leurs définitions et leurs paramètres.',
+  'history.title': 'Historique de recherche ({total})',
+  'history.titleFiltered': 'Historique de recherche ({shown} sur {total})',
+  'history.searchPlaceholder': 'Rechercher des mots, des tons ou des contextes',
+  'history.noMatches': 'Aucune entrée de l\'historique ne correspond.',
+  'history.showMore': { one: 'Afficher plus ({count} restante)', other: 'Afficher plus ({count} restantes)' },
+  'history.footer': { one: 'Balayez une entrée vers la gauche pour la supprimer. La dernière recherche ({count}) est conservée (modifiable dans les réglages).', other: 'Balayez une entrée vers la gauche pour la supprimer. Les {count} dernières recherches sont conservées (modifiable dans les réglages).' },
+  'history.footerRtl': { one: 'Balayez une entrée vers la droite pour la supprimer. La dernière recherche ({count}) est conservée (modifiable dans les réglages).', other: 'Balayez une entrée vers la droite pour la supprimer. Les {count} dernières recherches sont conservées (modifiable dans les réglages).' },
+
+  // Sorting
+  'sort.newest': 'Plus récents',
+  'sort.oldest': 'Plus anciens',
+  'sort.az': 'A-Z',
+  'sort.za': 'Z-A',
+
+  // Word list export
+  'export.noDefinitions': 'Aucun de ces mots n\'a encore de définition enregistrée.',
+  'export.shareTitle': 'Exporter en {format}',
+  'export.format.csv': 'CSV',
+  'export.format.anki': 'Paquet Anki',
+  'export.skipped': { one: '{count} mot sans définition enregistrée a été ignoré.', other: '{count} mots sans définition enregistrée ont été ignorés.' },
+  'export.missingDefinitions': { one: '{count} mot n\'a pas encore de définition enregistrée.', other: '{count} mots n\'ont pas encore de définition enregistrée.' },
+  'export.createFailed': 'Impossible de créer le fichier d\'export.',
+  'export.title': 'Exporter les mots',
+  'export.message': 'Le CSV s\'ouvre dans n\'importe quel tableur. Le paquet Anki s\'importe avec Fichier > Importer dans Anki.',
+  'export.button': 'Exporter',
+
+  // Quiz
+  'quiz.due.overdue': { one: 'En retard de {count} jour', other: 'En retard de {count} jours' },
+  'quiz.due.today': 'À réviser aujourd\'hui',
+  'quiz.due.tomorrow': 'À réviser demain',
+  'quiz.due.inDays': { one: 'À réviser dans {count} jour', other: 'À réviser dans {count} jours' },
+  'quiz.added': 'Ajouté au quiz : {word}',
+  'quiz.alreadyAdded': '{word} est déjà dans le quiz.',
+  'quiz.removed': 'Retiré du quiz : {word}',
+  'quiz.item.savedCopy': '(Copie enregistrée, actualisation impossible : {error})',
+  'quiz.item.loadFailed': 'Impossible de charger la définition : {error}',
+  'quiz.item.loading': 'Chargement de la définition...',
+  'quiz.item.tapToLoad': 'Touchez à nouveau pour charger la définition.',
+  'quiz.item.lapses': { one: '{count} oubli', other: '{count} oublis' },
+  'quiz.section.due': 'À réviser aujourd\'hui ({count})',
+  'quiz.section.upcoming': 'À venir ({count})',
+  'quiz.removeTitle': 'Retirer le mot du quiz',
+  'quiz.removeMessage': 'Voulez-vous vraiment retirer ce mot de votre quiz ?',
+  'quiz.emptyToast': 'Ajoutez des mots à votre liste avec le bouton « Au quiz » avant de commencer.',
+  'quiz.emptyTitle': 'Le quiz est vide',
+  'quiz.emptyMessage': 'Utilisez le bouton « Au quiz » sous une définition pour ajouter des mots à réviser.',
+  'quiz.title': 'Mes mots à réviser ({total})',
+  'quiz.caughtUp': 'Tout est à jour ! Rien à réviser aujourd\'hui.',
+  'quiz.reviewDue': 'Réviser ({count})',
+  'quiz.practiceAll': 'S\'entraîner sur tout ({count})',
+  'quiz.round.multipleChoice': 'Choix multiple',
+  'quiz.round.typeWord': 'Écrire le mot',
+  'quiz.round.trueFalse': 'Vrai ou faux',
+  'quiz.game.roundChip': 'Manche',
+  'quiz.game.skipped': { one: '{count} mot ignoré : définition indisponible.', other: '{count} mots ignorés : définition indisponible.' },
+  'quiz.game.whichWord': 'Quel mot correspond à cette définition ?',
+  'quiz.game.doesMatch': 'Cette définition correspond-elle à',
+  'quiz.game.true': 'Vrai',
+  'quiz.game.false': 'Faux',
+  'quiz.game.typeWord': 'Écrivez le mot correspondant à cette définition :',
+  'quiz.game.answerPlaceholder': 'Votre réponse',
+  'quiz.game.checkAnswer': 'Vérifier',
+  'quiz.game.preparing': 'Préparation du quiz... ({loaded}/{total})',
+  'quiz.game.errorTitle': 'Impossible de préparer le quiz',
+  'quiz.game.errorMessage': 'Aucune définition de vos mots n\'a pu être chargée. Vérifiez votre connexion et réessayez.',
+  'quiz.game.backToList': 'Retour à la liste',
+  'quiz.results.perfect': 'Score parfait !',
+  'quiz.results.great': 'Excellent travail !',
+  'quiz.results.good': 'Bel effort, continuez à vous entraîner.',
+  'quiz.results.keepGoing': 'Continuez à réviser ces mots.',
+  'quiz.results.percentage': '{percentage} % de bonnes réponses',
+  'quiz.results.scheduleUpdated': 'Le calendrier de révision de ces mots a été mis à jour.',
+  'quiz.results.summary': 'Résumé des manches',
+  'quiz.results.playAgain': 'Rejouer',
+  'quiz.game.round': 'Manche {index} sur {total}',
+  'quiz.game.score': 'Score : {score}',
+  'quiz.game.correct': 'Correct !',
+  'quiz.game.statementTrue': 'Pas tout à fait. L\'affirmation était vraie.',
+  'quiz.game.statementFalse': 'Pas tout à fait. L\'affirmation était fausse.',
+  'quiz.game.answerWas': 'Pas tout à fait. La réponse était « {word} ».',
+  'quiz.game.seeResults': 'Voir les résultats',
+  'quiz.game.nextRound': 'Manche suivante',
+
+  // Definition search
+  'search.placeholder': 'Rechercher dans les définitions, ex. éphémère',
+  'search.emptyTitle': 'Rien à rechercher pour le moment',
+  'search.emptyMessage': 'Les définitions consultées sont enregistrées sur cet appareil et peuvent être recherchées ici, même hors ligne.',
+  'search.resultCount': { one: '{count} mot avec une définition correspondante', other: '{count} mots avec des définitions correspondantes' },
+  'search.hint': { one: 'Recherche dans la {count} définition enregistrée sur cet appareil.', other: 'Recherche dans les {count} définitions enregistrées sur cet appareil.' },
+  'search.searching': 'Recherche...',
+  'search.noResults': 'Aucune définition enregistrée ne mentionne « {query} ».',
+
+  // Compare
+  'compare.dimension.length': 'Longueur',
+  'compare.dimension.tone': 'Ton',
+  'compare.dimension.lang': 'Langue',
+  'compare.field.length': { one: '{length} mot', other: '{length} mots' },
+  'compare.field.toneUnset': 'neutre',
+  'compare.field.contextUnset': 'sans contexte',
+  'compare.field.langUnset': 'auto',
+  'compare.duplicate': 'Mêmes paramètres que la colonne {column}.',
+  'compare.hint': 'Lancez la comparaison pour voir cette définition.',
+  'compare.open': 'Ouvrir',
+  'compare.emptyTitle': 'Rien à comparer',
+  'compare.emptyMessage': 'Ouvrez une définition et touchez Comparer pour l\'essayer avec d\'autres réglages.',
+  'compare.allColumns': 'Toutes les colonnes : {description}',
+  'compare.vary': 'Faire varier :',
+  'compare.addVariant': 'Ajouter une variante',
+  'compare.run': { one: 'Comparer {count} définition', other: 'Comparer {count} définitions' },
+
+  // Cache
+  'cache.saveFailed': 'Impossible d\'enregistrer la définition sur l\'appareil.',
+  'cache.cleared': { one: '{count} définition effacée du cache.', other: '{count} définitions effacées du cache.' },
+  'cache.clearFailed': 'Échec du vidage du cache. Certains éléments peuvent subsister.',
+  'cache.entryMissing': 'Cette définition n\'est plus dans le cache.',
+  'cache.openFailed': 'Impossible d\'ouvrir la définition enregistrée.',
+  'cache.removed': { one: '{count} définition retirée du cache.', other: '{count} définitions retirées du cache.' },
+  'cache.nothingTitle': 'Rien à supprimer',
+  'cache.nothingMessage': 'Aucune définition enregistrée {scope}.',
+  'cache.deleteTitle': 'Supprimer des définitions enregistrées',
+  'cache.deleteMessage': { one: 'Supprimer {count} définition enregistrée {scope} ? Elle sera téléchargée à nouveau si nécessaire.', other: 'Supprimer {count} définitions enregistrées {scope} ? Elles seront téléchargées à nouveau si nécessaire.' },
+  'cache.scope.olderThan': { one: 'de plus de {count} jour', other: 'de plus de {count} jours' },
+  'cache.scope.language': 'en langue « {lang} »',
+  'cache.scope.word': 'pour « {word} »',
+  'cache.savedOn': 'Enregistrée le {date}',
+  'cache.savedUnknown': 'Date d\'enregistrement inconnue',
+  'cache.emptyTitle': 'Le cache est vide',
+  'cache.emptyMessage': 'Les définitions consultées sont enregistrées ici pour être rouvertes sans connexion.',
+  'cache.searchPlaceholder': 'Rechercher un mot, un ton, un contexte ou une langue',
+  'cache.deleteOlderThan': 'Supprimer plus anciennes que :',
+  'cache.deleteLanguage': 'Supprimer la langue :',
+  'cache.count': '{count} enregistrées',
+  'cache.countFiltered': '{shown} sur {count} enregistrées',
+
+  // Backup and restore
+  'backup.shareTitle': 'Enregistrer la sauvegarde VocabMaster',
+  'backup.createFailed': 'Impossible de créer le fichier de sauvegarde.',
+  'backup.section.favorites': 'Favoris',
+  'backup.section.history': 'Historique',
+  'backup.section.quizList': 'Quiz',
+  'backup.invalid.notObject': 'Le fichier n\'est pas un objet JSON.',
+  'backup.invalid.format': 'Ce fichier n\'est pas une sauvegarde VocabMaster.',
+  'backup.invalid.version': 'Version de sauvegarde non prise en charge ({version}). Mettez l\'application à jour et réessayez.',
+  'backup.invalid.noData': 'La sauvegarde n\'a pas de section de données.',
+  'backup.invalid.notList': 'La section {section} est absente ou n\'est pas une liste.',
+  'backup.invalid.missingWord': 'La section {section} contient des entrées sans mot.',
+  'backup.invalid.cacheSection': 'La section du cache est absente ou mal formée.',
+  'backup.invalid.cacheEntries': { one: '{count} entrée du cache est mal formée.', other: '{count} entrées du cache sont mal formées.' },
+  'backup.count.favorites': { one: '{count} favori', other: '{count} favoris' },
+  'backup.count.history': { one: '{count} entrée d\'historique', other: '{count} entrées d\'historique' },
+  'backup.count.quizList': { one: '{count} mot du quiz', other: '{count} mots du quiz' },
+  'backup.count.cache': { one: '{count} définition enregistrée', other: '{count} définitions enregistrées' },
+  'backup.report.restored': 'Restauré : {contents}.',
+  'backup.report.added': 'Ajouté : {contents}.',
+  'backup.report.conflicts': { one: '{count} conflit, copie la plus récente conservée :', other: '{count} conflits, copie la plus récente conservée :' },
+  'backup.conflict.favorite': 'Favori « {label} »',
+  'backup.conflict.quizWord': 'Mot du quiz « {label} »',
+  'backup.kept.favorite.backup': 'copie de la sauvegarde conservée',
+  'backup.kept.favorite.device': 'copie de l\'appareil conservée',
+  'backup.kept.quizWord.backup': 'progression de la sauvegarde conservée',
+  'backup.kept.quizWord.device': 'progression de l\'appareil conservée',
+  'backup.report.more': '…et {count} de plus.',
+  'backup.report.evicted': { one: '{count} définition enregistrée a été écartée pour respecter les limites du cache.', other: '{count} définitions enregistrées ont été écartées pour respecter les limites du cache.' },
+  'backup.restoredTitle': 'Sauvegarde restaurée',
+  'backup.restoreFailedTitle': 'Échec de la restauration',
+  'backup.restoreFailedMessage': 'La sauvegarde n\'a pas pu être entièrement restaurée. Vos données ont peut-être été partiellement modifiées.',
+  'backup.invalidTitle': 'Sauvegarde non valide',
+  'backup.unreadable': 'Le fichier choisi n\'a pas pu être lu comme une sauvegarde VocabMaster.',
+  'backup.unknownDate': 'une date inconnue',
+  'backup.restoreTitle': 'Restaurer une sauvegarde',
+  'backup.restoreSummary': 'Sauvegarde du {date} avec {contents}.',
+  'backup.restoreExplanation': 'Fusionner conserve vos données actuelles et ajoute la sauvegarde (la copie la plus récente l’emporte en cas de conflit). Remplacer supprime d’abord vos données actuelles.',
+  'backup.merge': 'Fusionner',
+  'backup.replace': 'Remplacer',
+
+  // Search presets
+  'presets.saved': 'Préréglage enregistré : {name}',
+  'presets.invalidTitle': 'Préréglage non valide',
+  'presets.deleteTitle': 'Supprimer le préréglage',
+  'presets.deleteMessage': 'Supprimer « {name} » ?',
+  'presets.editTitle': 'Modifier le préréglage',
+  'presets.newTitle': 'Nouveau préréglage',
+  'presets.namePlaceholder': 'ex. : Anglais enfants, Espagnol juridique',
+  'presets.languageLabel': 'Langue',
+  'presets.defaultName': '{name} (par défaut)',
+  'presets.add': 'Ajouter un préréglage',
+  'presets.addDescription': 'Part des filtres actuellement saisis dans le formulaire Définir. Touchez l\'étoile pour appliquer un préréglage au lancement.',
+
+  // Backend profiles
+  'backend.saved': 'Profil de serveur enregistré : {name}',
+  'backend.selected': 'Serveur utilisé : {name}',
+  'backend.invalidTitle': 'Profil non valide',
+  'backend.deleteTitle': 'Supprimer le profil de serveur',
+  'backend.deleteMessage': 'Supprimer « {name} » ? Les définitions enregistrées depuis ce serveur restent dans le cache jusqu\'à ce qu\'il soit vidé.',
+  'backend.connected': 'Connecté à {name} en {latency} ms.',
+  'backend.connectionFailed': 'Échec de la connexion.',
+  'backend.testing': 'Test de la connexion...',
+  'backend.editTitle': 'Modifier le profil de serveur',
+  'backend.newTitle': 'Nouveau profil de serveur',
+  'backend.namePlaceholder': 'ex. : Serveur de l\'équipe, Simulation locale',
+  'backend.baseUrlLabel': 'URL de base *',
+  'backend.authNameLabel': 'Nom de l\'en-tête d\'authentification (facultatif)',
+  'backend.authValueLabel': 'Valeur de l\'en-tête d\'authentification (facultatif)',
+  'backend.authValuePlaceholder': 'ex. : Bearer abc123',
+  'backend.timeoutLabel': 'Délai d\'attente (secondes)',
+  'backend.testConnection': 'Tester la connexion',
+  'backend.add': 'Ajouter un profil de serveur',
+  'backend.addDescription': 'Connectez l\'application à votre propre service de définitions ou à une simulation locale.',
+  'backend.secretSaveFailed': 'Impossible d’enregistrer la valeur de l’en-tête d’authentification de façon sécurisée. Le profil n’a pas été enregistré.',
+
+  // Daily reminder
+  'reminders.channelName': 'Rappels quotidiens',
+  'reminders.notification.titleWithWord': 'Mot du jour : {word}',
+  'reminders.notification.title': 'Votre mot du jour est prêt',
+  'reminders.notification.due': { one: '{count} mot du quiz est à réviser.', other: '{count} mots du quiz sont à réviser.' },
+  'reminders.notification.nothingDue': 'Aucune révision prévue. Cherchez quelque chose de nouveau !',
+  'reminders.notification.bodyWithWord': 'Touchez pour découvrir le sens de « {word} ». {reviewLine}',
+  'reminders.permissionDenied': 'Les notifications de VocabMaster sont désactivées dans les réglages du système.',
+  'reminders.enableFailed': 'Impossible d\'activer les rappels sur cet appareil.',
+
+  // Themes
+  'theme.system': 'Système',
+  'theme.light': 'Clair',
+  'theme.dark': 'Sombre',
+  'theme.amoled': 'Noir AMOLED',
+  'theme.highContrast': 'Contraste élevé',
+
+  // App language
+  'language.system': 'Système',
+  'language.restartTitle': 'Redémarrage nécessaire',
+  'language.restartMessage': 'Fermez puis rouvrez VocabMaster pour changer le sens d\'affichage pour cette langue.',
+
+  // Settings
+  'settings.appearance': 'Apparence',
+  'settings.theme': 'Thème',
+  'settings.themeDescription': 'Système alterne entre Clair et Sombre selon votre appareil. Noir AMOLED économise la batterie sur les écrans OLED.',
+  'settings.themeLabel': 'Thème :',
+  'settings.language': 'Langue',
+  'settings.appLanguage': 'Langue de l\'application',
+  'settings.appLanguageDescription': 'La langue des menus et des messages. Les définitions utilisent la langue choisie dans le formulaire Définir.',
+  'settings.appLanguageLabel': 'Langue :',
+  'settings.dataManagement': 'Gestion des données',
+  'settings.clearCache.title': 'Vider le cache des définitions',
+  'settings.clearCache.message': 'Voulez-vous vraiment supprimer toutes les définitions enregistrées ? Cela libère de l\'espace, mais elles devront être téléchargées à nouveau. Cette action est irréversible.',
+  'settings.clearCache.confirm': 'Vider le cache',
+  'settings.clearCache.description': 'Supprime les définitions enregistrées sur l\'appareil. Libère de l\'espace.',
+  'settings.browseCache': 'Parcourir le cache',
+  'settings.browseCacheDescription': 'Rechercher, ouvrir ou supprimer des définitions enregistrées une par une.',
+  'settings.clearHistory': 'Effacer l\'historique de recherche',
+  'settings.clearHistoryDescription': 'Supprime la liste des recherches passées de l\'onglet Historique.',
+  'settings.backup': 'Sauvegarde et restauration',
+  'settings.exportBackup': 'Exporter une sauvegarde',
+  'settings.exportBackupDescription': 'Enregistre favoris, historique, mots du quiz et définitions dans un fichier.',
+  'settings.restoreBackupDescription': 'Fusionner un fichier de sauvegarde avec cet appareil ou tout remplacer par son contenu.',
+  'settings.presets': 'Préréglages de recherche',
+  'settings.wotd.source': 'Source du mot du jour',
+  'settings.wotd.sourceDescription': '« Mes mots » choisit parmi vos favoris et mots du quiz. Modifier ce choix sélectionne un nouveau mot pour aujourd’hui.',
+  'settings.wotd.source.bundled': 'Liste de mots',
+  'settings.wotd.source.mine': 'Mes mots',
+  'settings.wotd.source.mixed': 'Les deux',
+  'settings.wotd.pickFrom': 'Choisir parmi :',
+  'settings.wotd.level': 'Niveau :',
+  'settings.reminder': 'Rappel quotidien',
+  'settings.reminder.notification': 'Notification de rappel',
+  'settings.reminder.notificationDescription': 'Le mot du jour et le nombre de mots à réviser. Fonctionne hors ligne.',
+  'settings.reminder.time': 'Me rappeler à',
+  'settings.reminder.days': 'Ces jours-là :',
+  'settings.reminder.quietHours': 'Heures calmes',
+  'settings.reminder.quietHoursDescription': 'Les rappels qui tombent pendant les heures calmes attendent qu\'elles se terminent.',
+  'settings.reminder.quietFrom': 'Calme à partir de',
+  'settings.reminder.quietUntil': 'Calme jusqu\'à',
+  'settings.cacheLimits': 'Limites du cache',
+  'settings.cache.definitions': 'Définitions enregistrées',
+  'settings.cache.definitionsDescription': 'Les définitions utilisées le moins récemment sont supprimées en premier quand une limite est atteinte.',
+  'settings.cache.maxEntries': 'Entrées max. :',
+  'settings.cache.maxBytes': 'Espace max. :',
+  'settings.cache.ttl': 'Expiration après :',
+  'settings.cache.never': 'Jamais',
+  'settings.history': 'Historique',
+  'settings.history.title': 'Historique de recherche',
+  'settings.history.description': 'Les recherches les plus anciennes sont supprimées une fois la limite atteinte.',
+  'settings.history.keepUpTo': 'Conserver jusqu\'à :',
+  'settings.history.shortenTitle': 'Raccourcir l\'historique ?',
+  'settings.history.shortenMessage': { one: 'Conserver {maxItems} entrées supprime votre recherche la plus ancienne.', other: 'Conserver {maxItems} entrées supprime vos {count} recherches les plus anciennes.' },
+  'settings.history.shorten': 'Raccourcir',
+  'settings.backend': 'Serveur',
+  'settings.about': 'À propos',
+  'settings.version': 'Version de l\'application',
+  'settings.linkErrorTitle': 'Impossible d\'ouvrir le lien',
+  'settings.linkErrorMessage': 'Impossible d\'ouvrir l\'URL : {url}',
+
+  // Screen reader labels
+  'a11y.toast.success': 'Réussi : {message}',
+  'a11y.toast.error': 'Erreur : {message}',
+  'a11y.toast.info': '{message}',
+  'a11y.close': 'Fermer',
+  'a11y.edit': 'Modifier',
+  'a11y.editItem': 'Modifier {word}',
+  'a11y.removeItem': 'Retirer {word}',
+  'a11y.languageField': 'Langue : {language}',
+  'a11y.languageFieldHint': 'Ouvre la liste des langues',
+  'a11y.suggestionHint': 'Remplit ce mot',
+  'a11y.addFavorite': 'Ajouter {word} aux favoris',
+  'a11y.removeFavorite': 'Retirer {word} des favoris',
+  'a11y.previousRevision': 'Révision précédente',
+  'a11y.nextRevision': 'Révision suivante',
+  'a11y.pinRevision': 'Épingler cette révision',
+  'a11y.unpinRevision': 'Désépingler cette révision',
+  'a11y.showDefinition': 'Afficher la définition de {word}',
+  'a11y.hideDefinition': 'Masquer la définition de {word}',
+  'a11y.removeFromQuiz': 'Retirer {word} du quiz',
+  'a11y.batchProgress': 'Progression de la liste de mots',
+  'a11y.newCollection': 'Nom de la nouvelle collection',
+  'a11y.addCollection': 'Ajouter la collection',
+  'a11y.testProfile': 'Tester la connexion à {name}',
+  'a11y.setDefaultPreset': 'Utiliser au démarrage',
+  'a11y.unsetDefaultPreset': 'Ne plus utiliser au démarrage',
+  'a11y.removeColumn': 'Retirer la colonne {column}',
+  'a11y.earlier': 'Plus tôt',
+  'a11y.later': 'Plus tard',
+  'a11y.hint.quiz': 'Ajoute ce mot au quiz',
+  'a11y.hint.compare': 'Ouvre une comparaison côte à côte',
+  'a11y.hint.regenerate': 'Demande une nouvelle définition',
+  'a11y.hint.openDefinition': 'Ouvre la définition',
+  'a11y.hint.defineAgain': 'Recherche à nouveau ce mot',
+  'a11y.hint.editPreset': 'Ouvre l’éditeur du préréglage',
+  'a11y.quiz.correctOption': '{option}, bonne réponse',
+  'a11y.quiz.wrongOption': '{option}, mauvaise réponse',
+  'a11y.quiz.preparing': 'Préparation du quiz',
+  'a11y.quiz.score': 'Score : {score} sur {total}',
+  'a11y.quiz.roundCorrect': '{word}, {round} : juste',
+  'a11y.quiz.roundWrong': '{word}, {round} : faux',
+};
@@ -0,0 +1,596 @@
+// --- עברית (Hebrew) ---
+// Plural forms: one, two, other.
+
+export default {
+  // App
+  'app.name': 'VocabMaster Pro',
+
+  // Shared words and buttons
+  'common.notAvailable': 'לא זמין',
+  'common.sharingUnavailable': 'שיתוף אינו זמין במכשיר זה.',
+  'common.lookupFailed': 'החיפוש נכשל.',
+  'common.cancel': 'ביטול',
+  'common.clearAll': 'ניקוי הכול',
+  'common.word': 'מילה',
+  'common.listSeparator': ', ',
+  'common.questionMark': '?',
+  'common.tryAgain': 'ניסיון חוזר',
+  'common.remove': 'הסרה',
+  'common.wordCount': { one: 'מילה אחת', two: 'שתי מילים', other: '{count} מילים' },
+  'common.unknownWord': 'מילה לא ידועה',
+  'common.lengthShort': '{length} מ׳',
+  'common.sortBy': 'מיון לפי:',
+  'common.all': 'הכול',
+  'common.defining': 'מגדיר את "{word}"...',
+  'common.back': 'חזרה',
+  'common.add': 'הוספה',
+  'common.save': 'שמירה',
+  'common.delete': 'מחיקה',
+  'common.nameLabel': 'שם *',
+  'common.days': { one: 'יום אחד', two: 'יומיים', other: '{count} ימים' },
+  'common.tone': 'טון',
+  'common.context': 'הקשר',
+
+  // Navigation
+  'nav.tabAccessibility': 'לשונית {label}',
+  'nav.define': 'הגדרת מילה',
+  'nav.favorites': 'מועדפים',
+  'nav.history': 'היסטוריה',
+  'nav.quiz': 'רשימת החידון',
+  'nav.settings': 'הגדרות',
+  'nav.cacheBrowser': 'הגדרות שמורות',
+  'nav.wotdArchive': 'ארכיון מילת היום',
+  'nav.definitionSearch': 'חיפוש בהגדרות',
+  'nav.favoriteDetails': 'עריכת מועדף',
+  'nav.compare': 'השוואת הגדרות',
+  'nav.quizGame': 'זמן חידון!',
+
+  // Errors
+  'errors.network': 'לא ניתן להגיע לשירות ההגדרות. יש לבדוק את החיבור לאינטרנט.',
+  'errors.timeout': 'שירות ההגדרות לא הגיב בזמן. ייתכן שהוא עדיין עולה, כדאי לנסות שוב.',
+  'errors.title': 'אירעה שגיאה',
+  'errors.requestFailed': 'לא ניתן להשלים את הבקשה.',
+  'errors.unknown': 'שגיאה לא ידועה',
+
+  // Form validation
+  'validation.enterWord': 'יש להזין מילה או ביטוי.',
+  'validation.invalidLength': 'יש להזין אורך תקין (1-{max}).',
+  'validation.unknownLanguagePickFromList': 'שפה לא מוכרת "{lang}". יש לבחור שפה מהרשימה.',
+  'validation.presetName': 'יש להזין שם להגדרה השמורה.',
+  'validation.presetEmpty': 'יש למלא לפחות טון, הקשר או שפה.',
+  'validation.unknownLanguageIso': 'שפה לא מוכרת "{lang}". יש להשתמש בקוד ISO כמו eng או spa.',
+  'validation.profileName': 'יש להזין שם לפרופיל.',
+  'validation.baseUrl': 'כתובת הבסיס חייבת להתחיל ב-http:// או ב-https://',
+  'validation.timeout': 'זמן ההמתנה חייב להיות בין 1 ל-{max} שניות.',
+  'validation.enterWords': 'יש להזין מילה אחת לפחות.',
+  'validation.title': 'שגיאת אימות',
+
+  // Definition status
+  'status.exactLength': 'אורך מדויק',
+  'status.closestPossible': 'הקרוב ביותר האפשרי',
+  'status.constraintIssue': 'בעיית אילוצים',
+
+  // Define tab
+  'define.loadedFromCache': 'ההגדרה נטענה מהמטמון המקומי.',
+  'define.retrying': 'השרת עמוס, ניסיון חוזר בעוד {seconds} שנ׳ ({attempt}/{maxRetries})...',
+  'define.unexpectedError': 'אירעה שגיאה לא צפויה בקבלת ההגדרה.',
+  'define.cancelled': 'החיפוש בוטל.',
+  'define.buttonBatch': { one: 'הגדרת מילה אחת', two: 'הגדרת שתי מילים', other: 'הגדרת {count} מילים' },
+  'define.button': 'הגדרת "{word}"',
+  'define.mode.single': 'מילה אחת',
+  'define.mode.batch': 'רשימת מילים',
+  'define.title': 'הגדרת מילה',
+  'define.titleBatch': 'הגדרת רשימת מילים',
+  'define.modeLabel': 'מצב:',
+  'define.wordsLabel': 'מילים / ביטויים *',
+  'define.wordsPlaceholder': 'אחת בכל שורה או מופרדות בפסיקים\nלמשל: ubiquitous, ephemeral, candid',
+  'define.wordLabel': 'מילה / ביטוי *',
+  'define.wordPlaceholder': 'למשל: Serendipity',
+  'define.didYouMean': 'האם התכוונת ל',
+  'define.lengthLabel': 'אורך רצוי (מילים) *',
+  'define.lengthPlaceholder': 'עד {max} בערך',
+  'define.presetsLabel': 'הגדרות שמורות:',
+  'define.showFilters': 'הצגת מסננים אופציונליים',
+  'define.hideFilters': 'הסתרת מסננים אופציונליים',
+  'define.toneLabel': 'טון (אופציונלי)',
+  'define.tonePlaceholder': 'למשל: רשמי, הומוריסטי, פשוט',
+  'define.contextLabel': 'הקשר (אופציונלי)',
+  'define.contextPlaceholder': 'למשל: רפואי, משפטי, לילד',
+  'define.languageLabel': 'שפה (אופציונלי)',
+  'define.loading': 'טוען הגדרה...',
+  'define.recentSearches': 'חיפושים אחרונים',
+
+  // Language picker
+  'languagePicker.matches': 'התאמות',
+  'languagePicker.recent': 'בשימוש לאחרונה',
+  'languagePicker.all': 'כל השפות',
+  'languagePicker.autoDetect': 'זיהוי אוטומטי',
+  'languagePicker.title': 'בחירת שפה',
+  'languagePicker.searchPlaceholder': 'חיפוש לפי שם או קוד (למשל Spanish, es, spa)',
+  'languagePicker.autoDetectHint': 'השירות יבחר את השפה',
+  'languagePicker.noMatches': 'אין שפה שתואמת ל-"{query}".',
+
+  // Definition result
+  'result.noDefinition': 'אין הגדרה זמינה.',
+  'result.nothingToRead': 'אין טקסט הגדרה להקראה.',
+  'result.speechFailed': 'ההקראה נכשלה.',
+  'result.speechError': 'אירעה שגיאה בהקראה.',
+  'result.copied': 'ההגדרה הועתקה!',
+  'result.nothingToCopy': 'אין טקסט הגדרה להעתקה.',
+  'result.nothingToShare': 'אין הגדרה לשיתוף.',
+  'result.share.link': 'פתיחת החיפוש הזה ב-VocabMaster: {link}',
+  'result.share.heading': 'ההגדרה של "{word}":',
+  'result.share.footer': '(מתוך VocabMaster Pro v{version})',
+  'result.share.subject': 'הגדרה: {word}',
+  'result.share.emailUnavailable': 'שיתוף בדוא״ל אינו זמין. ההגדרה הועתקה במקום זאת.',
+  'result.share.failed': 'השיתוף נכשל: {error}. ההגדרה הועתקה במקום זאת.',
+  'result.chip.length': 'אורך',
+  'result.chip.lengthValue': { one: 'מילה אחת (התבקשו: {requested})', two: 'שתי מילים (התבקשו: {requested})', other: '{actual} מילים (התבקשו: {requested})' },
+  'result.chip.status': 'מצב',
+  'result.chip.lang': 'שפה',
+  'result.chip.source': 'מקור',
+  'result.chip.cache': 'מטמון',
+  'result.chip.tone': 'טון',
+  'result.chip.context': 'הקשר',
+  'result.action.stop': 'עצירה',
+  'result.action.listen': 'השמעה',
+  'result.action.copy': 'העתקה',
+  'result.action.share': 'שיתוף',
+  'result.action.quiz': 'לחידון',
+  'result.action.compare': 'השוואה',
+  'result.action.regenerate': 'יצירה מחדש',
+  'result.defineAnother': 'הגדרת מילה נוספת',
+
+  // Definition revisions
+  'revisions.offline': 'אין חיבור. יצירה מחדש דורשת חיבור לרשת.',
+  'revisions.savedPinnedKept': 'גרסה חדשה נשמרה. הגרסה המוצמדת שלך נשארת ברירת המחדל.',
+  'revisions.saved': 'גרסה חדשה נשמרה.',
+  'revisions.regenerateFailed': 'לא ניתן ליצור את ההגדרה מחדש.',
+  'revisions.loadFailed': 'לא ניתן לטעון את הגרסה הזו.',
+  'revisions.notCached': 'ההגדרה הזו כבר לא שמורה במטמון.',
+  'revisions.pinned': 'הגרסה הוצמדה. חיפושים עם ההגדרות האלה יציגו אותה.',
+  'revisions.unpinned': 'ההצמדה בוטלה. חיפושים יציגו את הגרסה החדשה ביותר.',
+  'revisions.pinFailed': 'לא ניתן להצמיד את הגרסה הזו.',
+  'revisions.position': 'גרסה {index} מתוך {total}',
+  'revisions.positionPinned': 'גרסה {index} מתוך {total} · מוצמדת',
+
+  // Offline queue
+  'offline.noConnection': 'אין חיבור לאינטרנט',
+  'offline.queued': 'אין חיבור. "{word}" נוספה לחיפושים הממתינים.',
+  'offline.connectionQueued': 'בעיית חיבור. "{word}" נוספה לחיפושים הממתינים.',
+  'offline.completed': { one: 'חיפוש ממתין אחד הושלם.', two: 'שני חיפושים ממתינים הושלמו.', other: '{count} חיפושים ממתינים הושלמו.' },
+  'offline.status.pending': 'ממתין לחיבור',
+  'offline.status.retrying': 'מחפש...',
+  'offline.status.failed': 'נכשל',
+  'offline.status.resolved': 'מוכן, יש להקיש לצפייה',
+  'offline.title': 'חיפושים ממתינים ({count})',
+  'offline.badge': 'לא מחובר',
+  'offline.clearCompleted': 'ניקוי שהושלמו',
+  'offline.retryNow': 'ניסיון חוזר עכשיו',
+
+  // Word lists
+  'batch.summary.defined': { one: 'אחת הוגדרה', two: 'שתיים הוגדרו', other: '{count} הוגדרו' },
+  'batch.summary.failed': { one: 'אחת נכשלה', two: 'שתיים נכשלו', other: '{count} נכשלו' },
+  'batch.summary.queued': { one: 'אחת ממתינה בתור', two: 'שתיים ממתינות בתור', other: '{count} ממתינות בתור' },
+  'batch.cancelled': 'הרשימה בוטלה: {summary}.',
+  'batch.finished': 'הרשימה הסתיימה: {summary}.',
+  'batch.alreadyThere': { one: ' (אחת כבר הייתה שם)', two: ' (שתיים כבר היו שם)', other: ' ({count} כבר היו שם)' },
+  'batch.addedToFavorites': { one: 'נוספה מילה אחת למועדפים{existing}.', two: 'נוספו שתי מילים למועדפים{existing}.', other: 'נוספו {count} מילים למועדפים{existing}.' },
+  'batch.addedToQuiz': { one: 'נוספה מילה אחת לרשימת החידון{existing}.', two: 'נוספו שתי מילים לרשימת החידון{existing}.', other: 'נוספו {count} מילים לרשימת החידון{existing}.' },
+  'batch.parsed.words': { one: 'מילה אחת', two: 'שתי מילים', other: '{count} מילים' },
+  'batch.parsed.duplicates': { one: 'כפילות אחת דולגה', two: 'שתי כפילויות דולגו', other: '{count} כפילויות דולגו' },
+  'batch.parsed.truncated': { one: 'אחת מעבר למגבלת {max} המילים דולגה', two: 'שתיים מעבר למגבלת {max} המילים דולגו', other: '{count} מעבר למגבלת {max} המילים דולגו' },
+  'batch.status.pending': 'ממתינה',
+  'batch.status.running': 'מחפש...',
+  'batch.status.done': 'הוגדרה, יש להקיש לצפייה',
+  'batch.status.doneFromCache': 'מהמטמון, יש להקיש לצפייה',
+  'batch.status.queued': 'נוספה לחיפושים הממתינים',
+  'batch.status.failed': 'נכשלה',
+  'batch.status.cancelled': 'בוטלה',
+  'batch.title': 'רשימת מילים ({finished}/{total})',
+  'batch.retryFailed': 'ניסיון חוזר לנכשלות',
+  'batch.allToFavorites': 'הכול למועדפים',
+  'batch.allToQuiz': 'הכול לחידון',
+  'batch.invalidWords': { one: 'לא ניתן לחפש רשומה אחת: {words}. יש להסיר או לתקן אותה ולנסות שוב.', two: 'לא ניתן לחפש שתי רשומות: {words}. יש להסיר או לתקן אותן ולנסות שוב.', other: 'לא ניתן לחפש {count} רשומות: {words}. יש להסיר או לתקן אותן ולנסות שוב.' },
+
+  // Word of the Day
+  'wotd.origin.mine': 'מהמועדפים ומילות החידון שלך',
+  'wotd.origin.level': 'רמה: {level}',
+  'wotd.origin.builtIn': 'רשימת המילים של VocabMaster',
+  'wotd.level.beginner': 'מתחילים',
+  'wotd.level.intermediate': 'בינוני',
+  'wotd.level.advanced': 'מתקדמים',
+  'wotd.fetching': 'טוען את ההגדרה של היום...',
+  'wotd.offline': 'ההגדרה של היום תיטען כשהחיבור יחזור.',
+  'wotd.title': 'מילת היום',
+  'wotd.pastWords': 'מילים קודמות',
+  'wotd.defineButton': { one: 'הגדרת {word} (מילה אחת)', two: 'הגדרת {word} (שתי מילים)', other: 'הגדרת {word} ({count} מילים)' },
+  'wotd.notFetched': 'ההגדרה לא נטענה',
+  'wotd.archiveEmptyTitle': 'עדיין אין מילים קודמות',
+  'wotd.archiveEmptyMessage': 'מילת היום של כל יום נשמרת כאן כדי שאפשר יהיה לחזור אליה.',
+  'wotd.archiveTitle': 'מילים קודמות ({total})',
+
+  // Favorites
+  'favorites.added': 'נוספה למועדפים: {word}',
+  'favorites.alreadyAdded': '{word} כבר נמצאת במועדפים.',
+  'favorites.removed': 'הוסרה מהמועדפים: {word}',
+  'favorites.removeTitle': 'הסרת מועדף',
+  'favorites.removeMessage': 'ל-"{word}" יש אוספים, תגיות או הערות. להסיר אותה מהמועדפים בכל זאת?',
+  'favorites.defaultSettings': 'הגדרות ברירת מחדל',
+  'favorites.savedSettings': 'נשמר: {settings}',
+  'favorites.removeConfirm': 'להסיר את "{word}" מהמועדפים?',
+  'favorites.emptyTitle': 'עדיין אין מועדפים',
+  'favorites.emptyMessage': 'אפשר להשתמש בסמל הסימנייה שליד הגדרה כדי לשמור כאן מילים.',
+  'favorites.title': 'המועדפים שלי ({total})',
+  'favorites.titleFiltered': 'המועדפים שלי ({shown} מתוך {total})',
+  'favorites.collectionLabel': 'אוסף:',
+  'favorites.tagLabel': 'תגית:',
+  'favorites.noneFiltered': 'אין מועדפים באוסף או בתגית האלה.',
+  'favorites.saved': '"{word}" נשמרה.',
+  'favorites.notFoundTitle': 'המועדף לא נמצא',
+  'favorites.notFoundMessage': '"{word}" כבר לא נמצאת במועדפים.',
+  'favorites.details.savedSettings': 'הגדרות שמורות',
+  'favorites.details.noSavedSettings': 'נשמרה לפני ששמרנו הגדרות; נפתחת באורך ברירת המחדל.',
+  'favorites.details.defineWithSettings': 'הגדרה עם ההגדרות האלה',
+  'favorites.details.collections': 'אוספים',
+  'favorites.details.inLabel': 'ב:',
+  'favorites.details.newCollectionPlaceholder': 'אוסף חדש, למשל פסיכומטרי',
+  'favorites.details.tags': 'תגיות',
+  'favorites.details.tagsPlaceholder': 'למשל: שורש-לטיני, מבחן',
+  'favorites.details.notes': 'הערות',
+  'favorites.details.notesPlaceholder': 'דרכי זכירה, משפטים לדוגמה, איפה ראית אותה...',
+  'favorites.updateParamsTitle': 'לעדכן את ההגדרות השמורות?',
+  'favorites.updateParamsMessage': '{word} שמורה עם {saved}. לפתוח אותה מעכשיו עם {current}? האוספים, התגיות וההערה יישמרו.',
+  'favorites.updateParams': 'עדכון',
+  'favorites.paramsUpdated': 'ההגדרות השמורות של {word} עודכנו.',
+
+  // History
+  'history.clearTitle': 'ניקוי היסטוריית החיפוש',
+  'history.clearMessage': 'למחוק את כל היסטוריית החיפוש? אי אפשר לבטל את הפעולה הזו.',
+  'history.cleared': 'היסטוריית החיפוש נוקתה',
+  'history.requestedLength': 'התבקש: {length} מ׳',
+  'history.generatedLength': ', נוצר: {length} מ׳',
+  'history.tone': 'טון: {tone}',
+  'history.context': 'הקשר: {context}',
+  'history.filter.lang': 'שפה:',
+  'history.filter.tone': 'טון:',
+  'history.filter.context': 'הקשר:',
+  'history.section.today': 'היום',
+  'history.section.yesterday': 'אתמול',
+  'history.section.thisWeek': 'השבוע',
+  'history.section.lastWeek': 'בשבוע שעבר',
+  'history.emptyTitle': 'אין היסטוריית חיפוש',
+  'history.emptyMessage': 'מילים שהגדרת יופיעו כאן לגישה מהירה להגדרות ולפרמטרים שלהן.',
+  'history.title': 'היסטוריית חיפוש ({total})',
+  'history.titleFiltered': 'היסטוריית חיפוש ({shown} מתוך {total})',
+  'history.searchPlaceholder': 'חיפוש מילים, טונים או הקשרים',
+  'history.noMatches': 'אין רשומות היסטוריה תואמות.',
+  'history.showMore': { one: 'הצגת עוד (נותרה אחת)', two: 'הצגת עוד (נותרו שתיים)', other: 'הצגת עוד (נותרו {count})' },
+  'history.footer': { one: 'יש להחליק רשומה שמאלה כדי למחוק אותה. נשמר רק החיפוש האחרון (אפשר לשנות בהגדרות).', two: 'יש להחליק רשומה שמאלה כדי למחוק אותה. נשמרים שני החיפושים האחרונים (אפשר לשנות בהגדרות).', other: 'יש להחליק רשומה שמאלה כדי למחוק אותה. נשמרים {count} החיפושים האחרונים (אפשר לשנות בהגדרות).' },
+  'history.footerRtl': { one: 'יש להחליק רשומה ימינה כדי למחוק אותה. נשמר רק החיפוש האחרון (אפשר לשנות בהגדרות).', two: 'יש להחליק רשומה ימינה כדי למחוק אותה. נשמרים שני החיפושים האחרונים (אפשר לשנות בהגדרות).', other: 'יש להחליק רשומה ימינה כדי למחוק אותה. נשמרים {count} החיפושים האחרונים (אפשר לשנות בהגדרות).' },
+
+  // Sorting
+  'sort.newest': 'החדשות ביותר',
+  'sort.oldest': 'הישנות ביותר',
+  'sort.az': 'A-Z',
+  'sort.za': 'Z-A',
+
+  // Word list export
+  'export.noDefinitions': 'לאף אחת מהמילים האלה עדיין אין הגדרה שמורה.',
+  'export.shareTitle': 'ייצוא {format}',
+  'export.format.csv': 'CSV',
+  'export.format.anki': 'חפיסת Anki',
+  'export.skipped': { one: 'מילה אחת בלי הגדרה שמורה דולגה.', two: 'שתי מילים בלי הגדרה שמורה דולגו.', other: '{count} מילים בלי הגדרה שמורה דולגו.' },
+  'export.missingDefinitions': { one: 'למילה אחת עדיין אין הגדרה שמורה.', two: 'לשתי מילים עדיין אין הגדרה שמורה.', other: 'ל-{count} מילים עדיין אין הגדרה שמורה.' },
+  'export.createFailed': 'לא ניתן ליצור את קובץ הייצוא.',
+  'export.title': 'ייצוא מילים',
+  'export.message': 'קובץ CSV נפתח בכל גיליון אלקטרוני. את חפיסת Anki אפשר לייבא דרך File > Import ב-Anki.',
+  'export.button': 'ייצוא',
+
+  // Quiz
+  'quiz.due.overdue': { one: 'באיחור של יום', two: 'באיחור של יומיים', other: 'באיחור של {count} ימים' },
+  'quiz.due.today': 'לחזרה היום',
+  'quiz.due.tomorrow': 'לחזרה מחר',
+  'quiz.due.inDays': { one: 'לחזרה בעוד יום', two: 'לחזרה בעוד יומיים', other: 'לחזרה בעוד {count} ימים' },
+  'quiz.added': 'נוספה לרשימת החידון: {word}',
+  'quiz.alreadyAdded': '{word} כבר נמצאת ברשימת החידון.',
+  'quiz.removed': 'הוסרה מרשימת החידון: {word}',
+  'quiz.item.savedCopy': '(עותק שמור, הרענון נכשל: {error})',
+  'quiz.item.loadFailed': 'לא ניתן לטעון את ההגדרה: {error}',
+  'quiz.item.loading': 'טוען הגדרה...',
+  'quiz.item.tapToLoad': 'יש להקיש שוב כדי לטעון את ההגדרה.',
+  'quiz.item.lapses': { one: 'שכחה אחת', two: 'שתי שכחות', other: '{count} שכחות' },
+  'quiz.section.due': 'לחזרה היום ({count})',
+  'quiz.section.upcoming': 'בקרוב ({count})',
+  'quiz.removeTitle': 'הסרת מילה מהחידון',
+  'quiz.removeMessage': 'להסיר את המילה הזו מרשימת החידון?',
+  'quiz.emptyToast': 'יש להוסיף מילים לרשימה בעזרת הכפתור "לחידון" לפני שמתחילים.',
+  'quiz.emptyTitle': 'רשימת החידון ריקה',
+  'quiz.emptyMessage': 'אפשר להשתמש בכפתור "לחידון" שליד הגדרה כדי להוסיף מילים לחזרה.',
+  'quiz.title': 'מילות החידון שלי ({total})',
+  'quiz.caughtUp': 'הכול מעודכן! אין מה לחזור עליו היום.',
+  'quiz.reviewDue': 'חזרה על הממתינות ({count})',
+  'quiz.practiceAll': 'תרגול של הכול ({count})',
+  'quiz.round.multipleChoice': 'בחירה מרובה',
+  'quiz.round.typeWord': 'הקלדת המילה',
+  'quiz.round.trueFalse': 'נכון או לא נכון',
+  'quiz.game.roundChip': 'סבב',
+  'quiz.game.skipped': { one: 'מילה אחת דולגה: ההגדרה אינה זמינה.', two: 'שתי מילים דולגו: ההגדרות אינן זמינות.', other: '{count} מילים דולגו: ההגדרות אינן זמינות.' },
+  'quiz.game.whichWord': 'איזו מילה מתאימה להגדרה הזו?',
+  'quiz.game.doesMatch': 'האם ההגדרה הזו מתאימה ל',
+  'quiz.game.true': 'נכון',
+  'quiz.game.false': 'לא נכון',
+  'quiz.game.typeWord': 'יש להקליד את המילה של ההגדרה הזו:',
+  'quiz.game.answerPlaceholder': 'התשובה שלך',
+  'quiz.game.checkAnswer': 'בדיקת התשובה',
+  'quiz.game.preparing': 'מכין את החידון... ({loaded}/{total})',
+  'quiz.game.errorTitle': 'לא ניתן להכין את החידון',
+  'quiz.game.errorMessage': 'לא ניתן היה לטעון אף הגדרה של מילות החידון. יש לבדוק את החיבור ולנסות שוב.',
+  'quiz.game.backToList': 'חזרה לרשימת החידון',
+  'quiz.results.perfect': 'ציון מושלם!',
+  'quiz.results.great': 'עבודה מצוינת!',
+  'quiz.results.good': 'מאמץ יפה, כדאי להמשיך לתרגל.',
+  'quiz.results.keepGoing': 'כדאי להמשיך לחזור על המילים האלה.',
+  'quiz.results.percentage': '{percentage}% תשובות נכונות',
+  'quiz.results.scheduleUpdated': 'לוח החזרות של המילים האלה עודכן.',
+  'quiz.results.summary': 'סיכום הסבבים',
+  'quiz.results.playAgain': 'משחק נוסף',
+  'quiz.game.round': 'סבב {index} מתוך {total}',
+  'quiz.game.score': 'ניקוד: {score}',
+  'quiz.game.correct': 'נכון!',
+  'quiz.game.statementTrue': 'לא בדיוק. הטענה הייתה נכונה.',
+  'quiz.game.statementFalse': 'לא בדיוק. הטענה הייתה שגויה.',
+  'quiz.game.answerWas': 'לא בדיוק. התשובה הייתה "{word}".',
+  'quiz.game.seeResults': 'לתוצאות',
+  'quiz.game.nextRound': 'לסבב הבא',
+
+  // Definition search
+  'search.placeholder': 'חיפוש בהגדרות, למשל חולף',
+  'search.emptyTitle': 'עדיין אין במה לחפש',
+  'search.emptyMessage': 'הגדרות שחיפשת נשמרות במכשיר ואפשר לחפש בהן כאן, גם בלי חיבור.',
+  'search.resultCount': { one: 'מילה אחת עם הגדרה תואמת', two: 'שתי מילים עם הגדרות תואמות', other: '{count} מילים עם הגדרות תואמות' },
+  'search.hint': { one: 'חיפוש בהגדרה השמורה היחידה במכשיר.', two: 'חיפוש בשתי ההגדרות השמורות במכשיר.', other: 'חיפוש ב-{count} ההגדרות השמורות במכשיר.' },
+  'search.searching': 'מחפש...',
+  'search.noResults': 'אף הגדרה שמורה לא מזכירה את "{query}".',
+
+  // Compare
+  'compare.dimension.length': 'אורך',
+  'compare.dimension.tone': 'טון',
+  'compare.dimension.lang': 'שפה',
+  'compare.field.length': { one: '{length} מילה', two: '{length} מילים', other: '{length} מילים' },
+  'compare.field.toneUnset': 'ניטרלי',
+  'compare.field.contextUnset': 'ללא הקשר',
+  'compare.field.langUnset': 'אוטומטי',
+  'compare.duplicate': 'אותם פרמטרים כמו בעמודה {column}.',
+  'compare.hint': 'יש להריץ את ההשוואה כדי לראות את ההגדרה הזו.',
+  'compare.open': 'פתיחה',
+  'compare.emptyTitle': 'אין מה להשוות',
+  'compare.emptyMessage': 'יש לפתוח הגדרה ולהקיש על "השוואה" כדי לנסות אותה עם הגדרות אחרות.',
+  'compare.allColumns': 'כל העמודות: {description}',
+  'compare.vary': 'שינוי לפי:',
+  'compare.addVariant': 'הוספת גרסה',
+  'compare.run': { one: 'השוואת הגדרה אחת', two: 'השוואת שתי הגדרות', other: 'השוואת {count} הגדרות' },
+
+  // Cache
+  'cache.saveFailed': 'לא ניתן לשמור את ההגדרה במכשיר.',
+  'cache.cleared': { one: 'הגדרה אחת נוקתה מהמטמון.', two: 'שתי הגדרות נוקו מהמטמון.', other: '{count} הגדרות נוקו מהמטמון.' },
+  'cache.clearFailed': 'ניקוי המטמון נכשל. ייתכן שחלק מהפריטים נשארו.',
+  'cache.entryMissing': 'ההגדרה השמורה הזו כבר אינה זמינה.',
+  'cache.openFailed': 'לא ניתן לפתוח את ההגדרה השמורה.',
+  'cache.removed': { one: 'הגדרה אחת הוסרה מהמטמון.', two: 'שתי הגדרות הוסרו מהמטמון.', other: '{count} הגדרות הוסרו מהמטמון.' },
+  'cache.nothingTitle': 'אין מה למחוק',
+  'cache.nothingMessage': 'אין הגדרות שמורות {scope}.',
+  'cache.deleteTitle': 'מחיקת הגדרות שמורות',
+  'cache.deleteMessage': { one: 'למחוק הגדרה שמורה אחת {scope}? היא תיטען מחדש כשיהיה בה צורך.', two: 'למחוק שתי הגדרות שמורות {scope}? הן ייטענו מחדש כשיהיה בהן צורך.', other: 'למחוק {count} הגדרות שמורות {scope}? הן ייטענו מחדש כשיהיה בהן צורך.' },
+  'cache.scope.olderThan': { one: 'מלפני יותר מיום', two: 'מלפני יותר מיומיים', other: 'מלפני יותר מ-{count} ימים' },
+  'cache.scope.language': 'בשפה "{lang}"',
+  'cache.scope.word': 'עבור "{word}"',
+  'cache.savedOn': 'נשמרה ב-{date}',
+  'cache.savedUnknown': 'תאריך שמירה לא ידוע',
+  'cache.emptyTitle': 'המטמון ריק',
+  'cache.emptyMessage': 'הגדרות שחיפשת נשמרות כאן כדי שאפשר יהיה לפתוח אותן שוב גם בלי חיבור לרשת.',
+  'cache.searchPlaceholder': 'חיפוש מילה, טון, הקשר או שפה',
+  'cache.deleteOlderThan': 'מחיקת ישנות מ:',
+  'cache.deleteLanguage': 'מחיקת שפה:',
+  'cache.count': '{count} שמורות',
+  'cache.countFiltered': '{shown} מתוך {count} שמורות',
+
+  // Backup and restore
+  'backup.shareTitle': 'שמירת גיבוי של VocabMaster',
+  'backup.createFailed': 'לא ניתן ליצור את קובץ הגיבוי.',
+  'backup.section.favorites': 'מועדפים',
+  'backup.section.history': 'היסטוריה',
+  'backup.section.quizList': 'רשימת החידון',
+  'backup.invalid.notObject': 'הקובץ אינו אובייקט JSON.',
+  'backup.invalid.format': 'הקובץ הזה אינו גיבוי של VocabMaster.',
+  'backup.invalid.version': 'גרסת גיבוי לא נתמכת ({version}). יש לעדכן את האפליקציה ולנסות שוב.',
+  'backup.invalid.noData': 'בגיבוי אין מקטע נתונים.',
+  'backup.invalid.notList': 'המקטע {section} חסר או שאינו רשימה.',
+  'backup.invalid.missingWord': 'במקטע {section} יש רשומות בלי מילה.',
+  'backup.invalid.cacheSection': 'מקטע המטמון חסר או פגום.',
+  'backup.invalid.cacheEntries': { one: 'רשומת מטמון אחת פגומה.', two: 'שתי רשומות מטמון פגומות.', other: '{count} רשומות מטמון פגומות.' },
+  'backup.count.favorites': { one: 'מועדף אחד', two: 'שני מועדפים', other: '{count} מועדפים' },
+  'backup.count.history': { one: 'פריט היסטוריה אחד', two: 'שני פריטי היסטוריה', other: '{count} פריטי היסטוריה' },
+  'backup.count.quizList': { one: 'מילת חידון אחת', two: 'שתי מילות חידון', other: '{count} מילות חידון' },
+  'backup.count.cache': { one: 'הגדרה שמורה אחת', two: 'שתי הגדרות שמורות', other: '{count} הגדרות שמורות' },
+  'backup.report.restored': 'שוחזרו: {contents}.',
+  'backup.report.added': 'נוספו: {contents}.',
+  'backup.report.conflicts': { one: 'התנגשות אחת, נשמר העותק החדש יותר:', two: 'שתי התנגשויות, נשמר העותק החדש יותר:', other: '{count} התנגשויות, נשמר העותק החדש יותר:' },
+  'backup.conflict.favorite': 'מועדף "{label}"',
+  'backup.conflict.quizWord': 'מילת חידון "{label}"',
+  'backup.kept.favorite.backup': 'נשמר העותק מהגיבוי',
+  'backup.kept.favorite.device': 'נשמר העותק מהמכשיר',
+  'backup.kept.quizWord.backup': 'נשמרה ההתקדמות מהגיבוי',
+  'backup.kept.quizWord.device': 'נשמרה ההתקדמות מהמכשיר',
+  'backup.report.more': '…ועוד {count}.',
+  'backup.report.evicted': { one: 'הגדרה שמורה אחת הושמטה כדי לעמוד במגבלות המטמון.', two: 'שתי הגדרות שמורות הושמטו כדי לעמוד במגבלות המטמון.', other: '{count} הגדרות שמורות הושמטו כדי לעמוד במגבלות המטמון.' },
+  'backup.restoredTitle': 'הגיבוי שוחזר',
+  'backup.restoreFailedTitle': 'השחזור נכשל',
+  'backup.restoreFailedMessage': 'לא ניתן היה לשחזר את הגיבוי במלואו. ייתכן שהנתונים הקיימים עודכנו חלקית.',
+  'backup.invalidTitle': 'גיבוי לא תקין',
+  'backup.unreadable': 'לא ניתן לקרוא את הקובץ שנבחר כגיבוי של VocabMaster.',
+  'backup.unknownDate': 'תאריך לא ידוע',
+  'backup.restoreTitle': 'שחזור גיבוי',
+  'backup.restoreSummary': 'גיבוי מ-{date} עם {contents}.',
+  'backup.restoreExplanation': 'מיזוג שומר על הנתונים הנוכחיים ומוסיף את הגיבוי (בהתנגשויות העותק החדש יותר גובר). החלפה מוחקת קודם את הנתונים הנוכחיים.',
+  'backup.merge': 'מיזוג',
+  'backup.replace': 'החלפה',
+
+  // Search presets
+  'presets.saved': 'ההגדרה השמורה נשמרה: {name}',
+  'presets.invalidTitle': 'הגדרה שמורה לא תקינה',
+  'presets.deleteTitle': 'מחיקת הגדרה שמורה',
+  'presets.deleteMessage': 'למחוק את "{name}"?',
+  'presets.editTitle': 'עריכת הגדרה שמורה',
+  'presets.newTitle': 'הגדרה שמורה חדשה',
+  'presets.namePlaceholder': 'למשל: אנגלית לילדים, ספרדית משפטית',
+  'presets.languageLabel': 'שפה',
+  'presets.defaultName': '{name} (ברירת מחדל)',
+  'presets.add': 'הוספת הגדרה שמורה',
+  'presets.addDescription': 'מתחילה מהמסננים שמופיעים כרגע בטופס ההגדרה. יש להקיש על הכוכב כדי להחיל הגדרה שמורה בפתיחת האפליקציה.',
+
+  // Backend profiles
+  'backend.saved': 'פרופיל השרת נשמר: {name}',
+  'backend.selected': 'בשימוש השרת: {name}',
+  'backend.invalidTitle': 'פרופיל לא תקין',
+  'backend.deleteTitle': 'מחיקת פרופיל שרת',
+  'backend.deleteMessage': 'למחוק את "{name}"? הגדרות שנשמרו מהשרת הזה יישארו במטמון עד שינוקה.',
+  'backend.connected': 'מחובר ל-{name} תוך {latency} אלפיות שנייה.',
+  'backend.connectionFailed': 'החיבור נכשל.',
+  'backend.testing': 'בודק את החיבור...',
+  'backend.editTitle': 'עריכת פרופיל שרת',
+  'backend.newTitle': 'פרופיל שרת חדש',
+  'backend.namePlaceholder': 'למשל: שרת הצוות, הדמיה מקומית',
+  'backend.baseUrlLabel': 'כתובת בסיס *',
+  'backend.authNameLabel': 'שם כותרת האימות (אופציונלי)',
+  'backend.authValueLabel': 'ערך כותרת האימות (אופציונלי)',
+  'backend.authValuePlaceholder': 'למשל: Bearer abc123',
+  'backend.timeoutLabel': 'זמן המתנה (שניות)',
+  'backend.testConnection': 'בדיקת חיבור',
+  'backend.add': 'הוספת פרופיל שרת',
+  'backend.addDescription': 'חיבור האפליקציה לשירות הגדרות משלך או להדמיה מקומית.',
+  'backend.secretSaveFailed': 'לא ניתן היה לשמור את ערך כותרת האימות באופן מאובטח. הפרופיל לא נשמר.',
+
+  // Daily reminder
+  'reminders.channelName': 'תזכורות יומיות',
+  'reminders.notification.titleWithWord': 'מילת היום: {word}',
+  'reminders.notification.title': 'מילת היום שלך מוכנה',
+  'reminders.notification.due': { one: 'מילת חידון אחת ממתינה לחזרה.', two: 'שתי מילות חידון ממתינות לחזרה.', other: '{count} מילות חידון ממתינות לחזרה.' },
+  'reminders.notification.nothingDue': 'אין חזרות ממתינות. אפשר לחפש משהו חדש!',
+  'reminders.notification.bodyWithWord': 'יש להקיש כדי לגלות מה פירוש "{word}". {reviewLine}',
+  'reminders.permissionDenied': 'ההתראות של VocabMaster כבויות בהגדרות המערכת.',
+  'reminders.enableFailed': 'לא ניתן להפעיל תזכורות במכשיר זה.',
+
+  // Themes
+  'theme.system': 'מערכת',
+  'theme.light': 'בהיר',
+  'theme.dark': 'כהה',
+  'theme.amoled': 'שחור AMOLED',
+  'theme.highContrast': 'ניגודיות גבוהה',
+
+  // App language
+  'language.system': 'מערכת',
+  'language.restartTitle': 'נדרשת הפעלה מחדש',
+  'language.restartMessage': 'יש לסגור ולפתוח מחדש את VocabMaster כדי לשנות את כיוון התצוגה לשפה הזו.',
+
+  // Settings
+  'settings.appearance': 'מראה',
+  'settings.theme': 'ערכת נושא',
+  'settings.themeDescription': '"מערכת" עוברת בין בהיר לכהה לפי המכשיר. שחור AMOLED חוסך סוללה במסכי OLED.',
+  'settings.themeLabel': 'ערכת נושא:',
+  'settings.language': 'שפה',
+  'settings.appLanguage': 'שפת האפליקציה',
+  'settings.appLanguageDescription': 'השפה של התפריטים וההודעות. ההגדרות משתמשות בשפה שנבחרה בטופס ההגדרה.',
+  'settings.appLanguageLabel': 'שפה:',
+  'settings.dataManagement': 'ניהול נתונים',
+  'settings.clearCache.title': 'ניקוי מטמון ההגדרות',
+  'settings.clearCache.message': 'למחוק את כל ההגדרות השמורות במכשיר? זה יפנה מקום, אבל יהיה צורך לטעון את ההגדרות מחדש. אי אפשר לבטל את הפעולה הזו.',
+  'settings.clearCache.confirm': 'ניקוי המטמון',
+  'settings.clearCache.description': 'מוחק הגדרות שמורות במכשיר. מפנה מקום.',
+  'settings.browseCache': 'עיון במטמון',
+  'settings.browseCacheDescription': 'חיפוש, פתיחה או מחיקה של הגדרות שמורות בודדות.',
+  'settings.clearHistory': 'ניקוי היסטוריית החיפוש',
+  'settings.clearHistoryDescription': 'מוחק את רשימת החיפושים הקודמים מלשונית ההיסטוריה.',
+  'settings.backup': 'גיבוי ושחזור',
+  'settings.exportBackup': 'ייצוא גיבוי',
+  'settings.exportBackupDescription': 'שומר מועדפים, היסטוריה, מילות חידון והגדרות שמורות לקובץ.',
+  'settings.restoreBackupDescription': 'מיזוג קובץ גיבוי למכשיר הזה או החלפת הכול בתוכנו.',
+  'settings.presets': 'הגדרות חיפוש שמורות',
+  'settings.wotd.source': 'מקור מילת היום',
+  'settings.wotd.sourceDescription': '"המילים שלי" בוחרת מהמועדפים וממילות החידון. שינוי הבחירה בוחר מילה חדשה להיום.',
+  'settings.wotd.source.bundled': 'רשימת מילים',
+  'settings.wotd.source.mine': 'המילים שלי',
+  'settings.wotd.source.mixed': 'שתיהן',
+  'settings.wotd.pickFrom': 'בחירה מתוך:',
+  'settings.wotd.level': 'רמה:',
+  'settings.reminder': 'תזכורת יומית',
+  'settings.reminder.notification': 'התראת תזכורת',
+  'settings.reminder.notificationDescription': 'מילת היום וכמה מילות חידון ממתינות. עובד גם בלי חיבור.',
+  'settings.reminder.time': 'להזכיר לי בשעה',
+  'settings.reminder.days': 'בימים האלה:',
+  'settings.reminder.quietHours': 'שעות שקט',
+  'settings.reminder.quietHoursDescription': 'תזכורות שחלות בשעות השקט ממתינות עד לסיומן.',
+  'settings.reminder.quietFrom': 'שקט מ-',
+  'settings.reminder.quietUntil': 'שקט עד',
+  'settings.cacheLimits': 'מגבלות המטמון',
+  'settings.cache.definitions': 'הגדרות שמורות',
+  'settings.cache.definitionsDescription': 'כשמגיעים למגבלה, ההגדרות שהיו בשימוש הכי מזמן נמחקות ראשונות.',
+  'settings.cache.maxEntries': 'מספר רשומות מרבי:',
+  'settings.cache.maxBytes': 'נפח אחסון:',
+  'settings.cache.ttl': 'תפוגה אחרי:',
+  'settings.cache.never': 'אף פעם',
+  'settings.history': 'היסטוריה',
+  'settings.history.title': 'היסטוריית חיפוש',
+  'settings.history.description': 'החיפושים הישנים ביותר נמחקים כשמגיעים למגבלה.',
+  'settings.history.keepUpTo': 'לשמור עד:',
+  'settings.history.shortenTitle': 'לקצר את ההיסטוריה?',
+  'settings.history.shortenMessage': { one: 'שמירת {maxItems} רשומות תמחק את החיפוש הישן ביותר.', two: 'שמירת {maxItems} רשומות תמחק את שני החיפושים הישנים ביותר.', other: 'שמירת {maxItems} רשומות תמחק את {count} החיפושים הישנים ביותר.' },
+  'settings.history.shorten': 'קיצור',
+  'settings.backend': 'שרת',
+  'settings.about': 'אודות',
+  'settings.version': 'גרסת האפליקציה',
+  'settings.linkErrorTitle': 'לא ניתן לפתוח את הקישור',
+  'settings.linkErrorMessage': 'לא ניתן לפתוח את הכתובת: {url}',
+
+  // Screen reader labels
+  'a11y.toast.success': 'הצלחה: {message}',
+  'a11y.toast.error': 'שגיאה: {message}',
+  'a11y.toast.info': '{message}',
+  'a11y.close': 'סגירה',
+  'a11y.edit': 'עריכה',
+  'a11y.editItem': 'עריכת {word}',
+  'a11y.removeItem': 'הסרת {word}',
+  'a11y.languageField': 'שפה: {language}',
+  'a11y.languageFieldHint': 'פותח את רשימת השפות',
+  'a11y.suggestionHint': 'ממלא את המילה הזו',
+  'a11y.addFavorite': 'הוספת {word} למועדפים',
+  'a11y.removeFavorite': 'הסרת {word} מהמועדפים',
+  'a11y.previousRevision': 'הגרסה הקודמת',
+  'a11y.nextRevision': 'הגרסה הבאה',
+  'a11y.pinRevision': 'הצמדת הגרסה הזו',
+  'a11y.unpinRevision': 'ביטול הצמדת הגרסה הזו',
+  'a11y.showDefinition': 'הצגת ההגדרה של {word}',
+  'a11y.hideDefinition': 'הסתרת ההגדרה של {word}',
+  'a11y.removeFromQuiz': 'הסרת {word} מהחידון',
+  'a11y.batchProgress': 'התקדמות רשימת המילים',
+  'a11y.newCollection': 'שם האוסף החדש',
+  'a11y.addCollection': 'הוספת אוסף',
+  'a11y.testProfile': 'בדיקת החיבור אל {name}',
+  'a11y.setDefaultPreset': 'שימוש בפתיחת האפליקציה',
+  'a11y.unsetDefaultPreset': 'הפסקת השימוש בפתיחת האפליקציה',
+  'a11y.removeColumn': 'הסרת עמודה {column}',
+  'a11y.earlier': 'מוקדם יותר',
+  'a11y.later': 'מאוחר יותר',
+  'a11y.hint.quiz': 'מוסיף את המילה לחידון',
+  'a11y.hint.compare': 'פותח השוואה זו לצד זו',
+  'a11y.hint.regenerate': 'מבקש הגדרה חדשה',
+  'a11y.hint.openDefinition': 'פותח את ההגדרה',
+  'a11y.hint.defineAgain': 'מחפש את המילה שוב',
+  'a11y.hint.editPreset': 'פותח את עורך ההגדרה השמורה',
+  'a11y.quiz.correctOption': '{option}, תשובה נכונה',
+  'a11y.quiz.wrongOption': '{option}, תשובה שגויה',
+  'a11y.quiz.preparing': 'מכין את החידון',
+  'a11y.quiz.score': 'ניקוד: {score} מתוך {total}',
+  'a11y.quiz.roundCorrect': '{word}, {round}: נכון',
+  'a11y.quiz.roundWrong': '{word}, {round}: שגוי',
+};
@@ -0,0 +1,46 @@
+// --- Language Catalogue ---
+// Lookup and normalisation over the bundled ISO 639 table. Every accepted spelling of a language
+// (639-1, 639-3, 639-2/B, English name) maps to its ISO 639-3 code, so `en`, `EN` and `eng` share one cache entry.
+
+import { LANGUAGES } from '../data/languages';
+
+export const RECENT_LANGUAGES_MAX = 5;
+
+const byCode = new Map();
+LANGUAGES.forEach(language => {
+  [language.iso3, language.iso1, ...(language.alt || [])]
+    .filter(Boolean)
+    .forEach(code => byCode.set(code, language));
+  byCode.set(language.name.toLowerCase(), language);
+});
+
+export const getLanguage = (code) => byCode.get(String(code || '').trim().toLowerCase()) || null;
+
+// ISO 639-3 code for any accepted spelling; '' for empty input (auto-detect); null when unknown
+export const normalizeLanguageCode = (code) => {
+  if (!String(code || '').trim()) return '';
+  return getLanguage(code)?.iso3 ?? null;
+};
+
+// "Spanish (spa)", or the raw code when it isn't in the table
+export const formatLanguageLabel = (code) => {
+  const language = getLanguage(code);
+  return language ? `${language.name} (${language.iso3})` : String(code || '');
+};
+
+// Matches codes exactly and names by prefix or word; exact code matches come first
+export const searchLanguages = (query) => {
+  const text = String(query || '').trim().toLowerCase();
+  if (!text) return LANGUAGES;
+  const exact = getLanguage(text);
+  const matches = LANGUAGES.filter(language => language !== exact && [language.name, language.native]
+    .some(name => name.toLowerCase().split(/[\s()]+/).some(part => part.startsWith(text)) || name.toLowerCase().startsWith(text)));
+  return exact ? [exact, ...matches] : matches;
+};
+
+// Most recent first, without duplicates, capped
+export const pushRecentLanguage = (recentCodes, code) => {
+  const iso3 = normalizeLanguageCode(code);
+  if (!iso3) return recentCodes;
+  return [iso3, ...recentCodes.filter(existing => existing !== iso3)].slice(0, RECENT_LANGUAGES_MAX);
+};
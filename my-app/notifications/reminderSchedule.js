@@ -0,0 +1,77 @@
+// --- Daily Reminder Schedule ---
+// Works out when local reminders fire and what they say. Reminders are one-off notifications
+// scheduled a week ahead and rebuilt whenever the inputs change (and each time the app is opened),
+// so each can carry that day's word and due count. Times are minutes after local midnight.
+
+export const REMINDER_DAYS_AHEAD = 7;
+export const REMINDER_TIME_STEP_MINUTES = 15;
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  time: 9 * 60, // 09:00
+  days: [0, 1, 2, 3, 4, 5, 6], // Date#getDay(): 0 = Sunday
+  quietHoursEnabled: false,
+  quietStart: 22 * 60, // 22:00
+  quietEnd: 7 * 60, // 07:00
+};
+
+export const formatMinutes = (minutes) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+// Wraps around midnight in either direction
+export const shiftMinutes = (minutes, delta) => ((minutes + delta) % 1440 + 1440) % 1440;
+
+// Quiet hours may span midnight (22:00 -> 07:00)
+export const isInQuietHours = (minutes, settings) => {
+  if (!settings.quietHoursEnabled || settings.quietStart === settings.quietEnd) return false;
+  const { quietStart, quietEnd } = settings;
+  return quietStart < quietEnd
+    ? minutes >= quietStart && minutes < quietEnd
+    : minutes >= quietStart || minutes < quietEnd;
+};
+
+const atMinutes = (day, minutes) => {
+  const date = new Date(day);
+  date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return date;
+};
+
+// Fire dates for the coming days: reminders on the chosen weekdays at the chosen time, postponed to
+// the end of quiet hours when they fall inside them. At most one reminder per calendar day.
+export const planReminderDates = (settings, now = new Date(), daysAhead = REMINDER_DAYS_AHEAD) => {
+  if (!settings.enabled || settings.days.length === 0) return [];
+  const dates = [];
+  const usedDays = new Set();
+  for (let offset = 0; offset < daysAhead; offset++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    if (!settings.days.includes(day.getDay())) continue;
+
+    let fireAt = atMinutes(day, settings.time);
+    if (isInQuietHours(settings.time, settings)) {
+      // Quiet hours ending "tomorrow" (22:00 -> 07:00 with a 23:00 reminder) push into the next day
+      const endsNextDay = settings.quietStart > settings.quietEnd && settings.time >= settings.quietStart;
+      fireAt = atMinutes(endsNextDay ? new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1) : day, settings.quietEnd);
+    }
+    const dayKey = fireAt.toDateString();
+    if (fireAt <= now || usedDays.has(dayKey)) continue;
+    usedDays.add(dayKey);
+    dates.push(fireAt);
+  }
+  return dates;
+};
+
+// Notification text, via the app's translator (`translate(key, params)`); `word` is null when the day's word
+// isn't known. Tapping opens the Quiz tab when reviews are due, otherwise the Define tab.
+export const buildReminderContent = ({ word, dueCount }, translate) => {
+  const title = word ? translate('reminders.notification.titleWithWord', { word }) : translate('reminders.notification.title');
+  const reviewLine = dueCount > 0
+    ? translate('reminders.notification.due', { count: dueCount })
+    : translate('reminders.notification.nothingDue');
+  return {
+    title,
+    body: word ? translate('reminders.notification.bodyWithWord', { word, reviewLine }) : reviewLine,
+    screen: dueCount > 0 ? 'Quiz' : 'Define',
+  };
+};
@@ -0,0 +1,158 @@
+// --- Definition Search Index ---
+// Inverted index over the text of cached definitions, for offline full-text search.
+// Shape: { nextId, idByKey: Map<cacheKey, id>, cacheKeyById: Map<id, cacheKey>, docs: Map<id, { word, terms, length }>,
+// postings: Map<term, Map<id, occurrences>> }. Postings refer to documents by short numeric ids rather than by
+// their (long) cache keys. A document is the definition a cache entry serves (its pinned or newest revision);
+// entries serving no text are kept as empty documents so they count as indexed.
+// The index lives in memory only and is rebuilt from the cache at launch. Updates change it in place.
+
+export const SEARCH_RESULT_LIMIT = 30;
+const PREFIX_MIN_LENGTH = 3; // Query terms this long also match longer index terms ("ephem" -> "ephemeral")
+const PREFIX_MATCH_WEIGHT = 0.6; // Relative to an exact term match
+const SNIPPET_RADIUS = 70; // Characters of context either side of the best match
+
+// Common English words that would match nearly every definition
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'its', 'of', 'on',
+  'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'with',
+]);
+
+// Word boundaries: whitespace, punctuation and dashes, so "short-lived" is two terms
+const TOKEN_PATTERN = /[^\s.,;:!?"()[\]{}<>/\\|*+=~`“”„«»…–—-]+/g;
+
+// Lower case without accents or apostrophes, so "Café" and "cafe", "don't" and "dont" meet
+const normalizeTerm = (token) => token.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/['’‘]/g, '').toLowerCase();
+
+export const tokenize = (text) => (String(text || '').match(TOKEN_PATTERN) || [])
+  .map(normalizeTerm)
+  .filter(term => term && !STOP_WORDS.has(term));
+
+export const createSearchIndex = () => ({ nextId: 1, idByKey: new Map(), cacheKeyById: new Map(), docs: new Map(), postings: new Map() });
+
+// Drops documents and their postings. Returns whether any of the keys were indexed.
+export const removeDocuments = (index, cacheKeys) => {
+  let removed = false;
+  cacheKeys.forEach(cacheKey => {
+    const id = index.idByKey.get(cacheKey);
+    if (id === undefined) return;
+    index.docs.get(id).terms.forEach(term => {
+      const posting = index.postings.get(term);
+      if (!posting) return;
+      posting.delete(id);
+      if (posting.size === 0) index.postings.delete(term);
+    });
+    index.docs.delete(id);
+    index.cacheKeyById.delete(id);
+    index.idByKey.delete(cacheKey);
+    removed = true;
+  });
+  return removed;
+};
+
+// Adds or replaces documents: [{ cacheKey, word, text }]; an empty text records the entry as indexed
+export const indexDocuments = (index, documents) => {
+  removeDocuments(index, documents.map(doc => doc.cacheKey));
+  documents.forEach(({ cacheKey, word, text }) => {
+    const id = index.nextId;
+    index.nextId += 1;
+    const tokens = tokenize(text);
+    const counts = new Map();
+    tokens.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    index.idByKey.set(cacheKey, id);
+    index.cacheKeyById.set(id, cacheKey);
+    index.docs.set(id, { word, terms: [...counts.keys()], length: tokens.length });
+    counts.forEach((occurrences, term) => {
+      if (!index.postings.has(term)) index.postings.set(term, new Map());
+      index.postings.get(term).set(id, occurrences);
+    });
+  });
+};
+
+// Keys of `cacheKeys` missing from the index, and indexed keys no longer in `cacheKeys`
+export const diffIndexedKeys = (index, cacheKeys) => {
+  const cacheKeySet = new Set(cacheKeys);
+  return {
+    missing: cacheKeys.filter(key => !index.idByKey.has(key)),
+    stale: [...index.idByKey.keys()].filter(key => !cacheKeySet.has(key)),
+  };
+};
+
+// Documents containing every query term (or a longer term starting with it), ranked by TF-IDF with
+// length normalisation. One result per word: its best-scoring cache entry.
+// Returns [{ cacheKey, word, score, matchedTerms }]; matchedTerms are the index terms hit, for highlighting.
+export const searchIndex = (index, query, { limit = SEARCH_RESULT_LIMIT } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+  const docCount = index.docs.size;
+  const matches = new Map(); // id -> { score, queryTermsHit: Set, matchedTerms: Set }
+
+  queryTerms.forEach(queryTerm => {
+    const terms = queryTerm.length >= PREFIX_MIN_LENGTH
+      ? [...index.postings.keys()].filter(term => term.startsWith(queryTerm))
+      : (index.postings.has(queryTerm) ? [queryTerm] : []);
+    terms.forEach(term => {
+      const posting = index.postings.get(term);
+      const idf = Math.log(1 + docCount / posting.size);
+      const weight = term === queryTerm ? 1 : PREFIX_MATCH_WEIGHT;
+      posting.forEach((occurrences, id) => {
+        const doc = index.docs.get(id);
+        if (!doc) return;
+        const match = matches.get(id) || { score: 0, queryTermsHit: new Set(), matchedTerms: new Set() };
+        match.score += weight * idf * (occurrences / Math.sqrt(Math.max(1, doc.length)));
+        match.queryTermsHit.add(queryTerm);
+        match.matchedTerms.add(term);
+        matches.set(id, match);
+      });
+    });
+  });
+
+  const bestByWord = new Map();
+  matches.forEach((match, id) => {
+    if (match.queryTermsHit.size < queryTerms.length) return;
+    const word = index.docs.get(id).word;
+    const wordKey = String(word).toLowerCase();
+    const current = bestByWord.get(wordKey);
+    if (!current || match.score > current.score) {
+      bestByWord.set(wordKey, { cacheKey: index.cacheKeyById.get(id), word, score: match.score, matchedTerms: [...match.matchedTerms] });
+    }
+  });
+  return [...bestByWord.values()].sort((a, b) => b.score - a.score || a.word.localeCompare(b.word)).slice(0, limit);
+};
+
+// The part of `text` around the densest cluster of matched terms, as segments [{ text, highlight }]
+export const buildSnippet = (text, matchedTerms, radius = SNIPPET_RADIUS) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const termSet = new Set(matchedTerms);
+  const hits = [];
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    if (termSet.has(normalizeTerm(match[0]))) hits.push({ start: match.index, end: match.index + match[0].length, term: normalizeTerm(match[0]) });
+  }
+  if (hits.length === 0) return [{ text: source.length > radius * 2 ? `${source.slice(0, radius * 2).trim()}…` : source, highlight: false }];
+
+  // Centre on the hit with the most distinct terms nearby
+  let best = hits[0];
+  let bestVariety = 0;
+  hits.forEach(hit => {
+    const variety = new Set(hits.filter(other => Math.abs(other.start - hit.start) <= radius).map(other => other.term)).size;
+    if (variety > bestVariety) { best = hit; bestVariety = variety; }
+  });
+  let start = Math.max(0, best.start - radius);
+  let end = Math.min(source.length, best.end + radius);
+  // Don't cut words in half
+  const spaceAfterStart = source.indexOf(' ', start);
+  if (start > 0 && spaceAfterStart !== -1 && spaceAfterStart < best.start) start = spaceAfterStart + 1;
+  const spaceBeforeEnd = source.lastIndexOf(' ', end);
+  if (end < source.length && spaceBeforeEnd > best.end) end = spaceBeforeEnd;
+
+  const segments = [];
+  let cursor = start;
+  hits.filter(hit => hit.start >= start && hit.end <= end).forEach(hit => {
+    if (hit.start > cursor) segments.push({ text: source.slice(cursor, hit.start), highlight: false });
+    segments.push({ text: source.slice(hit.start, hit.end), highlight: true });
+    cursor = hit.end;
+  });
+  if (cursor < end) segments.push({ text: source.slice(cursor, end), highlight: false });
+  if (start > 0) segments.unshift({ text: '…', highlight: false });
+  if (end < source.length) segments.push({ text: '…', highlight: false });
+  return segments;
+};
@@ -0,0 +1,152 @@
+// --- Word Suggestions ---
+// Offline autocomplete and "did you mean" for the word input. The dictionary is the SCOWL-based
+// `wordlist-english` package, tiers 10-50 (~60k words); lower tiers are more common words and rank first.
+// The user's own words (history, favorites, cache) always rank ahead of dictionary words.
+
+import words10 from 'wordlist-english/english-words-10.json';
+import words20 from 'wordlist-english/english-words-20.json';
+import words35 from 'wordlist-english/english-words-35.json';
+import words40 from 'wordlist-english/english-words-40.json';
+import words50 from 'wordlist-english/english-words-50.json';
+
+const DICTIONARY_TIERS = [words10, words20, words35, words40, words50];
+const PREFIX_SCAN_LIMIT = 3000; // Dictionary entries examined per prefix; enough to rank short prefixes well
+export const SUGGESTION_LIMIT = 6;
+export const CORRECTION_LIMIT = 3;
+
+// Built on first use (not at import) so app start-up doesn't pay for it
+let dictionary = null;
+const getDictionary = () => {
+  if (dictionary) return dictionary;
+  const rankByWord = new Map();
+  DICTIONARY_TIERS.forEach((tierWords, tier) => {
+    tierWords.forEach(rawWord => {
+      const word = rawWord.toLowerCase();
+      if (/^[a-z][a-z-]*$/.test(word) && !rankByWord.has(word)) rankByWord.set(word, tier);
+    });
+  });
+  const sortedWords = [...rankByWord.keys()].sort();
+  // Length buckets keep the edit-distance scan to words that could be within reach
+  const wordsByLength = new Map();
+  sortedWords.forEach(word => {
+    if (!wordsByLength.has(word.length)) wordsByLength.set(word.length, []);
+    wordsByLength.get(word.length).push(word);
+  });
+  dictionary = { rankByWord, sortedWords, wordsByLength };
+  return dictionary;
+};
+
+// First index whose word is >= prefix
+const lowerBound = (sortedWords, prefix) => {
+  let low = 0;
+  let high = sortedWords.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedWords[mid] < prefix) low = mid + 1; else high = mid;
+  }
+  return low;
+};
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions), giving up once it exceeds maxDistance.
+// Rows are reused between calls since corrections run this over thousands of candidates per keystroke.
+let rows = [new Int32Array(0), new Int32Array(0), new Int32Array(0)];
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  if (rows[0].length <= b.length) rows = rows.map(() => new Int32Array(b.length + 1));
+  let [previousPrevious, previous, current] = rows;
+  for (let j = 0; j <= b.length; j++) previous[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) value = Math.min(value, previousPrevious[j - 2] + 1);
+      current[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    [previousPrevious, previous, current] = [previous, current, previousPrevious];
+  }
+  return previous[b.length];
+};
+
+// Unique personal words, keeping the first spelling seen; pass the sources in priority order
+export const collectPersonalWords = (...sources) => {
+  const seen = new Map();
+  sources.flat().forEach(rawWord => {
+    const word = String(rawWord || '').trim();
+    if (word && !seen.has(word.toLowerCase())) seen.set(word.toLowerCase(), word);
+  });
+  return [...seen.values()];
+};
+
+// Prefix matches: personal words first (in the order given), then dictionary words by commonness and length.
+// The exact input itself is left out.
+export const getSuggestions = (input, personalWords = [], limit = SUGGESTION_LIMIT) => {
+  const prefix = String(input || '').trim().toLowerCase();
+  if (prefix.length < 2) return [];
+  const results = [];
+  const taken = new Set([prefix]);
+  personalWords.forEach(word => {
+    const lower = word.toLowerCase();
+    if (results.length < limit && lower.startsWith(prefix) && !taken.has(lower)) {
+      taken.add(lower);
+      results.push({ word, source: 'personal' });
+    }
+  });
+  if (results.length >= limit) return results;
+
+  const { sortedWords, rankByWord } = getDictionary();
+  const matches = [];
+  for (let i = lowerBound(sortedWords, prefix); i < sortedWords.length && matches.length < PREFIX_SCAN_LIMIT; i++) {
+    if (!sortedWords[i].startsWith(prefix)) break;
+    if (!taken.has(sortedWords[i])) matches.push(sortedWords[i]);
+  }
+  matches
+    .sort((a, b) => rankByWord.get(a) - rankByWord.get(b) || a.length - b.length || a.localeCompare(b))
+    .slice(0, limit - results.length)
+    .forEach(word => results.push({ word, source: 'dictionary' }));
+  return results;
+};
+
+export const isKnownWord = (input, personalWords = []) => {
+  const word = String(input || '').trim().toLowerCase();
+  return getDictionary().rankByWord.has(word) || personalWords.some(personal => personal.toLowerCase() === word);
+};
+
+// Spelling corrections for a single unknown word: closest edit distance first, then personal words, then commonness.
+// Returns [] for known words, phrases and very short input.
+export const getCorrections = (input, personalWords = [], limit = CORRECTION_LIMIT) => {
+  const word = String(input || '').trim().toLowerCase();
+  if (word.length < 3 || /\s/.test(word) || isKnownWord(word, personalWords)) return [];
+  const maxDistance = word.length <= 4 ? 1 : 2;
+  const { wordsByLength, rankByWord } = getDictionary();
+
+  const candidates = [];
+  personalWords.forEach(personal => {
+    const distance = editDistance(word, personal.toLowerCase(), maxDistance);
+    if (distance <= maxDistance) candidates.push({ word: personal, distance, rank: -1 });
+  });
+  // Typos rarely hit the first letter, so dictionary candidates must start with the input's first letter
+  // (or its second, which catches swapped opening letters like "teh"); this skips most of the list
+  for (let length = word.length - maxDistance; length <= word.length + maxDistance; length++) {
+    (wordsByLength.get(length) || []).forEach(candidate => {
+      if (candidate[0] !== word[0] && candidate[0] !== word[1]) return;
+      const distance = editDistance(word, candidate, maxDistance);
+      if (distance <= maxDistance) candidates.push({ word: candidate, distance, rank: rankByWord.get(candidate) });
+    });
+  }
+
+  const seen = new Set();
+  return candidates
+    .sort((a, b) => a.distance - b.distance || a.rank - b.rank || a.word.localeCompare(b.word))
+    .filter(candidate => {
+      const key = candidate.word.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(candidate => candidate.word);
+};
@@ -0,0 +1,66 @@
+// --- Themes ---
+// Colour palettes the app can be shown in. Every palette has the same keys; `onPrimary` is the colour for
+// text and icons drawn on primary / gradient / error fills. The header and tab bar derive from the palette.
+
+const LIGHT_COLORS = {
+  primary: '#3949AB', primaryDark: '#303F9F', primaryLight: '#5C6BC0', onPrimary: '#FFFFFF',
+  accent: '#FFA000', error: '#D32F2F', errorBackground: '#FFEBEE',
+  success: '#388E3C', successBackground: '#E8F5E9', info: '#1976D2', infoBackground: '#E3F2FD',
+  textPrimary: '#212121', textSecondary: '#757575', textDisabled: '#BDBDBD',
+  background: '#F5F5F5', surface: '#FFFFFF', border: '#E0E0E0', inputBackground: '#FAFAFA',
+  quizAccent: '#7E57C2', quizAccentLight: '#F3E5F5', chipBackground: '#E8EAF6', dailyWordBackground: '#FFFBF2',
+  toastText: '#FFFFFF', tabBarBackground: '#FFFFFF', tabBarActiveTint: '#303F9F',
+  tabBarInactiveTint: '#757575', tabBarActiveBackground: '#E8EAF6',
+};
+
+const DARK_COLORS = {
+  primary: '#5C6BC0', primaryDark: '#3949AB', primaryLight: '#8C9EFF', onPrimary: '#FFFFFF',
+  accent: '#FFB300', error: '#EF5350', errorBackground: '#3B1F1F',
+  success: '#66BB6A', successBackground: '#1F3322', info: '#42A5F5', infoBackground: '#1A2A3A',
+  textPrimary: '#ECECEC', textSecondary: '#A0A0A0', textDisabled: '#5C5C5C',
+  background: '#121212', surface: '#1E1E1E', border: '#333333', inputBackground: '#262626',
+  quizAccent: '#B39DDB', quizAccentLight: '#2E2540', chipBackground: '#2A2E45', dailyWordBackground: '#2A2418',
+  toastText: '#FFFFFF', tabBarBackground: '#1E1E1E', tabBarActiveTint: '#9FA8DA',
+  tabBarInactiveTint: '#9E9E9E', tabBarActiveBackground: '#2A2E45',
+};
+
+// Dark with true black backgrounds, which OLED screens don't light at all
+const AMOLED_COLORS = {
+  ...DARK_COLORS,
+  background: '#000000', surface: '#0A0A0A', border: '#262626', inputBackground: '#111111',
+  chipBackground: '#1A1D30', dailyWordBackground: '#1A160E', quizAccentLight: '#1E1829',
+  tabBarBackground: '#000000', tabBarActiveBackground: '#1A1D30',
+};
+
+// Black on white with saturated, darker accents and solid borders
+const HIGH_CONTRAST_COLORS = {
+  primary: '#1A237E', primaryDark: '#000051', primaryLight: '#283593', onPrimary: '#FFFFFF',
+  accent: '#B35C00', error: '#B00020', errorBackground: '#FFE5E5',
+  success: '#1B5E20', successBackground: '#E8F5E9', info: '#0D47A1', infoBackground: '#E3F2FD',
+  textPrimary: '#000000', textSecondary: '#333333', textDisabled: '#6E6E6E',
+  background: '#FFFFFF', surface: '#FFFFFF', border: '#000000', inputBackground: '#FFFFFF',
+  quizAccent: '#4A148C', quizAccentLight: '#F3E5F5', chipBackground: '#E8EAF6', dailyWordBackground: '#FFFFFF',
+  toastText: '#FFFFFF', tabBarBackground: '#FFFFFF', tabBarActiveTint: '#000051',
+  tabBarInactiveTint: '#333333', tabBarActiveBackground: '#C5CAE9',
+};
+
+// statusBarStyle is for the status bar over the (always dark) header gradient
+export const THEMES = {
+  light: { id: 'light', label: 'Light', isDark: false, statusBarStyle: 'light-content', colors: LIGHT_COLORS },
+  dark: { id: 'dark', label: 'Dark', isDark: true, statusBarStyle: 'light-content', colors: DARK_COLORS },
+  amoled: { id: 'amoled', label: 'AMOLED Black', isDark: true, statusBarStyle: 'light-content', colors: AMOLED_COLORS },
+  highContrast: { id: 'highContrast', label: 'High Contrast', isDark: false, statusBarStyle: 'light-content', colors: HIGH_CONTRAST_COLORS },
+};
+
+export const SYSTEM_THEME_PREFERENCE = 'system'; // Light or Dark, following the device setting
+export const DEFAULT_THEME_PREFERENCE = SYSTEM_THEME_PREFERENCE;
+export const THEME_PREFERENCE_OPTIONS = [
+  { label: 'System', value: SYSTEM_THEME_PREFERENCE },
+  ...Object.values(THEMES).map(theme => ({ label: theme.label, value: theme.id })),
+];
+
+// The theme to show for a stored preference and the device's colour scheme ('light' | 'dark' | null)
+export const resolveTheme = (preference, systemColorScheme) => {
+  if (preference === SYSTEM_THEME_PREFERENCE) return systemColorScheme === 'dark' ? THEMES.dark : THEMES.light;
+  return THEMES[preference] || THEMES.light;
+};
@@ -0,0 +1,60 @@
+// --- Word of the Day Engine ---
+// Picks one word per calendar day. The pick is deterministic for a given day and candidate list,
+// so reopening the app (or restoring a backup) on the same day yields the same word.
+
+import { WORD_OF_THE_DAY_WORDS } from '../data/wordOfTheDayWords';
+
+export const WOTD_ARCHIVE_MAX_ITEMS = 90; // Days kept in the archive
+const WOTD_REPEAT_WINDOW = 30; // Recent days whose words aren't picked again while alternatives exist
+
+export const DEFAULT_WOTD_SETTINGS = {
+  source: 'bundled', // 'bundled' | 'mine' (favorites + quiz words) | 'mixed'
+  level: 'all', // 'all' or one of WORD_LEVELS; only applies to the bundled list
+};
+
+// Local calendar day as YYYY-MM-DD (the user's day, not UTC)
+export const getDayKey = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Small string hash (FNV-1a) so the same day always maps to the same index
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+// Candidate list for the settings: [{ word, level, source }]. The user's own words fall back to the
+// bundled list when there aren't any yet.
+export const buildWotdCandidates = (settings, { favorites = [], quizList = [] } = {}) => {
+  const bundled = WORD_OF_THE_DAY_WORDS
+    .filter(item => settings.level === 'all' || item.level === settings.level)
+    .map(item => ({ ...item, source: 'bundled' }));
+  const seen = new Set();
+  const personal = [...favorites, ...quizList]
+    .map(item => (item.word || '').trim())
+    .filter(word => {
+      const key = word.toLowerCase();
+      if (!word || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(word => ({ word, level: null, source: 'mine' }));
+
+  if (settings.source === 'mine') return personal.length > 0 ? personal : bundled;
+  if (settings.source === 'mixed') return [...bundled, ...personal];
+  return bundled;
+};
+
+// Deterministic pick for `dayKey`, skipping words shown in the recent archive when possible
+export const pickWordForDay = (dayKey, candidates, archive = []) => {
+  if (candidates.length === 0) return null;
+  const recentWords = new Set(archive.slice(0, WOTD_REPEAT_WINDOW).map(entry => entry.word.toLowerCase()));
+  const fresh = candidates.filter(item => !recentWords.has(item.word.toLowerCase()));
+  const pool = fresh.length > 0 ? fresh : candidates;
+  return pool[hashString(dayKey) % pool.length];
+};